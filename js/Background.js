@@ -15,6 +15,13 @@
  * 3. Background houses (slow scroll)
  * 4. Foreground details like trees and bushes (medium scroll)
  * 5. Ground/sidewalk (fast scroll - matches player speed)
+ * 
+ * The sky changes with the weather (see WeatherManager) - grey and
+ * cloudy when it rains, with a gloomy tint over the street in a storm.
+ * 
+ * And with the time of day (setTimeOfDay): over the walk the afternoon
+ * turns to sunset, then dusk - the sky reddens and darkens, the sun
+ * sinks behind the houses and their windows light up.
  */
 class Background {
     
@@ -34,6 +41,85 @@ class Background {
     // WHY 100? Feels like a comfortable walking pace
     static BASE_SCROLL_SPEED = 100;
     
+    // How the sky looks in each weather (WeatherManager.TYPES keys)
+    // - colors: sky strips from the horizon up
+    // - sun: is the sun out?
+    // - cloudColor / cloudAlpha: what the clouds look like
+    // - extraClouds: more clouds packed in between the usual ones
+    // - gloom: how dark the tint over the whole street is (0 = none)
+    static SKIES = {
+        clear: {
+            colors: [0x87CEEB, 0x7EC8E3, 0x6BC1E0, 0x5AB9DC, 0x4AB1D8],
+            sun: true,
+            cloudColor: 0xFFFFFF,
+            cloudAlpha: 0.9,
+            extraClouds: false,
+            gloom: 0
+        },
+        drizzle: {
+            colors: [0xB0BEC5, 0xA4B4BC, 0x98AAB3, 0x8CA0AA, 0x8096A1],
+            sun: false,
+            cloudColor: 0xECEFF1,
+            cloudAlpha: 0.95,
+            extraClouds: true,
+            gloom: 0.1
+        },
+        storm: {
+            colors: [0x78909C, 0x6C838F, 0x607682, 0x546975, 0x485C68],
+            sun: false,
+            cloudColor: 0x90A4AE,
+            cloudAlpha: 1,
+            extraClouds: true,
+            gloom: 0.3
+        },
+        windy: {
+            colors: [0xA7D8EE, 0x97CFE8, 0x87C6E2, 0x77BDDC, 0x67B4D6],
+            sun: true,
+            cloudColor: 0xFFFFFF,
+            cloudAlpha: 0.7,
+            extraClouds: true,
+            gloom: 0
+        }
+    };
+    
+    // =============================================================
+    // TIME OF DAY - afternoon (0) to sunset (0.5) to dusk (1)
+    // =============================================================
+    
+    // Sky colors at sunset and at dusk (horizon first, like SKIES)
+    static SUNSET_COLORS = [0xFFB74D, 0xFF8A65, 0xF48FB1, 0xBA68C8, 0x7986CB];
+    static DUSK_COLORS = [0x7E57C2, 0x5E35B1, 0x3F51B5, 0x283593, 0x1A237E];
+    
+    // The sun's colors (core and glow) in the afternoon, at sunset and at dusk
+    static SUN_COLORS = [
+        { core: 0xFFEB3B, glow: 0xFFF9C4 },
+        { core: 0xFF9800, glow: 0xFFCC80 },
+        { core: 0xE64A19, glow: 0xFF8A65 }
+    ];
+    
+    // Where the sun is in the afternoon, and where it sets (behind the houses)
+    static SUN_START = { x: 650, y: 80 };
+    static SUN_END = { x: 560, y: 360 };
+    
+    // Evening tint over the street (everything behind the sidewalk)
+    // WHY not over the student and obstacles? They have to stay easy to see
+    static DUSK_TINT = 0x1A237E;
+    static DUSK_TINT_ALPHA = 0.35;
+    
+    // When the tint starts creeping in
+    static DUSK_TINT_START = 0.4;
+    
+    // When house lights start coming on (each house a little later or
+    // earlier - see createSingleHouse)
+    static WINDOW_LIGHTS_START = 0.45;
+    
+    // Window light color (warm lamp light)
+    static WINDOW_LIGHT_COLOR = 0xFFE082;
+    
+    // How many steps the time of day moves in
+    // WHY steps? The sky is redrawn only when it actually changes
+    static TIME_STEPS = 100;
+    
     // =============================================================
     // CONSTRUCTOR
     // =============================================================
@@ -42,10 +128,17 @@ class Background {
      * Create the scrolling background
      * 
      * @param {Phaser.Scene} scene - The game scene
+     * @param {string} [weather='clear'] - A WeatherManager.TYPES key
      */
-    constructor(scene) {
+    constructor(scene, weather = 'clear') {
         this.scene = scene;
         
+        // How the sky looks today
+        this.sky = Background.SKIES[weather] || Background.SKIES.clear;
+        
+        // How late it is: 0 = afternoon, 1 = dusk (see setTimeOfDay)
+        this.timeOfDay = 0;
+        
         // Track scroll position for parallax effect
         this.scrollX = 0;
         
@@ -64,6 +157,7 @@ class Background {
         this.createHouses();
         this.createTrees();
         this.createGround();
+        this.createDuskTint();
         
         console.log('🏘️ Neighborhood background created!');
     }
@@ -80,29 +174,38 @@ class Background {
      */
     createSky() {
         // Create a graphics object for the sky gradient
-        const skyGraphics = this.scene.add.graphics();
+        this.skyGraphics = this.scene.add.graphics();
+        this.drawSky();
         
+        // Set depth to be behind everything
+        // WHY setDepth? Controls draw order - lower numbers draw first (behind)
+        this.skyGraphics.setDepth(-100);
+        
+        // Bad weather: a gloomy tint over the whole street
+        // WHY depth -9? Over the houses and the sidewalk (-10), under the
+        // bus stops, puddles and everyone on the sidewalk
+        if (this.sky.gloom > 0) {
+            this.gloom = this.scene.add.rectangle(400, 300, 800, 600, 0x263238, this.sky.gloom);
+            this.gloom.setDepth(-9);
+        }
+    }
+    
+    /**
+     * Draw the sky gradient for the weather and the time of day
+     */
+    drawSky() {
         // Draw gradient rectangles (simulate a gradient)
         // WHY rectangles? Phaser doesn't have built-in gradients, but
         // stacking colored rectangles works great!
-        const colors = [
-            0x87CEEB,  // Light sky blue (horizon)
-            0x7EC8E3,
-            0x6BC1E0,
-            0x5AB9DC,
-            0x4AB1D8,  // Deeper blue (top)
-        ];
+        const colors = this.getSkyColors();
         
         const stripHeight = 120;  // 600 / 5 strips
         
+        this.skyGraphics.clear();
         colors.forEach((color, index) => {
-            skyGraphics.fillStyle(color, 1);
-            skyGraphics.fillRect(0, (4 - index) * stripHeight, 800, stripHeight);
+            this.skyGraphics.fillStyle(color, 1);
+            this.skyGraphics.fillRect(0, (4 - index) * stripHeight, 800, stripHeight);
         });
-        
-        // Set depth to be behind everything
-        // WHY setDepth? Controls draw order - lower numbers draw first (behind)
-        skyGraphics.setDepth(-100);
     }
     
     /**
@@ -111,19 +214,54 @@ class Background {
      * WHY a sun? Adds cheerfulness and establishes time of day!
      */
     createSun() {
+        // WHY check? The sun hides behind the clouds when it rains
+        if (!this.sky.sun) {
+            this.sun = null;
+            return;
+        }
+        
         const sunGraphics = this.scene.add.graphics();
         
-        // Draw a bright yellow sun
-        sunGraphics.fillStyle(0xFFEB3B, 1);
-        sunGraphics.fillCircle(650, 80, 40);
+        // WHY -95? In front of the sky, behind the clouds - and behind
+        // the houses (-50) it sets behind
+        sunGraphics.setDepth(-95);
+        
+        this.sun = sunGraphics;
+        this.drawSun();
+    }
+    
+    /**
+     * Draw the sun for the time of day - yellow and high in the
+     * afternoon, orange and low at sunset, red and gone at dusk
+     */
+    drawSun() {
+        if (!this.sun) return;
+        
+        const progress = this.timeOfDay;
+        const colors = Background.SUN_COLORS;
+        const color = progress <= 0.5
+            ? { core: Background.blendColor(colors[0].core, colors[1].core, progress * 2),
+                glow: Background.blendColor(colors[0].glow, colors[1].glow, progress * 2) }
+            : { core: Background.blendColor(colors[1].core, colors[2].core, progress * 2 - 1),
+                glow: Background.blendColor(colors[1].glow, colors[2].glow, progress * 2 - 1) };
+        
+        this.sun.clear();
+        
+        // Draw the sun
+        this.sun.fillStyle(color.core, 1);
+        this.sun.fillCircle(0, 0, 40);
         
         // Add a lighter glow around it
-        sunGraphics.fillStyle(0xFFF9C4, 0.3);
-        sunGraphics.fillCircle(650, 80, 55);
+        this.sun.fillStyle(color.glow, 0.3);
+        this.sun.fillCircle(0, 0, 55);
         
-        sunGraphics.setDepth(-95);
+        // Sinking toward the rooftops
+        const start = Background.SUN_START;
+        const end = Background.SUN_END;
+        this.sun.setPosition(start.x + (end.x - start.x) * progress, start.y + (end.y - start.y) * progress);
         
-        this.sun = sunGraphics;
+        // WHY fade at the end? It's slipped below the horizon by dusk
+        this.sun.setAlpha(progress > 0.8 ? (1 - progress) / 0.2 : 1);
     }
     
     /**
@@ -142,6 +280,18 @@ class Background {
             { x: 1100, y: 110, scale: 0.9 },
         ];
         
+        // Rain clouds fill the sky
+        // WHY in between the usual ones? They still wrap at the same width
+        if (this.sky.extraClouds) {
+            cloudPositions.push(
+                { x: 200, y: 40, scale: 1.1 },
+                { x: 400, y: 70, scale: 1.3 },
+                { x: 600, y: 30, scale: 1 },
+                { x: 800, y: 60, scale: 1.2 },
+                { x: 1000, y: 40, scale: 1.1 }
+            );
+        }
+        
         cloudPositions.forEach(pos => {
             const cloud = this.createSingleCloud(pos.x, pos.y, pos.scale);
             this.layers.clouds.push(cloud);
@@ -161,7 +311,7 @@ class Background {
         
         // Draw fluffy cloud shape using overlapping circles
         // WHY circles? Creates that classic puffy cloud look!
-        cloud.fillStyle(0xFFFFFF, 0.9);
+        cloud.fillStyle(this.sky.cloudColor, this.sky.cloudAlpha);
         cloud.fillCircle(0, 0, 25 * scale);
         cloud.fillCircle(25 * scale, -10 * scale, 20 * scale);
         cloud.fillCircle(50 * scale, 0, 25 * scale);
@@ -247,6 +397,23 @@ class Background {
         houseGraphics.lineBetween(-width/2 + 15, -height + 30, -width/2 + 35, -height + 30);
         
         container.add(houseGraphics);
+        
+        // Lamp light in the windows - off until the evening
+        // WHY a separate graphic? It fades in over the windows (setTimeOfDay)
+        const windowLights = this.scene.add.graphics();
+        windowLights.fillStyle(Background.WINDOW_LIGHT_COLOR, 1);
+        windowLights.fillRect(-width/2 + 15, -height + 20, 20, 20);
+        if (width > 90) {
+            windowLights.fillRect(width/2 - 35, -height + 20, 20, 20);
+        }
+        windowLights.lineStyle(2, 0xFFFFFF, 1);
+        windowLights.strokeRect(-width/2 + 15, -height + 20, 20, 20);
+        windowLights.setAlpha(0);
+        container.add(windowLights);
+        container.windowLights = windowLights;
+        
+        // WHY a little random? Not everyone turns the lights on at once
+        container.lightsOnAt = Background.WINDOW_LIGHTS_START + Phaser.Math.RND.frac() * 0.2;
         container.setDepth(-50);
         
         // Store original X for wrapping
@@ -398,6 +565,85 @@ class Background {
         return detail;
     }
     
+    /**
+     * Create the evening tint over the street (clear until it gets late)
+     * 
+     * WHY depth -9? Like the weather's gloom - over the houses and the
+     * sidewalk (-10), under everyone on the sidewalk
+     */
+    createDuskTint() {
+        this.duskTint = this.scene.add.rectangle(400, 300, 800, 600, Background.DUSK_TINT, 0);
+        this.duskTint.setDepth(-9);
+    }
+    
+    // =============================================================
+    // TIME OF DAY
+    // =============================================================
+    
+    /**
+     * Move the sky to a time of day
+     * 
+     * @param {number} progress - 0 = afternoon, 0.5 = sunset, 1 = dusk
+     */
+    setTimeOfDay(progress) {
+        const steps = Background.TIME_STEPS;
+        const timeOfDay = Math.round(Phaser.Math.Clamp(progress, 0, 1) * steps) / steps;
+        
+        // WHY check? Redrawing the sky every frame would be wasted work
+        if (timeOfDay === this.timeOfDay) return;
+        this.timeOfDay = timeOfDay;
+        
+        this.drawSky();
+        this.drawSun();
+        
+        // Lights come on in the houses, one by one
+        this.layers.houses.forEach(house => {
+            house.windowLights.setAlpha(Phaser.Math.Clamp((timeOfDay - house.lightsOnAt) / 0.15, 0, 1));
+        });
+        
+        // The street slowly darkens
+        const tint = Math.max(0, (timeOfDay - Background.DUSK_TINT_START) / (1 - Background.DUSK_TINT_START));
+        this.duskTint.setFillStyle(Background.DUSK_TINT, tint * Background.DUSK_TINT_ALPHA);
+    }
+    
+    /**
+     * The sky colors for the weather and the time of day
+     * 
+     * WHY a weaker sunset on rainy days? The sun is behind the clouds -
+     * only a little of the color gets through
+     * 
+     * @returns {Array<number>} Colors from the horizon up
+     */
+    getSkyColors() {
+        const progress = this.timeOfDay;
+        const sunsetStrength = this.sky.sun ? 1 : 0.5;
+        
+        return this.sky.colors.map((color, index) => {
+            const sunset = Background.blendColor(color, Background.SUNSET_COLORS[index], sunsetStrength);
+            return progress <= 0.5
+                ? Background.blendColor(color, sunset, progress * 2)
+                : Background.blendColor(sunset, Background.DUSK_COLORS[index], progress * 2 - 1);
+        });
+    }
+    
+    /**
+     * Mix two colors
+     * 
+     * @param {number} from - Color at 0 (e.g. 0x87CEEB)
+     * @param {number} to - Color at 1
+     * @param {number} amount - How far from 'from' to 'to' (0 to 1)
+     * @returns {number} The mixed color
+     */
+    static blendColor(from, to, amount) {
+        const mixed = Phaser.Display.Color.Interpolate.ColorWithColor(
+            Phaser.Display.Color.ValueToColor(from),
+            Phaser.Display.Color.ValueToColor(to),
+            100,
+            Math.round(amount * 100)
+        );
+        return Phaser.Display.Color.GetColor(mixed.r, mixed.g, mixed.b);
+    }
+    
     // =============================================================
     // UPDATE METHOD
     // Called every frame to scroll the background
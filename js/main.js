@@ -0,0 +1,121 @@
+/**
+ * Library Run - Game Entry Point
+ * 
+ * Holds the Phaser game configuration and starts the game.
+ * 
+ * WHY a separate file? Every scene is its own class now, so this file
+ * just wires them together. Load it LAST in index.html so all the
+ * classes it references already exist.
+ */
+
+// =============================================================
+// GAME CONFIGURATION
+// This object tells Phaser how to set up our game
+// =============================================================
+
+/**
+ * Phaser Game Configuration
+ * 
+ * WHY an object? Phaser uses this config to know:
+ * - What size to make the canvas
+ * - What physics engine to use
+ * - What scenes to load
+ * - Where to put the game on the page
+ */
+const config = {
+    // Use WebGL if available, fall back to Canvas
+    // WHY AUTO? WebGL is faster, but not all browsers support it
+    type: Phaser.AUTO,
+    
+    // Game dimensions (base resolution)
+    // WHY 800x600? It's a classic size that scales well
+    width: 800,
+    height: 600,
+    
+    // Where to put the game canvas
+    // WHY parent? This puts the canvas inside our styled container
+    parent: 'game-container',
+    
+    // Background color (sky blue!)
+    // WHY hex color? Phaser accepts hex colors like CSS
+    backgroundColor: '#87CEEB',
+    
+    // Scale configuration for responsive display
+    // WHY Scale Manager? Handles responsive scaling across devices
+    scale: {
+        // Scale to fit the parent container
+        mode: Phaser.Scale.FIT,
+        // Center the game in the available space
+        autoCenter: Phaser.Scale.CENTER_BOTH,
+        // Use parent container size
+        parent: 'game-container',
+        // Set base dimensions
+        width: 800,
+        height: 600,
+        // Expand to fill the parent container
+        expandParent: true,
+        // Handle fullscreen on mobile
+        fullscreenTarget: 'game-container'
+    },
+    
+    // Render settings to prevent blur!
+    // WHY these settings? Pixel art can look blurry when moving
+    // because the browser tries to smooth the pixels
+    render: {
+        // pixelArt mode disables anti-aliasing on textures
+        // WHY? Our hand-drawn sprites look crisper without smoothing!
+        pixelArt: true,
+        
+        // Round pixel positions to whole numbers
+        // WHY? Sub-pixel positioning causes blur when sprites move
+        roundPixels: true
+    },
+    
+    // Physics configuration
+    // WHY arcade? It's simple and perfect for a 2D side-scroller!
+    physics: {
+        default: 'arcade',
+        arcade: {
+            // Gravity pulls things down (like jumping players!)
+            // WHY 300? It feels natural - not too floaty, not too fast
+            gravity: { y: 300 },
+            
+            // Set to true to see collision boxes (helpful for debugging!)
+            debug: false
+        }
+    },
+    
+    // The scenes in our game
+    // WHY this order? The FIRST scene starts automatically (BootScene),
+    // and scenes later in the list draw on top of earlier ones -
+    // so GameOverScene appears over the paused GameScene
+    scene: [
+        BootScene,
+        MenuScene,
+        DifficultyScene,
+        SettingsScene,
+        RecordsScene,
+        CreditsScene,
+        GameScene,
+        PauseScene,
+        ContinueScene,
+        GameOverScene,
+        ReplaysScene,
+        ReplayScene,
+        RouteEditorScene
+    ]
+};
+
+// =============================================================
+// START THE GAME!
+// =============================================================
+
+/**
+ * Create the Phaser game instance
+ * 
+ * WHY 'new Phaser.Game(config)'? This is what actually starts everything!
+ * Phaser reads our config and creates the canvas, sets up physics, etc.
+ */
+const game = new Phaser.Game(config);
+
+console.log('🚀 Library Run - Game initialized!');
@@ -0,0 +1,137 @@
+/**
+ * BirdManager Class
+ * 
+ * Sends Pooping Birds over the sidewalk on their own schedule!
+ * The route sets the schedule - on Blueberrydale a pigeon flies over
+ * roughly every 180 meters.
+ * 
+ * WHY a manager class?
+ * - Birds aren't tied to a zone like the Dottie Bacon bullies -
+ *   they can show up anywhere on the walk
+ * - Keeps the spawn schedule in one place (like PowerUpManager)
+ * 
+ * WHY stop before the library?
+ * - The library is the goal - no more obstacles there!
+ * - Like the zones (see RouteZone.isBeforeLibrary) - and like them,
+ *   never in Endless mode (see GameScene.getLibraryDistance())
+ */
+class BirdManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the bird manager
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // When birds fly over: firstMeters, everyMeters and varianceMeters
+        // (plus or minus - birds on an exact schedule would be too predictable)
+        this.schedule = scene.route.obstacles.birds;
+        
+        // Birds currently flying
+        this.birds = [];
+        
+        // Distance (in pixels) where the next bird appears
+        this.nextSpawnDistance = RouteManager.toPixels(this.schedule.firstMeters);
+        
+        console.log(`🐦 BirdManager initialized - pigeons every ~${this.schedule.everyMeters}m!`);
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the manager - spawn birds and update the ones flying
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     * @param {Student} player - The student (birds drop when they're close)
+     */
+    update(currentDistance, player) {
+        if (currentDistance >= this.nextSpawnDistance) {
+            if (this.canSpawnAt(currentDistance)) {
+                this.spawnBird();
+            }
+            this.scheduleNextSpawn(currentDistance);
+        }
+        
+        // Update flying birds and forget the ones that flew away
+        this.birds.forEach(bird => bird.update(player));
+        this.birds = this.birds.filter(bird => !bird.isDestroyed);
+    }
+    
+    /**
+     * Is it OK to send a bird at this distance?
+     * 
+     * @param {number} distance - Current distance traveled in pixels
+     * @returns {boolean} True if a bird can spawn
+     */
+    canSpawnAt(distance) {
+        // No birds once the library comes into view
+        // WHY? A bird spawned now would still be dropping on the library steps
+        const cutOff = this.scene.getLibraryDistance() - BlueberrydaleLibrary.APPROACH_DISTANCE;
+        if (distance >= cutOff) return false;
+        
+        // No birds while the student is down
+        const player = this.scene.student;
+        return !(player && player.isDefeated);
+    }
+    
+    /**
+     * Pick where the next bird appears
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    scheduleNextSpawn(currentDistance) {
+        const variation = this.scene.rng.between(
+            -this.schedule.varianceMeters,
+            this.schedule.varianceMeters
+        );
+        const meters = this.schedule.everyMeters + variation;
+        
+        this.nextSpawnDistance = currentDistance + RouteManager.toPixels(meters);
+    }
+    
+    /**
+     * Pick up the spawn schedule partway along the route
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        // WHY the first-spawn gap again? Give the player a moment to settle in
+        this.nextSpawnDistance = distance + RouteManager.toPixels(this.schedule.firstMeters);
+    }
+    
+    // =============================================================
+    // SPAWN METHODS
+    // =============================================================
+    
+    /**
+     * Send a bird flying in from the right
+     */
+    spawnBird() {
+        const bird = new Bird(this.scene);
+        this.birds.push(bird);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up all birds
+     */
+    cleanup() {
+        this.birds.forEach(bird => bird.cleanup());
+        this.birds = [];
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * BuffManager Class
+ * 
+ * Keeps track of the timed effects (buffs) on the student!
+ * A power-up can do more than heal - it can make the student invincible
+ * for a few seconds, or put a spring in their step. Each buff counts
+ * down, then wears off.
+ * 
+ * WHY a manager class?
+ * - The student only asks "am I invincible?" - the timing lives here
+ * - Every effect follows the same rules for picking up another one
+ *   while it's still going (see STACKING RULES)
+ * - The HUD (BuffIcons) reads everything it shows from one place
+ * 
+ * WHY count down with the frame's delta (and not scene.time)?
+ * - A replay plays back the recorded deltas - buffs run out on
+ *   exactly the same frame
+ * - A paused game doesn't eat into a buff
+ * 
+ * STACKING RULES (what happens when you get a buff you already have):
+ * - 'refresh': the timer starts over (the default)
+ * - 'extend':  the new time is added on, up to maxDuration
+ */
+class BuffManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Every buff there is
+    // - icon/label: shown in the HUD (see BuffIcons)
+    // - color: the countdown ring
+    // - duration: how long one lasts (ms)
+    // - stacking: see STACKING RULES above
+    static TYPES = {
+        // Nothing hurts (see Student.takeDamage)
+        invincible: {
+            icon: '⭐',
+            label: 'Invincible',
+            color: 0xFFD700,
+            duration: 5000,
+            stacking: 'refresh'
+        },
+        // The student walks faster (see Student.getSpeedFactor)
+        speed: {
+            icon: '💨',
+            label: 'Speed Boost',
+            color: 0x29B6F6,
+            duration: 6000,
+            stacking: 'extend',
+            maxDuration: 12000,
+            // How much faster the student walks (1.3 = 30% faster)
+            // WHY 1.3? Noticeably quicker, but you can still stop for a bully
+            speedMultiplier: 1.3
+        },
+        // Word bubbles don't hurt (see Student.getBlockingBuff)
+        headphones: {
+            icon: '🎧',
+            label: 'Headphones',
+            color: 0x7E57C2,
+            duration: 8000,
+            stacking: 'extend',
+            maxDuration: 16000
+        },
+        // Nothing falling from above hurts (see Student.getBlockingBuff)
+        umbrella: {
+            icon: '☂️',
+            label: 'Umbrella',
+            color: 0xE53935,
+            duration: 8000,
+            stacking: 'refresh'
+        },
+        // One extra jump in mid-air (see Student.tryToJump)
+        bubbleGum: {
+            icon: '🎈',
+            label: 'Bubble Gum',
+            color: 0xF48FB1,
+            duration: 10000,
+            stacking: 'refresh'
+        }
+    };
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the buff manager
+     * 
+     * @param {Student} student - The student the buffs are on
+     */
+    constructor(student) {
+        this.student = student;
+        
+        // Active buffs by key: { key, type, remaining, duration, onExpire }
+        // WHY a Map? It keeps the order the buffs were picked up in -
+        // the HUD shows them in that order
+        this.active = new Map();
+    }
+    
+    // =============================================================
+    // ADDING AND REMOVING
+    // =============================================================
+    
+    /**
+     * Give the student a buff (or more of one they already have)
+     * 
+     * WHY throw for an unknown key? Only the game's own pickups give
+     * buffs - a key that isn't in TYPES is a typo, not something a
+     * player can cause
+     * 
+     * @param {string} key - A BuffManager.TYPES key
+     * @param {Object} options - Optional extras
+     * @param {Function} options.onExpire - Called with the buff when it wears off
+     *                                      (not when it's cleared - see clear)
+     * @returns {Object} The buff
+     */
+    add(key, options = {}) {
+        const type = BuffManager.TYPES[key];
+        if (!type) {
+            throw new Error(`Unknown buff: ${key}`);
+        }
+        
+        const buff = this.active.get(key);
+        
+        if (!buff) {
+            const newBuff = {
+                key,
+                type,
+                remaining: type.duration,
+                duration: type.duration,
+                onExpire: options.onExpire || null
+            };
+            this.active.set(key, newBuff);
+            console.log(`${type.icon} ${type.label} for ${type.duration / 1000}s!`);
+            return newBuff;
+        }
+        
+        this.applyStacking(buff, type.duration);
+        
+        // WHY replace it? The latest pickup decides what happens at the end
+        if (options.onExpire) {
+            buff.onExpire = options.onExpire;
+        }
+        
+        console.log(`${type.icon} ${type.label} again - ${Math.ceil(buff.remaining / 1000)}s left`);
+        return buff;
+    }
+    
+    /**
+     * Apply the type's stacking rule to a buff the student already has
+     * 
+     * @param {Object} buff - The active buff
+     * @param {number} duration - How long the new one lasts (ms)
+     */
+    applyStacking(buff, duration) {
+        switch (buff.type.stacking) {
+            case 'extend': {
+                const maxDuration = buff.type.maxDuration || Infinity;
+                buff.remaining = Math.min(buff.remaining + duration, maxDuration);
+                // WHY raise duration too? The HUD ring shows remaining / duration
+                buff.duration = Math.max(buff.duration, buff.remaining);
+                break;
+            }
+            default:
+                // 'refresh'
+                buff.remaining = Math.max(buff.remaining, duration);
+                buff.duration = buff.remaining;
+                break;
+        }
+    }
+    
+    /**
+     * Take every buff away (the student was defeated)
+     * 
+     * WHY no onExpire? Nothing wore off - the run moved on without them
+     */
+    clear() {
+        this.active.clear();
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Count every buff down, and end the ones that ran out
+     * 
+     * @param {number} delta - Time since the last frame (ms)
+     */
+    update(delta) {
+        this.active.forEach(buff => {
+            buff.remaining -= delta;
+            if (buff.remaining > 0) return;
+            
+            this.active.delete(buff.key);
+            console.log(`${buff.type.icon} ${buff.type.label} wore off`);
+            
+            if (buff.onExpire) {
+                buff.onExpire(buff);
+            }
+        });
+    }
+    
+    // =============================================================
+    // QUERIES
+    // =============================================================
+    
+    /**
+     * Does the student have this buff right now?
+     * 
+     * @param {string} key - A BuffManager.TYPES key
+     * @returns {boolean} True if it's active
+     */
+    has(key) {
+        return this.active.has(key);
+    }
+    
+    /**
+     * All the active buffs, in the order they were picked up
+     * 
+     * @returns {Object[]} The active buffs
+     */
+    getAll() {
+        return [...this.active.values()];
+    }
+    
+    /**
+     * How much faster the buffs make the student walk
+     * 
+     * @returns {number} Multiplier (1 = no change)
+     */
+    getSpeedMultiplier() {
+        return this.getAll().reduce((multiplier, buff) => multiplier * (buff.type.speedMultiplier || 1), 1);
+    }
+}
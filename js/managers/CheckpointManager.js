@@ -0,0 +1,283 @@
+/**
+ * CheckpointManager Class
+ * 
+ * Bus stops along the route are checkpoints!
+ * The route says how far apart they are (every 300 meters on the way
+ * to the Blueberrydale library).
+ * 
+ * Reaching a checkpoint:
+ * - Gives +10 Confidence (based on CONTEXT.md - "Reach checkpoint")
+ * - Saves where you are: distance, game speed, confidence, the time and the score
+ * 
+ * WHY save anything? With "Checkpoint Continues" turned on in Settings,
+ * running out of confidence offers "Continue from checkpoint" - the run
+ * starts again from the last bus stop instead of from school.
+ * 
+ * WHY a manager class?
+ * - Keeps the checkpoint schedule in one place (like PowerUpManager)
+ * - The GameScene only has to ask "is there a checkpoint to go back to?"
+ */
+class CheckpointManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Confidence for reaching a checkpoint
+    // WHY 10? Based on CONTEXT.md - "Reach checkpoint: +10 Confidence"
+    static CONFIDENCE_BONUS = 10;
+    
+    // How far ahead of the checkpoint the bus stop appears (pixels)
+    // WHY 500? It slides in from just off the right side of the screen
+    static MARKER_SPAWN_AHEAD = 500;
+    
+    // Where the student stands while the world scrolls
+    // WHY? The bus stop reaches the student exactly at the checkpoint
+    static PLAYER_SCROLL_X = 400;
+    
+    // Top of the sidewalk (ground is centered at 575, 50 tall)
+    static GROUND_Y = 550;
+    
+    // How long after confidence runs out before offering to continue (ms)
+    // WHY wait? Let the sad moment land before the good news
+    static CONTINUE_OFFER_DELAY = 800;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the checkpoint manager
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Which checkpoint is next (1 = the first bus stop)
+        this.nextNumber = 1;
+        this.nextDistance = this.getCheckpointDistance(this.nextNumber);
+        
+        // The last checkpoint reached (null until we reach one)
+        this.lastCheckpoint = null;
+        
+        // The bus stop on screen (and its sign), if any
+        this.marker = null;
+        this.markerText = null;
+        
+        // Where the ground was last frame (see followGround)
+        this.lastScrollX = 0;
+        
+        console.log(`🚏 CheckpointManager initialized - bus stops every ${scene.route.checkpoints.everyMeters}m!`);
+    }
+    
+    // =============================================================
+    // CHECKPOINT SCHEDULE
+    // =============================================================
+    
+    /**
+     * Where is a checkpoint?
+     * 
+     * @param {number} number - Which checkpoint (1 = first)
+     * @returns {number|null} Distance in pixels, or null if it would be past the library
+     */
+    getCheckpointDistance(number) {
+        let distance = RouteManager.toPixels(number * this.scene.route.checkpoints.everyMeters);
+        
+        // Move a bus stop that lands in a zone (like a Dottie Bacon School) to just after it
+        // WHY? Nobody wants to continue right in front of the bullies!
+        this.scene.zones.forEach(zone => {
+            const zoneEnd = zone.getZoneEndAt(distance);
+            if (zoneEnd !== null) {
+                distance = zoneEnd;
+            }
+        });
+        
+        // No checkpoints once the library is in sight - it's the goal!
+        const cutOff = this.scene.getLibraryDistance() - BlueberrydaleLibrary.APPROACH_DISTANCE;
+        return distance < cutOff ? distance : null;
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the manager - show the next bus stop and check if we've reached it
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    update(currentDistance) {
+        if (this.marker) {
+            this.followGround();
+        }
+        
+        if (this.nextDistance === null) return;
+        
+        // Bring the bus stop into view as we get close
+        if (!this.marker && currentDistance >= this.nextDistance - CheckpointManager.MARKER_SPAWN_AHEAD) {
+            this.createMarker(currentDistance);
+        }
+        
+        if (currentDistance >= this.nextDistance) {
+            this.reachCheckpoint(currentDistance);
+        }
+    }
+    
+    /**
+     * Create the bus stop for the next checkpoint
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    createMarker(currentDistance) {
+        // WHY this x? Scrolling carries it to the student right as
+        // the distance reaches the checkpoint
+        const x = CheckpointManager.PLAYER_SCROLL_X + (this.nextDistance - currentDistance);
+        const meters = Math.floor(this.nextDistance / RouteManager.PIXELS_PER_METER);
+        
+        this.marker = this.scene.add.image(x, CheckpointManager.GROUND_Y, 'bus-stop');
+        this.marker.setOrigin(0.5, 1);
+        
+        // WHY depth -8? On the sidewalk (-10), behind the student (10)
+        this.marker.setDepth(-8);
+        
+        this.markerText = this.scene.add.text(x, CheckpointManager.GROUND_Y - 125, `🚏 ${meters}m`, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            backgroundColor: 'rgba(21, 101, 192, 0.9)',
+            padding: { x: 6, y: 3 }
+        });
+        this.markerText.setOrigin(0.5);
+        this.markerText.setDepth(-8);
+        
+        this.lastScrollX = this.scene.background.scrollX;
+    }
+    
+    /**
+     * Move the bus stop with the sidewalk as the world scrolls
+     */
+    followGround() {
+        const scrollX = this.scene.background.scrollX;
+        const scrolled = scrollX - this.lastScrollX;
+        this.lastScrollX = scrollX;
+        
+        this.marker.x -= scrolled;
+        this.markerText.x = this.marker.x;
+        
+        // Gone off the left side - we're done with it
+        if (this.marker.x < -100) {
+            this.destroyMarker();
+        }
+    }
+    
+    /**
+     * The student made it to the bus stop!
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    reachCheckpoint(currentDistance) {
+        const player = this.scene.student;
+        const meters = Math.floor(this.nextDistance / RouteManager.PIXELS_PER_METER);
+        
+        console.log(`🚏 Checkpoint reached at ${meters}m!`);
+        
+        player.heal(CheckpointManager.CONFIDENCE_BONUS, `Checkpoint ${meters}m`);
+        
+        // Save everything needed to continue from here
+        this.lastCheckpoint = {
+            number: this.nextNumber,
+            meters: meters,
+            distance: currentDistance,
+            gameSpeedMultiplier: this.scene.gameSpeedMultiplier,
+            confidence: player.confidence,
+            // WHY save the clock? Otherwise continuing would buy more time
+            clockElapsed: this.scene.libraryClock.elapsed,
+            score: this.scene.scoreManager.getSnapshot(),
+            // WHY save the backpack? Items saved for later shouldn't be lost
+            items: this.scene.inventoryManager.getSnapshot()
+        };
+        
+        this.showCheckpointNotification(meters);
+        
+        this.nextNumber += 1;
+        this.nextDistance = this.getCheckpointDistance(this.nextNumber);
+    }
+    
+    /**
+     * Let the player know the checkpoint was saved
+     * 
+     * @param {number} meters - Where the checkpoint is
+     */
+    showCheckpointNotification(meters) {
+        const notification = this.scene.add.text(
+            400, 160,
+            `🚏 CHECKPOINT! ${meters}m saved  +${CheckpointManager.CONFIDENCE_BONUS} 💚`,
+            {
+                fontSize: '18px',
+                fontFamily: 'Arial',
+                color: '#FFFFFF',
+                backgroundColor: 'rgba(21, 101, 192, 0.85)',
+                padding: { x: 12, y: 8 },
+                fontStyle: 'bold'
+            }
+        );
+        notification.setOrigin(0.5);
+        notification.setDepth(100);
+        
+        this.scene.tweens.add({
+            targets: notification,
+            y: 130,
+            alpha: 0,
+            duration: 2000,
+            delay: 1000,
+            onComplete: () => notification.destroy()
+        });
+    }
+    
+    // =============================================================
+    // CONTINUING
+    // =============================================================
+    
+    /**
+     * The checkpoint to offer when confidence runs out
+     * 
+     * @returns {Object|null} The last checkpoint, or null if continuing is off
+     *                        or no checkpoint has been reached yet
+     */
+    getContinueCheckpoint() {
+        if (SettingsManager.get('checkpointContinue') !== 'on') return null;
+        return this.lastCheckpoint;
+    }
+    
+    /**
+     * Pick up a run that continues from a checkpoint
+     * 
+     * @param {Object} checkpoint - The checkpoint from reachCheckpoint()
+     */
+    startFrom(checkpoint) {
+        // WHY keep it? Running out again can go back to the same bus stop
+        this.lastCheckpoint = checkpoint;
+        
+        this.nextNumber = checkpoint.number + 1;
+        this.nextDistance = this.getCheckpointDistance(this.nextNumber);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Remove the bus stop from the screen
+     */
+    destroyMarker() {
+        if (this.marker) {
+            this.marker.destroy();
+            this.marker = null;
+        }
+        if (this.markerText) {
+            this.markerText.destroy();
+            this.markerText = null;
+        }
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * ComebackManager Class
+ * 
+ * Talking back to the bullies! Press C (or the 💬 touch button) just
+ * before a word bubble lands, and the student turns it around - it
+ * flies back at the bully who threw it, stuns them for a moment and
+ * gives back a little confidence.
+ * 
+ * WHY a short window (and a cooldown)?
+ * - Otherwise it's just a button that makes insults go away - the
+ *   timing is the skill
+ * - A miss costs the cooldown too, so mashing it doesn't work
+ * 
+ * WHY a manager class (with its own HUD)?
+ * - Like the InventoryManager: the cooldown and its icon live together
+ * - It watches every word bubble, like the FriendManager does
+ */
+class ComebackManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How close (center to center, pixels) a word bubble must be to
+    // talk back to it
+    // WHY 120? It touches the student at about 50 - at 250 pixels per
+    // second that's a bit more than a quarter of a second to react
+    static WINDOW_DISTANCE = 120;
+    
+    // How long until the student can talk back again (ms)
+    // WHY 4000? About two bully throws - one comeback per bully pass
+    static COOLDOWN = 4000;
+    
+    // Confidence a comeback gives back
+    // WHY 5? More than a dodge (2) - it takes better timing
+    static CONFIDENCE_BOOST = 5;
+    
+    // Where the cooldown icon goes (under the backpack)
+    static X = 38;
+    static Y = 216;
+    static RADIUS = 16;
+    static RING_WIDTH = 4;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the comeback manager (and its cooldown icon in the HUD)
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Word bubbles in the air (see onWordBubbleThrown)
+        this.wordBubbles = [];
+        
+        // Time until the next comeback (ms - 0 = ready)
+        this.cooldown = 0;
+        
+        // WHY listen for every word bubble? Same as the FriendManager -
+        // bullies come and go with their school
+        this.scene.events.on('wordBubbleThrown', this.onWordBubbleThrown, this);
+        
+        this.createDisplay();
+        
+        console.log('💬 Comebacks ready - talk back just before the words land!');
+    }
+    
+    // =============================================================
+    // DISPLAY
+    // =============================================================
+    
+    /**
+     * Create the cooldown icon
+     */
+    createDisplay() {
+        const x = ComebackManager.X;
+        const y = ComebackManager.Y;
+        
+        this.background = this.scene.add.circle(x, y, ComebackManager.RADIUS, 0x222222, 0.7);
+        
+        // The cooldown ring (redrawn every frame - see refreshDisplay)
+        this.ring = this.scene.add.graphics();
+        
+        this.icon = this.scene.add.text(x, y, '💬', { fontSize: '18px' });
+        this.icon.setOrigin(0.5);
+        
+        const parts = [this.background, this.ring, this.icon];
+        
+        // Which key talks back (like the backpack's Q)
+        const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        if (!isTouchDevice) {
+            const keyHint = this.scene.add.text(x + ComebackManager.RADIUS + 4, y, 'C', {
+                fontSize: '11px',
+                fontFamily: 'Arial',
+                color: '#ffffff',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 2
+            });
+            keyHint.setOrigin(0, 0.5);
+            parts.push(keyHint);
+        }
+        
+        parts.forEach(part => {
+            part.setDepth(1000);
+            part.setScrollFactor(0);
+        });
+        
+        this.refreshDisplay();
+    }
+    
+    /**
+     * Draw how far the cooldown has come
+     * 
+     * WHY fill up (when the buff rings drain)? It's counting towards
+     * something - a full gold ring means "ready"
+     */
+    refreshDisplay() {
+        const isReady = this.cooldown <= 0;
+        const fraction = 1 - this.cooldown / ComebackManager.COOLDOWN;
+        const startAngle = -Math.PI / 2;
+        
+        this.ring.clear();
+        this.ring.lineStyle(ComebackManager.RING_WIDTH, isReady ? 0xFFB300 : 0x888888, 1);
+        this.ring.beginPath();
+        this.ring.arc(ComebackManager.X, ComebackManager.Y, ComebackManager.RADIUS, startAngle, startAngle + fraction * Math.PI * 2);
+        this.ring.strokePath();
+        
+        this.icon.setAlpha(isReady ? 1 : 0.4);
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Count down the cooldown, and talk back when C (or 💬) is pressed
+     * 
+     * @param {number} delta - Time since last frame in milliseconds
+     * @param {Object} input - This frame's input
+     * @param {Student} player - The student
+     */
+    update(delta, input, player) {
+        // Forget word bubbles that popped, landed or fell past
+        this.wordBubbles = this.wordBubbles.filter(bubble => !bubble.isDestroyed);
+        
+        if (this.cooldown > 0) {
+            this.cooldown = Math.max(0, this.cooldown - delta);
+            
+            // Pop the icon when it's ready again
+            if (this.cooldown === 0) {
+                this.icon.setScale(0);
+                this.scene.tweens.add({
+                    targets: this.icon,
+                    scale: 1,
+                    duration: 250,
+                    ease: 'Back.easeOut'
+                });
+            }
+        }
+        
+        // WHY not while defeated? Nobody's listening on the walk home
+        if (input.comeback && this.cooldown === 0 && !player.isDefeated) {
+            this.talkBack(player);
+        }
+        
+        this.refreshDisplay();
+    }
+    
+    // =============================================================
+    // TALKING BACK
+    // =============================================================
+    
+    /**
+     * Turn around the word bubble about to land - if there is one
+     * 
+     * @param {Student} player - The student
+     */
+    talkBack(player) {
+        this.cooldown = ComebackManager.COOLDOWN;
+        
+        const bubble = this.findLandingBubble(player);
+        if (!bubble) {
+            console.log('💬 Comeback missed - nothing about to land');
+            player.showFloatText('...', '#7f8c8d');
+            return;
+        }
+        
+        // WHY check the thrower? The bully may have left with their school
+        const thrower = bubble.thrower && !bubble.thrower.isDestroyed ? bubble.thrower : null;
+        const comeback = new ComebackBubble(this.scene, bubble.x, bubble.y, thrower);
+        bubble.reflect(comeback.message);
+        
+        player.heal(ComebackManager.CONFIDENCE_BOOST, 'Comeback');
+        player.showFloatText(`💪 Comeback! +${ComebackManager.CONFIDENCE_BOOST}`, '#E65100');
+    }
+    
+    /**
+     * The word bubble about to land on the student
+     * 
+     * @param {Student} player - The student
+     * @returns {WordBubble|null} The closest one in the window, or null
+     */
+    findLandingBubble(player) {
+        let closest = null;
+        let closestDistance = ComebackManager.WINDOW_DISTANCE;
+        
+        this.wordBubbles.forEach(bubble => {
+            // WHY only above? One that fell past was already dodged
+            if (bubble.isDestroyed || bubble.hasHitPlayer || bubble.y > player.y) return;
+            
+            const distance = Phaser.Math.Distance.Between(bubble.x, bubble.y, player.x, player.y);
+            if (distance <= closestDistance) {
+                closest = bubble;
+                closestDistance = distance;
+            }
+        });
+        
+        return closest;
+    }
+    
+    /**
+     * Remember a word bubble a bully just threw
+     * 
+     * @param {WordBubble} bubble - The new word bubble
+     */
+    onWordBubbleThrown(bubble) {
+        this.wordBubbles.push(bubble);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Stop listening for word bubbles
+     */
+    cleanup() {
+        this.scene.events.off('wordBubbleThrown', this.onWordBubbleThrown, this);
+        this.wordBubbles = [];
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * DifficultyManager Class
+ * 
+ * How tough is the walk? Every number that decides how hard a run is
+ * lives here, in one difficulty profile:
+ * - How much each obstacle's hit hurts
+ * - How often the Old Man throws, and how many insults a bully has
+ * - How often treats appear
+ * - How quickly the walk speeds up
+ * 
+ * The player picks Easy, Normal or Hard before a run (DifficultyScene),
+ * or mixes their own Custom difficulty from the same levels.
+ * 
+ * WHY one profile object?
+ * - The GameScene builds it once (this.scene.difficulty) and every
+ *   obstacle reads its numbers from there - no hard-coded statics
+ * - The run config only stores the difficulty's name (and the Custom
+ *   choices), so "Try Again" and replays get the exact same numbers
+ * 
+ * WHY static methods? Like SettingsManager - one choice for the whole
+ * game, saved in the browser between visits.
+ */
+class DifficultyManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where the chosen difficulty (and the Custom mix) is saved
+    static STORAGE_KEY = 'libraryRun.difficulty';
+    
+    // The difficulty a brand-new player starts on
+    // WHY normal? It's the walk as it was designed
+    static DEFAULT_KEY = 'normal';
+    
+    // The numbers behind each difficulty
+    // WHY are Normal's numbers the "real" ones? They're the original
+    // balance - see the WHY notes below - and old replays use them
+    static PRESETS = {
+        easy: {
+            label: 'Easy',
+            icon: '🌱',
+            newspaperDamage: 6,
+            squirrelDamage: 10,
+            wordBubbleDamage: 8,
+            droppingDamage: 15,
+            acornDamage: 6,
+            carDamage: 12,
+            bullyLeaderDamage: 12,
+            oldManThrowInterval: 3500,
+            bullyMaxThrows: 2,
+            powerUpIntervalMeters: 45,
+            speedIncreaseAmount: 0.01
+        },
+        normal: {
+            label: 'Normal',
+            icon: '🎒',
+            // WHY 10? Based on CONTEXT.md - newspapers are the "lightest" obstacle
+            newspaperDamage: 10,
+            // WHY 15? Slightly more than a newspaper - you should have seen it coming!
+            squirrelDamage: 15,
+            // WHY 12? Words hurt! More than newspapers, but survivable
+            wordBubbleDamage: 12,
+            // WHY 25? Based on CONTEXT.md - the most embarrassing obstacle!
+            droppingDamage: 25,
+            // WHY 10? The same as a newspaper - the boss throws a lot of them
+            acornDamage: 10,
+            // WHY 20? Walking into traffic is worse than any squirrel
+            carDamage: 20,
+            // WHY 20? Getting bowled over by his charge hurts as much as traffic
+            bullyLeaderDamage: 20,
+            // WHY 2500ms? Faster since he's moving - keeps pressure on!
+            oldManThrowInterval: 2500,
+            // WHY 4? More than before since they're charging through
+            bullyMaxThrows: 4,
+            // WHY 60m? Gives regular boosts without being too frequent
+            powerUpIntervalMeters: 60,
+            // WHY 2%? Every 100m feels a little faster without getting unfair
+            speedIncreaseAmount: 0.02
+        },
+        hard: {
+            label: 'Hard',
+            icon: '🔥',
+            newspaperDamage: 15,
+            squirrelDamage: 20,
+            wordBubbleDamage: 18,
+            droppingDamage: 35,
+            acornDamage: 15,
+            carDamage: 30,
+            bullyLeaderDamage: 30,
+            oldManThrowInterval: 1800,
+            bullyMaxThrows: 6,
+            powerUpIntervalMeters: 90,
+            speedIncreaseAmount: 0.035
+        }
+    };
+    
+    // What a Custom difficulty can change
+    // WHY groups of preset levels instead of raw numbers? "Hits hurt:
+    // Hard" is easy to understand - and every mix stays balanced
+    static CUSTOM_GROUPS = {
+        damage: {
+            label: '💥 Hits hurt',
+            fields: ['newspaperDamage', 'squirrelDamage', 'wordBubbleDamage', 'droppingDamage', 'acornDamage', 'carDamage', 'bullyLeaderDamage']
+        },
+        oldMan: {
+            label: '👴 Old Man throws',
+            fields: ['oldManThrowInterval']
+        },
+        bullies: {
+            label: '😈 Bully insults',
+            fields: ['bullyMaxThrows']
+        },
+        treats: {
+            label: '🍫 Treats',
+            fields: ['powerUpIntervalMeters']
+        },
+        speed: {
+            label: '⚡ Speed-up',
+            fields: ['speedIncreaseAmount']
+        }
+    };
+    
+    // Label for the mix-your-own difficulty
+    static CUSTOM_LABEL = 'Custom';
+    static CUSTOM_ICON = '🛠️';
+    
+    // Cached choice (loaded from storage the first time it's needed)
+    static values = null;
+    
+    // =============================================================
+    // READING AND WRITING
+    // =============================================================
+    
+    /**
+     * Load the saved difficulty (once), filling in anything missing
+     * 
+     * @returns {Object} { selected, custom } - custom maps each group to a preset key
+     */
+    static load() {
+        if (DifficultyManager.values) return DifficultyManager.values;
+        
+        let saved = {};
+        try {
+            saved = JSON.parse(window.localStorage.getItem(DifficultyManager.STORAGE_KEY)) || {};
+        } catch (error) {
+            // WHY catch? Private browsing or a corrupted value shouldn't break the game
+            console.log('⚠️ Could not load difficulty - using Normal');
+        }
+        
+        const isKey = key => DifficultyManager.PRESETS[key] !== undefined;
+        const savedCustom = saved.custom || {};
+        
+        DifficultyManager.values = {
+            selected: isKey(saved.selected) || saved.selected === 'custom' ? saved.selected : DifficultyManager.DEFAULT_KEY,
+            custom: {}
+        };
+        Object.keys(DifficultyManager.CUSTOM_GROUPS).forEach(group => {
+            DifficultyManager.values.custom[group] = isKey(savedCustom[group]) ? savedCustom[group] : DifficultyManager.DEFAULT_KEY;
+        });
+        
+        return DifficultyManager.values;
+    }
+    
+    /**
+     * Save the current choice to the browser
+     */
+    static save() {
+        try {
+            window.localStorage.setItem(DifficultyManager.STORAGE_KEY, JSON.stringify(DifficultyManager.values));
+        } catch (error) {
+            console.log('⚠️ Could not save difficulty');
+        }
+    }
+    
+    /**
+     * The difficulty picked last time
+     * 
+     * @returns {string} A key of PRESETS, or 'custom'
+     */
+    static getSelected() {
+        return DifficultyManager.load().selected;
+    }
+    
+    /**
+     * Remember the difficulty picked for a run
+     * 
+     * @param {string} key - A key of PRESETS, or 'custom'
+     */
+    static select(key) {
+        DifficultyManager.load().selected = key;
+        DifficultyManager.save();
+        
+        console.log(`🎚️ Difficulty is now ${DifficultyManager.getLabel(key)}`);
+    }
+    
+    /**
+     * The player's Custom mix
+     * 
+     * @returns {Object} Each CUSTOM_GROUPS key mapped to a preset key
+     */
+    static getCustom() {
+        return DifficultyManager.load().custom;
+    }
+    
+    /**
+     * Move one part of the Custom mix to the next level (wrapping around)
+     * 
+     * @param {string} group - A key of CUSTOM_GROUPS
+     */
+    static cycleCustom(group) {
+        const levels = Object.keys(DifficultyManager.PRESETS);
+        const custom = DifficultyManager.getCustom();
+        custom[group] = levels[(levels.indexOf(custom[group]) + 1) % levels.length];
+        
+        DifficultyManager.save();
+    }
+    
+    // =============================================================
+    // PROFILES
+    // =============================================================
+    
+    /**
+     * Build the difficulty profile for a run
+     * 
+     * @param {string} key - A key of PRESETS, or 'custom'
+     * @param {Object} [custom] - The Custom mix the run was started with
+     * @returns {Object} key, label and every number from PRESETS
+     */
+    static getProfile(key, custom = null) {
+        if (key !== 'custom') {
+            const presetKey = DifficultyManager.PRESETS[key] ? key : DifficultyManager.DEFAULT_KEY;
+            return Object.assign({ key: presetKey }, DifficultyManager.PRESETS[presetKey]);
+        }
+        
+        // Custom: take each group's numbers from the level picked for it
+        const profile = Object.assign({ key: 'custom' }, DifficultyManager.PRESETS[DifficultyManager.DEFAULT_KEY], {
+            label: DifficultyManager.CUSTOM_LABEL,
+            icon: DifficultyManager.CUSTOM_ICON
+        });
+        Object.keys(DifficultyManager.CUSTOM_GROUPS).forEach(group => {
+            const preset = DifficultyManager.PRESETS[(custom || {})[group]] || DifficultyManager.PRESETS[DifficultyManager.DEFAULT_KEY];
+            DifficultyManager.CUSTOM_GROUPS[group].fields.forEach(field => {
+                profile[field] = preset[field];
+            });
+        });
+        
+        return profile;
+    }
+    
+    /**
+     * Start a run config for a difficulty
+     * 
+     * WHY copy the Custom mix into the run config? Changing it later
+     * mustn't change "Try Again" or a saved replay
+     * 
+     * @param {string} key - A key of PRESETS, or 'custom'
+     * @returns {Object} { difficulty, customDifficulty? } for GameScene.init()
+     */
+    static createRunConfig(key) {
+        const runConfig = { difficulty: key };
+        if (key === 'custom') {
+            runConfig.customDifficulty = Object.assign({}, DifficultyManager.getCustom());
+        }
+        return runConfig;
+    }
+    
+    /**
+     * Get the display name for a difficulty
+     * 
+     * @param {string} [key] - A key of PRESETS, or 'custom' (missing = Normal,
+     *                         for runs recorded before difficulties existed)
+     * @returns {string} e.g. "🔥 Hard"
+     */
+    static getLabel(key) {
+        const profile = DifficultyManager.getProfile(key || DifficultyManager.DEFAULT_KEY);
+        return `${profile.icon} ${profile.label}`;
+    }
+}
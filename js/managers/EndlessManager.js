@@ -0,0 +1,166 @@
+/**
+ * EndlessManager Class
+ * 
+ * Endless mode: there's no library - the neighborhood just keeps going!
+ * The walk is split into neighborhoods as long as the walk to the
+ * library (the route's goalMeters - 1500m on Blueberrydale), and every
+ * new neighborhood is tougher than the last:
+ * - Speed-ups get bigger (the game speed never stops climbing)
+ * - Each Dottie Bacon School sends out an extra bully (up to 2 more)
+ * - Each wave of park squirrels gets an extra squirrel (up to 2 more)
+ * 
+ * The run only ends when confidence runs out, so the goal is simple:
+ * beat your best Endless distance!
+ * 
+ * WHY a manager class?
+ * - Keeps the escalation schedule in one place (like BirdManager)
+ * - The normal route never creates one, so nothing changes there
+ */
+class EndlessManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How much bigger the speed-ups get in each new neighborhood
+    // WHY 0.5? Neighborhood 2 speeds up 1.5x as fast, 3 twice as fast...
+    // slow enough that a good run lasts a while
+    static SPEED_UP_GROWTH = 0.5;
+    
+    // Most extra bullies a school can send out
+    // WHY 2? Four bullies at once is already a wall of insults
+    static MAX_EXTRA_BULLIES = 2;
+    
+    // Most squirrels a park wave gets on top of its usual ones
+    static MAX_EXTRA_SQUIRRELS = 2;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the endless manager
+     * 
+     * WHY after the game speed is set up? It changes the speed-up amount
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Length of each neighborhood in pixels
+        // WHY the route's goal? One neighborhood is about one normal run
+        this.neighborhoodLength = RouteManager.toPixels(scene.route.goalMeters);
+        
+        // Which neighborhood we're in (1 = the first)
+        this.level = 1;
+        this.applyLevel();
+        
+        console.log('♾️ EndlessManager initialized - no library, just keep walking!');
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the manager - make things tougher in each new neighborhood
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    update(currentDistance) {
+        const level = this.getLevelAt(currentDistance);
+        
+        // WHY only upward? Walking home after running out of confidence
+        // shouldn't make things easier again
+        if (level > this.level) {
+            this.level = level;
+            this.applyLevel();
+            this.showNeighborhoodNotification();
+        }
+    }
+    
+    /**
+     * Set the game speed-up for the current neighborhood
+     */
+    applyLevel() {
+        const growth = 1 + (this.level - 1) * EndlessManager.SPEED_UP_GROWTH;
+        this.scene.speedIncreaseAmount = this.scene.difficulty.speedIncreaseAmount * growth;
+        
+        console.log(`♾️ Neighborhood ${this.level}: speed-ups are now ${Math.round(this.scene.speedIncreaseAmount * 1000) / 10}%`);
+    }
+    
+    /**
+     * Pick up the escalation partway along the walk
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        this.level = this.getLevelAt(distance);
+        this.applyLevel();
+    }
+    
+    /**
+     * Let the player know it's getting tougher
+     */
+    showNeighborhoodNotification() {
+        const notification = this.scene.add.text(
+            400, 240,
+            `♾️ NEIGHBORHOOD ${this.level}!\nThings are getting tougher...`,
+            {
+                fontSize: '20px',
+                fontFamily: 'Arial',
+                color: '#E1BEE7',
+                backgroundColor: 'rgba(74, 20, 140, 0.85)',
+                padding: { x: 14, y: 10 },
+                fontStyle: 'bold',
+                align: 'center'
+            }
+        );
+        notification.setOrigin(0.5);
+        notification.setDepth(200);
+        
+        // Fade in and out (like the speed-up notification)
+        notification.setAlpha(0);
+        this.scene.tweens.add({
+            targets: notification,
+            alpha: 1,
+            duration: 400,
+            yoyo: true,
+            hold: 2000,
+            onComplete: () => notification.destroy()
+        });
+    }
+    
+    // =============================================================
+    // GETTERS
+    // =============================================================
+    
+    /**
+     * Which neighborhood is at a distance?
+     * 
+     * @param {number} distance - Distance in pixels
+     * @returns {number} 1 for the first neighborhood, 2 for the next...
+     */
+    getLevelAt(distance) {
+        return 1 + Math.floor(distance / this.neighborhoodLength);
+    }
+    
+    /**
+     * How many bullies to add to a school in this neighborhood
+     * 
+     * @returns {number} 0 in the first neighborhood, up to MAX_EXTRA_BULLIES
+     */
+    getExtraBullies() {
+        return Math.min(this.level - 1, EndlessManager.MAX_EXTRA_BULLIES);
+    }
+    
+    /**
+     * How many squirrels to add to each park wave in this neighborhood
+     * 
+     * @returns {number} 0 in the first neighborhood, up to MAX_EXTRA_SQUIRRELS
+     */
+    getExtraSquirrels() {
+        return Math.min(this.level - 1, EndlessManager.MAX_EXTRA_SQUIRRELS);
+    }
+}
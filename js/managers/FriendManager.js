@@ -0,0 +1,173 @@
+/**
+ * FriendManager Class
+ * 
+ * Decides when a Friend comes to walk with the student!
+ * Every so often (the route sets how often) there's a chance a friend
+ * catches up - and the lower the student's confidence, the better the
+ * chance. Nobody should have to walk past the bullies alone.
+ * 
+ * WHY a manager class?
+ * - Friends aren't tied to a zone - they can show up anywhere on the walk
+ * - Keeps the spawn odds in one place (like BirdManager's schedule)
+ * - Keeps track of the word bubbles in the air for the friend to pop
+ * 
+ * WHY from the route (friends.everyMeters)? A route can leave
+ * friends out entirely (older route files, the built-in route)
+ */
+class FriendManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Chance of a friend at each check, at full confidence
+    static BASE_CHANCE = 0.15;
+    
+    // Extra chance as confidence runs out (all of it at 0%)
+    // WHY 0.6? At 25% confidence a friend comes about 3 times in 5
+    static LOW_CONFIDENCE_BONUS = 0.6;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the friend manager
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // How often there's a chance of a friend (null = never)
+        this.schedule = scene.route.friends || null;
+        
+        // The friend walking with the student (one at a time)
+        this.friend = null;
+        
+        // Word bubbles in the air (see onWordBubbleThrown)
+        this.wordBubbles = [];
+        
+        // Distance (in pixels) of the next chance of a friend
+        this.nextCheckDistance = this.schedule ? RouteManager.toPixels(this.schedule.everyMeters) : Infinity;
+        
+        // WHY listen for every word bubble? Bullies come and go with
+        // their school - this way the friend sees them all
+        this.scene.events.on('wordBubbleThrown', this.onWordBubbleThrown, this);
+        
+        console.log(this.schedule ? `🤝 FriendManager initialized - a chance of a friend every ${this.schedule.everyMeters}m!` : '🤝 No friends on this route');
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the manager - maybe send a friend, and update the one walking
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     * @param {Student} player - The student
+     */
+    update(currentDistance, player) {
+        if (currentDistance >= this.nextCheckDistance) {
+            if (!this.friend && this.canSpawnAt(currentDistance)) {
+                // WHY scene.rng? Same seed = same friends (replays!)
+                if (this.scene.rng.chance(this.getSpawnChance(player))) {
+                    this.spawnFriend();
+                }
+            }
+            this.nextCheckDistance = currentDistance + RouteManager.toPixels(this.schedule.everyMeters);
+        }
+        
+        // Forget word bubbles that popped, landed or fell past
+        this.wordBubbles = this.wordBubbles.filter(bubble => !bubble.isDestroyed);
+        
+        if (this.friend) {
+            this.friend.update(player, this.wordBubbles);
+            if (this.friend.isDestroyed) {
+                this.friend = null;
+            }
+        }
+    }
+    
+    /**
+     * How likely is a friend to come by right now?
+     * 
+     * @param {Student} player - The student
+     * @returns {number} Chance from 0 to 1 - higher when confidence is low
+     */
+    getSpawnChance(player) {
+        const confidence = player ? player.confidence : Student.MAX_CONFIDENCE;
+        const missing = 1 - confidence / Student.MAX_CONFIDENCE;
+        return FriendManager.BASE_CHANCE + FriendManager.LOW_CONFIDENCE_BONUS * missing;
+    }
+    
+    /**
+     * Is it OK for a friend to come by at this distance?
+     * 
+     * @param {number} distance - Current distance traveled in pixels
+     * @returns {boolean} True if a friend can spawn
+     */
+    canSpawnAt(distance) {
+        // Not on the library steps - the student made it on their own!
+        // (the same cut-off as BirdManager)
+        const cutOff = this.scene.getLibraryDistance() - BlueberrydaleLibrary.APPROACH_DISTANCE;
+        if (distance >= cutOff) return false;
+        
+        // Not while the student is down
+        const player = this.scene.student;
+        return !(player && player.isDefeated);
+    }
+    
+    /**
+     * Pick up the schedule partway along the route
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        if (this.friend) {
+            this.friend.cleanup();
+            this.friend = null;
+        }
+        if (this.schedule) {
+            this.nextCheckDistance = distance + RouteManager.toPixels(this.schedule.everyMeters);
+        }
+    }
+    
+    // =============================================================
+    // SPAWN METHODS
+    // =============================================================
+    
+    /**
+     * Send a friend to walk with the student
+     */
+    spawnFriend() {
+        this.friend = new Friend(this.scene);
+    }
+    
+    /**
+     * A bully threw a word bubble - keep an eye on it
+     * 
+     * @param {WordBubble} bubble - The new word bubble
+     */
+    onWordBubbleThrown(bubble) {
+        this.wordBubbles.push(bubble);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the friend and stop listening for word bubbles
+     */
+    cleanup() {
+        this.scene.events.off('wordBubbleThrown', this.onWordBubbleThrown, this);
+        
+        if (this.friend) {
+            this.friend.cleanup();
+            this.friend = null;
+        }
+        this.wordBubbles = [];
+    }
+}
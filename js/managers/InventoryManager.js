@@ -0,0 +1,247 @@
+/**
+ * InventoryManager Class
+ * 
+ * The student's backpack: a few slots for items to use later!
+ * Falling candy bars and special items (headphones, sneakers...) go in
+ * the backpack instead of being used on the spot - press Q (or the 🎒
+ * touch button) to use the first one.
+ * 
+ * WHY a backpack?
+ * - A candy bar caught at full confidence was wasted - now it can be
+ *   saved for the school zone
+ * - An umbrella is most useful when the pigeons come, not when it's found
+ * 
+ * WHY a manager class (with its own HUD)?
+ * - Like the ScoreManager: the slots and what's in them live together
+ * - The pickups only ask "is there room?" - see store()
+ */
+class InventoryManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How many items fit in the backpack
+    // WHY 3? Enough to plan ahead, not enough to hoard everything
+    static SLOT_COUNT = 3;
+    
+    // Where the slots go (under the library clock)
+    static X = 50;
+    static Y = 160;
+    static SLOT_SIZE = 36;
+    static SLOT_SPACING = 42;
+    
+    // What a pickup says when it goes in the backpack
+    static SAVED_MESSAGE = '🎒 Saved for later!';
+    
+    // What can go in the backpack (the texture shown in its slot)
+    // WHY not the treats on the sidewalk? They're a snack on the way -
+    // the candy bar from the sky is the one worth saving
+    static ITEMS = {
+        'candy-bar': { name: 'Candy Bar', texture: 'powerup-chocolate' },
+        'headphones': { name: 'Headphones', texture: 'powerup-headphones' },
+        'sneakers': { name: 'Sneakers', texture: 'powerup-sneakers' },
+        'umbrella': { name: 'Umbrella', texture: 'powerup-umbrella' },
+        'bubble-gum': { name: 'Bubble Gum', texture: 'powerup-bubble-gum' }
+    };
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the backpack (and its slots in the HUD)
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Item keys, first in first out (InventoryManager.ITEMS keys)
+        this.items = [];
+        
+        // The slot images, one per slot (see refreshDisplay)
+        this.slotImages = [];
+        
+        this.createDisplay();
+        
+        console.log(`🎒 Backpack ready - ${InventoryManager.SLOT_COUNT} slots!`);
+    }
+    
+    // =============================================================
+    // DISPLAY
+    // =============================================================
+    
+    /**
+     * Create the backpack icon and the empty slots
+     */
+    createDisplay() {
+        const y = InventoryManager.Y;
+        
+        const backpack = this.scene.add.text(20, y, '🎒', { fontSize: '20px' });
+        backpack.setOrigin(0, 0.5);
+        backpack.setDepth(1000);
+        backpack.setScrollFactor(0);
+        
+        for (let i = 0; i < InventoryManager.SLOT_COUNT; i++) {
+            const x = this.getSlotX(i);
+            
+            const slot = this.scene.add.rectangle(x, y, InventoryManager.SLOT_SIZE, InventoryManager.SLOT_SIZE, 0x222222, 0.6);
+            slot.setStrokeStyle(2, 0xffffff, 0.8);
+            slot.setDepth(1000);
+            slot.setScrollFactor(0);
+            
+            const image = this.scene.add.image(x, y, 'powerup-chocolate');
+            image.setDepth(1001);
+            image.setScrollFactor(0);
+            image.setVisible(false);
+            this.slotImages.push(image);
+        }
+        
+        // Which key uses an item
+        // WHY only on the first slot? That's the one it uses
+        const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        if (!isTouchDevice) {
+            const keyHint = this.scene.add.text(this.getSlotX(0), y + InventoryManager.SLOT_SIZE / 2 + 2, 'Q', {
+                fontSize: '11px',
+                fontFamily: 'Arial',
+                color: '#ffffff',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 2
+            });
+            keyHint.setOrigin(0.5, 0);
+            keyHint.setDepth(1000);
+            keyHint.setScrollFactor(0);
+        }
+    }
+    
+    /**
+     * Where a slot goes across the screen
+     * 
+     * @param {number} index - Slot number (0 = first)
+     * @returns {number} Screen X of the slot's center
+     */
+    getSlotX(index) {
+        return InventoryManager.X + InventoryManager.SLOT_SIZE / 2 + index * InventoryManager.SLOT_SPACING;
+    }
+    
+    /**
+     * Show what's in each slot
+     */
+    refreshDisplay() {
+        this.slotImages.forEach((image, index) => {
+            const key = this.items[index];
+            image.setVisible(!!key);
+            if (key) {
+                image.setTexture(InventoryManager.ITEMS[key].texture);
+                
+                // WHY fit it? The umbrella is a lot bigger than the gum
+                const scale = Math.min(1, (InventoryManager.SLOT_SIZE - 6) / Math.max(image.width, image.height));
+                image.setScale(scale);
+            }
+        });
+    }
+    
+    // =============================================================
+    // STORING
+    // =============================================================
+    
+    /**
+     * Put an item in the backpack, if there's room
+     * 
+     * WHY does the pickup show the "saved" message? It knows where it
+     * was caught - and it skips its own "+15!" text
+     * 
+     * @param {string} key - An InventoryManager.ITEMS key
+     * @returns {boolean} True if it was stored - false means use it now
+     */
+    store(key) {
+        if (!InventoryManager.ITEMS[key]) return false;
+        if (this.items.length >= InventoryManager.SLOT_COUNT) {
+            console.log(`🎒 Backpack full - using the ${InventoryManager.ITEMS[key].name} now`);
+            return false;
+        }
+        
+        this.items.push(key);
+        this.refreshDisplay();
+        
+        // Pop the new item into its slot
+        const image = this.slotImages[this.items.length - 1];
+        const scale = image.scale;
+        image.setScale(0);
+        this.scene.tweens.add({
+            targets: image,
+            scale: scale,
+            duration: 250,
+            ease: 'Back.easeOut'
+        });
+        
+        console.log(`🎒 Stored the ${InventoryManager.ITEMS[key].name} (${this.items.length}/${InventoryManager.SLOT_COUNT})`);
+        return true;
+    }
+    
+    // =============================================================
+    // CHECKPOINTS
+    // =============================================================
+    
+    /**
+     * What's in the backpack (saved with a checkpoint)
+     * 
+     * @returns {string[]} The item keys, first slot first
+     */
+    getSnapshot() {
+        return [...this.items];
+    }
+    
+    /**
+     * Put back what was in the backpack at a checkpoint
+     * 
+     * @param {string[]} snapshot - From getSnapshot()
+     */
+    restore(snapshot) {
+        this.items = snapshot.slice(0, InventoryManager.SLOT_COUNT);
+        this.refreshDisplay();
+    }
+    
+    // =============================================================
+    // USING
+    // =============================================================
+    
+    /**
+     * Use the item in the first slot when Q (or 🎒) is pressed
+     * 
+     * @param {Object} input - This frame's input
+     * @param {Student} player - The student
+     */
+    update(input, player) {
+        if (!input.useItem) return;
+        
+        // WHY not while defeated? The walk home isn't getting any better
+        if (player.isDefeated || this.items.length === 0) return;
+        
+        const key = this.items.shift();
+        this.refreshDisplay();
+        this.useItem(key, player);
+    }
+    
+    /**
+     * Give the student what the item does
+     * 
+     * @param {string} key - An InventoryManager.ITEMS key
+     * @param {Student} player - The student
+     */
+    useItem(key, player) {
+        const name = InventoryManager.ITEMS[key].name;
+        console.log(`🎒 Used the ${name}!`);
+        
+        if (key === 'candy-bar') {
+            FallingCandyBar.eat(player);
+            player.showFloatText(`🍫 +${FallingCandyBar.CONFIDENCE_BOOST}!`, '#4CAF50');
+        } else {
+            const item = PowerUp.ITEMS[key];
+            player.buffs.add(item.buff);
+            player.showFloatText(item.message, '#' + item.colors[0].toString(16).padStart(6, '0'));
+        }
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * PlacementManager Class
+ * 
+ * Brings out the one-off things a route places at a set distance
+ * (its "placements" - usually laid out in the RouteEditorScene):
+ * - 👴 oldMan: the Old Man comes back right away (if he's off-screen)
+ * - 🐿️ squirrel: a squirrel darts in from the right
+ * - 🍫 powerUp: a treat floats in from the right
+ * - 🍬 candyBar: a candy bar falls from the sky
+ * 
+ * Each one appears when the student reaches its distance - it enters
+ * from the right, so it reaches the student a moment later.
+ * 
+ * WHY a manager class?
+ * - Keeps the route's placements in one place (like BirdManager)
+ * - The obstacles themselves don't need to know about routes
+ */
+class PlacementManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where a placed squirrel starts (same spot as the Old Man's squirrels)
+    static SQUIRREL_X = 850;
+    static SQUIRREL_Y = 555;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the placement manager
+     * 
+     * WHY after the Old Man and PowerUpManager? Placements use them
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // The route's placements, nearest first
+        // WHY copy before sorting? The route is shared with "Try Again"
+        this.placements = (scene.route.placements || []).slice().sort((a, b) => a.atMeters - b.atMeters);
+        
+        // Which placement is next
+        this.nextIndex = 0;
+        
+        console.log(`📍 PlacementManager initialized - ${this.placements.length} placement(s) on this route`);
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the manager - bring out every placement we've reached
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    update(currentDistance) {
+        while (this.nextIndex < this.placements.length &&
+               currentDistance >= RouteManager.toPixels(this.placements[this.nextIndex].atMeters)) {
+            this.spawn(this.placements[this.nextIndex]);
+            this.nextIndex++;
+        }
+    }
+    
+    /**
+     * Pick up the placements partway along the route
+     * 
+     * WHY? Everything before the starting point has already happened
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        this.nextIndex = this.placements.findIndex(placement => RouteManager.toPixels(placement.atMeters) > distance);
+        if (this.nextIndex === -1) {
+            this.nextIndex = this.placements.length;
+        }
+    }
+    
+    // =============================================================
+    // SPAWN METHODS
+    // =============================================================
+    
+    /**
+     * Bring out one placement
+     * 
+     * @param {Object} placement - { type, atMeters } from the route
+     */
+    spawn(placement) {
+        // Nothing new while the student is down or celebrating
+        // WHY skip instead of wait? Walking back over it shouldn't bring it out again
+        const player = this.scene.student;
+        if ((player && player.isDefeated) || this.scene.hasReachedLibrary()) return;
+        
+        console.log(`📍 ${placement.type} placed at ${placement.atMeters}m`);
+        
+        switch (placement.type) {
+            case 'oldMan':
+                if (this.scene.oldMan) {
+                    this.scene.oldMan.callIn();
+                }
+                break;
+            case 'squirrel':
+                new Squirrel(this.scene, PlacementManager.SQUIRREL_X, PlacementManager.SQUIRREL_Y);
+                break;
+            case 'powerUp':
+                this.scene.powerUpManager.spawnPowerUp();
+                break;
+            case 'candyBar':
+                this.scene.powerUpManager.spawnFallingCandyBar();
+                break;
+        }
+    }
+}
@@ -2,8 +2,10 @@
  * PowerUpManager Class
  * 
  * Manages the spawning of power-ups throughout the game!
- * Power-ups appear approximately every 60 meters, with bonus spawns
- * after difficult sections like the Dottie Bacon school.
+ * Power-ups appear approximately every 60 meters (on Normal), with bonus spawns
+ * after difficult sections like the Dottie Bacon school. The route can
+ * make treats more or less common, swap some of them for special items
+ * (headphones, sneakers...), and sets how often candy bars fall.
  * 
  * WHY a manager class?
  * - Centralizes power-up logic in one place
@@ -16,16 +18,6 @@ class PowerUpManager {
     // STATIC PROPERTIES
     // =============================================================
     
-    // Base spawn interval in meters
-    // WHY 60? Gives regular boosts without being too frequent
-    static SPAWN_INTERVAL_METERS = 60;
-    
-    // Pixels per meter (based on distance UI calculation)
-    static PIXELS_PER_METER = 10;
-    
-    // Spawn interval in pixels
-    static SPAWN_INTERVAL = 60 * 10;  // 600 pixels
-    
     // Y position for power-ups (floating above ground)
     // WHY 520? Visible and reachable, floating above ground level
     static SPAWN_Y = 520;
@@ -42,6 +34,16 @@ class PowerUpManager {
     constructor(scene) {
         this.scene = scene;
         
+        // Distance between regular power-ups in pixels
+        // WHY from the difficulty? Fewer treats is a big part of Hard
+        // (60m on Normal - see DifficultyManager)
+        // WHY divide by the route's treatRate? A route with 2 has twice as
+        // many treats (0 = none at all - the interval becomes Infinity)
+        this.spawnInterval = RouteManager.toPixels(scene.difficulty.powerUpIntervalMeters) / scene.route.powerUps.treatRate;
+        
+        // Distance between falling candy bars in pixels (from the route)
+        this.candyBarInterval = RouteManager.toPixels(scene.route.powerUps.candyBarEveryMeters);
+        
         // Track spawned power-ups
         this.powerUps = [];
         
@@ -51,13 +53,13 @@ class PowerUpManager {
         // Track distance for spawning regular power-ups
         this.lastSpawnDistance = 0;
         
-        // Track distance for spawning falling candy bars (every 250m)
+        // Track distance for spawning falling candy bars (every 250m on Blueberrydale)
         this.lastCandyBarDistance = 0;
         
         // Track if bonus spawn is pending
         this.bonusSpawnPending = false;
         
-        console.log('✨ PowerUpManager initialized - treats every ~60m, candy bars every 250m!');
+        console.log(`✨ PowerUpManager initialized - treats every ~${Math.round(this.spawnInterval / RouteManager.PIXELS_PER_METER)}m, candy bars every ${scene.route.powerUps.candyBarEveryMeters}m!`);
     }
     
     // =============================================================
@@ -73,20 +75,20 @@ class PowerUpManager {
         // Check if we've traveled far enough for a new regular power-up
         const distanceSinceLastSpawn = currentDistance - this.lastSpawnDistance;
         
-        if (distanceSinceLastSpawn >= PowerUpManager.SPAWN_INTERVAL) {
+        if (distanceSinceLastSpawn >= this.spawnInterval) {
             this.spawnPowerUp();
             this.lastSpawnDistance = currentDistance;
         }
         
-        // Check if we've traveled far enough for a falling candy bar (every 250m = 2500px)
+        // Check if we've traveled far enough for a falling candy bar
         const distanceSinceLastCandyBar = currentDistance - this.lastCandyBarDistance;
         
         // Debug every 500 pixels
         if (Math.floor(currentDistance / 500) > Math.floor((currentDistance - 10) / 500)) {
-            console.log(`🍫 DEBUG: distance=${Math.floor(currentDistance)}, lastCandyBar=${this.lastCandyBarDistance}, since=${Math.floor(distanceSinceLastCandyBar)}, need=${FallingCandyBar.SPAWN_INTERVAL_PIXELS}`);
+            console.log(`🍫 DEBUG: distance=${Math.floor(currentDistance)}, lastCandyBar=${this.lastCandyBarDistance}, since=${Math.floor(distanceSinceLastCandyBar)}, need=${this.candyBarInterval}`);
         }
         
-        if (distanceSinceLastCandyBar >= FallingCandyBar.SPAWN_INTERVAL_PIXELS) {
+        if (distanceSinceLastCandyBar >= this.candyBarInterval) {
             this.spawnFallingCandyBar();
             this.lastCandyBarDistance = currentDistance;
         }
@@ -101,6 +103,19 @@ class PowerUpManager {
         this.cleanupOffScreen();
     }
     
+    /**
+     * Pick up the spawn schedule partway along the route
+     * 
+     * WHY? A run continued from a checkpoint starts far from 0m -
+     * without this, every missed treat would spawn at once
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        this.lastSpawnDistance = distance;
+        this.lastCandyBarDistance = distance;
+    }
+    
     // =============================================================
     // SPAWN METHODS
     // =============================================================
@@ -110,13 +125,14 @@ class PowerUpManager {
      */
     spawnPowerUp() {
         // Spawn ahead of the player, off the right side of the screen
-        const spawnX = 850 + Phaser.Math.Between(0, 100);
+        const spawnX = 850 + this.scene.rng.between(0, 100);
         
         // Create the power-up
         const powerUp = new PowerUp(
             this.scene,
             spawnX,
-            PowerUpManager.SPAWN_Y
+            PowerUpManager.SPAWN_Y,
+            this.pickType()
         );
         
         // Track it
@@ -125,16 +141,32 @@ class PowerUpManager {
         console.log(`✨ Power-up spawned at x=${spawnX}!`);
     }
     
+    /**
+     * Maybe make this power-up a special item instead of a treat
+     * 
+     * WHY not roll at all without a specialChance? Rolling uses up a
+     * random number - a treats-only route shouldn't get different treats
+     * than it did before there were special items
+     * 
+     * @returns {string|null} A PowerUp.SPECIALS type, or null for a treat
+     */
+    pickType() {
+        const specialChance = this.scene.route.powerUps.specialChance;
+        if (!specialChance) return null;
+        
+        return this.scene.rng.chance(specialChance) ? this.scene.rng.pick(PowerUp.SPECIALS) : null;
+    }
+    
     /**
      * Spawn a falling candy bar from the sky!
-     * These appear every 250 meters as a special treat.
+     * These appear every 250 meters (on Blueberrydale) as a special treat.
      */
     spawnFallingCandyBar() {
         console.log('🍫 spawnFallingCandyBar() called!');
         
         // Spawn at a random X position within the visible area
         // So player has a chance to catch it!
-        const spawnX = Phaser.Math.Between(200, 600);
+        const spawnX = this.scene.rng.between(200, 600);
         const spawnY = -50;  // Above the screen
         
         console.log(`🍫 Creating FallingCandyBar at x=${spawnX}, y=${spawnY}`);
@@ -0,0 +1,125 @@
+/**
+ * RandomManager Class
+ * 
+ * The ONE place every gameplay random number comes from!
+ * It's "seeded" - give it the same seed and it rolls the exact same
+ * numbers in the exact same order.
+ * 
+ * WHY seeded randomness?
+ * - When someone reports "the old man threw three papers at once!",
+ *   we can replay their run with the same seed and see it happen
+ * - Makes balancing easier: compare changes on identical runs
+ * 
+ * WHY route EVERYTHING through it?
+ * - One stray Math.random() shifts the sequence and the run is no
+ *   longer reproducible
+ * - Purely cosmetic scenery (Background houses, victory confetti) can keep
+ *   using Phaser.Math.RND - it never affects what happens in a run
+ * 
+ * Usage (inside GameScene and the actors it creates):
+ *   this.scene.rng.between(500, 2000)
+ *   this.scene.rng.pick(WordBubble.MESSAGES)
+ *   this.scene.rng.chance(0.25)
+ * 
+ * Set a seed in the URL to replay a run: index.html?seed=abc123
+ */
+class RandomManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Name of the URL parameter that sets the seed
+    static URL_PARAM = 'seed';
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a seeded random number generator
+     * 
+     * @param {string} seed - The seed for this run
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        
+        // WHY Phaser's RandomDataGenerator? It's already seedable and
+        // well-tested - we just wrap it with the calls our game needs
+        this.generator = new Phaser.Math.RandomDataGenerator([this.seed]);
+        
+        console.log(`🌱 Random seed for this run: ${this.seed}`);
+    }
+    
+    // =============================================================
+    // SEEDS
+    // =============================================================
+    
+    /**
+     * Read a seed from the page URL (?seed=...)
+     * 
+     * @returns {string|null} The seed, or null if the URL doesn't set one
+     */
+    static getSeedFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.get(RandomManager.URL_PARAM);
+        return seed ? seed : null;
+    }
+    
+    /**
+     * Make up a fresh seed for a new run
+     * 
+     * WHY short base-36? Easy to read off the screen and type into a URL
+     * 
+     * @returns {string} A new random seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 2176782336).toString(36);  // Up to 6 characters
+    }
+    
+    // =============================================================
+    // RANDOM VALUES
+    // =============================================================
+    
+    /**
+     * Random whole number between min and max (both included)
+     * Drop-in replacement for Phaser.Math.Between
+     * 
+     * @param {number} min - Lowest possible value
+     * @param {number} max - Highest possible value
+     * @returns {number} A random integer
+     */
+    between(min, max) {
+        return this.generator.integerInRange(min, max);
+    }
+    
+    /**
+     * Random number between 0 (included) and 1 (excluded)
+     * 
+     * @returns {number} A random fraction
+     */
+    frac() {
+        return this.generator.frac();
+    }
+    
+    /**
+     * Random true/false with the given chance of true
+     * Replaces "Math.random() < 0.25" style checks
+     * 
+     * @param {number} probability - Chance of true, from 0 to 1
+     * @returns {boolean} True with the given probability
+     */
+    chance(probability) {
+        return this.generator.frac() < probability;
+    }
+    
+    /**
+     * Pick a random element from an array
+     * 
+     * @param {Array} array - The choices
+     * @returns {*} One of the elements
+     */
+    pick(array) {
+        return this.generator.pick(array);
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * RecordsManager Class
+ * 
+ * Keeps track of the player's personal records across runs!
+ * How many walks they've tried, how many times they reached the
+ * library, and the farthest they've ever made it.
+ * 
+ * The same three records are also kept for each difficulty, so a
+ * long walk on Easy doesn't hide how far you've got on Hard.
+ * 
+ * Endless mode walks are kept apart (runs played and best distance) -
+ * they never reach the library, and they go much farther!
+ * 
+ * WHY static methods?
+ * - Records belong to the player, not to a single run
+ * - GameScene saves into it, the Records screen reads from it
+ * 
+ * WHY localStorage?
+ * - No server needed - records stay in the player's browser
+ */
+class RecordsManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where records are saved in the browser
+    static STORAGE_KEY = 'libraryRun.records';
+    
+    // What a brand-new player starts with
+    static DEFAULTS = {
+        runsPlayed: 0,
+        wins: 0,
+        bestMeters: 0
+    };
+    
+    // What a player who's never tried Endless mode starts with
+    static ENDLESS_DEFAULTS = {
+        runsPlayed: 0,
+        bestMeters: 0
+    };
+    
+    // =============================================================
+    // READING AND WRITING
+    // =============================================================
+    
+    /**
+     * Load the saved records
+     * 
+     * @returns {Object} runsPlayed, wins, bestMeters, byDifficulty
+     *                   (the same three for each difficulty played)
+     *                   and endless (runsPlayed, bestMeters)
+     */
+    static load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(window.localStorage.getItem(RecordsManager.STORAGE_KEY)) || {};
+        } catch (error) {
+            // WHY catch? Private browsing or a corrupted value shouldn't break the game
+            console.log('⚠️ Could not load records - starting fresh');
+        }
+        
+        // WHY copy byDifficulty? DEFAULTS must never share an object
+        // with the records being changed
+        const records = Object.assign({}, RecordsManager.DEFAULTS, saved);
+        records.byDifficulty = Object.assign({}, saved.byDifficulty);
+        records.endless = Object.assign({}, RecordsManager.ENDLESS_DEFAULTS, saved.endless);
+        return records;
+    }
+    
+    /**
+     * Get the records for one difficulty
+     * 
+     * @param {Object} records - From load()
+     * @param {string} difficulty - A DifficultyManager.PRESETS key, or 'custom'
+     * @returns {Object} runsPlayed, wins, bestMeters (zeros if never played)
+     */
+    static getForDifficulty(records, difficulty) {
+        return Object.assign({}, RecordsManager.DEFAULTS, records.byDifficulty[difficulty]);
+    }
+    
+    /**
+     * Save records to the browser
+     * 
+     * @param {Object} records - The records to save
+     */
+    static save(records) {
+        try {
+            window.localStorage.setItem(RecordsManager.STORAGE_KEY, JSON.stringify(records));
+        } catch (error) {
+            console.log('⚠️ Could not save records');
+        }
+    }
+    
+    /**
+     * Add a finished run to the records
+     * 
+     * @param {Object} result - The run result from GameScene.endRun()
+     * @returns {boolean} True if this run set a new best distance (on any
+     *                    difficulty - or a new best Endless distance)
+     */
+    static recordRun(result) {
+        const records = RecordsManager.load();
+        
+        if (result.endless) {
+            return RecordsManager.recordEndlessRun(records, result);
+        }
+        
+        records.runsPlayed += 1;
+        if (result.outcome === 'victory') {
+            records.wins += 1;
+        }
+        
+        const isNewBest = result.meters > records.bestMeters;
+        if (isNewBest) {
+            records.bestMeters = result.meters;
+        }
+        
+        // The same records for this run's difficulty
+        // WHY 'normal' when missing? Runs from before difficulties were Normal
+        const difficulty = result.difficulty || DifficultyManager.DEFAULT_KEY;
+        const difficultyRecords = RecordsManager.getForDifficulty(records, difficulty);
+        difficultyRecords.runsPlayed += 1;
+        if (result.outcome === 'victory') {
+            difficultyRecords.wins += 1;
+        }
+        difficultyRecords.bestMeters = Math.max(difficultyRecords.bestMeters, result.meters);
+        records.byDifficulty[difficulty] = difficultyRecords;
+        
+        RecordsManager.save(records);
+        
+        console.log(`🏅 Records: ${records.runsPlayed} runs, ${records.wins} wins, best ${records.bestMeters}m`);
+        return isNewBest;
+    }
+    
+    /**
+     * Add a finished Endless mode walk to the records
+     * 
+     * @param {Object} records - From load()
+     * @param {Object} result - The run result from GameScene.endRun()
+     * @returns {boolean} True if this walk set a new best Endless distance
+     */
+    static recordEndlessRun(records, result) {
+        records.endless.runsPlayed += 1;
+        
+        const isNewBest = result.meters > records.endless.bestMeters;
+        if (isNewBest) {
+            records.endless.bestMeters = result.meters;
+        }
+        
+        RecordsManager.save(records);
+        
+        console.log(`🏅 Endless records: ${records.endless.runsPlayed} walks, best ${records.endless.bestMeters}m`);
+        return isNewBest;
+    }
+    
+    /**
+     * Wipe all records
+     * 
+     * WHY? Lets a new player (or a sibling!) start fresh
+     */
+    static reset() {
+        RecordsManager.save(Object.assign({}, RecordsManager.DEFAULTS));
+        console.log('🧹 Records cleared');
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * ReplayManager Class
+ * 
+ * Records every frame of a run so it can be played back EXACTLY!
+ * 
+ * HOW does a replay work?
+ * - The RandomManager seed makes every old man, bully and treat
+ *   show up the same way again
+ * - We save what the player pressed on every frame, and how long
+ *   that frame took
+ * - Feed the same presses and frame times back in, and the run
+ *   repeats move for move
+ * 
+ * WHY record the frame time (delta) too?
+ * - Physics, timers and tweens all move forward by delta
+ * - A replay playing at a different frame rate would drift apart
+ * 
+ * One instance per run (like PowerUpManager):
+ * - Live run: recordFrame() every frame, createReplay() at the end
+ * - Replay: nextFrame() hands back each saved frame in order
+ * 
+ * Saved replays live in localStorage (static methods, like RecordsManager)
+ * and can be downloaded as a .json file.
+ */
+class ReplayManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where saved replays live in the browser
+    static STORAGE_KEY = 'libraryRun.replays';
+    
+    // How many saved replays we keep
+    // WHY only 5? A long run is a lot of frames - localStorage is small!
+    static MAX_SAVED = 5;
+    
+    // Replay file format version
+    // WHY? A replay only plays back right with the INPUT_BITS it was
+    // recorded with - bump this whenever they change (see loadAll)
+    // 2: duck
+    // 3: interact
+    // 4: useItem
+    // 5: comeback
+    static VERSION = 5;
+    
+    // One bit per input, so a whole frame's input is a single number
+    static INPUT_BITS = {
+        left: 1,
+        right: 2,
+        jump: 4,
+        pause: 8,
+        duck: 16,
+        interact: 32,
+        useItem: 64,
+        comeback: 128
+    };
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a replay manager for one run
+     * 
+     * @param {Object} [replay] - A saved replay to play back (null to record)
+     */
+    constructor(replay = null) {
+        this.replay = replay;
+        this.isPlayback = !!replay;
+        
+        // Frames are stored as [delta, inputBits, repeatCount]
+        // WHY repeat counts? Most frames look exactly like the one before
+        // (same frame time, same keys held) - this keeps replays small
+        this.frames = this.isPlayback ? replay.frames : [];
+        
+        // Playback position: which stored frame, and which repeat of it
+        this.frameIndex = 0;
+        this.repeatIndex = 0;
+        
+        // Total frames recorded / played so far
+        this.frameCount = 0;
+    }
+    
+    // =============================================================
+    // RECORDING
+    // =============================================================
+    
+    /**
+     * Record one frame of input
+     * 
+     * @param {number} delta - How long this frame took (ms)
+     * @param {Object} input - This frame's input (a key for each of INPUT_BITS)
+     */
+    recordFrame(delta, input) {
+        if (this.isPlayback) return;
+        
+        const bits = ReplayManager.encodeInput(input);
+        const last = this.frames[this.frames.length - 1];
+        
+        if (last && last[0] === delta && last[1] === bits) {
+            last[2] += 1;
+        } else {
+            this.frames.push([delta, bits, 1]);
+        }
+        
+        this.frameCount += 1;
+    }
+    
+    /**
+     * Package the recorded run as a replay
+     * 
+     * @param {string} seed - The run's random seed
+     * @param {Object} runConfig - The config the run started with
+     * @param {Object} result - The run result (outcome, meters, confidence)
+     * @param {number} farthestMeters - The farthest distance reached
+     * @param {Object} [checkpoint] - The checkpoint the run continued from (if any)
+     * @returns {Object} A replay that can be saved, exported or watched
+     */
+    createReplay(seed, runConfig, result, farthestMeters, checkpoint = null) {
+        // WHY leave out runConfig.replay? A run started FROM a replay is
+        // never recorded, but a config should never nest a whole replay
+        const config = Object.assign({}, runConfig);
+        delete config.replay;
+        delete config.seed;
+        
+        return {
+            version: ReplayManager.VERSION,
+            id: `${Date.now()}-${seed}`,
+            date: new Date().toISOString(),
+            seed: seed,
+            runConfig: config,
+            checkpoint: checkpoint,
+            outcome: result.outcome,
+            meters: result.meters,
+            farthestMeters: Math.max(farthestMeters, result.meters),
+            frameCount: this.frameCount,
+            frames: this.frames
+        };
+    }
+    
+    // =============================================================
+    // PLAYBACK
+    // =============================================================
+    
+    /**
+     * Get the next recorded frame
+     * 
+     * @returns {Object|null} { delta, input }, or null when the replay is over
+     */
+    nextFrame() {
+        const frame = this.frames[this.frameIndex];
+        if (!frame) return null;
+        
+        this.repeatIndex += 1;
+        if (this.repeatIndex >= frame[2]) {
+            this.frameIndex += 1;
+            this.repeatIndex = 0;
+        }
+        
+        this.frameCount += 1;
+        this.currentInput = ReplayManager.decodeInput(frame[1]);
+        
+        return { delta: frame[0], input: this.currentInput };
+    }
+    
+    // =============================================================
+    // INPUT ENCODING
+    // =============================================================
+    
+    /**
+     * Squash a frame's input into one number
+     * 
+     * @param {Object} input - A frame's input (a key for each of INPUT_BITS)
+     * @returns {number} Input bits
+     */
+    static encodeInput(input) {
+        let bits = 0;
+        Object.keys(ReplayManager.INPUT_BITS).forEach(key => {
+            if (input[key]) {
+                bits |= ReplayManager.INPUT_BITS[key];
+            }
+        });
+        return bits;
+    }
+    
+    /**
+     * Unpack input bits back into a frame's input
+     * 
+     * @param {number} bits - Input bits from encodeInput()
+     * @returns {Object} The frame's input (true/false for each of INPUT_BITS)
+     */
+    static decodeInput(bits) {
+        const input = {};
+        Object.keys(ReplayManager.INPUT_BITS).forEach(key => {
+            input[key] = (bits & ReplayManager.INPUT_BITS[key]) !== 0;
+        });
+        return input;
+    }
+    
+    // =============================================================
+    // SAVING AND EXPORTING
+    // =============================================================
+    
+    /**
+     * Load every saved replay (newest first)
+     * 
+     * WHY leave out other versions? Their input bits mean different
+     * keys - they would play out a different run
+     * 
+     * @returns {Array<Object>} Saved replays that can be played back
+     */
+    static loadAll() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(ReplayManager.STORAGE_KEY));
+            if (!Array.isArray(saved)) return [];
+            
+            const playable = saved.filter(replay => replay.version === ReplayManager.VERSION);
+            if (playable.length < saved.length) {
+                console.log(`⚠️ ${saved.length - playable.length} replay(s) from an older version can't be played back`);
+            }
+            return playable;
+        } catch (error) {
+            // WHY catch? Private browsing or a corrupted value shouldn't break the game
+            console.log('⚠️ Could not load replays');
+            return [];
+        }
+    }
+    
+    /**
+     * Save a replay to the browser
+     * 
+     * WHY drop the oldest? Keeps us under MAX_SAVED (and the storage limit)
+     * 
+     * @param {Object} replay - Replay from createReplay()
+     * @returns {boolean} True if it was saved
+     */
+    static save(replay) {
+        const replays = ReplayManager.loadAll().filter(saved => saved.id !== replay.id);
+        replays.unshift(replay);
+        
+        // If storage is full, keep dropping the oldest replay and retry
+        while (replays.length > 0) {
+            try {
+                window.localStorage.setItem(
+                    ReplayManager.STORAGE_KEY,
+                    JSON.stringify(replays.slice(0, ReplayManager.MAX_SAVED))
+                );
+                break;
+            } catch (error) {
+                replays.pop();
+            }
+        }
+        
+        const isSaved = replays.some(saved => saved.id === replay.id);
+        console.log(isSaved ? `💾 Replay saved (${replay.meters}m, seed ${replay.seed})` : '⚠️ Could not save replay');
+        return isSaved;
+    }
+    
+    /**
+     * Download a replay as a .json file
+     * 
+     * WHY a file? Replays can be shared or attached to a bug report
+     * 
+     * @param {Object} replay - The replay to export
+     */
+    static exportToFile(replay) {
+        const json = JSON.stringify(replay);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        // WHY a temporary link? Clicking an <a download> is how browsers save files
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `library-run-${replay.seed}-${replay.meters}m.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log(`⬇️ Replay exported as ${link.download}`);
+    }
+}
@@ -0,0 +1,524 @@
+/**
+ * RouteManager Class
+ * 
+ * Where does the walk go? A route is a JSON file that lists everything
+ * placed along the way:
+ * - goalMeters: how far away the library is
+ * - zones: the areas along the route (the Dottie Bacon School, the park,
+ *   the Maple Street crosswalk)
+ * - obstacles: when the pigeons fly over
+ * - powerUps: how often treats and candy bars show up (and how many
+ *   of the treats are special items instead)
+ * - checkpoints: how far apart the bus stops are
+ * - friends: how often a friend might come to walk with the student
+ * - placements: one-off things at a set distance (an Old Man visit,
+ *   a squirrel, a treat or a candy bar - see PlacementManager)
+ * - weather: clear, drizzle, storm, windy - or random (see WeatherManager)
+ * 
+ * Routes are built in the RouteEditorScene, which saves its work in
+ * progress here (the "draft") and exports it as a route file.
+ * 
+ * The route is loaded once by the BootScene (data/routes/) and checked
+ * against SCHEMA before it's used - a typo in the file shows up in the
+ * console instead of as a strange run.
+ * 
+ * WHY a data file? New routes can be written without touching any
+ * class - the zones and managers read their numbers from the route.
+ * 
+ * WHY static methods? Like DifficultyManager - one route for the whole
+ * game, loaded before any scene needs it.
+ */
+class RouteManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where the route files live (relative to index.html)
+    static ROUTE_FOLDER = 'data/routes/';
+    
+    // The route played when the URL doesn't pick one
+    static DEFAULT_ROUTE_NAME = 'blueberrydale';
+    
+    // Name of the URL parameter that picks a route file (?route=my-route)
+    static URL_PARAM = 'route';
+    
+    // Where the route editor keeps its work in progress
+    static DRAFT_STORAGE_KEY = 'libraryRun.routeDraft';
+    
+    // Key for the loaded file in Phaser's JSON cache
+    static CACHE_KEY = 'route';
+    
+    // Pixels per meter (based on distance UI calculation)
+    // WHY here? Every manager turns meters into pixels the same way -
+    // one number to change (see toPixels)
+    static PIXELS_PER_METER = 10;
+    
+    // Every zone a route can place (the GameScene creates them)
+    static ZONE_TYPES = ['dottieBaconSchool', 'blueberrydalePark', 'mapleStreetCrosswalk'];
+    
+    // Everything a route can place at a single spot (PlacementManager)
+    static PLACEMENT_TYPES = ['oldMan', 'squirrel', 'powerUp', 'candyBar'];
+    
+    // Every weather a route can ask for (WeatherManager.TYPES, or a new
+    // pick every run)
+    static WEATHER_TYPES = ['clear', 'drizzle', 'storm', 'windy', 'random'];
+    
+    // What a route file must look like
+    // WHY JSON Schema style? Anyone writing a route can read it without
+    // knowing our code - and it's easy to check with a small walker
+    // WHY additionalProperties: false? "goalMeter" (a typo) should be an
+    // error, not silently ignored
+    static SCHEMA = {
+        type: 'object',
+        required: ['name', 'goalMeters', 'zones', 'obstacles', 'powerUps', 'checkpoints'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            // WHY at least 100m? The library shows up 50m before the goal
+            goalMeters: { type: 'number', minimum: 100 },
+            zones: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['type', 'startMeters', 'lengthMeters'],
+                    additionalProperties: false,
+                    properties: {
+                        type: { type: 'string', enum: RouteManager.ZONE_TYPES },
+                        startMeters: { type: 'number', minimum: 0 },
+                        // 0 (or left out) = the zone only appears once
+                        repeatMeters: { type: 'number', minimum: 0 },
+                        lengthMeters: { type: 'number', minimum: 1 },
+                        // Schools only: the last one before the library ends
+                        // with the Bully Leader (see DottieBaconSchool)
+                        bullyLeader: { type: 'boolean' }
+                    }
+                }
+            },
+            obstacles: {
+                type: 'object',
+                required: ['birds'],
+                additionalProperties: false,
+                properties: {
+                    birds: {
+                        type: 'object',
+                        required: ['firstMeters', 'everyMeters', 'varianceMeters'],
+                        additionalProperties: false,
+                        properties: {
+                            firstMeters: { type: 'number', minimum: 0 },
+                            everyMeters: { type: 'number', minimum: 1 },
+                            varianceMeters: { type: 'number', minimum: 0 }
+                        }
+                    }
+                }
+            },
+            powerUps: {
+                type: 'object',
+                required: ['treatRate', 'candyBarEveryMeters'],
+                additionalProperties: false,
+                properties: {
+                    // 1 = as often as the difficulty says, 2 = twice as often, 0 = none
+                    treatRate: { type: 'number', minimum: 0 },
+                    candyBarEveryMeters: { type: 'number', minimum: 1 },
+                    // Optional - the chance a treat is a special item instead
+                    // (see PowerUp.SPECIALS). Left out means treats only
+                    specialChance: { type: 'number', minimum: 0, maximum: 1 }
+                }
+            },
+            checkpoints: {
+                type: 'object',
+                required: ['everyMeters'],
+                additionalProperties: false,
+                properties: {
+                    everyMeters: { type: 'number', minimum: 1 }
+                }
+            },
+            // Optional - left out means a clear day
+            weather: { type: 'string', enum: RouteManager.WEATHER_TYPES },
+            // Optional - left out means no friends (see FriendManager)
+            friends: {
+                type: 'object',
+                required: ['everyMeters'],
+                additionalProperties: false,
+                properties: {
+                    everyMeters: { type: 'number', minimum: 1 }
+                }
+            },
+            // Optional - older route files don't have any
+            placements: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['type', 'atMeters'],
+                    additionalProperties: false,
+                    properties: {
+                        type: { type: 'string', enum: RouteManager.PLACEMENT_TYPES },
+                        atMeters: { type: 'number', minimum: 0 }
+                    }
+                }
+            }
+        }
+    };
+    
+    // The built-in route: the plain walk from before route files -
+    // schools, birds, treats and bus stops, nothing else
+    // WHY not a copy of blueberrydale.json? The file is the one real
+    // route - a second copy here would drift every time it changes
+    // WHY keep one at all? Opening index.html straight from disk
+    // (double-click) stops the browser from loading files - this keeps
+    // the game playable
+    static DEFAULT_ROUTE = {
+        name: 'Blueberrydale',
+        description: 'The plain walk to the library (no route file)',
+        goalMeters: 1500,
+        zones: [
+            { type: 'dottieBaconSchool', startMeters: 500, repeatMeters: 500, lengthMeters: 150 }
+        ],
+        obstacles: {
+            birds: { firstMeters: 120, everyMeters: 180, varianceMeters: 40 }
+        },
+        powerUps: {
+            treatRate: 1,
+            candyBarEveryMeters: 250
+        },
+        checkpoints: {
+            everyMeters: 300
+        }
+    };
+    
+    // The route loaded at boot (null until the BootScene has loaded it)
+    static current = null;
+    
+    // =============================================================
+    // LOADING
+    // =============================================================
+    
+    /**
+     * Queue the route file in a scene's loader
+     * 
+     * @param {Phaser.Scene} scene - The scene that's preloading (BootScene)
+     */
+    static preload(scene) {
+        scene.load.json(RouteManager.CACHE_KEY, RouteManager.getRoutePath());
+    }
+    
+    /**
+     * Which route file to load
+     * 
+     * WHY a URL parameter? An exported route can be tried out by
+     * dropping it in data/routes/ - no code changes (index.html?route=my-route)
+     * 
+     * @returns {string} Path of the route file, relative to index.html
+     */
+    static getRoutePath() {
+        const params = new URLSearchParams(window.location.search);
+        const requested = params.get(RouteManager.URL_PARAM);
+        
+        // WHY only letters, digits, - and _? The name becomes part of a path
+        const name = requested && /^[\w-]+$/.test(requested) ? requested : RouteManager.DEFAULT_ROUTE_NAME;
+        return `${RouteManager.ROUTE_FOLDER}${name}.json`;
+    }
+    
+    /**
+     * Use the loaded route file - or the built-in route if it's missing
+     * or doesn't match the schema
+     * 
+     * @param {Phaser.Cache.BaseCache} jsonCache - The scene's JSON cache (this.cache.json)
+     * @returns {Object} The route every run will use
+     */
+    static useLoaded(jsonCache) {
+        const route = jsonCache.get(RouteManager.CACHE_KEY);
+        
+        if (!route) {
+            console.log(`⚠️ Could not load ${RouteManager.getRoutePath()} - using the built-in route`);
+            RouteManager.current = RouteManager.DEFAULT_ROUTE;
+            return RouteManager.current;
+        }
+        
+        const errors = RouteManager.validate(route);
+        if (errors.length > 0) {
+            console.log(`⚠️ ${RouteManager.getRoutePath()} has ${errors.length} problem(s) - using the built-in route:`);
+            errors.forEach(error => console.log(`   ❌ ${error}`));
+            RouteManager.current = RouteManager.DEFAULT_ROUTE;
+            return RouteManager.current;
+        }
+        
+        RouteManager.current = route;
+        console.log(`🗺️ Route "${route.name}" loaded - the library is ${route.goalMeters}m away!`);
+        return RouteManager.current;
+    }
+    
+    /**
+     * The route for new runs
+     * 
+     * @returns {Object} The loaded route (the built-in one until it has loaded)
+     */
+    static getRoute() {
+        return RouteManager.current || RouteManager.DEFAULT_ROUTE;
+    }
+    
+    // =============================================================
+    // VALIDATION
+    // =============================================================
+    
+    /**
+     * Check a route against SCHEMA (plus the rules a schema can't say)
+     * 
+     * @param {Object} route - A parsed route file
+     * @returns {Array<string>} Everything wrong with it (empty = good to go)
+     */
+    static validate(route) {
+        const errors = [];
+        RouteManager.checkValue(route, RouteManager.SCHEMA, 'route', errors);
+        
+        // Only check how fields fit together once each one is fine
+        if (errors.length > 0) return errors;
+        
+        // WHY? Birds could otherwise be scheduled behind the student
+        const birds = route.obstacles.birds;
+        if (birds.varianceMeters >= birds.everyMeters) {
+            errors.push('route.obstacles.birds.varianceMeters must be less than everyMeters');
+        }
+        
+        // WHY? The next school can't start before the last one has ended
+        route.zones.forEach((zone, index) => {
+            if (zone.repeatMeters > 0 && zone.repeatMeters < zone.lengthMeters) {
+                errors.push(`route.zones[${index}].repeatMeters must be 0 or at least lengthMeters`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Check one value against its part of the schema
+     * 
+     * Understands the parts of JSON Schema that SCHEMA uses: type, enum,
+     * minimum, maximum, required, properties, additionalProperties and items.
+     * 
+     * @param {*} value - The value to check
+     * @param {Object} schema - Its part of SCHEMA
+     * @param {string} path - Where it is, for error messages (e.g. "route.zones[0]")
+     * @param {Array<string>} errors - Problems found are added here
+     */
+    static checkValue(value, schema, path, errors) {
+        if (schema.type && !RouteManager.isType(value, schema.type)) {
+            errors.push(`${path} should be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+            return;
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+        }
+        
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} should be at least ${schema.minimum}`);
+        }
+        
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} should be at most ${schema.maximum}`);
+        }
+        
+        if (schema.type === 'object') {
+            const properties = schema.properties || {};
+            
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key} is missing`);
+                }
+            });
+            
+            Object.keys(value).forEach(key => {
+                if (properties[key]) {
+                    RouteManager.checkValue(value[key], properties[key], `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key} isn't part of a route`);
+                }
+            });
+        }
+        
+        if (schema.type === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                RouteManager.checkValue(item, schema.items, `${path}[${index}]`, errors);
+            });
+        }
+    }
+    
+    /**
+     * Is a value of a JSON Schema type?
+     * 
+     * @param {*} value - The value to check
+     * @param {string} type - 'object', 'array', 'number', 'string' or 'boolean'
+     * @returns {boolean} True if it is
+     */
+    static isType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'number':
+                // WHY isFinite? NaN and Infinity can't come from JSON, but
+                // a route built in code shouldn't sneak them in either
+                return typeof value === 'number' && Number.isFinite(value);
+            default:
+                return typeof value === type;
+        }
+    }
+    
+    // =============================================================
+    // EDITOR DRAFT
+    // =============================================================
+    
+    /**
+     * Load the route editor's work in progress
+     * 
+     * @returns {Object} The saved draft, or a copy of the current route
+     *                   if there isn't one (or it no longer fits the schema)
+     */
+    static loadDraft() {
+        try {
+            const draft = JSON.parse(window.localStorage.getItem(RouteManager.DRAFT_STORAGE_KEY));
+            if (draft && RouteManager.validate(draft).length === 0) {
+                return draft;
+            }
+        } catch (error) {
+            // WHY catch? Private browsing or a corrupted value shouldn't break the editor
+            console.log('⚠️ Could not load the route draft');
+        }
+        
+        return RouteManager.copy(RouteManager.getRoute());
+    }
+    
+    /**
+     * Save the route editor's work in progress
+     * 
+     * WHY save every change? Play-testing leaves the editor - the
+     * route should still be there when you come back
+     * 
+     * @param {Object} route - The route being edited
+     */
+    static saveDraft(route) {
+        try {
+            window.localStorage.setItem(RouteManager.DRAFT_STORAGE_KEY, JSON.stringify(route));
+        } catch (error) {
+            console.log('⚠️ Could not save the route draft');
+        }
+    }
+    
+    /**
+     * Throw away the draft (the editor starts over from the current route)
+     */
+    static clearDraft() {
+        try {
+            window.localStorage.removeItem(RouteManager.DRAFT_STORAGE_KEY);
+        } catch (error) {
+            console.log('⚠️ Could not clear the route draft');
+        }
+    }
+    
+    // =============================================================
+    // FILES
+    // =============================================================
+    
+    /**
+     * Download a route as a .json file (the same format as data/routes/)
+     * 
+     * @param {Object} route - The route to export
+     * @returns {string} The file name it was saved as
+     */
+    static exportToFile(route) {
+        // WHY 4-space indents? Route files are meant to be read and edited
+        const json = JSON.stringify(route, null, 4);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        // WHY a temporary link? Clicking an <a download> is how browsers save files
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${RouteManager.getFileName(route)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log(`⬇️ Route exported as ${link.download}`);
+        return link.download;
+    }
+    
+    /**
+     * Ask the player for a route file and read it
+     * 
+     * WHY a callback? Picking and reading a file happens after this
+     * returns - the browser tells us when it's done
+     * 
+     * @param {Function} onLoaded - Called with (route, errors, fileName);
+     *                              route is null if the file isn't JSON
+     */
+    static importFromFile(onLoaded) {
+        // WHY a temporary <input type="file">? It's how browsers open a file picker
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                let route = null;
+                try {
+                    route = JSON.parse(reader.result);
+                } catch (error) {
+                    onLoaded(null, ['The file isn\'t valid JSON'], file.name);
+                    return;
+                }
+                
+                onLoaded(route, RouteManager.validate(route), file.name);
+            };
+            reader.readAsText(file);
+        });
+        
+        input.click();
+    }
+    
+    /**
+     * Turn a route's name into a file name
+     * 
+     * @param {Object} route - The route
+     * @returns {string} e.g. "my-route" for "My Route!"
+     */
+    static getFileName(route) {
+        const name = String(route.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return name || 'route';
+    }
+    
+    // =============================================================
+    // HELPERS
+    // =============================================================
+    
+    /**
+     * Make a separate copy of a route
+     * 
+     * WHY? Runs and the editor change or keep their route - they
+     * mustn't share one object with the loaded route
+     * 
+     * @param {Object} route - The route to copy
+     * @returns {Object} A deep copy
+     */
+    static copy(route) {
+        return JSON.parse(JSON.stringify(route));
+    }
+    
+    /**
+     * Convert route meters to pixels
+     * 
+     * @param {number} meters - Distance in meters
+     * @returns {number} Distance in pixels
+     */
+    static toPixels(meters) {
+        return meters * RouteManager.PIXELS_PER_METER;
+    }
+}
@@ -0,0 +1,321 @@
+/**
+ * ScoreManager Class
+ * 
+ * Keeps score! Every run earns points for:
+ * - Distance: how far the student got
+ * - Dodges: obstacles passed untouched (more for near misses!)
+ * - Power-ups: treats collected
+ * - Confidence left at the end
+ * - Time to spare when reaching the library
+ * 
+ * COMBOS: dodging obstacles one after another builds a combo.
+ * Every 3 dodges in a row raise the multiplier (x2, x3... up to x5)
+ * for dodge points. Getting hit (Student.takeDamage) resets it!
+ * 
+ * WHY listen to scene events?
+ * - The student, power-ups and candy bars just announce what happened
+ *   ('dodged', 'studentHit', 'powerUpCollected')
+ * - None of them needs to know the score exists (loose coupling,
+ *   like the 'gameOver' event)
+ */
+class ScoreManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Points for each meter walked
+    // WHY 1? Reaching the library is worth 1500 - the backbone of a score
+    static POINTS_PER_METER = 1;
+    
+    // Points for a dodge, and extra for a near miss (before the multiplier)
+    static DODGE_POINTS = 25;
+    static NEAR_MISS_POINTS = 25;
+    
+    // Points for each treat collected
+    static POWER_UP_POINTS = 50;
+    
+    // Points for each % of confidence left at the end
+    // WHY 5? Arriving at 100% is worth a third of the walk itself
+    static CONFIDENCE_POINTS = 5;
+    
+    // Points for each (game) minute to spare at the library
+    static TIME_POINTS = 10;
+    
+    // Dodges in a row needed for each step up in the multiplier
+    static COMBO_STEP = 3;
+    
+    // Highest combo multiplier
+    // WHY cap it? A long streak should feel great, not break the score
+    static MAX_MULTIPLIER = 5;
+    
+    // HUD position (under the distance display)
+    static X = 600;
+    static Y = 178;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the score manager
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Points earned during the run
+        // WHY no distance points here? They come from the farthest
+        // distance reached - see getRunningTotal()
+        this.dodgePoints = 0;
+        this.powerUpPoints = 0;
+        this.powerUpCount = 0;
+        
+        // Dodges in a row (reset when hit), and the best streak multiplier
+        this.combo = 0;
+        this.bestMultiplier = 1;
+        
+        // Last total shown in the HUD (only redraw when it changes)
+        this.shownTotal = null;
+        
+        this.createDisplay();
+        this.setupEvents();
+        
+        console.log('⭐ ScoreManager initialized - dodge in a row for combos!');
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Create the live score and combo text
+     */
+    createDisplay() {
+        this.scoreText = this.scene.add.text(ScoreManager.X, ScoreManager.Y, '⭐ Score: 0', {
+            fontSize: '18px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        
+        this.comboText = this.scene.add.text(ScoreManager.X, ScoreManager.Y + 24, '', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#FF5722',
+            fontStyle: 'bold'
+        });
+    }
+    
+    /**
+     * Listen for the things that score points
+     * 
+     * WHY remove them in cleanup()? Scene events outlive a single run
+     */
+    setupEvents() {
+        this.scene.events.on('dodged', this.onDodged, this);
+        this.scene.events.on('studentHit', this.onStudentHit, this);
+        this.scene.events.on('powerUpCollected', this.onPowerUpCollected, this);
+    }
+    
+    // =============================================================
+    // SCORING EVENTS
+    // =============================================================
+    
+    /**
+     * The student dodged an obstacle - build the combo and score it
+     * 
+     * @param {string} obstacleName - What was dodged
+     * @param {boolean} isNearMiss - Was it a near miss?
+     */
+    onDodged(obstacleName, isNearMiss) {
+        const oldMultiplier = this.getMultiplier();
+        this.combo += 1;
+        const multiplier = this.getMultiplier();
+        
+        const points = (ScoreManager.DODGE_POINTS + (isNearMiss ? ScoreManager.NEAR_MISS_POINTS : 0)) * multiplier;
+        this.dodgePoints += points;
+        
+        console.log(`⭐ +${points} for dodging ${obstacleName} (combo ${this.combo}, x${multiplier})`);
+        
+        this.bestMultiplier = Math.max(this.bestMultiplier, multiplier);
+        if (multiplier > oldMultiplier) {
+            this.showComboUp(multiplier);
+        }
+        this.updateComboText();
+    }
+    
+    /**
+     * The student got hit - the combo is over
+     */
+    onStudentHit() {
+        if (this.combo === 0) return;
+        
+        console.log(`💥 Combo broken after ${this.combo} dodges`);
+        this.combo = 0;
+        this.updateComboText();
+    }
+    
+    /**
+     * The student collected a treat
+     * 
+     * @param {string} itemName - What was collected
+     */
+    onPowerUpCollected(itemName) {
+        this.powerUpCount += 1;
+        this.powerUpPoints += ScoreManager.POWER_UP_POINTS;
+        
+        console.log(`⭐ +${ScoreManager.POWER_UP_POINTS} for the ${itemName}`);
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the live score in the HUD
+     * 
+     * @param {number} farthestMeters - Farthest distance reached this run
+     */
+    update(farthestMeters) {
+        const total = this.getRunningTotal(farthestMeters);
+        
+        if (total !== this.shownTotal) {
+            this.shownTotal = total;
+            this.scoreText.setText(`⭐ Score: ${total}`);
+        }
+    }
+    
+    /**
+     * Show the current streak (hidden until there's a multiplier)
+     */
+    updateComboText() {
+        const multiplier = this.getMultiplier();
+        this.comboText.setText(multiplier > 1 ? `🔥 Combo x${multiplier} (${this.combo} in a row)` : '');
+    }
+    
+    /**
+     * Celebrate the multiplier going up
+     * 
+     * @param {number} multiplier - The new multiplier
+     */
+    showComboUp(multiplier) {
+        const message = this.scene.add.text(400, 270, `🔥 COMBO x${multiplier}!`, {
+            fontSize: '26px',
+            fontFamily: 'Arial',
+            color: '#FF5722',
+            fontStyle: 'bold',
+            stroke: '#ffffff',
+            strokeThickness: 4
+        });
+        message.setOrigin(0.5);
+        message.setDepth(200);
+        
+        this.scene.tweens.add({
+            targets: message,
+            scale: { from: 0.6, to: 1.1 },
+            alpha: 0,
+            duration: 1000,
+            ease: 'Power2',
+            onComplete: () => message.destroy()
+        });
+    }
+    
+    // =============================================================
+    // GETTERS
+    // =============================================================
+    
+    /**
+     * The dodge multiplier for the current streak
+     * 
+     * @returns {number} 1 (no combo) up to MAX_MULTIPLIER
+     */
+    getMultiplier() {
+        return Math.min(1 + Math.floor(this.combo / ScoreManager.COMBO_STEP), ScoreManager.MAX_MULTIPLIER);
+    }
+    
+    /**
+     * The score so far (without the end-of-run bonuses)
+     * 
+     * @param {number} farthestMeters - Farthest distance reached this run
+     * @returns {number} Points
+     */
+    getRunningTotal(farthestMeters) {
+        return farthestMeters * ScoreManager.POINTS_PER_METER + this.dodgePoints + this.powerUpPoints;
+    }
+    
+    /**
+     * Work out the final score, item by item
+     * 
+     * @param {Object} result - The run result from GameScene.endRun()
+     * @param {number} farthestMeters - Farthest distance reached this run
+     * @returns {Object} Points for each item, the counts behind them, and the total
+     */
+    getBreakdown(result, farthestMeters) {
+        const meters = Math.max(farthestMeters, result.meters);
+        const confidence = Math.round(result.confidence || 0);
+        
+        // WHY null without a time? No clock (or no win) means no time bonus line
+        const minutesToSpare = result.minutesToSpare === undefined ? null : result.minutesToSpare;
+        
+        const breakdown = {
+            meters: meters,
+            distance: meters * ScoreManager.POINTS_PER_METER,
+            dodges: this.dodgePoints,
+            powerUpCount: this.powerUpCount,
+            powerUps: this.powerUpPoints,
+            confidenceLeft: confidence,
+            confidence: confidence * ScoreManager.CONFIDENCE_POINTS,
+            minutesToSpare: minutesToSpare,
+            time: (minutesToSpare || 0) * ScoreManager.TIME_POINTS,
+            bestMultiplier: this.bestMultiplier
+        };
+        breakdown.total = breakdown.distance + breakdown.dodges + breakdown.powerUps +
+                          breakdown.confidence + breakdown.time;
+        
+        return breakdown;
+    }
+    
+    // =============================================================
+    // CHECKPOINTS
+    // =============================================================
+    
+    /**
+     * Everything needed to pick the score up again from a checkpoint
+     * 
+     * @returns {Object} Points and counts so far
+     */
+    getSnapshot() {
+        return {
+            dodgePoints: this.dodgePoints,
+            powerUpPoints: this.powerUpPoints,
+            powerUpCount: this.powerUpCount,
+            bestMultiplier: this.bestMultiplier
+        };
+    }
+    
+    /**
+     * Continue from a checkpoint's score
+     * 
+     * WHY not the combo? Running out of confidence took a lot of hits!
+     * 
+     * @param {Object} snapshot - From getSnapshot()
+     */
+    restore(snapshot) {
+        Object.assign(this, snapshot);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Stop listening for scoring events
+     */
+    cleanup() {
+        this.scene.events.off('dodged', this.onDodged, this);
+        this.scene.events.off('studentHit', this.onStudentHit, this);
+        this.scene.events.off('powerUpCollected', this.onPowerUpCollected, this);
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * SettingsManager Class
+ * 
+ * Remembers the player's choices from the Settings screen!
+ * Settings are saved in the browser (localStorage) so they stick
+ * between visits.
+ * 
+ * WHY static methods?
+ * - There's only ONE set of settings for the whole game
+ * - Any scene or class can read a setting without passing objects around
+ * - No scene owns it, so it survives scene restarts
+ * 
+ * WHY a manager class?
+ * - Every setting, its default and its choices live in one place
+ * - The Settings screen just lists OPTIONS - adding a setting is one entry
+ */
+class SettingsManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where settings are saved in the browser
+    static STORAGE_KEY = 'libraryRun.settings';
+    
+    // Every setting the player can change
+    // WHY label + choices? The Settings screen builds its list from this
+    static OPTIONS = {
+        touchControls: {
+            label: '📱 Touch Buttons',
+            choices: [
+                { value: 'auto', label: 'Auto' },
+                { value: 'on', label: 'On' },
+                { value: 'off', label: 'Off' }
+            ],
+            defaultValue: 'auto'
+        },
+        checkpointContinue: {
+            label: '🚏 Checkpoint Continues',
+            choices: [
+                { value: 'off', label: 'Off' },
+                { value: 'on', label: 'On' }
+            ],
+            defaultValue: 'off'
+        },
+        libraryCloses: {
+            label: '⏰ Library Closes',
+            choices: [
+                { value: 'normal', label: 'In 4 min' },
+                { value: 'relaxed', label: 'In 6 min' },
+                { value: 'tight', label: 'In 3 min' },
+                { value: 'off', label: 'Never' }
+            ],
+            defaultValue: 'normal'
+        }
+    };
+    
+    // Cached settings (loaded from storage the first time they're needed)
+    static values = null;
+    
+    // =============================================================
+    // READING AND WRITING
+    // =============================================================
+    
+    /**
+     * Load saved settings (once), filling in defaults for anything missing
+     * 
+     * @returns {Object} All current setting values
+     */
+    static load() {
+        if (SettingsManager.values) return SettingsManager.values;
+        
+        let saved = {};
+        try {
+            saved = JSON.parse(window.localStorage.getItem(SettingsManager.STORAGE_KEY)) || {};
+        } catch (error) {
+            // WHY catch? Private browsing or a corrupted value shouldn't break the game
+            console.log('⚠️ Could not load settings - using defaults');
+        }
+        
+        SettingsManager.values = {};
+        Object.keys(SettingsManager.OPTIONS).forEach(key => {
+            const option = SettingsManager.OPTIONS[key];
+            const isValid = option.choices.some(choice => choice.value === saved[key]);
+            SettingsManager.values[key] = isValid ? saved[key] : option.defaultValue;
+        });
+        
+        return SettingsManager.values;
+    }
+    
+    /**
+     * Get the current value of a setting
+     * 
+     * @param {string} key - Setting name (a key of OPTIONS)
+     * @returns {*} The setting's value
+     */
+    static get(key) {
+        return SettingsManager.load()[key];
+    }
+    
+    /**
+     * Change a setting and save it
+     * 
+     * @param {string} key - Setting name (a key of OPTIONS)
+     * @param {*} value - The new value (must be one of the option's choices)
+     */
+    static set(key, value) {
+        SettingsManager.load()[key] = value;
+        
+        try {
+            window.localStorage.setItem(SettingsManager.STORAGE_KEY, JSON.stringify(SettingsManager.values));
+        } catch (error) {
+            console.log('⚠️ Could not save settings');
+        }
+        
+        console.log(`⚙️ Setting "${key}" is now ${value}`);
+    }
+    
+    /**
+     * Move a setting to its next choice (wrapping around)
+     * 
+     * WHY cycle? One button press per change works the same with
+     * keyboard, mouse and touch
+     * 
+     * @param {string} key - Setting name (a key of OPTIONS)
+     * @param {number} step - +1 for the next choice, -1 for the previous one
+     */
+    static cycle(key, step = 1) {
+        const choices = SettingsManager.OPTIONS[key].choices;
+        const index = choices.findIndex(choice => choice.value === SettingsManager.get(key));
+        const nextIndex = (index + step + choices.length) % choices.length;
+        
+        SettingsManager.set(key, choices[nextIndex].value);
+    }
+    
+    /**
+     * Get the display label for a setting's current value
+     * 
+     * @param {string} key - Setting name (a key of OPTIONS)
+     * @returns {string} e.g. "Auto"
+     */
+    static getChoiceLabel(key) {
+        const value = SettingsManager.get(key);
+        const choice = SettingsManager.OPTIONS[key].choices.find(c => c.value === value);
+        return choice ? choice.label : String(value);
+    }
+}
@@ -0,0 +1,404 @@
+/**
+ * WeatherManager Class
+ * 
+ * What's the sky doing on the walk today?
+ * - ☀️ clear: a sunny afternoon (like it always used to be)
+ * - 🌦️ drizzle: light rain and a puddle now and then
+ * - ⛈️ storm: heavy rain, lots of puddles and a headwind
+ * - 💨 windy: no rain, but a strong headwind
+ * 
+ * Puddles slow the student down while they're walking through one -
+ * jump over them! Wind pushes newspapers, word bubbles and falling
+ * candy bars sideways as they fly.
+ * 
+ * The route picks the weather (or 'random' for a new pick every run).
+ * The pick goes in the run config, so "Try Again" and replays get the
+ * same weather. The Background draws the matching sky.
+ * 
+ * WHY a manager class?
+ * - Rain, puddles and wind all come from one setting - one place
+ *   to read it
+ * - The obstacles only ask "how windy is it?" (applyWind)
+ */
+class WeatherManager {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Every kind of weather
+    // - rainPerSecond: raindrops falling across the screen
+    // - windForce: sideways push on flying things (pixels per second²)
+    //   WHY negative? The wind blows in the student's face, back
+    //   toward school
+    // - puddleEveryMeters: about how far apart puddles are (0 = none)
+    static TYPES = {
+        clear: {
+            label: '☀️ Clear',
+            forecast: null,
+            rainPerSecond: 0,
+            windForce: 0,
+            puddleEveryMeters: 0
+        },
+        drizzle: {
+            label: '🌦️ Drizzle',
+            forecast: '🌦️ Drizzle! Jump the puddles - they slow you down',
+            rainPerSecond: 80,
+            windForce: 0,
+            puddleEveryMeters: 150
+        },
+        storm: {
+            label: '⛈️ Storm',
+            forecast: '⛈️ Storm! Puddles everywhere, and the wind blows things off course',
+            rainPerSecond: 300,
+            windForce: -20,
+            puddleEveryMeters: 80
+        },
+        windy: {
+            label: '💨 Windy',
+            forecast: '💨 Windy! Thrown things drift with the wind',
+            rainPerSecond: 0,
+            windForce: -30,
+            puddleEveryMeters: 0
+        }
+    };
+    
+    // How often each weather comes up when the route says 'random'
+    // WHY mostly clear? Bad weather should feel like a twist, not the norm
+    static RANDOM_WEIGHTS = {
+        clear: 4,
+        drizzle: 2,
+        windy: 2,
+        storm: 1
+    };
+    
+    // How much a puddle slows the student (fraction of normal speed)
+    // WHY 0.6? Enough to notice (and to make a bully catch up), not a wall
+    static PUDDLE_SPEED_FACTOR = 0.6;
+    
+    // How wide a puddle is (matches the 'puddle' texture)
+    static PUDDLE_WIDTH = 80;
+    
+    // Where puddles lie - just under the student's feet on the sidewalk
+    static PUDDLE_Y = 556;
+    
+    // How far ahead a puddle is put down (pixels past the student)
+    // WHY 500? Off the right edge - it scrolls into view
+    static PUDDLE_SPAWN_AHEAD = 500;
+    
+    // Where the student is locked while the world scrolls
+    static PLAYER_SCROLL_X = 400;
+    
+    // =============================================================
+    // WEATHER PICKING
+    // =============================================================
+    
+    /**
+     * Pick the weather for a run
+     * 
+     * WHY its own random generator? Picking the weather mustn't shift
+     * the obstacles a seed gives (or old replays would play differently)
+     * 
+     * @param {string} [setting] - The route's weather: a TYPES key, 'random' or nothing (clear)
+     * @param {string} seed - The run's seed
+     * @returns {string} A TYPES key
+     */
+    static pick(setting, seed) {
+        if (WeatherManager.TYPES[setting]) return setting;
+        if (setting !== 'random') return 'clear';
+        
+        const weights = WeatherManager.RANDOM_WEIGHTS;
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        let roll = new RandomManager(`${seed}-weather`).frac() * total;
+        
+        return Object.keys(weights).find(key => (roll -= weights[key]) < 0) || 'clear';
+    }
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the weather for this run
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Which weather (a TYPES key) and its numbers
+        this.type = scene.runConfig.weather;
+        this.weather = WeatherManager.TYPES[this.type] || WeatherManager.TYPES.clear;
+        
+        // Puddles on the sidewalk right now
+        this.puddles = [];
+        
+        // Distance (in pixels) where the next puddle lies
+        // WHY Infinity without puddles? Then update() never puts one down
+        this.nextPuddleDistance = this.weather.puddleEveryMeters > 0
+            ? RouteManager.toPixels(this.weather.puddleEveryMeters)
+            : Infinity;
+        
+        // Where the ground was last frame (see followGround)
+        this.lastScrollX = 0;
+        
+        // Is the student standing in a puddle?
+        this.isInPuddle = false;
+        
+        this.createRain();
+        this.showForecast();
+        
+        console.log(`🌦️ WeatherManager initialized - ${this.weather.label}`);
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Start the rain falling (if it's raining)
+     * 
+     * WHY particles? Hundreds of drops for the cost of one emitter -
+     * and they're only for show, so Phaser's own randomness is fine
+     */
+    createRain() {
+        this.rain = null;
+        if (this.weather.rainPerSecond <= 0) return;
+        
+        // Two drops at a time, as often as it takes
+        const quantity = 2;
+        
+        // Drops lean with the wind
+        const driftSpeed = this.weather.windForce * 4;
+        
+        this.rain = this.scene.add.particles(0, -20, 'raindrop', {
+            x: { min: -100, max: 900 },
+            speedY: { min: 500, max: 650 },
+            speedX: driftSpeed,
+            rotate: Phaser.Math.RadToDeg(Math.atan2(-driftSpeed, 575)),
+            lifespan: 1200,
+            alpha: { start: 0.7, end: 0.4 },
+            quantity: quantity,
+            frequency: 1000 * quantity / this.weather.rainPerSecond
+        });
+        
+        // WHY depth 40? In front of the street and the obstacles, like
+        // real rain between you and everything else
+        this.rain.setDepth(40);
+    }
+    
+    /**
+     * Tell the player what the weather is doing
+     */
+    showForecast() {
+        if (!this.weather.forecast) return;
+        
+        const notification = this.scene.add.text(400, 240, this.weather.forecast, {
+            fontSize: '18px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            backgroundColor: 'rgba(0,0,0,0.7)',
+            padding: { x: 12, y: 8 },
+            fontStyle: 'bold'
+        });
+        notification.setOrigin(0.5);
+        notification.setDepth(200);
+        
+        // Fade in and out (like the speed-up notice)
+        notification.setAlpha(0);
+        this.scene.tweens.add({
+            targets: notification,
+            alpha: 1,
+            duration: 300,
+            yoyo: true,
+            hold: 2500,
+            onComplete: () => notification.destroy()
+        });
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the weather - put down puddles and check for splashes
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    update(currentDistance) {
+        this.followGround();
+        
+        if (currentDistance >= this.nextPuddleDistance - WeatherManager.PUDDLE_SPAWN_AHEAD) {
+            if (this.canSpawnAt(currentDistance)) {
+                this.createPuddle(currentDistance);
+            }
+            this.scheduleNextPuddle();
+        }
+        
+        this.checkPuddles();
+    }
+    
+    /**
+     * Move the puddles along with the sidewalk
+     */
+    followGround() {
+        const scrollX = this.scene.background.scrollX;
+        const scrolled = scrollX - this.lastScrollX;
+        this.lastScrollX = scrollX;
+        
+        this.puddles.forEach(puddle => {
+            puddle.x -= scrolled;
+        });
+        
+        // Gone off the left side - we're done with them
+        this.puddles = this.puddles.filter(puddle => {
+            if (puddle.x >= -100) return true;
+            puddle.destroy();
+            return false;
+        });
+    }
+    
+    /**
+     * Is it OK to put a puddle down here?
+     * 
+     * @param {number} distance - Current distance traveled in pixels
+     * @returns {boolean} True if a puddle can go down
+     */
+    canSpawnAt(distance) {
+        // No puddles on the library steps
+        // WHY check the puddle's spot? It lies ahead of the student
+        const cutOff = this.scene.getLibraryDistance() - BlueberrydaleLibrary.APPROACH_DISTANCE;
+        return this.nextPuddleDistance < cutOff && distance < cutOff;
+    }
+    
+    /**
+     * Pick where the next puddle lies
+     * 
+     * WHY plus or minus a third? Puddles on an exact schedule would look
+     * (and play) like a pattern
+     */
+    scheduleNextPuddle() {
+        const every = this.weather.puddleEveryMeters;
+        const variance = Math.floor(every / 3);
+        const meters = every + this.scene.rng.between(-variance, variance);
+        
+        this.nextPuddleDistance += RouteManager.toPixels(meters);
+    }
+    
+    /**
+     * Pick up the puddles partway along the route
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        this.puddles.forEach(puddle => puddle.destroy());
+        this.puddles = [];
+        this.lastScrollX = this.scene.background.scrollX;
+        
+        if (this.weather.puddleEveryMeters > 0) {
+            this.nextPuddleDistance = distance + RouteManager.toPixels(this.weather.puddleEveryMeters);
+        }
+    }
+    
+    // =============================================================
+    // PUDDLES
+    // =============================================================
+    
+    /**
+     * Put the next puddle down, ahead of the student
+     * 
+     * @param {number} currentDistance - Current distance traveled in pixels
+     */
+    createPuddle(currentDistance) {
+        // WHY this x? Scrolling carries it to the student right as
+        // the distance reaches the puddle (like the bus stops)
+        const x = WeatherManager.PLAYER_SCROLL_X + (this.nextPuddleDistance - currentDistance);
+        
+        const puddle = this.scene.add.image(x, WeatherManager.PUDDLE_Y, 'puddle');
+        
+        // WHY depth -8? On the sidewalk (-10), behind the student (10)
+        puddle.setDepth(-8);
+        
+        this.puddles.push(puddle);
+    }
+    
+    /**
+     * Slow the student while they're walking through a puddle
+     * 
+     * WHY only on the ground? Jumping over a puddle is how you dodge it!
+     */
+    checkPuddles() {
+        const player = this.scene.student;
+        if (!player) return;
+        
+        const halfWidth = WeatherManager.PUDDLE_WIDTH / 2;
+        const isInPuddle = player.isOnGround && !player.isDefeated &&
+            this.puddles.some(puddle => Math.abs(puddle.x - player.x) < halfWidth);
+        
+        if (isInPuddle && !this.isInPuddle) {
+            this.splash(player);
+        }
+        
+        this.isInPuddle = isInPuddle;
+        player.speedFactor = isInPuddle ? WeatherManager.PUDDLE_SPEED_FACTOR : 1;
+    }
+    
+    /**
+     * Splash! Water flies up around the student's feet
+     * 
+     * @param {Student} player - The student
+     */
+    splash(player) {
+        console.log('💦 Splash! Walking through a puddle...');
+        
+        const droplets = this.scene.add.particles(player.x, WeatherManager.PUDDLE_Y, 'particle', {
+            speed: { min: 60, max: 140 },
+            angle: { min: 200, max: 340 },
+            scale: { start: 0.6, end: 0 },
+            tint: 0x81D4FA,
+            lifespan: 350,
+            gravityY: 300,
+            emitting: false
+        });
+        droplets.setDepth(15);
+        droplets.explode(8);
+        
+        // Auto-destroy the emitter once the droplets land
+        this.scene.time.delayedCall(500, () => droplets.destroy());
+    }
+    
+    // =============================================================
+    // WIND
+    // =============================================================
+    
+    /**
+     * Let the wind push something that's flying
+     * 
+     * WHY acceleration, not velocity? The push builds up the longer it
+     * flies - a quick throw barely drifts, a slow candy bar drifts a lot
+     * 
+     * @param {Phaser.Physics.Arcade.Sprite} sprite - A newspaper, word bubble or candy bar
+     */
+    applyWind(sprite) {
+        if (this.weather.windForce !== 0 && sprite.body) {
+            sprite.body.setAccelerationX(this.weather.windForce);
+        }
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Stop the rain and dry up the puddles
+     */
+    cleanup() {
+        if (this.rain) {
+            this.rain.destroy();
+            this.rain = null;
+        }
+        
+        this.puddles.forEach(puddle => puddle.destroy());
+        this.puddles = [];
+    }
+}
@@ -0,0 +1,1309 @@
+/**
+ * BootScene Class
+ * 
+ * The very first scene that runs! It creates every placeholder texture
+ * the game needs, then hands off to the MenuScene.
+ * 
+ * WHY a separate boot scene?
+ * - Textures are generated ONCE, not every time a run restarts
+ * - Keeps all the drawing code out of the gameplay scene
+ * - When we swap placeholders for real art, only this file changes
+ * 
+ * Based on CONTEXT.md:
+ * - BootScene.js handles asset loading
+ */
+class BootScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the boot scene
+     * 
+     * WHY a key? Other scenes start this one by name
+     */
+    constructor() {
+        super({ key: 'BootScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Preload Function
+     * 
+     * Called ONCE when the game boots.
+     * Use this to load images, sounds, and other assets.
+     * 
+     * WHY preload separately? Loading assets takes time.
+     * We want everything loaded BEFORE we try to use it!
+     * 
+     * WHY only in BootScene? Textures live in the game-wide texture
+     * manager, so every other scene can use them without re-drawing.
+     */
+    preload() {
+        console.log('🎮 Library Run - Preloading assets...');
+        
+        // =============================================================
+        // STUDENT PLACEHOLDER - A girl with blonde hair and blue backpack!
+        // We create TWO textures: happy (confident) and sad (low confidence)
+        // =============================================================
+        
+        this.createStudentTexture('player-happy', true);   // Smiling version
+        this.createStudentTexture('player-sad', false);    // Frowning version
+        
+        // Squashed-down versions for ducking under low newspapers
+        this.createStudentTexture('player-happy-crouch', true, true);
+        this.createStudentTexture('player-sad-crouch', false, true);
+        
+        console.log('✅ Student textures created (happy & sad, standing & crouching)!');
+        
+        // =============================================================
+        // OLD MAN PLACEHOLDER
+        // A grumpy old man in a cardigan with glasses
+        // =============================================================
+        
+        const oldManGraphics = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Body (cardigan - brownish)
+        oldManGraphics.fillStyle(0x8B4513, 1);
+        oldManGraphics.fillRect(5, 25, 30, 45);
+        
+        // Head (skin tone)
+        oldManGraphics.fillStyle(0xFFDBAC, 1);
+        oldManGraphics.fillCircle(20, 15, 12);
+        
+        // Gray hair
+        oldManGraphics.fillStyle(0x9E9E9E, 1);
+        oldManGraphics.fillRect(10, 3, 20, 8);
+        
+        // Glasses (two circles connected)
+        oldManGraphics.lineStyle(2, 0x333333, 1);
+        oldManGraphics.strokeCircle(14, 15, 5);
+        oldManGraphics.strokeCircle(26, 15, 5);
+        oldManGraphics.lineBetween(19, 15, 21, 15);
+        
+        // Grumpy frown
+        oldManGraphics.lineStyle(2, 0x000000, 1);
+        oldManGraphics.beginPath();
+        oldManGraphics.arc(20, 24, 5, 1.1 * Math.PI, 1.9 * Math.PI);
+        oldManGraphics.strokePath();
+        
+        // Arms (ready to throw!)
+        oldManGraphics.fillStyle(0x8B4513, 1);
+        oldManGraphics.fillRect(32, 30, 12, 8);
+        
+        oldManGraphics.generateTexture('oldman', 50, 70);
+        oldManGraphics.destroy();
+        
+        console.log('✅ Old Man placeholder texture created!');
+        
+        // =============================================================
+        // NEWSPAPER PLACEHOLDER
+        // A rolled-up newspaper projectile
+        // =============================================================
+        
+        const newspaperGraphics = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Paper roll (light gray)
+        newspaperGraphics.fillStyle(0xE0E0E0, 1);
+        newspaperGraphics.fillRect(0, 5, 30, 10);
+        
+        // Rubber band (red)
+        newspaperGraphics.fillStyle(0xE53935, 1);
+        newspaperGraphics.fillRect(13, 3, 4, 14);
+        
+        // Text lines (to make it look like a newspaper)
+        newspaperGraphics.lineStyle(1, 0x9E9E9E, 1);
+        newspaperGraphics.lineBetween(3, 8, 11, 8);
+        newspaperGraphics.lineBetween(3, 12, 11, 12);
+        newspaperGraphics.lineBetween(19, 8, 27, 8);
+        newspaperGraphics.lineBetween(19, 12, 27, 12);
+        
+        newspaperGraphics.generateTexture('newspaper', 30, 20);
+        newspaperGraphics.destroy();
+        
+        console.log('✅ Newspaper placeholder texture created!');
+        
+        // =============================================================
+        // SQUIRREL PLACEHOLDERS
+        // Two versions: innocent (cute) and evil (scary eyebrows!)
+        // =============================================================
+        
+        this.createSquirrelTexture('squirrel-innocent', false);
+        this.createSquirrelTexture('squirrel-evil', true);
+        
+        console.log('✅ Squirrel textures created (innocent & evil)!');
+        
+        // =============================================================
+        // ACORN PLACEHOLDER
+        // What the park's boss squirrel throws from its hoard
+        // =============================================================
+        
+        this.createAcornTexture();
+        console.log('✅ Acorn texture created!');
+        
+        // =============================================================
+        // CROSSWALK PLACEHOLDERS
+        // Cars on the cross street, and the crossing guard
+        // =============================================================
+        
+        this.createCarTexture();
+        this.createCrossingGuardTexture();
+        console.log('✅ Crosswalk textures created (car & crossing guard)!');
+        
+        // =============================================================
+        // BULLY PLACEHOLDER
+        // A mean kid in a "Dottie Bacon" shirt
+        // =============================================================
+        
+        this.createBullyTexture();
+        this.createBullyLeaderTexture();
+        console.log('✅ Bully textures created (bully & bully leader)!');
+        
+        // =============================================================
+        // WORD BUBBLE PLACEHOLDER
+        // A speech bubble that falls like a meteor
+        // =============================================================
+        
+        this.createWordBubbleTexture();
+        this.createComebackBubbleTexture();
+        console.log('✅ Word bubble textures created (word bubble & comeback)!');
+        
+        // =============================================================
+        // FRIEND PLACEHOLDERS
+        // A kid from Blueberrydale who's on your side, and the
+        // compliments they throw
+        // =============================================================
+        
+        this.createFriendTexture();
+        this.createComplimentBubbleTexture();
+        console.log('✅ Friend textures created (friend & compliment bubble)!');
+        
+        // =============================================================
+        // PIGEON PLACEHOLDERS
+        // The bird, what it drops, and the mess it leaves behind
+        // =============================================================
+        
+        this.createBirdTexture();
+        this.createDroppingTextures();
+        console.log('✅ Pigeon textures created (bird, dropping & splat)!');
+        
+        // =============================================================
+        // PARTICLE PLACEHOLDER
+        // Simple circle for particle effects
+        // =============================================================
+        
+        const particleGraphics = this.make.graphics({ x: 0, y: 0, add: false });
+        particleGraphics.fillStyle(0xFFFFFF, 1);
+        particleGraphics.fillCircle(4, 4, 4);
+        particleGraphics.generateTexture('particle', 8, 8);
+        particleGraphics.destroy();
+        
+        console.log('✅ Particle texture created!');
+        
+        // =============================================================
+        // POWER-UP TEXTURES
+        // Tasty treats that restore confidence - and special items
+        // with effects that last a few seconds!
+        // =============================================================
+        
+        this.createChocolateTexture();
+        this.createCaramelAppleTexture();
+        this.createHeadphonesTexture();
+        this.createSneakersTexture();
+        this.createUmbrellaTexture();
+        this.createBubbleGumTexture();
+        
+        console.log('✅ Power-up textures created (treats, headphones, sneakers, umbrella & bubble gum)!');
+        
+        // =============================================================
+        // GROUND TEXTURE
+        // The sidewalk the student stands on
+        // =============================================================
+        
+        this.createGroundTexture();
+        console.log('✅ Sidewalk texture created!');
+        
+        // =============================================================
+        // CHECKPOINT TEXTURE
+        // The bus stop that marks each checkpoint
+        // =============================================================
+        
+        this.createBusStopTexture();
+        console.log('✅ Bus stop texture created!');
+        
+        // =============================================================
+        // WEATHER TEXTURES
+        // Raindrops and the puddles they leave (see WeatherManager)
+        // =============================================================
+        
+        this.createWeatherTextures();
+        console.log('✅ Weather textures created (raindrop & puddle)!');
+        
+        // =============================================================
+        // ROUTE
+        // Where the zones, birds, treats and bus stops go (and how far
+        // away the library is) - see RouteManager
+        // =============================================================
+        
+        RouteManager.preload(this);
+    }
+    
+    /**
+     * Create Function
+     * 
+     * Called after preload finishes - everything is ready!
+     * 
+     * WHY start the menu from here? BootScene's only job is getting
+     * assets ready. Once that's done, it hands off to the title screen.
+     */
+    create() {
+        // Check the route file (or fall back to the built-in route)
+        RouteManager.useLoaded(this.cache.json);
+        
+        console.log('✅ Boot complete - heading to the menu!');
+        this.scene.start('MenuScene');
+    }
+    
+    // =============================================================
+    // TEXTURE HELPERS
+    // =============================================================
+    
+    /**
+     * Create the chocolate candy bar texture
+     * 
+     * 🍫 A delicious chocolate bar!
+     */
+    createChocolateTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Wrapper (golden/yellow)
+        g.fillStyle(0xFFD700, 1);
+        g.fillRect(2, 8, 28, 16);
+        
+        // Wrapper ends (folded)
+        g.fillStyle(0xDAA520, 1);
+        g.fillTriangle(2, 8, 2, 24, -3, 16);
+        g.fillTriangle(30, 8, 30, 24, 35, 16);
+        
+        // Exposed chocolate (dark brown)
+        g.fillStyle(0x3E2723, 1);
+        g.fillRect(6, 10, 20, 12);
+        
+        // Chocolate segments
+        g.lineStyle(1, 0x2E1B18, 1);
+        g.lineBetween(11, 10, 11, 22);
+        g.lineBetween(16, 10, 16, 22);
+        g.lineBetween(21, 10, 21, 22);
+        
+        // Shine on wrapper
+        g.fillStyle(0xFFFFFF, 0.3);
+        g.fillRect(4, 9, 8, 3);
+        
+        g.generateTexture('powerup-chocolate', 35, 32);
+        g.destroy();
+    }
+    
+    /**
+     * Create the caramel apple texture
+     * 
+     * 🍎 A yummy caramel-coated apple!
+     */
+    createCaramelAppleTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Stick (wooden)
+        g.fillStyle(0x8B4513, 1);
+        g.fillRect(14, 0, 4, 12);
+        
+        // Apple base (red, partially visible)
+        g.fillStyle(0xDC143C, 1);
+        g.fillCircle(16, 20, 12);
+        
+        // Caramel coating (golden brown, covers most of apple)
+        g.fillStyle(0xD2691E, 1);
+        g.fillCircle(16, 22, 11);
+        
+        // Caramel drips
+        g.fillStyle(0xD2691E, 1);
+        g.fillEllipse(10, 14, 4, 6);
+        g.fillEllipse(22, 15, 4, 5);
+        g.fillEllipse(16, 12, 3, 4);
+        
+        // Shine on caramel
+        g.fillStyle(0xFFFFFF, 0.3);
+        g.fillEllipse(12, 18, 4, 6);
+        
+        // Red apple showing at top
+        g.fillStyle(0xDC143C, 1);
+        g.fillCircle(16, 14, 5);
+        
+        // Leaf
+        g.fillStyle(0x228B22, 1);
+        g.fillEllipse(20, 5, 5, 3);
+        
+        g.generateTexture('powerup-caramel-apple', 32, 35);
+        g.destroy();
+    }
+    
+    /**
+     * Create the headphones texture
+     * 
+     * 🎧 Big comfy headphones - can't hear the bullies!
+     */
+    createHeadphonesTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Headband (a thick arc over the top)
+        g.lineStyle(5, 0x5E35B1, 1);
+        g.beginPath();
+        g.arc(17, 18, 12, Math.PI, 0);
+        g.strokePath();
+        
+        // Ear cups (purple, with dark cushions)
+        g.fillStyle(0x7E57C2, 1);
+        g.fillRoundedRect(1, 15, 10, 16, 4);
+        g.fillRoundedRect(23, 15, 10, 16, 4);
+        g.fillStyle(0x311B92, 1);
+        g.fillRect(9, 18, 3, 10);
+        g.fillRect(22, 18, 3, 10);
+        
+        // Shine on the cups
+        g.fillStyle(0xFFFFFF, 0.35);
+        g.fillRect(3, 17, 3, 6);
+        g.fillRect(25, 17, 3, 6);
+        
+        g.generateTexture('powerup-headphones', 34, 32);
+        g.destroy();
+    }
+    
+    /**
+     * Create the sneakers texture
+     * 
+     * 👟 Brand new running shoes - zoom!
+     */
+    createSneakersTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Shoe upper (bright blue)
+        g.fillStyle(0x1E88E5, 1);
+        g.fillRoundedRect(4, 8, 18, 14, 5);
+        g.fillRoundedRect(10, 13, 24, 9, 4);
+        
+        // White sole
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillRect(3, 21, 32, 5);
+        
+        // Swoosh stripe and laces
+        g.lineStyle(2, 0xFFFFFF, 1);
+        g.lineBetween(8, 18, 24, 15);
+        g.lineStyle(1, 0x0D47A1, 1);
+        g.lineBetween(13, 10, 17, 13);
+        g.lineBetween(15, 9, 19, 12);
+        
+        // Speed lines behind the heel
+        g.lineStyle(2, 0x90CAF9, 1);
+        g.lineBetween(0, 12, 3, 12);
+        g.lineBetween(0, 17, 2, 17);
+        
+        g.generateTexture('powerup-sneakers', 36, 28);
+        g.destroy();
+    }
+    
+    /**
+     * Create the umbrella texture
+     * 
+     * ☂️ An open umbrella - also what the student holds over their head
+     */
+    createUmbrellaTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Canopy (red half-circle)
+        g.fillStyle(0xE53935, 1);
+        g.slice(20, 16, 18, Math.PI, 0, false);
+        g.fillPath();
+        
+        // Scalloped edge (little bites out of the bottom)
+        g.fillStyle(0xC62828, 1);
+        g.fillTriangle(2, 16, 11, 16, 6, 12);
+        g.fillTriangle(11, 16, 20, 16, 15, 12);
+        g.fillTriangle(20, 16, 29, 16, 25, 12);
+        g.fillTriangle(29, 16, 38, 16, 34, 12);
+        
+        // Ribs
+        g.lineStyle(1, 0xB71C1C, 1);
+        g.lineBetween(20, 0, 11, 16);
+        g.lineBetween(20, 0, 29, 16);
+        
+        // Handle (with a hook at the bottom)
+        g.lineStyle(2, 0x5D4037, 1);
+        g.lineBetween(20, 16, 20, 31);
+        g.beginPath();
+        g.arc(17, 31, 3, 0, Math.PI, false);
+        g.strokePath();
+        
+        g.generateTexture('powerup-umbrella', 40, 36);
+        g.destroy();
+    }
+    
+    /**
+     * Create the bubble gum texture
+     * 
+     * 🎈 A pack of bubble gum with a bubble blown - bounce off it!
+     */
+    createBubbleGumTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // The bubble (pink, with a shine)
+        g.fillStyle(0xF48FB1, 1);
+        g.fillCircle(21, 12, 11);
+        g.fillStyle(0xFFFFFF, 0.5);
+        g.fillCircle(17, 8, 3);
+        
+        // The pack (light pink wrapper)
+        g.fillStyle(0xF8BBD0, 1);
+        g.fillRect(3, 18, 20, 12);
+        g.fillStyle(0xEC407A, 1);
+        g.fillRect(3, 22, 20, 4);
+        
+        // Wrapper ends
+        g.fillStyle(0xEC407A, 1);
+        g.fillTriangle(3, 18, 3, 30, 0, 24);
+        g.fillTriangle(23, 18, 23, 30, 26, 24);
+        
+        g.generateTexture('powerup-bubble-gum', 34, 32);
+        g.destroy();
+    }
+    
+    /**
+     * Create the bully texture
+     * 
+     * WHY a function? Keeps preload cleaner and texture code organized
+     */
+    createBullyTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // =============================================================
+        // BULLY BODY - Stocky and intimidating
+        // =============================================================
+        
+        // Legs (dark jeans)
+        g.fillStyle(0x1a1a2e, 1);
+        g.fillRect(12, 45, 10, 18);  // Left leg
+        g.fillRect(25, 45, 10, 18);  // Right leg
+        
+        // Shoes (black sneakers)
+        g.fillStyle(0x000000, 1);
+        g.fillRect(10, 60, 14, 5);
+        g.fillRect(23, 60, 14, 5);
+        
+        // Body - "Dottie Bacon" shirt (maroon/burgundy)
+        g.fillStyle(0x800020, 1);  // Burgundy
+        g.fillRect(10, 22, 27, 25);
+        
+        // Shirt text area (lighter rectangle for the text)
+        g.fillStyle(0xFFFFFF, 0.9);
+        g.fillRect(13, 28, 21, 14);
+        
+        // "DB" text on shirt (simplified)
+        g.fillStyle(0x800020, 1);
+        g.fillRect(15, 30, 3, 10);  // D
+        g.fillRect(18, 30, 2, 2);   // D top
+        g.fillRect(18, 35, 2, 2);   // D middle
+        g.fillRect(18, 38, 2, 2);   // D bottom
+        g.fillRect(23, 30, 3, 10);  // B
+        g.fillRect(26, 30, 2, 2);   // B top
+        g.fillRect(26, 34, 2, 2);   // B middle
+        g.fillRect(26, 38, 2, 2);   // B bottom
+        
+        // Arms (skin tone, raised menacingly)
+        g.fillStyle(0xFFDBAC, 1);
+        g.fillRect(2, 22, 10, 8);   // Left arm (raised)
+        g.fillRect(35, 22, 10, 8);  // Right arm (raised)
+        
+        // Fists
+        g.fillStyle(0xFFDBAC, 1);
+        g.fillCircle(5, 20, 5);     // Left fist
+        g.fillCircle(42, 20, 5);    // Right fist
+        
+        // =============================================================
+        // BULLY HEAD - Mean expression
+        // =============================================================
+        
+        // Head (skin tone)
+        g.fillStyle(0xFFDBAC, 1);
+        g.fillCircle(23, 12, 11);
+        
+        // Hair (short, spiky - dark)
+        g.fillStyle(0x2F1810, 1);
+        g.fillRect(14, 2, 18, 7);
+        g.fillTriangle(14, 2, 14, 9, 10, 6);  // Spike left
+        g.fillTriangle(32, 2, 32, 9, 36, 6);  // Spike right
+        
+        // Mean eyebrows (angry, angled down)
+        g.lineStyle(2, 0x2F1810, 1);
+        g.lineBetween(16, 9, 21, 11);   // Left eyebrow
+        g.lineBetween(25, 11, 30, 9);   // Right eyebrow
+        
+        // Eyes (narrow, mean)
+        g.fillStyle(0x000000, 1);
+        g.fillRect(17, 12, 4, 3);
+        g.fillRect(26, 12, 4, 3);
+        
+        // Mean smirk
+        g.lineStyle(2, 0x000000, 1);
+        g.beginPath();
+        g.moveTo(18, 18);
+        g.lineTo(23, 16);
+        g.lineTo(28, 18);
+        g.strokePath();
+        
+        g.generateTexture('bully', 47, 65);
+        g.destroy();
+    }
+    
+    /**
+     * Create the Bully Leader texture
+     * 
+     * WHY not just a bigger bully? The leader should be picked out of
+     * the crowd at a glance - a varsity jacket and a backwards cap
+     * (the GameScene scales it up - see BullyLeader.SCALE)
+     */
+    createBullyLeaderTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Legs (dark jeans) and shoes (red high-tops)
+        g.fillStyle(0x1a1a2e, 1);
+        g.fillRect(12, 45, 10, 16);
+        g.fillRect(25, 45, 10, 16);
+        g.fillStyle(0xC62828, 1);
+        g.fillRect(10, 58, 14, 7);
+        g.fillRect(23, 58, 14, 7);
+        
+        // Varsity jacket (burgundy, with gold sleeves and trim)
+        g.fillStyle(0x800020, 1);
+        g.fillRect(9, 22, 29, 25);
+        g.fillStyle(0xFFC107, 1);
+        g.fillRect(9, 44, 29, 3);   // Waistband
+        g.fillRect(22, 22, 3, 22);  // Zip
+        
+        // Big "DB" patch on the chest
+        g.fillStyle(0xFFC107, 1);
+        g.fillRect(12, 27, 8, 10);
+        g.fillStyle(0x800020, 1);
+        g.fillRect(14, 29, 2, 6);   // D
+        g.fillRect(17, 29, 2, 6);   // B
+        
+        // Arms (gold sleeves, raised like the other bullies')
+        g.fillStyle(0xFFC107, 1);
+        g.fillRect(1, 22, 10, 9);
+        g.fillRect(36, 22, 10, 9);
+        
+        // Fists
+        g.fillStyle(0xFFDBAC, 1);
+        g.fillCircle(4, 20, 5);
+        g.fillCircle(43, 20, 5);
+        
+        // Head
+        g.fillStyle(0xFFDBAC, 1);
+        g.fillCircle(23, 12, 11);
+        
+        // Backwards cap (red, brim sticking out the back)
+        g.fillStyle(0xC62828, 1);
+        g.fillRect(12, 1, 22, 8);
+        g.fillRect(31, 6, 9, 3);    // Brim
+        
+        // Angry eyebrows and eyes
+        g.lineStyle(2, 0x2F1810, 1);
+        g.lineBetween(15, 9, 21, 12);
+        g.lineBetween(25, 12, 31, 9);
+        g.fillStyle(0x000000, 1);
+        g.fillRect(17, 12, 4, 3);
+        g.fillRect(26, 12, 4, 3);
+        
+        // Sneer
+        g.lineStyle(2, 0x000000, 1);
+        g.lineBetween(18, 18, 28, 17);
+        g.lineBetween(28, 17, 30, 15);
+        
+        g.generateTexture('bully-leader', 47, 65);
+        g.destroy();
+    }
+    
+    /**
+     * Create the word bubble texture
+     * 
+     * WHY a speech bubble shape? The mean words come in speech bubbles!
+     */
+    createWordBubbleTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Main bubble (angry red-tinted white)
+        g.fillStyle(0xFFE4E1, 1);  // Misty rose - slightly angry
+        g.fillRoundedRect(5, 5, 55, 30, 8);
+        
+        // Border (red for "mean")
+        g.lineStyle(3, 0xFF6B6B, 1);
+        g.strokeRoundedRect(5, 5, 55, 30, 8);
+        
+        // Angry spikes around the bubble (like a yelling bubble)
+        g.fillStyle(0xFF6B6B, 1);
+        g.fillTriangle(10, 5, 15, -3, 20, 5);   // Top spike 1
+        g.fillTriangle(35, 5, 40, -5, 45, 5);   // Top spike 2
+        g.fillTriangle(55, 15, 65, 18, 55, 25); // Right spike
+        g.fillTriangle(5, 12, -3, 18, 5, 24);   // Left spike
+        
+        // Tail pointing down (where it "came from")
+        g.fillStyle(0xFFE4E1, 1);
+        g.fillTriangle(25, 35, 35, 35, 30, 45);
+        g.lineStyle(3, 0xFF6B6B, 1);
+        g.lineBetween(25, 35, 30, 45);
+        g.lineBetween(35, 35, 30, 45);
+        
+        g.generateTexture('wordbubble', 70, 50);
+        g.destroy();
+    }
+    
+    /**
+     * Create the friend texture
+     * 
+     * WHY the same shape as the bully? Same age, same street - the
+     * blue Blueberrydale shirt and the smile are what tell them apart
+     */
+    createFriendTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Legs (light jeans) and sneakers
+        g.fillStyle(0x5C7CFA, 1);
+        g.fillRect(12, 45, 10, 18);
+        g.fillRect(25, 45, 10, 18);
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillRect(10, 60, 14, 5);
+        g.fillRect(23, 60, 14, 5);
+        
+        // Body - Blueberrydale blue shirt with a heart on it
+        g.fillStyle(0x1E88E5, 1);
+        g.fillRect(10, 22, 27, 25);
+        g.fillStyle(0xFF80AB, 1);
+        g.fillCircle(20, 31, 3);
+        g.fillCircle(26, 31, 3);
+        g.fillTriangle(17, 32, 29, 32, 23, 39);
+        
+        // Arms - one waving
+        g.fillStyle(0xC68642, 1);
+        g.fillRect(3, 24, 8, 16);   // Left arm (down)
+        g.fillRect(36, 12, 8, 14);  // Right arm (up, waving)
+        g.fillCircle(40, 10, 5);    // Waving hand
+        
+        // Head
+        g.fillStyle(0xC68642, 1);
+        g.fillCircle(23, 12, 11);
+        
+        // Curly hair
+        g.fillStyle(0x3E2723, 1);
+        g.fillCircle(15, 4, 5);
+        g.fillCircle(23, 2, 5);
+        g.fillCircle(31, 4, 5);
+        
+        // Friendly eyes and a big smile
+        g.fillStyle(0x000000, 1);
+        g.fillCircle(19, 12, 2);
+        g.fillCircle(27, 12, 2);
+        g.lineStyle(2, 0x000000, 1);
+        g.beginPath();
+        g.arc(23, 15, 5, 0.2, Math.PI - 0.2);
+        g.strokePath();
+        
+        g.generateTexture('friend', 47, 65);
+        g.destroy();
+    }
+    
+    /**
+     * Create the comeback bubble texture
+     * 
+     * WHY the compliment's shape in gold? It's a word bubble the student
+     * turned around - as friendly as a compliment, but all their own
+     */
+    createComebackBubbleTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Main bubble (warm yellow)
+        g.fillStyle(0xFFF8E1, 1);
+        g.fillRoundedRect(2, 2, 56, 30, 14);
+        
+        // Border (gold)
+        g.lineStyle(3, 0xFFB300, 1);
+        g.strokeRoundedRect(2, 2, 56, 30, 14);
+        
+        g.generateTexture('comeback-bubble', 60, 34);
+        g.destroy();
+    }
+    
+    /**
+     * Create the compliment bubble texture
+     * 
+     * WHY round and soft? Everything the word bubble isn't - no spikes
+     */
+    createComplimentBubbleTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Main bubble (minty green)
+        g.fillStyle(0xE8F5E9, 1);
+        g.fillRoundedRect(2, 2, 56, 30, 14);
+        
+        // Border (friendly green)
+        g.lineStyle(3, 0x66BB6A, 1);
+        g.strokeRoundedRect(2, 2, 56, 30, 14);
+        
+        g.generateTexture('compliment-bubble', 60, 34);
+        g.destroy();
+    }
+    
+    /**
+     * Create the pigeon texture
+     * 
+     * WHY gray with a green neck? That shiny neck is how you know it's a pigeon!
+     */
+    createBirdTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Body (pigeon gray, plump)
+        g.fillStyle(0x8E8E9A, 1);
+        g.fillEllipse(22, 18, 30, 16);
+        
+        // Wing (darker, raised mid-flap)
+        g.fillStyle(0x6E6E7A, 1);
+        g.fillTriangle(14, 14, 30, 14, 24, 0);
+        
+        // Tail feathers (pointing right - it flies to the left)
+        g.fillStyle(0x5A5A66, 1);
+        g.fillTriangle(34, 14, 44, 10, 44, 22);
+        
+        // Shiny green-purple neck
+        g.fillStyle(0x4CAF50, 1);
+        g.fillCircle(10, 15, 5);
+        
+        // Head
+        g.fillStyle(0x8E8E9A, 1);
+        g.fillCircle(7, 11, 5);
+        
+        // Beady orange eye - it knows EXACTLY what it's doing
+        g.fillStyle(0xFF9800, 1);
+        g.fillCircle(6, 10, 2);
+        g.fillStyle(0x000000, 1);
+        g.fillCircle(6, 10, 1);
+        
+        // Beak
+        g.fillStyle(0x424242, 1);
+        g.fillTriangle(2, 11, 0, 13, 3, 13);
+        
+        g.generateTexture('bird', 45, 28);
+        g.destroy();
+    }
+    
+    /**
+     * Create the falling dropping and the splat it leaves on the sidewalk
+     */
+    createDroppingTextures() {
+        // The dropping itself - a little white blob
+        const drop = this.make.graphics({ x: 0, y: 0, add: false });
+        drop.fillStyle(0xFFFFFF, 1);
+        drop.fillCircle(6, 8, 5);
+        drop.fillTriangle(3, 6, 9, 6, 6, 0);
+        drop.fillStyle(0xBDBDBD, 1);
+        drop.fillCircle(7, 9, 2);
+        drop.generateTexture('dropping', 12, 14);
+        drop.destroy();
+        
+        // The splat - flat and messy
+        const splat = this.make.graphics({ x: 0, y: 0, add: false });
+        splat.fillStyle(0xFFFFFF, 0.95);
+        splat.fillEllipse(20, 7, 26, 8);
+        splat.fillCircle(6, 5, 3);
+        splat.fillCircle(35, 4, 2);
+        splat.fillCircle(30, 11, 2);
+        splat.fillStyle(0xBDBDBD, 1);
+        splat.fillEllipse(18, 7, 10, 4);
+        splat.generateTexture('splat', 40, 14);
+        splat.destroy();
+    }
+    
+    /**
+     * Create a squirrel texture
+     * 
+     * WHY a function? We need TWO versions - innocent and evil!
+     * The evil one has scary angry eyebrows!
+     * 
+     * @param {string} textureName - Name for the texture
+     * @param {boolean} isEvil - True for scary eyebrows, false for cute
+     */
+    createSquirrelTexture(textureName, isEvil) {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // =============================================================
+        // SQUIRREL BODY - Cute and round!
+        // =============================================================
+        
+        // Main body (brown, oval shape)
+        g.fillStyle(0x8B4513, 1);  // Saddle brown
+        g.fillEllipse(15, 15, 20, 16);
+        
+        // Lighter belly
+        g.fillStyle(0xDEB887, 1);  // Burlywood
+        g.fillEllipse(13, 17, 10, 8);
+        
+        // =============================================================
+        // FLUFFY TAIL - The signature squirrel feature!
+        // =============================================================
+        
+        g.fillStyle(0x8B4513, 1);
+        // Tail curves up and over (multiple circles for fluffy effect)
+        g.fillCircle(28, 12, 6);
+        g.fillCircle(30, 6, 5);
+        g.fillCircle(28, 2, 4);
+        g.fillCircle(24, 0, 3);
+        
+        // Lighter tail tip
+        g.fillStyle(0xA0522D, 1);
+        g.fillCircle(28, 3, 3);
+        
+        // =============================================================
+        // HEAD AND FACE
+        // =============================================================
+        
+        // Head
+        g.fillStyle(0x8B4513, 1);
+        g.fillCircle(5, 10, 7);
+        
+        // Cute round ears
+        g.fillCircle(1, 4, 3);
+        g.fillCircle(9, 4, 3);
+        
+        // Inner ear (pink)
+        g.fillStyle(0xFFB6C1, 1);
+        g.fillCircle(1, 4, 1.5);
+        g.fillCircle(9, 4, 1.5);
+        
+        // =============================================================
+        // EYES - Innocent or EVIL?
+        // =============================================================
+        
+        // Eye whites
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillCircle(3, 9, 2.5);
+        g.fillCircle(8, 9, 2.5);
+        
+        // Pupils
+        g.fillStyle(0x000000, 1);
+        g.fillCircle(3, 9, 1.5);
+        g.fillCircle(8, 9, 1.5);
+        
+        // Eye shine (cute sparkle)
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillCircle(2, 8, 0.7);
+        g.fillCircle(7, 8, 0.7);
+        
+        if (isEvil) {
+            // =============================================================
+            // SCARY ANGRY EYEBROWS! 😈
+            // =============================================================
+            
+            // Thick angry eyebrows pointing down toward the nose
+            g.fillStyle(0x2F1810, 1);  // Dark brown, almost black
+            
+            // Left eyebrow (angled down toward center) - thicker!
+            g.lineStyle(3, 0x2F1810, 1);
+            g.beginPath();
+            g.moveTo(0, 5);      // Start high on the outside
+            g.lineTo(5, 7);      // End low toward the center
+            g.strokePath();
+            
+            // Right eyebrow (angled down toward center) - thicker!
+            g.beginPath();
+            g.moveTo(11, 5);     // Start high on the outside
+            g.lineTo(6, 7);      // End low toward the center
+            g.strokePath();
+            
+            // Add extra "angry" marks
+            g.lineStyle(1, 0xFF0000, 0.6);
+            g.lineBetween(11, 2, 13, 4);  // Anger vein marks
+        }
+        
+        // =============================================================
+        // NOSE AND MOUTH
+        // =============================================================
+        
+        // Little pink nose
+        g.fillStyle(0xFF69B4, 1);
+        g.fillCircle(1, 12, 1.5);
+        
+        // Tiny front teeth (because squirrel!)
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillRect(0, 13, 1, 2);
+        g.fillRect(2, 13, 1, 2);
+        
+        // =============================================================
+        // LITTLE PAWS
+        // =============================================================
+        
+        g.fillStyle(0x8B4513, 1);
+        // Front paws
+        g.fillEllipse(5, 22, 4, 3);
+        // Back paws (slightly bigger)
+        g.fillEllipse(18, 22, 5, 3);
+        
+        // Generate the texture
+        g.generateTexture(textureName, 35, 25);
+        g.destroy();
+    }
+    
+    /**
+     * Create the student character texture
+     * 
+     * WHY a function? We need to create TWO versions (happy and sad)
+     * with mostly the same code, just different expressions!
+     * 
+     * WHY a crouching version? Ducking squashes the student down to
+     * 36px tall - same head, with the body folded up underneath it.
+     * 
+     * @param {string} textureName - Name for the texture ('player-happy' or 'player-sad')
+     * @param {boolean} isHappy - True for smile, false for frown
+     * @param {boolean} [isCrouching=false] - True for the ducking pose
+     */
+    createStudentTexture(textureName, isHappy, isCrouching = false) {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // =============================================================
+        // BLUE BACKPACK (drawn first so it's behind the body)
+        // =============================================================
+        g.fillStyle(0x2196F3, 1);  // Nice blue color
+        if (isCrouching) {
+            // Hunched over - the backpack sticks up behind her
+            g.fillRect(8, 20, 24, 14);
+            g.lineStyle(1, 0xFFEB3B, 1); // Yellow zipper
+            g.lineBetween(14, 30, 26, 30);
+        } else {
+            g.fillRect(8, 22, 24, 30); // Main backpack body
+            
+            // Backpack straps
+            g.fillStyle(0x1976D2, 1);  // Darker blue for straps
+            g.fillRect(10, 22, 4, 15); // Left strap
+            g.fillRect(26, 22, 4, 15); // Right strap
+            
+            // Backpack pocket
+            g.fillStyle(0x1565C0, 1);  // Even darker blue
+            g.fillRect(12, 38, 16, 10);
+            
+            // Backpack zipper
+            g.lineStyle(1, 0xFFEB3B, 1); // Yellow zipper
+            g.lineBetween(14, 43, 26, 43);
+        }
+        
+        // =============================================================
+        // BODY (pink shirt/dress)
+        // =============================================================
+        g.fillStyle(0xF48FB1, 1);  // Pink
+        if (isCrouching) {
+            g.fillRect(10, 24, 20, 8); // Torso (folded over her knees)
+        } else {
+            g.fillRect(10, 25, 20, 25); // Torso
+        }
+        
+        // =============================================================
+        // HEAD (skin tone)
+        // =============================================================
+        g.fillStyle(0xFFE0BD, 1);  // Light skin tone
+        g.fillCircle(20, 14, 12);  // Head
+        
+        // =============================================================
+        // BLONDE HAIR
+        // =============================================================
+        g.fillStyle(0xFFD54F, 1);  // Blonde/golden color
+        
+        // Hair top (bangs)
+        g.fillRect(8, 2, 24, 10);
+        
+        // Hair sides (pigtails/long hair)
+        g.fillRect(6, 8, 6, 18);   // Left side hair
+        g.fillRect(28, 8, 6, 18);  // Right side hair
+        
+        // Hair curve on top
+        g.fillCircle(20, 6, 10);
+        
+        // =============================================================
+        // FACE
+        // =============================================================
+        
+        // Eyes (big and cute!)
+        g.fillStyle(0xFFFFFF, 1);  // White of eyes
+        g.fillCircle(14, 13, 4);   // Left eye
+        g.fillCircle(26, 13, 4);   // Right eye
+        
+        // Pupils (looking forward)
+        g.fillStyle(0x5D4037, 1);  // Brown eyes
+        g.fillCircle(15, 13, 2);   // Left pupil
+        g.fillCircle(27, 13, 2);   // Right pupil
+        
+        // Eye shine (makes eyes look alive!)
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillCircle(14, 12, 1);   // Left shine
+        g.fillCircle(26, 12, 1);   // Right shine
+        
+        // Eyebrows
+        g.lineStyle(2, 0xFFB300, 1); // Darker blonde
+        if (isHappy) {
+            // Normal happy eyebrows
+            g.lineBetween(11, 8, 17, 9);  // Left eyebrow
+            g.lineBetween(23, 9, 29, 8);  // Right eyebrow
+        } else {
+            // Worried eyebrows (angled up in middle)
+            g.lineBetween(11, 10, 17, 7); // Left eyebrow (worried)
+            g.lineBetween(23, 7, 29, 10); // Right eyebrow (worried)
+        }
+        
+        // Blush (cute pink cheeks)
+        g.fillStyle(0xFFAB91, 0.5);
+        g.fillCircle(9, 17, 3);    // Left blush
+        g.fillCircle(31, 17, 3);   // Right blush
+        
+        // Mouth - THE KEY DIFFERENCE!
+        g.lineStyle(2, 0xE91E63, 1); // Pink mouth color
+        g.beginPath();
+        if (isHappy) {
+            // Big happy smile! 😊
+            g.arc(20, 19, 6, 0.1 * Math.PI, 0.9 * Math.PI);
+        } else {
+            // Worried frown 😟
+            g.arc(20, 24, 5, 1.1 * Math.PI, 1.9 * Math.PI);
+        }
+        g.strokePath();
+        
+        if (isCrouching) {
+            // =============================================================
+            // BENT KNEES AND ARMS (hugging her knees)
+            // =============================================================
+            g.fillStyle(0xFFE0BD, 1);  // Skin tone
+            g.fillRect(8, 30, 24, 3);  // Knees
+            g.fillRect(4, 25, 6, 7);   // Left arm
+            g.fillRect(30, 25, 6, 7);  // Right arm
+            
+            // Shoes
+            g.fillStyle(0x7B1FA2, 1);  // Purple shoes
+            g.fillRect(8, 32, 10, 4);  // Left shoe
+            g.fillRect(22, 32, 10, 4); // Right shoe
+        } else {
+            // =============================================================
+            // LEGS
+            // =============================================================
+            g.fillStyle(0xFFE0BD, 1);  // Skin tone
+            g.fillRect(12, 50, 6, 10); // Left leg
+            g.fillRect(22, 50, 6, 10); // Right leg
+            
+            // Shoes
+            g.fillStyle(0x7B1FA2, 1);  // Purple shoes
+            g.fillRect(10, 57, 8, 5);  // Left shoe
+            g.fillRect(22, 57, 8, 5);  // Right shoe
+            
+            // =============================================================
+            // ARMS
+            // =============================================================
+            g.fillStyle(0xFFE0BD, 1);  // Skin tone
+            g.fillRect(4, 28, 6, 12);  // Left arm
+            g.fillRect(30, 28, 6, 12); // Right arm
+        }
+        
+        // Generate the texture!
+        g.generateTexture(textureName, 40, isCrouching ? 36 : 62);
+        g.destroy();
+    }
+    
+    /**
+     * Create the sidewalk ground texture
+     * 
+     * WHY here and not in GameScene? The texture only needs to exist once.
+     * GameScene just places a physics body using it each run.
+     */
+    createGroundTexture() {
+        // Create a graphics object for the ground (sidewalk)
+        const groundGraphics = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Draw the sidewalk - matches the background's ground layer
+        groundGraphics.fillStyle(0x9E9E9E, 1);  // Concrete gray
+        groundGraphics.fillRect(0, 0, 800, 50);
+        
+        // Add sidewalk texture (subtle lines)
+        groundGraphics.lineStyle(1, 0x757575, 0.3);
+        for (let x = 0; x < 800; x += 80) {
+            groundGraphics.lineBetween(x, 0, x, 50);
+        }
+        
+        // Generate texture from graphics
+        groundGraphics.generateTexture('ground', 800, 50);
+        groundGraphics.destroy();
+    }
+    
+    /**
+     * Create the bus stop checkpoint texture
+     * 
+     * WHY a bus stop? Every kid knows one - a safe spot to catch
+     * your breath on the way!
+     */
+    createBusStopTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Shelter roof
+        g.fillStyle(0x1565C0, 1);
+        g.fillRect(10, 20, 70, 8);
+        
+        // Shelter back panel (see-through glass)
+        g.fillStyle(0xB3E5FC, 0.5);
+        g.fillRect(14, 28, 62, 50);
+        
+        // Shelter posts
+        g.fillStyle(0x616161, 1);
+        g.fillRect(12, 28, 4, 82);
+        g.fillRect(74, 28, 4, 82);
+        
+        // Bench
+        g.fillStyle(0x8D6E63, 1);
+        g.fillRect(20, 84, 50, 6);
+        g.fillRect(24, 90, 4, 20);
+        g.fillRect(62, 90, 4, 20);
+        
+        // Sign pole
+        g.fillStyle(0x757575, 1);
+        g.fillRect(96, 14, 4, 96);
+        
+        // Round bus stop sign
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillCircle(98, 14, 13);
+        g.fillStyle(0x1565C0, 1);
+        g.fillCircle(98, 14, 10);
+        
+        g.generateTexture('bus-stop', 112, 110);
+        g.destroy();
+    }
+    
+    /**
+     * Create the acorn the park's boss squirrel throws
+     */
+    createAcornTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // The nut (brown, a bit pointy at the bottom)
+        g.fillStyle(0xA1662F, 1);
+        g.fillEllipse(8, 11, 12, 12);
+        g.fillTriangle(4, 13, 12, 13, 8, 18);
+        
+        // Shine
+        g.fillStyle(0xD7A86E, 1);
+        g.fillEllipse(6, 11, 3, 5);
+        
+        // The cap (darker, with a little stem)
+        g.fillStyle(0x5D4037, 1);
+        g.fillEllipse(8, 6, 16, 7);
+        g.fillRect(7, 0, 2, 4);
+        
+        g.generateTexture('acorn', 16, 18);
+        g.destroy();
+    }
+    
+    /**
+     * Create a car, seen from the front
+     * 
+     * WHY from the front? The cross street runs away from the sidewalk -
+     * cars come down it toward the player (see MapleStreetCrosswalk)
+     */
+    createCarTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Tires
+        g.fillStyle(0x212121, 1);
+        g.fillRect(4, 38, 12, 10);
+        g.fillRect(64, 38, 12, 10);
+        
+        // Body (white - the zone tints each car its own color)
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillRoundedRect(0, 18, 80, 24, 6);
+        g.fillRoundedRect(12, 2, 56, 20, 6);
+        
+        // Windshield
+        g.fillStyle(0x90CAF9, 1);
+        g.fillRect(17, 6, 46, 13);
+        
+        // Headlights and grille
+        g.fillStyle(0xFFF59D, 1);
+        g.fillCircle(12, 28, 5);
+        g.fillCircle(68, 28, 5);
+        g.fillStyle(0x616161, 1);
+        g.fillRect(28, 26, 24, 8);
+        
+        g.generateTexture('car', 80, 48);
+        g.destroy();
+    }
+    
+    /**
+     * Create the crossing guard: a grown-up in a bright vest with a
+     * STOP paddle
+     */
+    createCrossingGuardTexture() {
+        const g = this.make.graphics({ x: 0, y: 0, add: false });
+        
+        // Legs
+        g.fillStyle(0x37474F, 1);
+        g.fillRect(12, 52, 7, 20);
+        g.fillRect(22, 52, 7, 20);
+        
+        // Safety vest (with reflective stripes)
+        g.fillStyle(0xFF9800, 1);
+        g.fillRect(9, 24, 24, 30);
+        g.fillStyle(0xFFFF8D, 1);
+        g.fillRect(9, 34, 24, 3);
+        g.fillRect(9, 44, 24, 3);
+        
+        // Head and cap
+        g.fillStyle(0xFFCC99, 1);
+        g.fillCircle(21, 15, 9);
+        g.fillStyle(0x1565C0, 1);
+        g.fillRect(11, 4, 20, 6);
+        g.fillRect(21, 8, 14, 3);
+        
+        // STOP paddle on its handle
+        g.fillStyle(0x795548, 1);
+        g.fillRect(38, 22, 3, 30);
+        g.fillStyle(0xD32F2F, 1);
+        g.fillCircle(39, 14, 10);
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillRect(33, 12, 12, 4);
+        
+        g.generateTexture('crossing-guard', 50, 72);
+        g.destroy();
+    }
+    
+    /**
+     * Create the raindrop and puddle textures
+     */
+    createWeatherTextures() {
+        // A raindrop - a thin streak (it falls too fast to look round)
+        const drop = this.make.graphics({ x: 0, y: 0, add: false });
+        drop.fillStyle(0xB3E5FC, 1);
+        drop.fillRect(0, 0, 2, 12);
+        drop.generateTexture('raindrop', 2, 12);
+        drop.destroy();
+        
+        // A puddle - flat, with a lighter shine on top
+        // WHY 80 wide? WeatherManager.PUDDLE_WIDTH - wider than a step,
+        // so walking through it takes a moment
+        const puddle = this.make.graphics({ x: 0, y: 0, add: false });
+        puddle.fillStyle(0x4FC3F7, 0.75);
+        puddle.fillEllipse(40, 7, 80, 12);
+        puddle.fillStyle(0xE1F5FE, 0.8);
+        puddle.fillEllipse(30, 5, 24, 3);
+        puddle.fillEllipse(55, 8, 12, 2);
+        puddle.generateTexture('puddle', 80, 14);
+        puddle.destroy();
+    }
+}
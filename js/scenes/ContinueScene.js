@@ -0,0 +1,128 @@
+/**
+ * ContinueScene Class
+ * 
+ * "Continue from checkpoint?" - shown on top of the paused GameScene
+ * when the student runs out of confidence after reaching a bus stop.
+ * Only used when "Checkpoint Continues" is turned on in Settings.
+ * 
+ * WHY a separate scene? (same as PauseScene)
+ * - The GameScene is fully paused, so its own input is frozen too
+ * - A scene running on top can still listen for keys and taps
+ * 
+ * Options:
+ * - Continue: start again from the last bus stop, with the distance,
+ *   speed and confidence saved there
+ * - Walk home: carry on with the sad walk back to school
+ */
+class ContinueScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the continue scene
+     */
+    constructor() {
+        super({ key: 'ContinueScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Receive the checkpoint to offer
+     * 
+     * @param {Object} data - { checkpoint, runConfig } from GameScene.onConfidenceDepleted()
+     */
+    init(data) {
+        this.checkpoint = data.checkpoint;
+        this.runConfig = data.runConfig || {};
+    }
+    
+    /**
+     * Build the continue overlay
+     */
+    create() {
+        // Dim the frozen game behind us
+        this.add.rectangle(400, 300, 800, 600, 0x000000, 0.6);
+        
+        const titleText = this.add.text(400, 160, '😢 Out of confidence!', {
+            fontSize: '44px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        // WHY mention the confidence? So the player knows what they're getting back
+        const subtitleText = this.add.text(400, 215,
+            `Catch your breath at the ${this.checkpoint.meters}m bus stop? (${Math.round(this.checkpoint.confidence)}% confidence)`,
+            {
+                fontSize: '20px',
+                fontFamily: 'Arial',
+                color: '#cccccc'
+            }
+        );
+        subtitleText.setOrigin(0.5);
+        
+        this.touchControls = new TouchControls(this, null);
+        this.menu = new MenuList(this, 400, 290, [
+            { label: `🚏 Continue from ${this.checkpoint.meters}m`, onSelect: () => this.continueRun() },
+            { label: '😔 Walk home', onSelect: () => this.walkHome() }
+        ], this.touchControls);
+        
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Check menu input
+     */
+    update() {
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Start the run again from the checkpoint
+     * 
+     * WHY scene.start('GameScene')? Like PauseScene's Restart - the
+     * GameScene is created fresh, then moves itself to the checkpoint
+     */
+    continueRun() {
+        this.menu.lock();
+        
+        console.log(`🚏 Continuing from ${this.checkpoint.meters}m...`);
+        this.scene.start('GameScene', Object.assign({}, this.runConfig, {
+            checkpoint: this.checkpoint
+        }));
+    }
+    
+    /**
+     * Say no thanks - the student walks home and the run ends
+     */
+    walkHome() {
+        this.menu.lock();
+        
+        this.scene.resume('GameScene');
+        this.scene.stop();
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when the overlay closes
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
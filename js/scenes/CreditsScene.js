@@ -0,0 +1,109 @@
+/**
+ * CreditsScene Class
+ * 
+ * Who made Library Run, and what it was made with!
+ */
+class CreditsScene extends Phaser.Scene {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // The credits, one line per entry
+    static LINES = [
+        '🎮 Game design & code: the Library Run team',
+        '🎨 Art: drawn entirely in code (no image files!)',
+        '⚙️ Built with Phaser 3',
+        '',
+        '📚 Dedicated to everyone who just wants',
+        'to get to the library in peace.',
+        '',
+        '💙 Thanks for playing!'
+    ];
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the credits scene
+     */
+    constructor() {
+        super({ key: 'CreditsScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Build the credits screen
+     */
+    create() {
+        // Panel behind the credits
+        const panel = this.add.rectangle(400, 300, 560, 480, 0xffffff, 0.85);
+        panel.setStrokeStyle(3, 0x1976D2);
+        
+        const titleText = this.add.text(400, 95, '🎬 Credits', {
+            fontSize: '40px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        const creditsText = this.add.text(400, 270, CreditsScene.LINES.join('\n'), {
+            fontSize: '18px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            align: 'center',
+            lineSpacing: 8
+        });
+        creditsText.setOrigin(0.5);
+        
+        this.touchControls = new TouchControls(this, null);
+        this.menu = new MenuList(this, 400, 470, [
+            { label: '⬅️ Back', onSelect: () => this.goBack() }
+        ], this.touchControls);
+        
+        // Escape also goes back
+        this.input.keyboard.once('keydown-ESC', this.goBack, this);
+        
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Check menu input
+     */
+    update() {
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Return to the title menu
+     */
+    goBack() {
+        // WHY check? Esc and the Back entry could both fire
+        if (this.menu.isLocked) return;
+        this.menu.lock();
+        this.scene.start('MenuScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when leaving the credits screen
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
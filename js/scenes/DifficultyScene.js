@@ -0,0 +1,241 @@
+/**
+ * DifficultyScene Class
+ * 
+ * Shown after pressing Play - pick how tough the walk will be!
+ * Easy, Normal and Hard start the run right away. Custom opens a
+ * second list where each part of the difficulty can be set on its own.
+ * 
+ * The first entry switches between the walk to the library and
+ * Endless mode (no library - see EndlessManager).
+ * 
+ * WHY before every run? The difficulty goes into the run config, so
+ * it's fixed for the whole run (and for its "Try Again" and replay)
+ * 
+ * The last choice is remembered (DifficultyManager), so playing again
+ * is still just two presses.
+ */
+class DifficultyScene extends Phaser.Scene {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // What difficulty changes (shown under the list)
+    static HINT =
+        'Difficulty changes how much hits hurt, how often the Old Man and ' +
+        'the bullies throw, how many treats appear and how fast the walk speeds up.';
+    
+    // What Endless mode is (shown under the list instead, when it's picked)
+    // WHY {meters}? A neighborhood is as long as the route's walk to the library
+    static ENDLESS_HINT =
+        'Endless: no library, no closing time - the neighborhood keeps going ' +
+        'and gets tougher every {meters}m. How far can you walk?';
+    
+    // Is Endless mode picked?
+    // WHY not saved like the difficulty? Every visit starts on the walk
+    // to the library - Endless is for after you've beaten it
+    static isEndless = false;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the difficulty scene
+     */
+    constructor() {
+        super({ key: 'DifficultyScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Build the difficulty screen
+     */
+    create() {
+        // Panel behind the list
+        const panel = this.add.rectangle(400, 300, 560, 480, 0xffffff, 0.85);
+        panel.setStrokeStyle(3, 0x1976D2);
+        
+        this.titleText = this.add.text(400, 95, '', {
+            fontSize: '40px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        this.titleText.setOrigin(0.5);
+        
+        this.hintText = this.add.text(400, 508, DifficultyScene.HINT, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            align: 'center',
+            wordWrap: { width: 500 }
+        });
+        this.hintText.setOrigin(0.5);
+        
+        this.touchControls = new TouchControls(this, null);
+        this.menu = null;
+        
+        // Is the Custom list showing?
+        this.isEditingCustom = false;
+        
+        this.showPresets();
+        
+        // Escape goes back (to the presets, or to the title menu)
+        this.input.keyboard.on('keydown-ESC', this.goBack, this);
+        
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Check menu input
+     */
+    update() {
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // LISTS
+    // =============================================================
+    
+    /**
+     * Show Easy / Normal / Hard / Custom
+     */
+    showPresets() {
+        this.isEditingCustom = false;
+        this.titleText.setText('🎚️ Difficulty');
+        this.hintText.setVisible(true);
+        this.updateHint();
+        
+        const keys = Object.keys(DifficultyManager.PRESETS).concat('custom');
+        const items = keys.map(key => ({
+            label: key === 'custom' ? `${DifficultyManager.getLabel(key)}...` : DifficultyManager.getLabel(key),
+            onSelect: () => key === 'custom' ? this.showCustom() : this.startRun(key)
+        }));
+        items.unshift({
+            label: () => DifficultyScene.isEndless ? '♾️ Mode: Endless' : '📚 Mode: To the Library',
+            onSelect: () => this.toggleEndless()
+        });
+        items.push({ label: '⬅️ Back', onSelect: () => this.goBack() });
+        
+        // WHY start on the last choice? Enter plays the same way again
+        // (+1 for the mode entry at the top)
+        this.replaceMenu(items, 150, Math.max(keys.indexOf(DifficultyManager.getSelected()), 0) + 1);
+    }
+    
+    /**
+     * Switch between the walk to the library and Endless mode
+     */
+    toggleEndless() {
+        DifficultyScene.isEndless = !DifficultyScene.isEndless;
+        this.updateHint();
+        
+        console.log(DifficultyScene.isEndless ? '♾️ Endless mode on' : '📚 Walking to the library');
+    }
+    
+    /**
+     * Explain the difficulty - or Endless mode, when it's picked
+     */
+    updateHint() {
+        const endlessHint = DifficultyScene.ENDLESS_HINT.replace('{meters}', RouteManager.getRoute().goalMeters);
+        this.hintText.setText(DifficultyScene.isEndless ? endlessHint : DifficultyScene.HINT);
+    }
+    
+    /**
+     * Show the Custom mix - each entry cycles Easy / Normal / Hard
+     */
+    showCustom() {
+        this.isEditingCustom = true;
+        this.titleText.setText(`${DifficultyManager.CUSTOM_ICON} Custom`);
+        this.hintText.setVisible(false);
+        
+        const groups = DifficultyManager.CUSTOM_GROUPS;
+        const items = Object.keys(groups).map(group => ({
+            label: () => `${groups[group].label}: ${DifficultyManager.PRESETS[DifficultyManager.getCustom()[group]].label}`,
+            onSelect: () => DifficultyManager.cycleCustom(group)
+        }));
+        items.push({ label: '▶️ Start Walk', onSelect: () => this.startRun('custom') });
+        items.push({ label: '⬅️ Back', onSelect: () => this.goBack() });
+        
+        this.replaceMenu(items, 160, 0);
+    }
+    
+    /**
+     * Swap the menu for a new list of entries
+     * 
+     * @param {Array<Object>} items - Entries for MenuList
+     * @param {number} y - Y of the first entry
+     * @param {number} selectedIndex - Entry to highlight first
+     */
+    replaceMenu(items, y, selectedIndex) {
+        if (this.menu) {
+            // WHY lock first? We may be inside the old menu's select()
+            this.menu.lock();
+            this.menu.destroy();
+        }
+        
+        this.menu = new MenuList(this, 400, y, items, this.touchControls);
+        this.menu.selectedIndex = selectedIndex;
+        this.menu.highlight();
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Start a run at the chosen difficulty
+     * 
+     * WHY put the mode in the run config? Changing it later mustn't
+     * change "Try Again" or a saved replay (same for the Custom mix)
+     * 
+     * @param {string} key - A key of DifficultyManager.PRESETS, or 'custom'
+     */
+    startRun(key) {
+        this.menu.lock();
+        DifficultyManager.select(key);
+        
+        const runConfig = DifficultyManager.createRunConfig(key);
+        if (DifficultyScene.isEndless) {
+            runConfig.mode = 'endless';
+        }
+        
+        console.log(`🎒 Starting a new ${DifficultyScene.isEndless ? 'Endless ' : ''}run on ${DifficultyManager.getLabel(key)}!`);
+        this.scene.start('GameScene', runConfig);
+    }
+    
+    /**
+     * Leave the Custom list, or return to the title menu
+     */
+    goBack() {
+        // WHY check? Esc and the Back entry could both fire
+        if (this.menu.isLocked) return;
+        
+        if (this.isEditingCustom) {
+            this.showPresets();
+            return;
+        }
+        
+        this.menu.lock();
+        this.scene.start('MenuScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when leaving the difficulty screen
+     */
+    shutdown() {
+        this.input.keyboard.off('keydown-ESC', this.goBack, this);
+        
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
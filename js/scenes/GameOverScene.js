@@ -0,0 +1,511 @@
+/**
+ * GameOverScene Class
+ * 
+ * The results screen shown at the end of every run - win OR lose!
+ * It sits on top of the paused GameScene so the frozen neighborhood
+ * stays visible behind the overlay.
+ * 
+ * WHY one scene for both outcomes?
+ * - CONTEXT.md's game flow has a single GAME OVER step for WIN and LOSE
+ * - Both screens share the overlay, buttons and fade-in animation
+ * - The GameScene just reports WHAT happened; this scene decides how it looks
+ * 
+ * Scene data (from GameScene.endRun()):
+ * - outcome: 'defeat', 'closed' (out of time) or 'victory'
+ * - meters: how far the student got
+ * - confidence: confidence left at the end
+ * - arrivalTime / minutesToSpare: when a winner reached the library
+ *   (null if the library never closes)
+ * - dodges / nearMisses: obstacles the student got past untouched
+ * - score: the points breakdown (see ScoreManager.getBreakdown)
+ * - difficulty: the difficulty the run was played on
+ * - endless: true for an Endless mode walk (no library - only distance counts)
+ * - isNewBest: true if this was the player's farthest walk
+ * - seed: the random seed the run used (to reproduce it)
+ * - replay: the recorded run (to save or export)
+ * - runConfig: the config the run started with (for "Try Again")
+ */
+class GameOverScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the game over scene
+     */
+    constructor() {
+        super({ key: 'GameOverScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Receive the run result from the GameScene
+     * 
+     * @param {Object} data - The run result (see class comment)
+     */
+    init(data) {
+        this.result = Object.assign({
+            outcome: 'defeat',
+            meters: 0,
+            confidence: 0,
+            dodges: 0,
+            nearMisses: 0,
+            arrivalTime: null,
+            minutesToSpare: null,
+            score: null,
+            difficulty: null,
+            endless: false,
+            isNewBest: false,
+            seed: '',
+            replay: null,
+            runConfig: {}
+        }, data);
+    }
+    
+    /**
+     * Build the results screen for this outcome
+     */
+    create() {
+        console.log(`🎮 Showing ${this.result.outcome} screen...`);
+        
+        // Elements that fade in one after another
+        // WHY collect them? So both layouts share one animation
+        this.revealItems = [];
+        
+        if (this.result.outcome === 'victory') {
+            this.createVictoryLayout();
+        } else {
+            this.createDefeatLayout();
+        }
+        
+        this.createSeedText();
+        this.createDifficultyText();
+        this.createMenuButton();
+        this.createReplayButtons();
+        this.animateIn();
+    }
+    
+    // =============================================================
+    // LAYOUTS
+    // =============================================================
+    
+    /**
+     * Show the Game Over screen
+     * 
+     * WHY a full-screen overlay?
+     * - Clearly shows the player they lost
+     * - Provides a retry option
+     * - Makes the "defeat" feel meaningful
+     * 
+     * Used for both ways to lose - running out of confidence, or
+     * running out of time ('closed') - only the messages change.
+     */
+    createDefeatLayout() {
+        const isClosed = this.result.outcome === 'closed';
+        
+        // Create a semi-transparent dark overlay
+        // WHY? Dims the game world to focus attention on the message
+        this.add.rectangle(400, 300, 800, 600, 0x000000, 0.7);
+        
+        // Main "Game Over" message
+        // WHY large text? It's the most important thing on screen
+        const gameOverText = this.add.text(400, 100, isClosed ? '🕕 Too late!' : '😢 Oh no!', {
+            fontSize: '64px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            fontStyle: 'bold'
+        });
+        gameOverText.setOrigin(0.5);  // Center the text
+        
+        // Encouraging subtitle
+        // WHY this message? It's a kid-friendly game - be encouraging!
+        const subtitleText = this.add.text(400, 165, isClosed ? 'The library is closed!' : 'Your confidence ran out...', {
+            fontSize: '28px',
+            fontFamily: 'Arial',
+            color: '#cccccc'
+        });
+        subtitleText.setOrigin(0.5);
+        
+        // Distance achieved
+        // WHY show this? Gives the player a sense of progress
+        // WHY mention a new best? Even a lost run can be progress!
+        const distanceText = this.add.text(400, 225, `${this.getDistanceSummary()}\n${this.getDodgeSummary()}`, {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            color: '#87CEEB',
+            align: 'center'
+        });
+        distanceText.setOrigin(0.5);
+        
+        // Points, item by item
+        const scoreItems = this.createScorePanel(340);
+        
+        // Hopeful message
+        // WHY? End on a positive note - it's okay to try again!
+        const hopeText = this.add.text(400, 430, '🌟 Maybe tomorrow will be better! 🌟', {
+            fontSize: '24px',
+            fontFamily: 'Arial',
+            color: '#FFD700'
+        });
+        hopeText.setOrigin(0.5);
+        
+        // Retry button
+        // WHY a button? Players need a way to try again!
+        const retryButton = this.createButton(400, 490, '🔄 Try Again', {
+            fontSize: '32px',
+            color: '#4CAF50',
+            hoverBackground: '#e8e8e8'
+        }, () => this.restartRun());
+        
+        this.revealItems.push(gameOverText, subtitleText, distanceText, ...scoreItems, hopeText, retryButton);
+    }
+    
+    /**
+     * Show the victory screen with stats
+     * 
+     * WHY different from defeat? Reaching the library is a big deal -
+     * the player deserves a celebration and a look at how they did!
+     */
+    createVictoryLayout() {
+        // Create overlay
+        this.add.rectangle(400, 300, 800, 600, 0x000000, 0.85);
+        
+        // Victory title
+        const titleText = this.add.text(400, 60, '📚 CONGRATULATIONS! 📚', {
+            fontSize: '42px',
+            fontFamily: 'Georgia, serif',
+            color: '#FFD700',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        // Success message
+        const successText = this.add.text(400, 110, 'You reached the Blueberrydale Public Library!', {
+            fontSize: '24px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF'
+        });
+        successText.setOrigin(0.5);
+        
+        // Stats box
+        // WHY taller with a clock? One more line of stats to fit
+        const timeSummary = this.getTimeSummary();
+        const statsBox = this.add.rectangle(400, 215, 440, timeSummary ? 160 : 136, 0x2C3E50, 0.9);
+        statsBox.setStrokeStyle(3, 0x4CAF50);
+        
+        // Stats text
+        const statsText = this.add.text(400, 215,
+            `📏 Distance: ${this.result.meters}m\n` +
+            `💪 Confidence Left: ${Math.round(this.result.confidence)}%\n` +
+            `${this.getDodgeSummary()}\n` +
+            (timeSummary ? `${timeSummary}\n` : '') +
+            `⭐ You did it!`,
+            {
+                fontSize: '20px',
+                fontFamily: 'Arial',
+                color: '#FFFFFF',
+                align: 'center',
+                lineSpacing: 5
+            }
+        );
+        statsText.setOrigin(0.5);
+        
+        // Points, item by item
+        const scoreItems = this.createScorePanel(370);
+        
+        // Encouraging message
+        const encourageText = this.add.text(400, 450,
+            '🌟 Knowledge awaits inside! Great job getting here safely! 🌟',
+            {
+                fontSize: '18px',
+                fontFamily: 'Arial',
+                color: '#87CEEB',
+                align: 'center'
+            }
+        );
+        encourageText.setOrigin(0.5);
+        
+        // Play Again button
+        const playAgainBtn = this.createButton(400, 505, '🔄 Play Again', {
+            fontSize: '32px',
+            color: '#4CAF50',
+            hoverBackground: '#E8F5E9',
+            hoverColor: '#2E7D32'
+        }, () => this.restartRun());
+        
+        this.revealItems.push(titleText, successText, statsBox, statsText, ...scoreItems, encourageText, playAgainBtn);
+    }
+    
+    /**
+     * Show the score and where it came from (both layouts)
+     * 
+     * WHY itemize it? Seeing what earned the points shows what to
+     * do better next time - more dodges in a row, more treats...
+     * 
+     * @param {number} y - Center Y position of the panel
+     * @returns {Array} The panel's game objects (for the fade-in)
+     */
+    createScorePanel(y) {
+        const score = this.result.score;
+        if (!score) return [];
+        
+        const panel = this.add.rectangle(400, y, 600, 110, 0x2C3E50, 0.9);
+        panel.setStrokeStyle(3, 0xFFD700);
+        
+        const totalText = this.add.text(400, y - 32, `⭐ Score: ${score.total}`, {
+            fontSize: '26px',
+            fontFamily: 'Arial',
+            color: '#FFD700',
+            fontStyle: 'bold'
+        });
+        totalText.setOrigin(0.5);
+        
+        const itemsText = this.add.text(400, y + 18, this.getScoreItems(score).join('\n'), {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            align: 'center',
+            lineSpacing: 6
+        });
+        itemsText.setOrigin(0.5);
+        
+        return [panel, totalText, itemsText];
+    }
+    
+    /**
+     * Describe each part of the score
+     * 
+     * @param {Object} score - From ScoreManager.getBreakdown()
+     * @returns {string[]} Two lines of "what: +points" items
+     */
+    getScoreItems(score) {
+        const treats = `${score.powerUpCount} treat${score.powerUpCount === 1 ? '' : 's'}`;
+        const firstLine = [
+            `📏 ${score.meters}m +${score.distance}`,
+            `🕺 Dodges +${score.dodges}`,
+            `🍫 ${treats} +${score.powerUps}`
+        ];
+        
+        const secondLine = [`💪 ${score.confidenceLeft}% confidence +${score.confidence}`];
+        if (score.minutesToSpare !== null) {
+            secondLine.push(`🕒 ${score.minutesToSpare} min to spare +${score.time}`);
+        }
+        secondLine.push(`🔥 Best combo x${score.bestMultiplier}`);
+        
+        return [firstLine.join('   '), secondLine.join('   ')];
+    }
+    
+    /**
+     * Describe how far a lost run got (and whether it's a new best)
+     * 
+     * @returns {string} One or two lines - Endless mode has no library
+     *                   to walk toward, just a best distance to beat
+     */
+    getDistanceSummary() {
+        const { meters, isNewBest, endless } = this.result;
+        
+        if (endless) {
+            return `You walked ${meters}m through the endless neighborhood!` +
+                   (isNewBest ? "\n🏅 That's your farthest Endless walk yet!" : '');
+        }
+        return `You made it ${meters}m toward the library!` +
+               (isNewBest ? "\n🏅 That's your farthest walk yet!" : '');
+    }
+    
+    /**
+     * Describe the run's dodges in one line (both layouts)
+     * 
+     * @returns {string} e.g. "🕺 Dodges: 7 (2 near misses!)"
+     */
+    getDodgeSummary() {
+        const { dodges, nearMisses } = this.result;
+        
+        if (nearMisses > 0) {
+            return `🕺 Dodges: ${dodges} (${nearMisses} near miss${nearMisses === 1 ? '' : 'es'}!)`;
+        }
+        return `🕺 Dodges: ${dodges}`;
+    }
+    
+    /**
+     * Describe when the student got to the library (victory only)
+     * 
+     * @returns {string|null} e.g. "🕒 Arrived at 5:12 PM (48 min to spare!)",
+     *                        or null if the library never closes
+     */
+    getTimeSummary() {
+        const { arrivalTime, minutesToSpare } = this.result;
+        if (!arrivalTime) return null;
+        
+        return `🕒 Arrived at ${arrivalTime} (${minutesToSpare} min to spare!)`;
+    }
+    
+    /**
+     * Show the run's random seed in the corner (both layouts)
+     * 
+     * WHY? Typing it into the URL (?seed=...) replays the same
+     * obstacles, power-ups and timings - handy for bug reports!
+     */
+    createSeedText() {
+        if (!this.result.seed) return;
+        
+        const seedText = this.add.text(790, 10, `🌱 Seed: ${this.result.seed}`, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#aaaaaa'
+        });
+        seedText.setOrigin(1, 0);  // Anchor to the top-right corner
+        
+        this.revealItems.push(seedText);
+    }
+    
+    /**
+     * Show the run's difficulty (and Endless mode) in the other corner
+     * (both layouts)
+     * 
+     * WHY? 1500m on Hard and 1500m on Easy are different walks!
+     */
+    createDifficultyText() {
+        if (!this.result.difficulty) return;
+        
+        const mode = this.result.endless ? '  ·  ♾️ Endless' : '';
+        const difficultyText = this.add.text(10, 10, `Difficulty: ${DifficultyManager.getLabel(this.result.difficulty)}${mode}`, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#aaaaaa'
+        });
+        
+        this.revealItems.push(difficultyText);
+    }
+    
+    /**
+     * Add the "Main Menu" button shared by both layouts
+     */
+    createMenuButton() {
+        const label = this.result.runConfig.playtest ? '🗺️ Back to Editor' : '🏠 Main Menu';
+        const menuButton = this.createButton(400, 570, label, {
+            fontSize: '20px',
+            color: '#2c3e50',
+            hoverBackground: '#e8e8e8'
+        }, () => this.returnToMenu());
+        
+        this.revealItems.push(menuButton);
+    }
+    
+    /**
+     * Add the "Save Replay" and "Export" buttons on either side of "Main Menu"
+     * 
+     * WHY not save every run automatically? Replays are big and
+     * localStorage is small - keep the ones the player cares about
+     */
+    createReplayButtons() {
+        if (!this.result.replay) return;
+        
+        const buttonStyle = {
+            fontSize: '18px',
+            color: '#2c3e50',
+            hoverBackground: '#e8e8e8'
+        };
+        
+        const saveButton = this.createButton(190, 570, '💾 Save Replay', buttonStyle, () => {
+            // WHY disable? Saving the same replay twice would just replace it
+            saveButton.disableInteractive();
+            const isSaved = ReplayManager.save(this.result.replay);
+            saveButton.setText(isSaved ? '✅ Saved!' : '⚠️ Not saved');
+        });
+        
+        const exportButton = this.createButton(610, 570, '⬇️ Export', buttonStyle, () => {
+            ReplayManager.exportToFile(this.result.replay);
+        });
+        
+        this.revealItems.push(saveButton, exportButton);
+    }
+    
+    // =============================================================
+    // HELPERS
+    // =============================================================
+    
+    /**
+     * Create a clickable text button
+     * 
+     * WHY a helper? Every button here needs the same hover feedback
+     * 
+     * @param {number} x - Center X position
+     * @param {number} y - Center Y position
+     * @param {string} label - Button text
+     * @param {Object} style - fontSize, color, hoverBackground, hoverColor
+     * @param {Function} onClick - Called when the button is pressed
+     * @returns {Phaser.GameObjects.Text} The button
+     */
+    createButton(x, y, label, style, onClick) {
+        const button = this.add.text(x, y, label, {
+            fontSize: style.fontSize,
+            fontFamily: 'Arial',
+            color: style.color,
+            backgroundColor: '#ffffff',
+            padding: { x: 20, y: 10 }
+        });
+        button.setOrigin(0.5);
+        button.setInteractive({ useHandCursor: true });
+        
+        // Button hover effects
+        // WHY? Visual feedback makes it clear the button is clickable
+        button.on('pointerover', () => {
+            button.setStyle({ backgroundColor: style.hoverBackground, color: style.hoverColor || style.color });
+        });
+        button.on('pointerout', () => {
+            button.setStyle({ backgroundColor: '#ffffff', color: style.color });
+        });
+        
+        button.on('pointerdown', onClick);
+        
+        return button;
+    }
+    
+    /**
+     * Fade the screen elements in one after another
+     * 
+     * WHY animate? Makes it feel more polished and less jarring
+     */
+    animateIn() {
+        this.revealItems.forEach((item, index) => {
+            item.setAlpha(0);
+            this.tweens.add({
+                targets: item,
+                alpha: 1,
+                duration: 400,
+                delay: index * 150  // Stagger the animations
+            });
+        });
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Start a fresh run with the same config
+     * 
+     * WHY scene.start('GameScene')? Starting a paused scene shuts it down
+     * and creates it again from scratch - and stops this overlay too.
+     */
+    restartRun() {
+        console.log('🔄 Restarting game...');
+        this.scene.start('GameScene', this.result.runConfig);
+    }
+    
+    /**
+     * Leave the run and go back to the title screen (or the route editor)
+     */
+    returnToMenu() {
+        // WHY back to the editor after a play-test? That's where the
+        // route is being worked on
+        const isPlaytest = this.result.runConfig.playtest;
+        console.log(isPlaytest ? '🗺️ Back to the route editor...' : '🏠 Back to the menu...');
+        this.scene.stop('GameScene');
+        this.scene.start(isPlaytest ? 'RouteEditorScene' : 'MenuScene');
+    }
+}
@@ -0,0 +1,1251 @@
+/**
+ * GameScene Class
+ * 
+ * The main gameplay scene - the walk from school to the library!
+ * This is where the student, the neighborhood hazards, the zones
+ * and all the HUD live.
+ * 
+ * WHY a scene class instead of loose functions?
+ * - Every run gets a fresh scene with clean state
+ * - The run config comes IN through init(data) and the result goes OUT
+ *   to the GameOverScene - no hidden globals
+ * - New screens (menus, pause, etc.) can be added without touching this loop
+ * 
+ * Based on CONTEXT.md:
+ * - GameScene.js holds the main gameplay
+ */
+class GameScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the game scene
+     */
+    constructor() {
+        super({ key: 'GameScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Init Function
+     * 
+     * Called every time the scene starts, BEFORE create().
+     * 
+     * WHY init? Phaser passes the data from scene.start() here.
+     * That's how the menu (or "Try Again") tells us how to set up the run.
+     * 
+     * @param {Object} data - Run configuration passed from the previous scene
+     */
+    init(data) {
+        // Keep the run config so "Try Again" can replay the same setup
+        // WHY copy? The caller's object shouldn't change under us
+        this.runConfig = Object.assign({}, data);
+        
+        // A run continued from a checkpoint starts at that bus stop
+        // WHY take it out of runConfig? "Try Again" should start from school
+        this.checkpoint = this.runConfig.checkpoint || null;
+        delete this.runConfig.checkpoint;
+        
+        // Seeded randomness for EVERYTHING that happens in this run
+        // WHY this order? A seed passed in the run config wins, then one
+        // from the URL (?seed=...), otherwise every run gets a fresh one
+        const seed = this.runConfig.seed || RandomManager.getSeedFromUrl() || RandomManager.createSeed();
+        this.rng = new RandomManager(seed);
+        
+        // Record this run's input - or play back a saved replay
+        // WHY here? The replay must be in place before anything is created
+        this.replayManager = new ReplayManager(this.runConfig.replay || null);
+        
+        // Has this run already finished (won or lost)?
+        // WHY? Stops the result screen from being shown twice
+        this.runEnded = false;
+        
+        // Endless mode: no library - the neighborhood just keeps going
+        // (see EndlessManager)
+        this.isEndless = this.runConfig.mode === 'endless';
+        
+        // How long until the library closes (a LibraryClock.BUDGETS key)
+        // WHY in runConfig? "Try Again" and replays must get the same clock
+        // WHY 'off' in Endless mode? There's no library to close!
+        if (!this.runConfig.timeBudget) {
+            this.runConfig.timeBudget = this.isEndless ? 'off' : SettingsManager.get('libraryCloses');
+        }
+        
+        // How tough this run is - every obstacle reads its numbers from here
+        // WHY 'normal' when missing? A run started without picking one
+        // gets the default (see DifficultyManager.DEFAULT_KEY)
+        if (!this.runConfig.difficulty) {
+            this.runConfig.difficulty = DifficultyManager.DEFAULT_KEY;
+        }
+        this.difficulty = DifficultyManager.getProfile(this.runConfig.difficulty, this.runConfig.customDifficulty);
+        
+        // Where the walk goes - zones, birds, treats, bus stops and the
+        // library (see RouteManager)
+        // WHY copy it into runConfig? "Try Again" and replays must walk
+        // the same route, even if the route file changes later
+        if (!this.runConfig.route) {
+            this.runConfig.route = RouteManager.copy(RouteManager.getRoute());
+        }
+        this.route = this.runConfig.route;
+        
+        // What the sky is doing (a WeatherManager.TYPES key) - the route
+        // picks it, or it's picked at random from the seed
+        // WHY in runConfig? "Try Again" and replays must get the same weather
+        if (!this.runConfig.weather) {
+            this.runConfig.weather = WeatherManager.pick(this.route.weather, this.rng.seed);
+        }
+        
+        // A play-test from the route editor can start anywhere on the route
+        // WHY keep startMeters in runConfig (unlike a checkpoint)? "Try
+        // Again" should test the same stretch again
+        if (!this.checkpoint && this.runConfig.startMeters > 0) {
+            this.checkpoint = this.createStartPoint(this.runConfig.startMeters);
+        }
+        
+        // Farthest distance reached this run (in meters)
+        // WHY not just the final distance? A defeated student walks back
+        // toward school, so the run ends closer than it got
+        this.farthestMeters = 0;
+    }
+    
+    /**
+     * Create Function
+     * 
+     * Called ONCE per run after init().
+     * Use this to create game objects, set up physics, etc.
+     * 
+     * WHY create separately? We only want to set things up once,
+     * not every frame!
+     */
+    create() {
+        console.log('🎬 Creating game world...');
+        
+        // Make tweens follow the same frame timing as everything else
+        // WHY first? Every tween created below should use it
+        this.setupFrameTiming();
+        
+        // Create the scrolling parallax background
+        // WHY first? Background should be behind everything else!
+        // WHY pass the weather? A stormy day gets a stormy sky
+        this.background = new Background(this, this.runConfig.weather);
+        
+        // Create the ground platform for physics collisions
+        // WHY separate from background? We need a physics body for collisions!
+        this.createGround();
+        
+        // Create our student (the player!)
+        // WHY store in 'this'? So we can access it in update()
+        // Position: center-left of screen, above the ground
+        this.student = new Student(this, 200, 450);
+        
+        // Make the student collide with the ground
+        // WHY? Physics objects pass through each other by default
+        this.physics.add.collider(this.student, this.ground);
+        
+        // Create the grumpy Old Man NPC
+        // WHY position at 600? Right side of screen, on his "yard"
+        this.createOldMan();
+        
+        // Add UI text showing controls
+        this.createControlsUI();
+        
+        // Add confidence display
+        this.createConfidenceUI();
+        
+        // Add distance traveled display
+        this.createDistanceUI();
+        
+        // Add the "library closes at 6" clock
+        this.libraryClock = new LibraryClock(this, this.runConfig.timeBudget);
+        
+        // Add the score (and combo) display
+        // WHY before the zones and power-ups? It listens for their events
+        this.scoreManager = new ScoreManager(this);
+        
+        // Add the backpack slots (under the clock)
+        // WHY before the power-ups? They ask it for room when collected
+        this.inventoryManager = new InventoryManager(this);
+        
+        // Add talking back to the bullies (and its cooldown icon)
+        // WHY before the zones? It listens for every word bubble thrown
+        this.comebackManager = new ComebackManager(this);
+        
+        // =============================================================
+        // TOUCH CONTROLS
+        // On-screen buttons for iPad and mobile devices!
+        // =============================================================
+        
+        // Create touch controls and connect to player
+        // WHY after UI? Touch buttons should be on top of everything
+        // WHY not during a replay? The recorded input drives the student
+        if (!this.replayManager.isPlayback) {
+            this.touchControls = new TouchControls(this, this.student);
+            this.student.setTouchControls(this.touchControls);
+        }
+        
+        // Set up game over event listener
+        // WHY use events? The player tells us when game over happens
+        // This keeps the scene and player code separate (loose coupling)
+        this.events.on('gameOver', this.onGameOver, this);
+        
+        // Offer "Continue from checkpoint" when confidence runs out
+        this.events.on('confidenceDepleted', this.onConfidenceDepleted, this);
+        
+        // Lose the run if the clock reaches 6:00 PM
+        this.events.on('libraryClosed', this.onLibraryClosed, this);
+        
+        // Pause with Esc / P (or the touch pause button)
+        this.setupPauseControls();
+        
+        // Tidy up when the run ends or restarts
+        // WHY? Scene events outlive a single run - see shutdown()
+        this.events.once('shutdown', this.shutdown, this);
+        
+        // =============================================================
+        // GAME ZONES
+        // Different areas with unique challenges!
+        // =============================================================
+        
+        // Create the zones the route places along the walk
+        // (the Dottie Bacon School first shows up at 500m)
+        // WHY zones? Each one is a distinct area with different obstacles
+        this.createZones();
+        
+        // Create the Blueberrydale Public Library - the GOAL at the end of the route!
+        // WHY? Gives the player something to work toward!
+        // WHY not in Endless mode? The walk never ends - beating your
+        // best distance is the goal instead
+        this.blueberrydaleLibrary = this.isEndless ? null : new BlueberrydaleLibrary(this);
+        
+        // =============================================================
+        // POWER-UP SYSTEM
+        // Spawns treats that restore confidence!
+        // =============================================================
+        
+        this.powerUpManager = new PowerUpManager(this);
+        
+        // =============================================================
+        // POOPING BIRDS
+        // Pigeons fly over on their own schedule - watch for shadows!
+        // =============================================================
+        
+        this.birdManager = new BirdManager(this);
+        
+        // =============================================================
+        // FRIENDS
+        // Now and then a friend walks with you - more often when you need it
+        // =============================================================
+        
+        this.friendManager = new FriendManager(this);
+        
+        // =============================================================
+        // CHECKPOINTS
+        // Bus stops every 300m save your progress!
+        // =============================================================
+        
+        this.checkpointManager = new CheckpointManager(this);
+        
+        // =============================================================
+        // ROUTE PLACEMENTS
+        // Old Man visits, squirrels and treats placed by the route
+        // =============================================================
+        
+        // WHY after the power-ups? Placed treats use the PowerUpManager
+        this.placementManager = new PlacementManager(this);
+        
+        // =============================================================
+        // WEATHER
+        // Rain, puddles that slow you down and wind that pushes things
+        // =============================================================
+        
+        this.weatherManager = new WeatherManager(this);
+        
+        // =============================================================
+        // GAME SPEED SYSTEM
+        // Game gets faster every 100 meters!
+        // =============================================================
+        
+        // Track current game speed multiplier
+        // WHY start at 1? Normal speed at the beginning
+        this.gameSpeedMultiplier = 1.0;
+        
+        // Track last speed increase distance
+        this.lastSpeedIncreaseDistance = 0;
+        
+        // Speed increase interval (every 100 meters)
+        this.speedIncreaseInterval = RouteManager.toPixels(100);
+        
+        // Speed increase amount (2% faster each time on Normal)
+        this.speedIncreaseAmount = this.difficulty.speedIncreaseAmount;
+        
+        // =============================================================
+        // ENDLESS MODE
+        // Every goalMeters (1500m on Blueberrydale) is a new, tougher neighborhood!
+        // =============================================================
+        
+        // WHY after the game speed? It makes the speed-ups bigger
+        this.endlessManager = this.isEndless ? new EndlessManager(this) : null;
+        
+        console.log('✅ Library Run - Game created successfully!');
+        console.log('📐 Canvas size: 800x600');
+        console.log('🏘️ Scrolling neighborhood background active!');
+        console.log('🎒 Student ready at position (200, 450)');
+        console.log('👴 Old Man ready to patrol and throw newspapers!');
+        console.log(`🗺️ Route: ${this.route.name} (${this.zones.length} zone(s))`);
+        console.log(this.isEndless ? '♾️ Endless mode - no library, just keep walking!' : `📚 Blueberrydale Library (GOAL) at ${this.route.goalMeters}m!`);
+        console.log(`🍫 Power-ups spawn every ~${this.difficulty.powerUpIntervalMeters}m, candy bars every ${this.route.powerUps.candyBarEveryMeters}m!`);
+        console.log(`🐦 Pooping pigeons fly over every ~${this.route.obstacles.birds.everyMeters}m - watch for shadows!`);
+        console.log(`🚏 Checkpoint bus stops every ${this.route.checkpoints.everyMeters}m!`);
+        console.log(`⚡ Game speeds up ${Math.round(this.difficulty.speedIncreaseAmount * 1000) / 10}% every 100m!`);
+        console.log(`🎚️ Difficulty: ${DifficultyManager.getLabel(this.difficulty.key)}`);
+        console.log(`🌦️ Weather: ${this.weatherManager.weather.label}`);
+        
+        // Continuing? Move everything to the checkpoint
+        if (this.checkpoint) {
+            this.restoreCheckpoint(this.checkpoint);
+        }
+        
+        // A replay is stepped frame by frame by the ReplayScene
+        if (this.replayManager.isPlayback) {
+            this.startPlayback();
+        }
+    }
+    
+    /**
+     * Update Function
+     * 
+     * Called every frame (usually 60 times per second!)
+     * Use this for game logic that needs to run continuously.
+     * 
+     * WHY update? Games need to constantly check for input,
+     * move objects, check collisions, etc.
+     * 
+     * @param {number} time - Total time the game has been running (ms)
+     * @param {number} delta - Time since the last frame (ms)
+     */
+    update(time, delta) {
+        // Update the student (handles movement and input)
+        // WHY check if student exists? Safety first!
+        if (!this.student) return;
+        
+        // Read this frame's input ONCE (live keys, or the replay's)
+        // and record it so the run can be replayed later
+        const input = this.readFrameInput();
+        this.replayManager.recordFrame(delta, input);
+        
+        // Check for pause FIRST
+        // WHY return? Nothing else should move on the frame we pause
+        // WHY also during a replay? The recorded run skipped this frame too
+        if (input.pause) {
+            if (!this.replayManager.isPlayback) {
+                this.pauseRun();
+            }
+            return;
+        }
+        
+        this.student.update(delta, input);
+        
+        // =============================================================
+        // SCROLL ZONE LOGIC
+        // Background only scrolls when player is past the center!
+        // This lets the player move freely in the left half of screen.
+        // =============================================================
+        
+        const SCROLL_THRESHOLD = 400;  // Center of 800px screen
+        
+        // Determine direction player is trying to move
+        const direction = this.student.body.velocity.x > 0 ? 1 :
+                          this.student.body.velocity.x < 0 ? -1 : 0;
+        
+        // Should the background scroll?
+        // WHY this logic?
+        // - Scroll RIGHT (direction=1) only if player is at/past center
+        // - Scroll LEFT (direction=-1) only if we've scrolled some distance
+        //   (can't scroll backwards past the start!)
+        const playerPastCenter = this.student.x >= SCROLL_THRESHOLD;
+        const hasScrolledDistance = this.background && this.background.getScrollDistance() > 0;
+        
+        // WHY check the zones? The park's boss squirrel guards the exit -
+        // no walking on until it's gone
+        const isWalkBlocked = this.zones.some(zone => zone.isBlockingWalk());
+        
+        const shouldScrollRight = direction === 1 && playerPastCenter && !isWalkBlocked;
+        const shouldScrollLeft = direction === -1 && hasScrolledDistance && this.student.x <= SCROLL_THRESHOLD;
+        
+        const shouldScroll = shouldScrollRight || shouldScrollLeft;
+        
+        // If scrolling, lock player to center position
+        // WHY? Creates the illusion of walking through the world
+        // (a blocked walk keeps them there too - the boss is on the right)
+        if (shouldScrollRight || (isWalkBlocked && this.student.x > SCROLL_THRESHOLD)) {
+            this.student.x = SCROLL_THRESHOLD;
+        }
+        
+        // Update the scrolling background
+        // WHY pass delta? For smooth, frame-rate independent scrolling
+        // WHY times the speed factor? Wading through a puddle slows the whole
+        // walk down, not just the student's legs (and a speed boost speeds it up)
+        if (this.background) {
+            this.background.update(delta * this.student.getSpeedFactor(), shouldScroll, direction);
+        }
+        
+        // Update the Old Man NPC
+        // WHY pass the student? So he can aim newspapers at them!
+        if (this.oldMan) {
+            this.oldMan.update(this.student);
+        }
+        
+        // Update the confidence UI to reflect current confidence
+        this.updateConfidenceUI();
+        
+        // Use an item from the backpack (Q or the 🎒 button)
+        this.inventoryManager.update(input, this.student);
+        
+        // Talk back to a word bubble about to land (C or the 💬 button)
+        this.comebackManager.update(delta, input, this.student);
+        
+        // Show the power-up effects (and how long they have left)
+        this.buffIcons.update(this.student.buffs);
+        
+        // Move the library clock forward
+        // WHY not once the run is decided? Walking home or celebrating
+        // at the library shouldn't be able to run out the clock
+        if (!this.student.isDefeated && !this.hasReachedLibrary()) {
+            this.libraryClock.update(delta);
+        }
+        
+        // Update the distance UI
+        this.updateDistanceUI();
+        
+        // Let the afternoon turn to dusk
+        if (this.background) {
+            this.background.setTimeOfDay(this.getTimeOfDay());
+        }
+        
+        // =============================================================
+        // UPDATE GAME ZONES
+        // Check if player has entered special areas
+        // =============================================================
+        
+        // Get current distance for zone checks
+        const currentDistance = this.background ? this.background.getScrollDistance() : 0;
+        this.farthestMeters = Math.max(this.farthestMeters, this.getMeters());
+        
+        // Update the live score
+        this.scoreManager.update(this.farthestMeters);
+        
+        // Check the route's zones (like the Dottie Bacon School and the park)
+        // WHY pass the input? The crosswalk's guard listens for interact
+        this.zones.forEach(zone => {
+            zone.checkZone(currentDistance);
+            zone.update(this.student, input);
+        });
+        
+        // Check Blueberrydale Library - the goal at the end of the route!
+        if (this.blueberrydaleLibrary) {
+            this.blueberrydaleLibrary.checkZone(currentDistance);
+        }
+        
+        // =============================================================
+        // UPDATE POWER-UPS
+        // Spawn and manage collectible treats
+        // =============================================================
+        
+        if (this.powerUpManager) {
+            this.powerUpManager.update(currentDistance);
+        }
+        
+        // =============================================================
+        // UPDATE BIRDS
+        // Spawn pigeons and let them drop their bombs
+        // =============================================================
+        
+        if (this.birdManager) {
+            this.birdManager.update(currentDistance, this.student);
+        }
+        
+        // =============================================================
+        // UPDATE FRIENDS
+        // Maybe send a friend, who pops word bubbles and cheers you on
+        // =============================================================
+        
+        if (this.friendManager) {
+            this.friendManager.update(currentDistance, this.student);
+        }
+        
+        // =============================================================
+        // UPDATE CHECKPOINTS
+        // Bus stops save progress and boost confidence
+        // =============================================================
+        
+        if (this.checkpointManager) {
+            this.checkpointManager.update(currentDistance);
+        }
+        
+        // =============================================================
+        // UPDATE ROUTE PLACEMENTS
+        // Bring out anything the route placed at this distance
+        // =============================================================
+        
+        if (this.placementManager) {
+            this.placementManager.update(currentDistance);
+        }
+        
+        // =============================================================
+        // UPDATE WEATHER
+        // Puddles come along the sidewalk - jump over them!
+        // =============================================================
+        
+        if (this.weatherManager) {
+            this.weatherManager.update(currentDistance);
+        }
+        
+        // =============================================================
+        // UPDATE ENDLESS MODE
+        // Each new neighborhood gets tougher
+        // =============================================================
+        
+        if (this.endlessManager) {
+            this.endlessManager.update(currentDistance);
+        }
+        
+        // =============================================================
+        // UPDATE GAME SPEED
+        // Game gets 2% faster every 100 meters!
+        // =============================================================
+        
+        this.updateGameSpeed(currentDistance);
+    }
+    
+    // =============================================================
+    // WORLD SETUP
+    // =============================================================
+    
+    /**
+     * Create the grumpy Old Man NPC
+     * 
+     * WHY a separate method?
+     * - Keeps create() clean
+     * - Easy to add more old men later (or other NPCs)
+     */
+    createOldMan() {
+        // The Old Man now uses a patrol pattern!
+        // He'll enter from the right, walk across throwing newspapers,
+        // occasionally stop for back pain (spawning squirrels), then exit.
+        // WHY 505? Standing on the ground (575 ground - 70 height)
+        this.oldMan = new OldMan(this, 0, 505);  // X is ignored - he starts off-screen
+    }
+    
+    /**
+     * Create every zone the route lists
+     * 
+     * WHY a lookup table? The route file names a zone's type - this is
+     * the one place that turns that name into a class
+     */
+    createZones() {
+        const zoneClasses = {
+            dottieBaconSchool: DottieBaconSchool,
+            blueberrydalePark: BlueberrydalePark,
+            mapleStreetCrosswalk: MapleStreetCrosswalk
+        };
+        
+        this.zones = this.route.zones.map(zone => new zoneClasses[zone.type](this, zone));
+    }
+    
+    /**
+     * Create the ground platform
+     * 
+     * WHY a separate method?
+     * - Keeps create() cleaner
+     * - Ground creation might get more complex later
+     */
+    createGround() {
+        // Create the ground as a static physics object
+        // WHY static? The ground doesn't move or fall!
+        // The 'ground' texture itself is drawn once in BootScene
+        this.ground = this.physics.add.staticImage(400, 575, 'ground');
+        
+        // Set depth so it appears in front of background but behind player
+        this.ground.setDepth(-10);
+        
+        console.log('🚶 Sidewalk platform created!');
+    }
+    
+    // =============================================================
+    // HUD
+    // =============================================================
+    
+    /**
+     * Create the controls help text
+     */
+    createControlsUI() {
+        // Add title
+        const titleText = this.add.text(400, 30, '📚 Library Run 📚', {
+            fontSize: '32px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        // Add control instructions
+        // WHY conditional text? Show keyboard controls on desktop, touch hint on mobile
+        // Touch controls are self-explanatory with the on-screen buttons
+        // WHY a different message in a replay? Nobody is playing - the
+        // keys control the replay viewer instead
+        const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        let controlsMessage = isTouchDevice
+            ? '📱 Use touch buttons to move, jump and duck'
+            : '⌨️ Arrows / WASD to move  |  ↑ / W / Space to jump  |  ↓ / S to duck  |  Esc / P to pause';
+        if (this.replayManager.isPlayback) {
+            controlsMessage = '📼 Space / P: pause  |  F: 2x speed  |  ← / →: scrub 50m  |  E: export  |  Esc: back';
+        }
+        
+        const controlsText = this.add.text(400, 70, controlsMessage, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#7f8c8d'
+        });
+        controlsText.setOrigin(0.5);
+    }
+    
+    /**
+     * Create the confidence meter UI
+     * 
+     * WHY use a class? The ConfidenceMeter class handles:
+     * - Creating the bar visuals
+     * - Updating width and color automatically
+     * - Fun visual effects when confidence changes!
+     */
+    createConfidenceUI() {
+        // Create the confidence meter using our new class!
+        // WHY pass Student.MAX_CONFIDENCE? So the meter knows the max value
+        this.confidenceMeter = new ConfidenceMeter(this, Student.MAX_CONFIDENCE);
+        
+        // Connect the student to the confidence meter
+        // WHY? So when the student takes damage, the meter updates automatically!
+        this.student.confidenceMeter = this.confidenceMeter;
+        
+        // Power-up effects go in a row under the meter
+        this.buffIcons = new BuffIcons(this);
+    }
+    
+    /**
+     * Create the distance traveled UI
+     * 
+     * WHY track distance?
+     * - Shows progress toward the library
+     * - Gives players a sense of accomplishment
+     * - Could be used for high scores!
+     */
+    createDistanceUI() {
+        // Distance label
+        this.add.text(600, 100, 'Distance:', {
+            fontSize: '18px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        
+        // Distance value
+        this.distanceText = this.add.text(600, 125, '0m', {
+            fontSize: '24px',
+            fontFamily: 'Arial',
+            color: '#1976D2'
+        });
+        
+        // Library distance indicator (dynamic - updates as you get closer!)
+        this.libraryDistanceText = this.add.text(600, 155, `📚 ${this.route.goalMeters}m`, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#7f8c8d'
+        });
+        
+        // Endless mode has no library - show the distance to beat instead
+        // WHY read it now? The record being chased is the one from
+        // before this run
+        if (this.isEndless) {
+            this.endlessBestMeters = RecordsManager.load().endless.bestMeters;
+            this.isPastEndlessBest = false;
+            this.libraryDistanceText.setText(`🏅 Best: ${this.endlessBestMeters}m`);
+        }
+    }
+    
+    /**
+     * Update the distance display
+     * 
+     * WHY divide by 10? Converts pixels to a more reasonable "meter" unit
+     */
+    updateDistanceUI() {
+        if (this.background && this.distanceText) {
+            // Convert pixels to "meters" (1 meter = 10 pixels)
+            const meters = this.getMeters();
+            const libraryDistance = this.route.goalMeters;  // Goal is at the end of the route
+            const remaining = Math.max(0, libraryDistance - meters);
+            
+            // Show distance traveled and remaining
+            this.distanceText.setText(meters + 'm');
+            
+            if (this.isEndless) {
+                this.updateEndlessBestUI(meters);
+                return;
+            }
+            
+            // Update library distance text
+            if (this.libraryDistanceText) {
+                if (remaining > 0) {
+                    this.libraryDistanceText.setText('📚 ' + remaining + 'm');
+                } else {
+                    this.libraryDistanceText.setText('📚 HERE!');
+                }
+                
+                // Change color as player gets closer
+                if (remaining <= 100) {
+                    this.libraryDistanceText.setColor('#4CAF50');  // Green - almost there!
+                } else if (remaining <= 300) {
+                    this.libraryDistanceText.setColor('#8BC34A');  // Light green
+                } else if (remaining <= 500) {
+                    this.libraryDistanceText.setColor('#FFEB3B');  // Yellow
+                }
+            }
+        }
+    }
+    
+    /**
+     * Show how the walk compares to the best Endless distance
+     * 
+     * @param {number} meters - Current distance in meters
+     */
+    updateEndlessBestUI(meters) {
+        if (this.endlessBestMeters > 0 && meters > this.endlessBestMeters && !this.isPastEndlessBest) {
+            this.isPastEndlessBest = true;
+            this.libraryDistanceText.setText(`🏅 New best! (was ${this.endlessBestMeters}m)`);
+            this.libraryDistanceText.setColor('#4CAF50');
+        }
+    }
+    
+    /**
+     * Update the confidence meter display
+     * 
+     * WHY sync with student?
+     * - The student tracks their own confidence internally
+     * - We sync the UI meter to match the student's confidence
+     * - This keeps the display always accurate!
+     */
+    updateConfidenceUI() {
+        // Sync the confidence meter with the student's actual confidence
+        // WHY setConfidence instead of updateConfidence?
+        // - setConfidence sets to an exact value
+        // - updateConfidence adds/subtracts (used when taking damage)
+        if (this.confidenceMeter && this.student) {
+            this.confidenceMeter.setConfidence(this.student.confidence);
+        }
+    }
+    
+    // =============================================================
+    // GAME SPEED
+    // =============================================================
+    
+    /**
+     * Update game speed based on distance
+     * 
+     * WHY speed up the game?
+     * - Creates increasing challenge as player progresses
+     * - Makes reaching the library a real achievement!
+     * - Every 100 meters = 2% faster (on Normal - see DifficultyManager)
+     * 
+     * @param {number} currentDistance - Current distance in pixels
+     */
+    updateGameSpeed(currentDistance) {
+        // Check if we've traveled another 100 meters (1000 pixels)
+        const distanceSinceLastIncrease = currentDistance - this.lastSpeedIncreaseDistance;
+        
+        if (distanceSinceLastIncrease >= this.speedIncreaseInterval) {
+            // Increase speed (2% on Normal)
+            this.gameSpeedMultiplier += this.speedIncreaseAmount;
+            this.lastSpeedIncreaseDistance = currentDistance;
+            
+            const currentMeters = Math.floor(currentDistance / RouteManager.PIXELS_PER_METER);
+            const speedPercent = Math.round((this.gameSpeedMultiplier - 1) * 100);
+            
+            console.log(`⚡ Speed increased! Now ${speedPercent}% faster (at ${currentMeters}m)`);
+            
+            // Show speed increase notification
+            this.showSpeedIncreaseNotification(speedPercent);
+        }
+    }
+    
+    /**
+     * Show a notification when game speed increases
+     * 
+     * @param {number} speedPercent - How much faster the game is now (%)
+     */
+    showSpeedIncreaseNotification(speedPercent) {
+        const notification = this.add.text(
+            400, 200,
+            `⚡ SPEED UP! +${speedPercent}%`,
+            {
+                fontSize: '18px',
+                fontFamily: 'Arial',
+                color: '#FFD700',
+                backgroundColor: 'rgba(0,0,0,0.7)',
+                padding: { x: 12, y: 8 },
+                fontStyle: 'bold'
+            }
+        );
+        notification.setOrigin(0.5);
+        notification.setDepth(200);
+        notification.setScrollFactor(0);
+        
+        // Fade in and out
+        notification.setAlpha(0);
+        this.tweens.add({
+            targets: notification,
+            alpha: 1,
+            duration: 300,
+            yoyo: true,
+            hold: 1000,
+            onComplete: () => notification.destroy()
+        });
+    }
+    
+    // =============================================================
+    // INPUT, TIMING AND REPLAYS
+    // =============================================================
+    
+    /**
+     * Get this frame's input
+     * 
+     * @returns {Object} { left, right, jump, duck, interact, useItem, comeback, pause } for this frame
+     */
+    readFrameInput() {
+        if (this.replayManager.isPlayback) {
+            return this.replayManager.currentInput;
+        }
+        
+        const input = this.student.readInput();
+        input.pause = this.isPausePressed();
+        return input;
+    }
+    
+    /**
+     * Drive tweens from the frame's delta instead of the wall clock
+     * 
+     * WHY? Phaser's tweens normally measure real time on their own.
+     * The Old Man, Bullies, Squirrels and treats all bob with tweens,
+     * and where they are decides what the student bumps into - so for
+     * a replay to match, tweens must move by exactly the same delta
+     * as physics and timers do.
+     */
+    setupFrameTiming() {
+        this.frameDelta = 0;
+        this.events.on('preupdate', this.onPreUpdate, this);
+        
+        this.tweens.getDelta = () => this.frameDelta;
+    }
+    
+    /**
+     * Remember this frame's delta before tweens and physics use it
+     * 
+     * @param {number} time - Total time the game has been running (ms)
+     * @param {number} delta - Time since the last frame (ms)
+     */
+    onPreUpdate(time, delta) {
+        this.frameDelta = delta;
+    }
+    
+    /**
+     * Hand control of this scene over to the ReplayScene
+     * 
+     * WHY pause? A paused scene isn't stepped by Phaser - the ReplayScene
+     * steps it with the RECORDED frame times instead (see stepReplayFrame)
+     * WHY wait for 'create'? Phaser marks the scene as running right
+     * after create() returns, which would undo an earlier pause
+     */
+    startPlayback() {
+        this.replayTime = 0;
+        this.events.once('create', () => this.scene.pause());
+    }
+    
+    /**
+     * Play the next recorded frame of the replay
+     * 
+     * @returns {boolean} False once the replay is over
+     */
+    stepReplayFrame() {
+        if (this.runEnded) return false;
+        
+        const frame = this.replayManager.nextFrame();
+        if (!frame) return false;
+        
+        // WHY sys.step? It runs a whole frame: timers, physics, tweens
+        // and our update() - exactly what Phaser does for a live frame
+        this.replayTime += frame.delta;
+        this.sys.step(this.replayTime, frame.delta);
+        return true;
+    }
+    
+    // =============================================================
+    // PAUSE
+    // =============================================================
+    
+    /**
+     * Set up the pause keys and listen for resuming
+     */
+    setupPauseControls() {
+        this.pauseKeys = this.input.keyboard.addKeys({
+            esc: Phaser.Input.Keyboard.KeyCodes.ESC,
+            p: Phaser.Input.Keyboard.KeyCodes.P
+        });
+        
+        // Phaser tells us when the PauseScene resumes us
+        this.events.on('resume', this.onResume, this);
+    }
+    
+    /**
+     * Was pause pressed this frame?
+     * 
+     * @returns {boolean} True if Esc, P or the touch pause button was just pressed
+     */
+    isPausePressed() {
+        const JustDown = Phaser.Input.Keyboard.JustDown;
+        
+        // WHY check both keys? JustDown clears the flag, so read each once
+        const escPressed = JustDown(this.pauseKeys.esc);
+        const pPressed = JustDown(this.pauseKeys.p);
+        const touchPressed = this.touchControls && this.touchControls.isPauseJustPressed();
+        
+        return escPressed || pPressed || touchPressed;
+    }
+    
+    /**
+     * Pause the run and show the pause menu
+     * 
+     * WHY scene.pause()? A paused scene stops its WHOLE update step:
+     * - physics (no velocities, no collisions)
+     * - scene.time (every delayedCall the Old Man, Bullies, Squirrels
+     *   and PowerUpManager are waiting on)
+     * - tweens
+     * - our own update(), so Background.update() stops scrolling too
+     * When resumed, all of them carry on right where they left off.
+     */
+    pauseRun() {
+        // Nothing to pause once the run is over or the library is reached
+        if (this.runEnded || this.hasReachedLibrary()) return;
+        
+        console.log('⏸️ Game paused');
+        
+        this.scene.pause();
+        this.scene.launch('PauseScene', { runConfig: this.runConfig });
+    }
+    
+    /**
+     * Called by Phaser when the scene resumes after pausing
+     * 
+     * WHY reset input? Keys and fingers released during the pause never
+     * reached this scene - without a reset they'd stay "held down"
+     */
+    onResume() {
+        console.log('▶️ Game resumed');
+        
+        this.input.keyboard.resetKeys();
+        if (this.touchControls) {
+            this.touchControls.reset();
+        }
+    }
+    
+    // =============================================================
+    // CHECKPOINTS
+    // =============================================================
+    
+    /**
+     * Called when the student's confidence runs out
+     * 
+     * If "Checkpoint Continues" is on and a bus stop was reached, offer
+     * to continue from it while the student starts the walk home.
+     * 
+     * WHY not during a replay? The replay just shows what happened -
+     * if the player chose to continue, that's a separate recording
+     */
+    onConfidenceDepleted() {
+        if (this.replayManager.isPlayback) return;
+        
+        const checkpoint = this.checkpointManager.getContinueCheckpoint();
+        if (!checkpoint) return;
+        
+        this.time.delayedCall(CheckpointManager.CONTINUE_OFFER_DELAY, () => {
+            // WHY check? The student may already be gone (or the run over)
+            if (this.runEnded) return;
+            
+            console.log(`🚏 Offering to continue from ${checkpoint.meters}m`);
+            
+            this.scene.pause();
+            this.scene.launch('ContinueScene', {
+                checkpoint: checkpoint,
+                runConfig: this.runConfig
+            });
+        });
+    }
+    
+    /**
+     * Set the run up at a checkpoint ("Continue from checkpoint")
+     * 
+     * WHY so many systems? The world is built fresh at 0m - everything
+     * that counts distance has to agree on where we are now
+     * 
+     * @param {Object} checkpoint - Saved by CheckpointManager.reachCheckpoint()
+     */
+    restoreCheckpoint(checkpoint) {
+        console.log(`🚏 Continuing from checkpoint at ${checkpoint.meters}m`);
+        
+        // Distance
+        this.background.scrollX = checkpoint.distance;
+        this.farthestMeters = checkpoint.meters;
+        
+        // Game speed
+        this.gameSpeedMultiplier = checkpoint.gameSpeedMultiplier;
+        this.lastSpeedIncreaseDistance = checkpoint.distance;
+        
+        // Clock and score
+        this.libraryClock.setElapsed(checkpoint.clockElapsed || 0);
+        if (checkpoint.score) {
+            this.scoreManager.restore(checkpoint.score);
+        }
+        
+        // Backpack
+        if (checkpoint.items) {
+            this.inventoryManager.restore(checkpoint.items);
+        }
+        
+        // Confidence
+        this.student.confidence = checkpoint.confidence;
+        this.student.updateExpression();
+        this.updateConfidenceUI();
+        
+        // Everything that spawns by distance
+        this.zones.forEach(zone => zone.startFrom(checkpoint.distance));
+        this.powerUpManager.startFrom(checkpoint.distance);
+        this.birdManager.startFrom(checkpoint.distance);
+        this.friendManager.startFrom(checkpoint.distance);
+        this.checkpointManager.startFrom(checkpoint);
+        this.placementManager.startFrom(checkpoint.distance);
+        this.weatherManager.startFrom(checkpoint.distance);
+        if (this.endlessManager) {
+            this.endlessManager.startFrom(checkpoint.distance);
+        }
+    }
+    
+    /**
+     * Build a starting point partway along the route (for play-tests)
+     * 
+     * WHY shaped like a checkpoint? restoreCheckpoint() already knows
+     * how to set every system up at a distance - and running out of
+     * confidence can offer to continue from the same spot
+     * 
+     * @param {number} meters - Where to start
+     * @returns {Object} A checkpoint, as if the student had walked there
+     */
+    createStartPoint(meters) {
+        return {
+            // The last bus stop before the starting point
+            number: Math.floor(meters / this.route.checkpoints.everyMeters),
+            meters: meters,
+            distance: RouteManager.toPixels(meters),
+            // WHY this speed? It's how fast the walk would be by now
+            gameSpeedMultiplier: 1 + Math.floor(meters / 100) * this.difficulty.speedIncreaseAmount,
+            confidence: Student.MAX_CONFIDENCE,
+            clockElapsed: 0,
+            score: null,
+            items: null
+        };
+    }
+    
+    // =============================================================
+    // RUN RESULT
+    // =============================================================
+    
+    /**
+     * How far the student has walked, in meters
+     * 
+     * @returns {number} Whole meters traveled
+     */
+    getMeters() {
+        return this.background ? Math.floor(this.background.getScrollDistance() / RouteManager.PIXELS_PER_METER) : 0;
+    }
+    
+    /**
+     * Where the library is
+     * 
+     * WHY ask the scene? Schools, birds and bus stops all stop before
+     * the library - in Endless mode there isn't one, so they never stop
+     * 
+     * @returns {number} Distance in pixels (Infinity in Endless mode)
+     */
+    getLibraryDistance() {
+        return this.isEndless ? Infinity : RouteManager.toPixels(this.route.goalMeters);
+    }
+    
+    /**
+     * How late is it getting? (drives the sky - see Background.setTimeOfDay)
+     * 
+     * WHY the later of the clock and the distance? Without a closing
+     * time the walk itself still ends at dusk - and with one, dawdling
+     * lets the evening catch up with you
+     * 
+     * WHY the farthest distance? Walking back toward school shouldn't
+     * turn the clock back
+     * 
+     * @returns {number} 0 = 3:30 PM sunshine, 1 = dusk
+     */
+    getTimeOfDay() {
+        // WHY the route's goal in Endless mode? Night falls over the
+        // first neighborhood - and stays
+        const walked = this.farthestMeters / this.route.goalMeters;
+        return Math.min(Math.max(this.libraryClock.getProgress(), walked), 1);
+    }
+    
+    /**
+     * Has the student made it to the library?
+     * 
+     * @returns {boolean} True once the run is won (never in Endless mode)
+     */
+    hasReachedLibrary() {
+        return this.blueberrydaleLibrary !== null && this.blueberrydaleLibrary.hasWon;
+    }
+    
+    /**
+     * Called when the student's confidence ran out and they walked off
+     * 
+     * WHY a method? The 'gameOver' event just tells us it happened -
+     * the scene decides what the result looks like.
+     * 
+     * WHY the farthest distance in Endless mode? How far you got IS
+     * the goal there - the walk home shouldn't take meters away
+     */
+    onGameOver() {
+        this.endRun({
+            outcome: 'defeat',
+            meters: this.isEndless ? this.farthestMeters : this.getMeters(),
+            confidence: 0
+        });
+    }
+    
+    /**
+     * Called when the library clock reaches 6:00 PM
+     * 
+     * WHY end right away (no walk home)? There's nowhere left to go -
+     * the doors are locked!
+     */
+    onLibraryClosed() {
+        this.endRun({
+            outcome: 'closed',
+            meters: this.getMeters(),
+            confidence: this.student.confidence
+        });
+    }
+    
+    /**
+     * Finish the run and hand the result to the GameOverScene
+     * 
+     * WHY pause instead of stop?
+     * - The frozen neighborhood stays visible behind the result screen
+     * - Nothing keeps moving (or hitting the student) while it's up
+     * 
+     * @param {Object} result - What happened this run
+     * @param {string} result.outcome - 'defeat', 'closed' or 'victory'
+     * @param {number} result.meters - Distance reached in meters
+     * @param {number} result.confidence - Confidence left at the end
+     * 
+     * The student's dodge counts, the difficulty, Endless mode and the
+     * score breakdown are added here, so every ending reports them.
+     */
+    endRun(result) {
+        if (this.runEnded) return;
+        this.runEnded = true;
+        
+        console.log(`🏁 Run over: ${result.outcome} at ${result.meters}m`);
+        
+        // Add the dodge stats and difficulty for the results screen
+        result = Object.assign({
+            dodges: this.student.dodgeCount,
+            nearMisses: this.student.nearMissCount,
+            difficulty: this.difficulty.key,
+            endless: this.isEndless
+        }, result);
+        result.score = this.scoreManager.getBreakdown(result, this.farthestMeters);
+        
+        // A replay just stops - the ReplayScene shows its own ending
+        // WHY no records? Watching a run isn't playing one!
+        if (this.replayManager.isPlayback) {
+            this.runResult = result;
+            return;
+        }
+        
+        // Bundle the run config with the result
+        // WHY? "Try Again" needs to start an identical run
+        // WHY the seed? Shown on the results screen so the run can be reproduced
+        const runResult = Object.assign({}, result, {
+            seed: this.rng.seed,
+            runConfig: this.runConfig,
+            replay: this.replayManager.createReplay(this.rng.seed, this.runConfig, result, this.farthestMeters, this.checkpoint)
+        });
+        
+        // Save to the player's records (runs, wins, best distance)
+        // WHY not for a play-test? Trying out a route that's still being
+        // built (maybe from halfway along) isn't a real walk
+        runResult.isNewBest = this.runConfig.playtest ? false : RecordsManager.recordRun(runResult);
+        
+        this.scene.pause();
+        this.scene.launch('GameOverScene', runResult);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when the scene shuts down (restart, quit, etc.)
+     * 
+     * WHY is this needed?
+     * - this.events is the SAME emitter for every run of this scene
+     * - Hazards attach 'update' listeners to it and the display list
+     *   destroys them without calling their cleanup()
+     * - Without this, old listeners would fire into destroyed objects
+     *   on the next run
+     * 
+     * Phaser's own systems re-register their listeners when the scene
+     * starts again, so clearing 'update' here is safe.
+     */
+    shutdown() {
+        this.events.off('gameOver', this.onGameOver, this);
+        this.events.off('confidenceDepleted', this.onConfidenceDepleted, this);
+        this.events.off('libraryClosed', this.onLibraryClosed, this);
+        this.events.off('resume', this.onResume, this);
+        this.events.off('preupdate', this.onPreUpdate, this);
+        this.events.off('update');
+        
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+        
+        if (this.scoreManager) {
+            this.scoreManager.cleanup();
+        }
+        
+        // WHY? They listen for word bubbles on the scene's events
+        if (this.friendManager) {
+            this.friendManager.cleanup();
+        }
+        if (this.comebackManager) {
+            this.comebackManager.cleanup();
+        }
+        
+        this.student = null;
+    }
+}
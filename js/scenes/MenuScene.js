@@ -0,0 +1,212 @@
+/**
+ * MenuScene Class
+ * 
+ * The title screen! Shown after BootScene and whenever the player
+ * quits back from a run.
+ * 
+ * WHY a menu scene?
+ * - Sets the mood with the story hook before the walk starts
+ * - One place to start a run, change settings, or check records
+ * 
+ * What's on screen:
+ * - The title and the "It's 3:30 PM..." story hook
+ * - Play / Settings / Records / Replays / Route Editor / Credits entries
+ * - The student waiting on the sidewalk while the neighborhood drifts by
+ * 
+ * Based on CONTEXT.md:
+ * - MenuScene.js is the title screen
+ */
+class MenuScene extends Phaser.Scene {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // The story hook from CONTEXT.md
+    static STORY_HOOK =
+        "It's 3:30 PM. School just ended. You have a big project due tomorrow " +
+        'and the library closes at 6. The sidewalk stretches ahead of you... ' +
+        'but the neighborhood has other plans.';
+    
+    // How fast the background drifts compared to walking speed
+    // WHY 0.3? Slow enough to feel calm - the run hasn't started yet!
+    static DRIFT_SPEED = 0.3;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the menu scene
+     */
+    constructor() {
+        super({ key: 'MenuScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Build the title screen
+     */
+    create() {
+        // The neighborhood behind the menu
+        // WHY reuse Background? The title screen shows the same street
+        // the player is about to walk down
+        this.background = new Background(this);
+        this.add.image(400, 575, 'ground').setDepth(-10);
+        
+        this.createTitle();
+        this.createIdleStudent();
+        
+        // On-screen buttons for touch devices
+        // WHY no player? On the menu the buttons steer the menu instead
+        this.touchControls = new TouchControls(this, null);
+        
+        // WHY 206? Six entries have to fit between the story hook and
+        // the student's head
+        this.menu = new MenuList(this, 400, 206, [
+            { label: '▶️ Play', onSelect: () => this.startRun() },
+            { label: '⚙️ Settings', onSelect: () => this.openScreen('SettingsScene') },
+            { label: '🏅 Records', onSelect: () => this.openScreen('RecordsScene') },
+            { label: '📼 Replays', onSelect: () => this.openScreen('ReplaysScene') },
+            { label: '🗺️ Route Editor', onSelect: () => this.openScreen('RouteEditorScene') },
+            { label: '🎬 Credits', onSelect: () => this.openScreen('CreditsScene') }
+        ], this.touchControls);
+        
+        this.createHint();
+        
+        this.events.once('shutdown', this.shutdown, this);
+        
+        console.log('🏠 Menu ready!');
+    }
+    
+    /**
+     * Animate the background and check menu input
+     * 
+     * @param {number} time - Total time the game has been running (ms)
+     * @param {number} delta - Time since the last frame (ms)
+     */
+    update(time, delta) {
+        this.background.update(delta * MenuScene.DRIFT_SPEED, true, 1);
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Create the title and story hook
+     */
+    createTitle() {
+        const titleText = this.add.text(400, 55, '📚 Library Run 📚', {
+            fontSize: '48px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        // The story hook
+        // WHY a dark box? The text sits over busy houses and trees
+        const storyText = this.add.text(400, 140, MenuScene.STORY_HOOK, {
+            fontSize: '17px',
+            fontFamily: 'Georgia, serif',
+            fontStyle: 'italic',
+            color: '#ffffff',
+            align: 'center',
+            backgroundColor: 'rgba(0,0,0,0.55)',
+            padding: { x: 14, y: 10 },
+            wordWrap: { width: 620 }
+        });
+        storyText.setOrigin(0.5);
+    }
+    
+    /**
+     * Put the student on the sidewalk, waiting to go
+     * 
+     * WHY not a real Student? The menu has no physics or controls -
+     * a plain image with a little animation is all we need
+     */
+    createIdleStudent() {
+        // WHY 519? Feet on the sidewalk (550 top of ground - 31 half height)
+        this.idleStudent = this.add.image(400, 519, 'player-happy');
+        
+        // Gentle bounce, like shifting from foot to foot
+        this.tweens.add({
+            targets: this.idleStudent,
+            y: this.idleStudent.y - 3,
+            duration: 600,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+        
+        // Every so often, look the other way down the street
+        // WHY? Makes the student feel alive (and a little nervous!)
+        this.time.addEvent({
+            delay: 2500,
+            loop: true,
+            callback: () => this.idleStudent.setFlipX(!this.idleStudent.flipX)
+        });
+    }
+    
+    /**
+     * Show how to use the menu
+     */
+    createHint() {
+        const hintMessage = this.touchControls.isTouchDevice
+            ? '📱 ◀ ▶ to choose  |  ▲ to select'
+            : '⌨️ ↑ / ↓ to choose  |  Enter / Space to select';
+        
+        // WHY down on the sidewalk? The menu fills the space above the student
+        const hintText = this.add.text(400, 578, hintMessage, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            backgroundColor: 'rgba(0,0,0,0.55)',
+            padding: { x: 10, y: 4 }
+        });
+        hintText.setOrigin(0.5);
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Start a new run - by picking its difficulty first
+     * 
+     * WHY not straight to GameScene? The DifficultyScene builds the
+     * run config (GameScene.init() receives it)
+     */
+    startRun() {
+        this.openScreen('DifficultyScene');
+    }
+    
+    /**
+     * Open one of the menu's sub-screens
+     * 
+     * @param {string} key - Scene key (DifficultyScene, SettingsScene, RecordsScene, ReplaysScene, RouteEditorScene, CreditsScene)
+     */
+    openScreen(key) {
+        this.menu.lock();
+        this.scene.start(key);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when leaving the menu
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
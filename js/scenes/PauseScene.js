@@ -0,0 +1,135 @@
+/**
+ * PauseScene Class
+ * 
+ * The pause menu! Shown on top of the GameScene while it's paused.
+ * 
+ * WHY a separate scene?
+ * - The GameScene is fully paused (physics, timers, tweens, scrolling),
+ *   so its own input and update loop are frozen too
+ * - A scene running on top can still listen for keys and taps
+ * 
+ * Options:
+ * - Resume: carry on exactly where you left off
+ * - Restart: start the run over with the same setup
+ * - Quit to Menu: back to the title screen (or the route editor, after a play-test)
+ */
+class PauseScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the pause scene
+     */
+    constructor() {
+        super({ key: 'PauseScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Receive the paused run's config
+     * 
+     * @param {Object} data - { runConfig } from GameScene.pauseRun()
+     */
+    init(data) {
+        this.runConfig = (data && data.runConfig) || {};
+    }
+    
+    /**
+     * Build the pause overlay
+     */
+    create() {
+        // Dim the frozen game behind us
+        this.add.rectangle(400, 300, 800, 600, 0x000000, 0.6);
+        
+        const titleText = this.add.text(400, 170, '⏸️ Paused', {
+            fontSize: '48px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        this.touchControls = new TouchControls(this, null);
+        this.menu = new MenuList(this, 400, 270, [
+            { label: '▶️ Resume', onSelect: () => this.resumeRun() },
+            { label: '🔄 Restart', onSelect: () => this.restartRun() },
+            { label: this.runConfig.playtest ? '🗺️ Back to Editor' : '🏠 Quit to Menu', onSelect: () => this.quitToMenu() }
+        ], this.touchControls);
+        
+        // Esc / P closes the pause menu again
+        // WHY 'keydown' listeners? The key that opened the menu was already
+        // used up by the GameScene - only a NEW press should resume
+        this.input.keyboard.on('keydown-ESC', this.resumeRun, this);
+        this.input.keyboard.on('keydown-P', this.resumeRun, this);
+        
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Check menu input
+     */
+    update() {
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Close the pause menu and carry on
+     */
+    resumeRun() {
+        if (this.menu.isLocked) return;
+        this.menu.lock();
+        
+        this.scene.resume('GameScene');
+        this.scene.stop();
+    }
+    
+    /**
+     * Start the run over with the same setup
+     * 
+     * WHY scene.start('GameScene')? Starting a paused scene shuts it down
+     * and creates it fresh - and stops this overlay at the same time
+     */
+    restartRun() {
+        this.menu.lock();
+        
+        console.log('🔄 Restarting game...');
+        this.scene.start('GameScene', this.runConfig);
+    }
+    
+    /**
+     * Abandon the run and go back to the title screen (or the route editor)
+     */
+    quitToMenu() {
+        this.menu.lock();
+        
+        // WHY back to the editor after a play-test? That's where the
+        // route is being worked on
+        const isPlaytest = this.runConfig.playtest;
+        console.log(isPlaytest ? '🗺️ Back to the route editor...' : '🏠 Back to the menu...');
+        this.scene.stop('GameScene');
+        this.scene.start(isPlaytest ? 'RouteEditorScene' : 'MenuScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when the pause menu closes
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
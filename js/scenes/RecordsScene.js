@@ -0,0 +1,167 @@
+/**
+ * RecordsScene Class
+ * 
+ * Shows the player's personal records from RecordsManager:
+ * runs played, trips that reached the library, and the best distance -
+ * in total, then for each difficulty that's been played, and the best
+ * Endless mode walk.
+ * 
+ * WHY show records?
+ * - Gives players a goal beyond a single run
+ * - "I got farther than last time!" is a great feeling
+ */
+class RecordsScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the records scene
+     */
+    constructor() {
+        super({ key: 'RecordsScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Build the records screen
+     */
+    create() {
+        // Has "Reset" been pressed once already?
+        // WHY? Wiping records needs a second press to confirm
+        this.confirmingReset = false;
+        
+        // Panel behind the records
+        const panel = this.add.rectangle(400, 300, 560, 480, 0xffffff, 0.85);
+        panel.setStrokeStyle(3, 0x1976D2);
+        
+        const titleText = this.add.text(400, 95, '🏅 Records', {
+            fontSize: '40px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        this.recordsText = this.add.text(400, 195, '', {
+            fontSize: '22px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            align: 'center',
+            lineSpacing: 10
+        });
+        this.recordsText.setOrigin(0.5);
+        
+        this.difficultyText = this.add.text(400, 305, '', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            align: 'center',
+            lineSpacing: 6
+        });
+        this.difficultyText.setOrigin(0.5);
+        this.showRecords();
+        
+        this.touchControls = new TouchControls(this, null);
+        this.menu = new MenuList(this, 400, 400, [
+            {
+                label: () => this.confirmingReset ? '❗ Press again to reset' : '🧹 Reset Records',
+                onSelect: () => this.resetRecords()
+            },
+            { label: '⬅️ Back', onSelect: () => this.goBack() }
+        ], this.touchControls);
+        
+        // Escape also goes back
+        this.input.keyboard.once('keydown-ESC', this.goBack, this);
+        
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Check menu input
+     */
+    update() {
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // RECORDS
+    // =============================================================
+    
+    /**
+     * Fill in the records text
+     */
+    showRecords() {
+        const records = RecordsManager.load();
+        
+        this.recordsText.setText(
+            `🚶 Walks started: ${records.runsPlayed}\n` +
+            `📚 Made it to the library: ${records.wins}\n` +
+            `📏 Farthest walk: ${records.bestMeters}m`
+        );
+        
+        // One line per difficulty played (in the order they're picked)
+        const difficulties = Object.keys(DifficultyManager.PRESETS).concat('custom');
+        const lines = difficulties
+            .filter(key => records.byDifficulty[key])
+            .map(key => {
+                const byDifficulty = RecordsManager.getForDifficulty(records, key);
+                const walks = `${byDifficulty.runsPlayed} walk${byDifficulty.runsPlayed === 1 ? '' : 's'}`;
+                return `${DifficultyManager.getLabel(key)}: ${walks} · ` +
+                       `${byDifficulty.wins} at the library · best ${byDifficulty.bestMeters}m`;
+            });
+        
+        // Endless mode walks are kept apart - they never reach the library
+        if (records.endless.runsPlayed > 0) {
+            const walks = `${records.endless.runsPlayed} walk${records.endless.runsPlayed === 1 ? '' : 's'}`;
+            lines.push(`♾️ Endless: ${walks} · best ${records.endless.bestMeters}m`);
+        }
+        this.difficultyText.setText(lines.join('\n'));
+    }
+    
+    /**
+     * Reset records (on the second press)
+     */
+    resetRecords() {
+        if (!this.confirmingReset) {
+            this.confirmingReset = true;
+            return;
+        }
+        
+        this.confirmingReset = false;
+        RecordsManager.reset();
+        this.showRecords();
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Return to the title menu
+     */
+    goBack() {
+        // WHY check? Esc and the Back entry could both fire
+        if (this.menu.isLocked) return;
+        this.menu.lock();
+        this.scene.start('MenuScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when leaving the records screen
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
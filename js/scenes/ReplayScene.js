@@ -0,0 +1,393 @@
+/**
+ * ReplayScene Class
+ * 
+ * The replay viewer! Plays a saved run back on the real GameScene,
+ * with a control bar along the bottom of the screen.
+ * 
+ * HOW does it drive the GameScene?
+ * - The GameScene starts in playback mode and pauses itself
+ * - Every frame, this scene steps it forward with the RECORDED frame
+ *   times (see GameScene.stepReplayFrame)
+ * - So pausing is just "don't step", and 2x speed is "step twice"
+ * 
+ * HOW does scrubbing work?
+ * - Forward: play frames as fast as we can until the distance is reached
+ * - Backward: a replay can't run in reverse, so start it over from
+ *   the beginning and fast-forward to the distance
+ * 
+ * Controls:
+ * - Space / P: pause and play
+ * - F: switch between 1x and 2x speed
+ * - ← / →: scrub back / forward 50m (or click the progress bar)
+ * - E: export the replay as a .json file
+ * - Esc: back to the replay list
+ */
+class ReplayScene extends Phaser.Scene {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Playback speeds to switch between (frames stepped per frame shown)
+    static SPEEDS = [1, 2];
+    
+    // How far one press of ← / → scrubs
+    static SCRUB_STEP_METERS = 50;
+    
+    // How many frames to fast-forward per frame shown while scrubbing
+    // WHY a limit? Playing a whole run in one go would freeze the browser -
+    // spreading it out keeps the screen responsive
+    static SEEK_FRAMES_PER_UPDATE = 300;
+    
+    // Control bar layout
+    static BAR_Y = 545;
+    static BAR_LEFT = 70;
+    static BAR_WIDTH = 660;
+    static BUTTON_Y = 578;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the replay scene
+     */
+    constructor() {
+        super({ key: 'ReplayScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Receive the replay to watch
+     * 
+     * @param {Object} data - { replay } from ReplaysScene
+     */
+    init(data) {
+        this.replay = data.replay;
+    }
+    
+    /**
+     * Build the control bar and start the replay
+     */
+    create() {
+        this.gameScene = this.scene.get('GameScene');
+        
+        this.isPaused = false;
+        this.isLeaving = false;
+        this.speedIndex = 0;
+        
+        // Distance we're scrubbing to (null when just playing)
+        this.seekMeters = null;
+        
+        this.createControlBar();
+        this.setupKeyboard();
+        
+        this.events.once('shutdown', this.shutdown, this);
+        
+        this.startRun();
+        
+        console.log(`📼 Watching replay: ${this.replay.meters}m, seed ${this.replay.seed}`);
+    }
+    
+    /**
+     * Step the GameScene forward
+     */
+    update() {
+        if (this.isRunReady && !this.isFinished) {
+            if (this.seekMeters !== null) {
+                this.updateSeek();
+            } else if (!this.isPaused) {
+                const steps = ReplayScene.SPEEDS[this.speedIndex];
+                for (let i = 0; i < steps; i++) {
+                    if (!this.stepFrame()) break;
+                }
+            }
+        }
+        
+        this.updateControlBar();
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Create the control bar along the bottom of the screen
+     * 
+     * WHY the bottom? The confidence meter and distance sit at the top
+     */
+    createControlBar() {
+        const bar = this.add.rectangle(400, 562, 800, 76, 0x000000, 0.65);
+        bar.setDepth(1000);
+        
+        // Progress bar - shows how far along the replay we are
+        // WHY distance instead of time? It's what the player remembers:
+        // "the bully at 600m got me!"
+        this.progressTrack = this.add.rectangle(
+            ReplayScene.BAR_LEFT, ReplayScene.BAR_Y,
+            ReplayScene.BAR_WIDTH, 12, 0x555555
+        );
+        this.progressTrack.setOrigin(0, 0.5);
+        this.progressTrack.setDepth(1001);
+        this.progressTrack.setInteractive({ useHandCursor: true });
+        this.progressTrack.on('pointerdown', pointer => {
+            const progress = (pointer.x - ReplayScene.BAR_LEFT) / ReplayScene.BAR_WIDTH;
+            this.scrubTo(Math.round(progress * this.replay.farthestMeters));
+        });
+        
+        this.progressFill = this.add.rectangle(
+            ReplayScene.BAR_LEFT, ReplayScene.BAR_Y,
+            0, 12, 0x1976D2
+        );
+        this.progressFill.setOrigin(0, 0.5);
+        this.progressFill.setDepth(1002);
+        
+        const labelStyle = { fontSize: '14px', fontFamily: 'Arial', color: '#ffffff' };
+        this.add.text(ReplayScene.BAR_LEFT - 10, ReplayScene.BAR_Y, '0m', labelStyle)
+            .setOrigin(1, 0.5).setDepth(1001);
+        this.add.text(ReplayScene.BAR_LEFT + ReplayScene.BAR_WIDTH + 10, ReplayScene.BAR_Y, `${this.replay.farthestMeters}m`, labelStyle)
+            .setOrigin(0, 0.5).setDepth(1001);
+        
+        // What's happening right now (playing, paused, scrubbing...)
+        this.statusText = this.add.text(15, ReplayScene.BUTTON_Y, '', {
+            fontSize: '15px',
+            fontFamily: 'Arial',
+            color: '#ffffff'
+        });
+        this.statusText.setOrigin(0, 0.5);
+        this.statusText.setDepth(1001);
+        
+        // Buttons for mouse and touch players
+        this.pauseButton = this.createButton(470, '⏸️ Pause', () => this.togglePause());
+        this.speedButton = this.createButton(565, '⏩ 2x', () => this.toggleSpeed());
+        this.createButton(660, '⬇️ Export', () => this.exportReplay());
+        this.createButton(752, '🏠 Back', () => this.goBack());
+    }
+    
+    /**
+     * Create a small clickable button on the control bar
+     * 
+     * @param {number} x - Center X position
+     * @param {string} label - Button text
+     * @param {Function} onClick - Called when the button is pressed
+     * @returns {Phaser.GameObjects.Text} The button
+     */
+    createButton(x, label, onClick) {
+        const button = this.add.text(x, ReplayScene.BUTTON_Y, label, {
+            fontSize: '15px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            backgroundColor: '#ffffff',
+            padding: { x: 8, y: 4 }
+        });
+        button.setOrigin(0.5);
+        button.setDepth(1001);
+        button.setInteractive({ useHandCursor: true });
+        
+        button.on('pointerover', () => button.setStyle({ backgroundColor: '#e8e8e8' }));
+        button.on('pointerout', () => button.setStyle({ backgroundColor: '#ffffff' }));
+        button.on('pointerdown', onClick);
+        
+        return button;
+    }
+    
+    /**
+     * Set up the viewer's keys
+     */
+    setupKeyboard() {
+        const keyboard = this.input.keyboard;
+        
+        keyboard.on('keydown-SPACE', this.togglePause, this);
+        keyboard.on('keydown-P', this.togglePause, this);
+        keyboard.on('keydown-F', this.toggleSpeed, this);
+        keyboard.on('keydown-LEFT', () => this.scrubBy(-ReplayScene.SCRUB_STEP_METERS));
+        keyboard.on('keydown-RIGHT', () => this.scrubBy(ReplayScene.SCRUB_STEP_METERS));
+        keyboard.on('keydown-E', this.exportReplay, this);
+        keyboard.on('keydown-ESC', this.goBack, this);
+    }
+    
+    // =============================================================
+    // PLAYBACK
+    // =============================================================
+    
+    /**
+     * Start (or restart) the replay from the very beginning
+     * 
+     * WHY wait for the GameScene's 'create' event? Launching is queued
+     * until the next frame - we can only step it once it exists
+     */
+    startRun() {
+        this.isRunReady = false;
+        this.isFinished = false;
+        
+        this.gameScene.events.once('create', this.onRunReady, this);
+        
+        // WHY this config? The replay's own setup plus its seed (and the
+        // checkpoint it continued from), so the run is created exactly
+        // like the recorded one was
+        this.scene.launch('GameScene', Object.assign({}, this.replay.runConfig, {
+            seed: this.replay.seed,
+            checkpoint: this.replay.checkpoint || null,
+            replay: this.replay
+        }));
+    }
+    
+    /**
+     * The GameScene has been created and is ready to step
+     */
+    onRunReady() {
+        this.isRunReady = true;
+    }
+    
+    /**
+     * Play one recorded frame
+     * 
+     * @returns {boolean} False once the replay is over
+     */
+    stepFrame() {
+        if (this.gameScene.stepReplayFrame()) {
+            return true;
+        }
+        
+        this.isFinished = true;
+        this.seekMeters = null;
+        console.log('🏁 Replay finished');
+        return false;
+    }
+    
+    /**
+     * Pause or carry on playing
+     */
+    togglePause() {
+        this.isPaused = !this.isPaused;
+    }
+    
+    /**
+     * Switch between 1x and 2x speed
+     */
+    toggleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % ReplayScene.SPEEDS.length;
+    }
+    
+    // =============================================================
+    // SCRUBBING
+    // =============================================================
+    
+    /**
+     * Scrub forward or backward from the current distance
+     * 
+     * @param {number} meters - How far to move (negative = backward)
+     */
+    scrubBy(meters) {
+        this.scrubTo(this.getCurrentMeters() + meters);
+    }
+    
+    /**
+     * Jump to the moment the student first reached a distance
+     * 
+     * @param {number} meters - The distance to jump to
+     */
+    scrubTo(meters) {
+        const target = Phaser.Math.Clamp(meters, 0, this.replay.farthestMeters);
+        
+        console.log(`⏩ Scrubbing to ${target}m`);
+        
+        // Going back means starting over and fast-forwarding
+        // WHY also when finished? The last frame can't be stepped again
+        if (target < this.getCurrentMeters() || this.isFinished) {
+            this.startRun();
+        }
+        
+        this.seekMeters = target;
+    }
+    
+    /**
+     * Fast-forward toward the scrub distance
+     */
+    updateSeek() {
+        for (let i = 0; i < ReplayScene.SEEK_FRAMES_PER_UPDATE; i++) {
+            if (this.getCurrentMeters() >= this.seekMeters) {
+                this.seekMeters = null;
+                return;
+            }
+            if (!this.stepFrame()) return;
+        }
+    }
+    
+    /**
+     * How far the student is in the replay right now
+     * 
+     * @returns {number} Distance in meters
+     */
+    getCurrentMeters() {
+        return this.isRunReady ? this.gameScene.getMeters() : 0;
+    }
+    
+    // =============================================================
+    // CONTROL BAR
+    // =============================================================
+    
+    /**
+     * Show the current distance, speed and state
+     */
+    updateControlBar() {
+        const meters = this.getCurrentMeters();
+        const progress = this.replay.farthestMeters > 0 ? Math.min(1, meters / this.replay.farthestMeters) : 1;
+        this.progressFill.width = progress * ReplayScene.BAR_WIDTH;
+        
+        const speed = ReplayScene.SPEEDS[this.speedIndex];
+        let status;
+        if (this.isFinished) {
+            status = '🏁 Finished';
+        } else if (this.seekMeters !== null) {
+            status = `⏩ Scrubbing to ${this.seekMeters}m...`;
+        } else if (this.isPaused) {
+            status = '⏸️ Paused';
+        } else {
+            status = `▶️ Playing ${speed}x`;
+        }
+        
+        this.statusText.setText(`📼 ${meters}m  |  ${status}  |  🌱 ${this.replay.seed}`);
+        this.pauseButton.setText(this.isPaused ? '▶️ Play' : '⏸️ Pause');
+        this.speedButton.setText(speed === 1 ? '⏩ 2x' : '▶️ 1x');
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Download this replay as a .json file
+     */
+    exportReplay() {
+        ReplayManager.exportToFile(this.replay);
+    }
+    
+    /**
+     * Stop watching and go back to the replay list
+     */
+    goBack() {
+        if (this.isLeaving) return;
+        this.isLeaving = true;
+        
+        this.scene.stop('GameScene');
+        this.scene.start('ReplaysScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when the viewer closes
+     * 
+     * WHY? The GameScene's events outlive this scene - a pending
+     * 'create' listener would fire into a closed viewer
+     */
+    shutdown() {
+        this.gameScene.events.off('create', this.onRunReady, this);
+    }
+}
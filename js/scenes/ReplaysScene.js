@@ -0,0 +1,144 @@
+/**
+ * ReplaysScene Class
+ * 
+ * Lists the replays saved from the results screen.
+ * Pick one to watch it in the replay viewer (ReplayScene).
+ * 
+ * WHY a list screen?
+ * - Players can re-watch their best walk to the library
+ * - We can watch the run behind a bug report, frame for frame
+ */
+class ReplaysScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the replays scene
+     */
+    constructor() {
+        super({ key: 'ReplaysScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Build the replay list
+     */
+    create() {
+        // Panel behind the list
+        const panel = this.add.rectangle(400, 300, 560, 480, 0xffffff, 0.85);
+        panel.setStrokeStyle(3, 0x1976D2);
+        
+        const titleText = this.add.text(400, 95, '📼 Replays', {
+            fontSize: '40px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        const replays = ReplayManager.loadAll();
+        
+        // One entry per saved replay, then Back
+        const items = replays.map(replay => ({
+            label: this.getReplayLabel(replay),
+            onSelect: () => this.watchReplay(replay)
+        }));
+        items.push({ label: '⬅️ Back', onSelect: () => this.goBack() });
+        
+        if (replays.length === 0) {
+            const emptyText = this.add.text(400, 220,
+                'No saved replays yet!\nFinish a walk and press 💾 Save Replay.',
+                {
+                    fontSize: '20px',
+                    fontFamily: 'Arial',
+                    color: '#2c3e50',
+                    align: 'center'
+                }
+            );
+            emptyText.setOrigin(0.5);
+        }
+        
+        this.touchControls = new TouchControls(this, null);
+        this.menu = new MenuList(this, 400, replays.length > 0 ? 165 : 320, items, this.touchControls);
+        
+        // Escape also goes back
+        this.input.keyboard.once('keydown-ESC', this.goBack, this);
+        
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Check menu input
+     */
+    update() {
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // REPLAYS
+    // =============================================================
+    
+    /**
+     * Describe a replay in one line
+     * 
+     * @param {Object} replay - A saved replay
+     * @returns {string} e.g. "📚 1500m · 🔥 Hard · Mar 3, 4:15 PM"
+     */
+    getReplayLabel(replay) {
+        const icons = { victory: '📚', closed: '🔒' };
+        const icon = replay.runConfig.mode === 'endless' ? '♾️' : icons[replay.outcome] || '😢';
+        const date = new Date(replay.date).toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        
+        const difficulty = DifficultyManager.getLabel(replay.runConfig.difficulty);
+        
+        return `${icon} ${replay.meters}m · ${difficulty} · ${date}`;
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Open a replay in the viewer
+     * 
+     * @param {Object} replay - The replay to watch
+     */
+    watchReplay(replay) {
+        this.menu.lock();
+        this.scene.start('ReplayScene', { replay: replay });
+    }
+    
+    /**
+     * Return to the title menu
+     */
+    goBack() {
+        // WHY check? Esc and the Back entry could both fire
+        if (this.menu.isLocked) return;
+        this.menu.lock();
+        this.scene.start('MenuScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when leaving the replay list
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
@@ -0,0 +1,1047 @@
+/**
+ * RouteEditorScene Class
+ * 
+ * Lay out a route without touching any code!
+ * The sidewalk is a timeline - move along it, drop things on it and
+ * tweak them in the side panel:
+ * - 🏫 Dottie Bacon School and 🌳 park zones (length, how often they repeat)
+ * - 👴 Old Man visits, 🐿️ squirrels, 🍫 treats and 🍬 candy bars
+ * - 📚 the library (the goal)
+ * - How often pigeons, candy bars and bus stops come along
+ * 
+ * Play-test from wherever the cursor is, then export the route as a
+ * file the game loads from data/routes/ (index.html?route=name).
+ * 
+ * WHY keep the route valid after every change? Play-test and Export
+ * never have to say "fix this first" - a change that would break the
+ * schema is undone and the reason shown instead
+ * 
+ * The work in progress is saved as you go (RouteManager draft), so
+ * coming back from a play-test picks up right where you left off.
+ */
+class RouteEditorScene extends Phaser.Scene {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where the timeline is drawn (left edge after the lane names)
+    static TIMELINE_LEFT = 100;
+    static TIMELINE_RIGHT = 585;
+    static TIMELINE_TOP = 55;
+    static TIMELINE_BOTTOM = 365;
+    
+    // Timeline pixels per route meter
+    // WHY 0.7? About 700m fits on screen - half the Blueberrydale walk
+    static SCALE = 0.7;
+    
+    // How far one press of ← / → moves the cursor (meters)
+    // WHY 10? Fine enough to place things, coarse enough to stay tidy
+    static STEP_METERS = 10;
+    static BIG_STEP_METERS = 100;
+    
+    // Keep the cursor at least this far from the edges of the view (meters)
+    static VIEW_MARGIN_METERS = 60;
+    
+    // The lanes of the timeline: what goes where
+    // WHY a lane per zone type? Zones can overlap on the route - a
+    // school and a park at the same spot should both be visible
+    static LANES = {
+        dottieBaconSchool: { y: 108, icon: '🏫', label: 'Schools', color: 0x8D6E63 },
+        blueberrydalePark: { y: 136, icon: '🌳', label: 'Parks', color: 0x66BB6A },
+        mapleStreetCrosswalk: { y: 164, icon: '🚦', label: 'Crossings', color: 0x546E7A },
+        oldMan: { y: 192, icon: '👴', label: 'Old Man' },
+        squirrel: { y: 220, icon: '🐿️', label: 'Squirrels' },
+        powerUp: { y: 248, icon: '🍫', label: 'Treats' },
+        candyBar: { y: 276, icon: '🍬', label: 'Candy' },
+        birds: { y: 304, icon: '🐦', label: 'Pigeons' },
+        checkpoints: { y: 332, icon: '🚏', label: 'Bus stops' }
+    };
+    
+    // What can be placed (number keys 1-7, or the toolbar)
+    static TOOLS = [
+        { key: '1', type: 'dottieBaconSchool', label: '🏫 School' },
+        { key: '2', type: 'oldMan', label: '👴 Old Man' },
+        { key: '3', type: 'squirrel', label: '🐿️ Squirrel' },
+        { key: '4', type: 'powerUp', label: '🍫 Treat' },
+        { key: '5', type: 'candyBar', label: '🍬 Candy' },
+        { key: '6', type: 'blueberrydalePark', label: '🌳 Park' },
+        { key: '7', type: 'mapleStreetCrosswalk', label: '🚦 Crosswalk' }
+    ];
+    
+    // A new zone's size (meters), by type
+    // WHY per type? Each starts out like Blueberrydale's - a street
+    // as long as a school would take a while to cross!
+    static NEW_ZONE_LENGTHS = {
+        dottieBaconSchool: 150,
+        blueberrydalePark: 120,
+        mapleStreetCrosswalk: 20
+    };
+    
+    // Name for a brand-new route
+    static NEW_ROUTE_NAME = 'My Route';
+    
+    // How to use the editor (shown at the bottom)
+    static HELP =
+        '←/→ move (Shift: 100m)  ·  1-7 place  ·  G library here  ·  Del remove  ·  ' +
+        'Tab: settings (↑/↓ pick, ←/→ change)';
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the route editor scene
+     */
+    constructor() {
+        super({ key: 'RouteEditorScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Build the editor
+     */
+    create() {
+        // The route being edited (saved after every change)
+        this.route = RouteManager.loadDraft();
+        
+        // Where the cursor is, and the first meter shown on the timeline
+        // WHY remember them? Coming back from a play-test should land
+        // on the same spot
+        this.cursorMeters = this.registry.get('routeEditorCursor') || 0;
+        this.viewStartMeters = 0;
+        
+        // Which part has the keyboard: 'timeline' or 'panel'
+        this.focus = 'timeline';
+        
+        // Which settings row is highlighted (panel focus)
+        this.selectedFieldIndex = 0;
+        
+        // Text objects drawn on the timeline / panel (rebuilt on every change)
+        this.timelineTexts = [];
+        this.panelTexts = [];
+        
+        this.add.rectangle(400, 300, 800, 600, 0xECEFF1);
+        this.createTitle();
+        this.createTimeline();
+        this.createPanel();
+        this.createToolbar();
+        this.createStatusLine();
+        
+        this.input.keyboard.on('keydown', this.onKeyDown, this);
+        this.events.once('shutdown', this.shutdown, this);
+        
+        this.scrollToCursor();
+        this.refresh();
+        this.showStatus('🗺️ Editing the route draft - it\'s saved as you go', '#2c3e50');
+        
+        console.log(`🗺️ Route editor open - editing "${this.route.name}"`);
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Create the title and the route's name
+     */
+    createTitle() {
+        this.add.text(20, 12, '🗺️ Route Editor', {
+            fontSize: '24px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        
+        this.nameText = this.add.text(230, 18, '', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#7f8c8d'
+        });
+    }
+    
+    /**
+     * Create the timeline's background, lane names and click area
+     */
+    createTimeline() {
+        const left = RouteEditorScene.TIMELINE_LEFT;
+        const right = RouteEditorScene.TIMELINE_RIGHT;
+        const top = RouteEditorScene.TIMELINE_TOP;
+        const bottom = RouteEditorScene.TIMELINE_BOTTOM;
+        
+        this.timelineFrame = this.add.rectangle(10, top - 10, right - 5, bottom - top + 20, 0xffffff);
+        this.timelineFrame.setOrigin(0, 0);
+        
+        Object.values(RouteEditorScene.LANES).forEach(lane => {
+            this.add.text(18, lane.y, `${lane.icon} ${lane.label}`, {
+                fontSize: '13px',
+                fontFamily: 'Arial',
+                color: '#2c3e50'
+            }).setOrigin(0, 0.5);
+        });
+        
+        // Everything that changes is drawn into this (see drawTimeline)
+        this.timelineGraphics = this.add.graphics();
+        
+        // Click the timeline to move the cursor there
+        const clickArea = this.add.zone(left, top, right - left, bottom - top);
+        clickArea.setOrigin(0, 0);
+        clickArea.setInteractive({ useHandCursor: true });
+        clickArea.on('pointerdown', pointer => {
+            this.focus = 'timeline';
+            const meters = this.viewStartMeters + (pointer.x - left) / RouteEditorScene.SCALE;
+            this.moveCursorTo(meters);
+        });
+    }
+    
+    /**
+     * Create the settings panel's frame (its rows come from getFields)
+     */
+    createPanel() {
+        this.panelFrame = this.add.rectangle(600, 45, 190, 340, 0xffffff);
+        this.panelFrame.setOrigin(0, 0);
+        
+        this.add.text(695, 58, '⚙️ Settings', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+    }
+    
+    /**
+     * Create the buttons along the bottom
+     * 
+     * WHY buttons AND keys? Keys are quick once you know them - the
+     * buttons show what's possible (and work with a mouse or a tap)
+     */
+    createToolbar() {
+        RouteEditorScene.TOOLS.forEach((tool, index) => {
+            this.createButton(70 + index * 110, 420, `${tool.key} ${tool.label}`, () => this.place(tool.type));
+        });
+        
+        const actions = [
+            { label: 'G 📚 Library', onClick: () => this.moveGoalToCursor() },
+            { label: 'P ▶️ Play-test', onClick: () => this.playtest() },
+            { label: 'E ⬇️ Export', onClick: () => this.exportRoute() },
+            { label: 'I ⬆️ Import', onClick: () => this.importRoute() },
+            { label: 'R ✏️ Rename', onClick: () => this.renameRoute() },
+            { label: 'N ✨ New', onClick: () => this.newRoute() }
+        ];
+        actions.forEach((action, index) => {
+            this.createButton(68 + index * 133, 468, action.label, action.onClick);
+        });
+        
+        this.createButton(72, 516, 'Del 🗑️ Remove', () => this.removeSelected());
+        this.createButton(728, 516, 'Esc ⬅️ Back', () => this.goBack());
+        
+        this.add.text(400, 575, RouteEditorScene.HELP, {
+            fontSize: '12px',
+            fontFamily: 'Arial',
+            color: '#7f8c8d',
+            align: 'center',
+            wordWrap: { width: 760 }
+        }).setOrigin(0.5);
+    }
+    
+    /**
+     * Create one toolbar button
+     * 
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {string} label - Button text
+     * @param {Function} onClick - Called when it's pressed
+     * @returns {Phaser.GameObjects.Text} The button
+     */
+    createButton(x, y, label, onClick) {
+        const button = this.add.text(x, y, label, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            backgroundColor: '#ffffff',
+            padding: { x: 8, y: 6 }
+        });
+        button.setOrigin(0.5);
+        button.setInteractive({ useHandCursor: true });
+        
+        // Hover feedback (like the results screen buttons)
+        button.on('pointerover', () => button.setStyle({ backgroundColor: '#BBDEFB' }));
+        button.on('pointerout', () => button.setStyle({ backgroundColor: '#ffffff' }));
+        button.on('pointerdown', onClick);
+        
+        return button;
+    }
+    
+    /**
+     * Create the line that reports what just happened
+     */
+    createStatusLine() {
+        this.statusText = this.add.text(400, 385, '', {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            align: 'center',
+            wordWrap: { width: 760 }
+        });
+        this.statusText.setOrigin(0.5);
+    }
+    
+    // =============================================================
+    // KEYBOARD
+    // =============================================================
+    
+    /**
+     * Handle a key press
+     * 
+     * WHY one 'keydown' listener instead of addKeys()? The editor has a
+     * lot of one-press shortcuts - a single switch keeps them readable
+     * 
+     * @param {KeyboardEvent} event - The browser's key event
+     */
+    onKeyDown(event) {
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        
+        // WHY? Tab would otherwise move the browser's focus off the game
+        if (key === 'Tab') {
+            event.preventDefault();
+            this.focus = this.focus === 'timeline' ? 'panel' : 'timeline';
+            this.refresh();
+            return;
+        }
+        
+        if (this.focus === 'panel' && this.onPanelKey(key)) return;
+        
+        const tool = RouteEditorScene.TOOLS.find(candidate => candidate.key === key);
+        if (tool) {
+            this.place(tool.type);
+            return;
+        }
+        
+        switch (key) {
+            case 'ArrowLeft':
+                this.moveCursorTo(this.cursorMeters - (event.shiftKey ? RouteEditorScene.BIG_STEP_METERS : RouteEditorScene.STEP_METERS));
+                break;
+            case 'ArrowRight':
+                this.moveCursorTo(this.cursorMeters + (event.shiftKey ? RouteEditorScene.BIG_STEP_METERS : RouteEditorScene.STEP_METERS));
+                break;
+            case 'Delete':
+            case 'Backspace':
+                this.removeSelected();
+                break;
+            case 'g':
+                this.moveGoalToCursor();
+                break;
+            case 'p':
+                this.playtest();
+                break;
+            case 'e':
+                this.exportRoute();
+                break;
+            case 'i':
+                this.importRoute();
+                break;
+            case 'r':
+                this.renameRoute();
+                break;
+            case 'n':
+                this.newRoute();
+                break;
+            case 'Escape':
+                this.goBack();
+                break;
+        }
+    }
+    
+    /**
+     * Handle a key while the settings panel has focus
+     * 
+     * @param {string} key - The key's name
+     * @returns {boolean} True if the panel used it
+     */
+    onPanelKey(key) {
+        const fields = this.getFields();
+        
+        switch (key) {
+            case 'ArrowUp':
+                this.selectedFieldIndex = (this.selectedFieldIndex - 1 + fields.length) % fields.length;
+                this.refresh();
+                return true;
+            case 'ArrowDown':
+                this.selectedFieldIndex = (this.selectedFieldIndex + 1) % fields.length;
+                this.refresh();
+                return true;
+            case 'ArrowLeft':
+                this.changeField(fields[this.selectedFieldIndex], -1);
+                return true;
+            case 'ArrowRight':
+                this.changeField(fields[this.selectedFieldIndex], 1);
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    // =============================================================
+    // CURSOR AND SELECTION
+    // =============================================================
+    
+    /**
+     * Move the cursor (snapped to STEP_METERS, never below 0m)
+     * 
+     * @param {number} meters - Where to put it
+     */
+    moveCursorTo(meters) {
+        const step = RouteEditorScene.STEP_METERS;
+        this.cursorMeters = Math.max(0, Math.round(meters / step) * step);
+        this.registry.set('routeEditorCursor', this.cursorMeters);
+        
+        // WHY reset the panel row? The selection (and its rows) changed
+        this.selectedFieldIndex = 0;
+        
+        this.scrollToCursor();
+        this.refresh();
+    }
+    
+    /**
+     * Scroll the timeline so the cursor is in view
+     */
+    scrollToCursor() {
+        const viewMeters = (RouteEditorScene.TIMELINE_RIGHT - RouteEditorScene.TIMELINE_LEFT) / RouteEditorScene.SCALE;
+        const margin = RouteEditorScene.VIEW_MARGIN_METERS;
+        
+        if (this.cursorMeters < this.viewStartMeters + margin) {
+            this.viewStartMeters = this.cursorMeters - margin;
+        } else if (this.cursorMeters > this.viewStartMeters + viewMeters - margin) {
+            this.viewStartMeters = this.cursorMeters - viewMeters + margin;
+        }
+        this.viewStartMeters = Math.max(0, this.viewStartMeters);
+    }
+    
+    /**
+     * What's under the cursor?
+     * 
+     * WHY zones first? A zone's start is where you'd go to change it
+     * 
+     * @returns {Object|null} { kind: 'zone' | 'placement' | 'goal', item }
+     */
+    getSelection() {
+        const isHere = meters => Math.abs(meters - this.cursorMeters) < RouteEditorScene.STEP_METERS / 2;
+        
+        const zone = this.route.zones.find(candidate => isHere(candidate.startMeters));
+        if (zone) return { kind: 'zone', item: zone };
+        
+        const placement = (this.route.placements || []).find(candidate => isHere(candidate.atMeters));
+        if (placement) return { kind: 'placement', item: placement };
+        
+        if (isHere(this.route.goalMeters)) return { kind: 'goal', item: null };
+        
+        return null;
+    }
+    
+    /**
+     * What a zone or placement type is called (its toolbar label)
+     * 
+     * @param {string} type - A RouteManager zone or placement type
+     * @returns {string} e.g. "🌳 Park"
+     */
+    getToolLabel(type) {
+        return RouteEditorScene.TOOLS.find(tool => tool.type === type).label;
+    }
+    
+    // =============================================================
+    // EDITING
+    // =============================================================
+    
+    /**
+     * Make a change to the route - kept only if the route is still valid
+     * 
+     * @param {Function} change - Changes this.route
+     * @param {string|Function} message - What to say if it worked (or a function returning it)
+     * @returns {boolean} True if the change was kept
+     */
+    applyChange(change, message) {
+        const before = RouteManager.copy(this.route);
+        change();
+        
+        const errors = RouteManager.validate(this.route);
+        if (errors.length > 0) {
+            this.route = before;
+            this.showStatus(`❌ ${errors[0]}`, '#C62828');
+            this.refresh();
+            return false;
+        }
+        
+        RouteManager.saveDraft(this.route);
+        this.showStatus(typeof message === 'function' ? message() : message, '#2E7D32');
+        this.refresh();
+        return true;
+    }
+    
+    /**
+     * Place something at the cursor
+     * 
+     * @param {string} type - A RouteManager zone or placement type
+     */
+    place(type) {
+        const meters = this.cursorMeters;
+        
+        if (RouteManager.ZONE_TYPES.includes(type)) {
+            if (this.route.zones.some(zone => zone.startMeters === meters)) {
+                this.showStatus(`⚠️ There's already a zone at ${meters}m`, '#E65100');
+                return;
+            }
+            this.applyChange(() => {
+                this.route.zones.push({ type: type, startMeters: meters, repeatMeters: 0, lengthMeters: RouteEditorScene.NEW_ZONE_LENGTHS[type] });
+            }, `${this.getToolLabel(type)} zone added at ${meters}m`);
+            return;
+        }
+        
+        const placements = this.route.placements || [];
+        if (placements.some(placement => placement.type === type && placement.atMeters === meters)) {
+            this.showStatus(`⚠️ There's already one at ${meters}m`, '#E65100');
+            return;
+        }
+        this.applyChange(() => {
+            this.route.placements = placements.concat({ type: type, atMeters: meters });
+        }, `${RouteEditorScene.LANES[type].icon} Placed at ${meters}m`);
+    }
+    
+    /**
+     * Remove whatever is under the cursor
+     */
+    removeSelected() {
+        const selection = this.getSelection();
+        if (!selection || selection.kind === 'goal') {
+            this.showStatus('⚠️ Nothing to remove here (move the library with G)', '#E65100');
+            return;
+        }
+        
+        this.applyChange(() => {
+            if (selection.kind === 'zone') {
+                this.route.zones = this.route.zones.filter(zone => zone !== selection.item);
+            } else {
+                this.route.placements = this.route.placements.filter(placement => placement !== selection.item);
+            }
+        }, `🗑️ Removed from ${this.cursorMeters}m`);
+    }
+    
+    /**
+     * Put the library at the cursor
+     */
+    moveGoalToCursor() {
+        this.applyChange(() => {
+            this.route.goalMeters = this.cursorMeters;
+        }, `📚 The library is now at ${this.cursorMeters}m`);
+    }
+    
+    /**
+     * Change one settings row by one step
+     * 
+     * @param {Object} field - A row from getFields()
+     * @param {number} direction - -1 or +1
+     */
+    changeField(field, direction) {
+        if (!field) return;
+        
+        this.applyChange(() => field.change(direction * field.step), () => `${field.label}: ${field.format(field.get())}`);
+    }
+    
+    /**
+     * The settings panel's rows
+     * 
+     * Rows for what's under the cursor come first, then the route's own.
+     * Each row: { label, get(), change(amount), step, format(value) }
+     * 
+     * @returns {Array<Object>} The rows
+     */
+    getFields() {
+        const route = this.route;
+        const meters = value => `${value}m`;
+        const fields = [];
+        
+        // A row that reads and writes one number of the route
+        const numberField = (label, owner, key, step, format = meters) => ({
+            label: label,
+            step: step,
+            format: format,
+            get: () => owner[key] || 0,
+            change: amount => { owner[key] = Math.round(((owner[key] || 0) + amount) * 100) / 100; }
+        });
+        
+        const selection = this.getSelection();
+        if (selection && selection.kind === 'zone') {
+            const icon = RouteEditorScene.LANES[selection.item.type].icon;
+            
+            // Moving the zone moves the cursor with it (so it stays selected)
+            const startField = numberField(`${icon} Starts at`, selection.item, 'startMeters', RouteEditorScene.STEP_METERS);
+            const changeStart = startField.change;
+            startField.change = amount => {
+                changeStart(amount);
+                this.cursorMeters = selection.item.startMeters;
+            };
+            fields.push(startField);
+            fields.push(numberField(`${icon} Length`, selection.item, 'lengthMeters', RouteEditorScene.STEP_METERS));
+            
+            // WHY not plain steps? A zone can't repeat before it's over -
+            // so "never" goes straight to its length, and back
+            const zone = selection.item;
+            const repeatField = numberField(`${icon} Repeats every`, zone, 'repeatMeters', 50, value => value > 0 ? `${value}m` : 'never');
+            repeatField.change = amount => {
+                const repeat = (zone.repeatMeters || 0) + amount;
+                if (amount > 0 && repeat < zone.lengthMeters) {
+                    zone.repeatMeters = zone.lengthMeters;
+                } else {
+                    zone.repeatMeters = repeat < zone.lengthMeters ? 0 : repeat;
+                }
+            };
+            fields.push(repeatField);
+            
+            // Schools only: ← / → switch the Bully Leader on and off
+            // WHY delete it when off? Like friends - leaving it out is how
+            // a route has none
+            if (zone.type === 'dottieBaconSchool') {
+                fields.push({
+                    label: `${icon} Bully Leader`,
+                    step: 1,
+                    format: value => value ? 'at the last school' : 'no',
+                    get: () => zone.bullyLeader ? 1 : 0,
+                    change: () => {
+                        if (zone.bullyLeader) {
+                            delete zone.bullyLeader;
+                        } else {
+                            zone.bullyLeader = true;
+                        }
+                    }
+                });
+            }
+        } else if (selection && selection.kind === 'placement') {
+            const lane = RouteEditorScene.LANES[selection.item.type];
+            const atField = numberField(`${lane.icon} Placed at`, selection.item, 'atMeters', RouteEditorScene.STEP_METERS);
+            const changeAt = atField.change;
+            atField.change = amount => {
+                changeAt(amount);
+                this.cursorMeters = selection.item.atMeters;
+            };
+            fields.push(atField);
+        }
+        
+        fields.push(numberField('📚 Library at', route, 'goalMeters', 50));
+        fields.push(numberField('🍫 Treats', route.powerUps, 'treatRate', 0.5, value => `x${value}`));
+        fields.push(numberField('🍬 Candy every', route.powerUps, 'candyBarEveryMeters', 25));
+        
+        // WHY only if the route has it? Same as friends (below) - older
+        // route files are treats only
+        if (route.powerUps.specialChance !== undefined) {
+            fields.push(numberField('🎧 Specials', route.powerUps, 'specialChance', 0.1, value => `${Math.round(value * 100)}%`));
+        }
+        
+        fields.push(numberField('🐦 First pigeon', route.obstacles.birds, 'firstMeters', 10));
+        fields.push(numberField('🐦 Pigeon every', route.obstacles.birds, 'everyMeters', 10));
+        fields.push(numberField('🐦 Give or take', route.obstacles.birds, 'varianceMeters', 10));
+        fields.push(numberField('🚏 Stop every', route.checkpoints, 'everyMeters', 50));
+        
+        // WHY only if the route has friends? Older route files don't -
+        // and leaving them out is how a route has none
+        if (route.friends) {
+            fields.push(numberField('🤝 Friend chance every', route.friends, 'everyMeters', 25));
+        }
+        
+        // Weather: ← / → go through the choices (see WeatherManager)
+        // WHY 'clear' when missing? That's what the game plays then
+        const weathers = RouteManager.WEATHER_TYPES;
+        fields.push({
+            label: '🌦️ Weather',
+            step: 1,
+            format: index => {
+                const weather = WeatherManager.TYPES[weathers[index]];
+                return weather ? weather.label : '🎲 Random';
+            },
+            get: () => weathers.indexOf(route.weather || 'clear'),
+            change: amount => {
+                const index = weathers.indexOf(route.weather || 'clear');
+                route.weather = weathers[(index + amount + weathers.length) % weathers.length];
+            }
+        });
+        
+        return fields;
+    }
+    
+    // =============================================================
+    // DRAWING
+    // =============================================================
+    
+    /**
+     * Redraw everything that depends on the route or the cursor
+     */
+    refresh() {
+        this.registry.set('routeEditorCursor', this.cursorMeters);
+        this.nameText.setText(`"${this.route.name}"  ·  📚 ${this.route.goalMeters}m`);
+        this.drawTimeline();
+        this.drawPanel();
+    }
+    
+    /**
+     * Convert a route distance to a timeline X
+     * 
+     * @param {number} meters - Distance along the route
+     * @returns {number} X on screen
+     */
+    toX(meters) {
+        return RouteEditorScene.TIMELINE_LEFT + (meters - this.viewStartMeters) * RouteEditorScene.SCALE;
+    }
+    
+    /**
+     * Is a route distance inside the visible part of the timeline?
+     * 
+     * @param {number} meters - Distance along the route
+     * @returns {boolean} True if it's on screen
+     */
+    isVisible(meters) {
+        const x = this.toX(meters);
+        return x >= RouteEditorScene.TIMELINE_LEFT && x <= RouteEditorScene.TIMELINE_RIGHT;
+    }
+    
+    /**
+     * Draw the ruler, zones, placements, schedules, library and cursor
+     */
+    drawTimeline() {
+        const g = this.timelineGraphics;
+        const lanes = RouteEditorScene.LANES;
+        const left = RouteEditorScene.TIMELINE_LEFT;
+        const right = RouteEditorScene.TIMELINE_RIGHT;
+        const top = RouteEditorScene.TIMELINE_TOP;
+        const bottom = RouteEditorScene.TIMELINE_BOTTOM;
+        const viewEnd = this.viewStartMeters + (right - left) / RouteEditorScene.SCALE;
+        const goal = this.route.goalMeters;
+        
+        g.clear();
+        this.timelineTexts.forEach(text => text.destroy());
+        this.timelineTexts = [];
+        
+        const addText = (x, y, label, style = {}) => {
+            const text = this.add.text(x, y, label, Object.assign({ fontSize: '14px', fontFamily: 'Arial', color: '#2c3e50' }, style));
+            text.setOrigin(0.5);
+            this.timelineTexts.push(text);
+            return text;
+        };
+        
+        // Frame shows which part has the keyboard
+        this.timelineFrame.setStrokeStyle(2, this.focus === 'timeline' ? 0x1976D2 : 0xB0BEC5);
+        
+        // Past the library - nothing happens there
+        if (goal < viewEnd) {
+            const x = Math.max(left, this.toX(goal));
+            g.fillStyle(0xCFD8DC, 0.6);
+            g.fillRect(x, top + 20, right - x, bottom - top - 20);
+        }
+        
+        // Ruler: a tick every 50m, a label every 100m
+        g.lineStyle(1, 0xB0BEC5, 1);
+        for (let meters = Math.ceil(this.viewStartMeters / 50) * 50; meters <= viewEnd; meters += 50) {
+            const x = this.toX(meters);
+            g.lineBetween(x, top + 14, x, meters % 100 === 0 ? bottom : top + 22);
+            if (meters % 100 === 0) {
+                addText(x, top + 6, `${meters}m`, { fontSize: '11px', color: '#7f8c8d' });
+            }
+        }
+        
+        // Zones: every time each one appears before the library
+        this.route.zones.forEach(zone => {
+            const lane = lanes[zone.type];
+            this.getZoneOccurrences(zone).forEach((occurrence, index) => {
+                const x1 = Math.max(left, this.toX(occurrence.start));
+                const x2 = Math.min(right, this.toX(occurrence.end));
+                if (x2 <= x1) return;
+                
+                // WHY fainter repeats? Only the first one can be selected
+                g.fillStyle(lane.color, index === 0 ? 0.8 : 0.35);
+                g.fillRect(x1, lane.y - 12, x2 - x1, 24);
+                if (this.isVisible(occurrence.start)) {
+                    addText(this.toX(occurrence.start) + 10, lane.y, lane.icon);
+                }
+            });
+        });
+        
+        // Placed things
+        (this.route.placements || []).forEach(placement => {
+            if (!this.isVisible(placement.atMeters)) return;
+            const lane = lanes[placement.type];
+            addText(this.toX(placement.atMeters), lane.y, lane.icon, { fontSize: '18px' });
+        });
+        
+        // Scheduled things, faded - they come along on their own
+        // WHY "about" for pigeons? Each gap varies by varianceMeters
+        const birds = this.route.obstacles.birds;
+        for (let meters = birds.firstMeters; meters < Math.min(viewEnd, goal); meters += birds.everyMeters) {
+            if (this.isVisible(meters)) {
+                addText(this.toX(meters), lanes.birds.y, lanes.birds.icon).setAlpha(0.45);
+            }
+        }
+        const candyEvery = this.route.powerUps.candyBarEveryMeters;
+        for (let meters = candyEvery; meters < Math.min(viewEnd, goal); meters += candyEvery) {
+            if (this.isVisible(meters)) {
+                addText(this.toX(meters), lanes.candyBar.y, lanes.candyBar.icon).setAlpha(0.45);
+            }
+        }
+        this.getCheckpointMeters(viewEnd).forEach(meters => {
+            if (this.isVisible(meters)) {
+                addText(this.toX(meters), lanes.checkpoints.y, lanes.checkpoints.icon);
+            }
+        });
+        
+        // The library
+        if (this.isVisible(goal)) {
+            const x = this.toX(goal);
+            g.lineStyle(3, 0x2E7D32, 1);
+            g.lineBetween(x, top + 20, x, bottom);
+            addText(x, bottom + 2, `📚 ${goal}m`, { fontSize: '13px', color: '#2E7D32', fontStyle: 'bold' });
+        }
+        
+        // The cursor
+        const cursorX = this.toX(this.cursorMeters);
+        g.lineStyle(2, 0xD32F2F, 1);
+        g.lineBetween(cursorX, top + 20, cursorX, bottom);
+        addText(cursorX, top + 22, `▼ ${this.cursorMeters}m`, {
+            fontSize: '12px',
+            color: '#ffffff',
+            backgroundColor: '#D32F2F',
+            padding: { x: 4, y: 1 }
+        });
+    }
+    
+    /**
+     * Draw the settings panel's rows
+     */
+    drawPanel() {
+        this.panelTexts.forEach(text => text.destroy());
+        this.panelTexts = [];
+        
+        this.panelFrame.setStrokeStyle(2, this.focus === 'panel' ? 0x1976D2 : 0xB0BEC5);
+        
+        const fields = this.getFields();
+        this.selectedFieldIndex = Math.min(this.selectedFieldIndex, fields.length - 1);
+        
+        // What's under the cursor
+        const selection = this.getSelection();
+        const selectionLabel = !selection ? `Nothing at ${this.cursorMeters}m` :
+            selection.kind === 'zone' ? `${this.getToolLabel(selection.item.type)} at ${selection.item.startMeters}m` :
+            selection.kind === 'placement' ? `${RouteEditorScene.LANES[selection.item.type].icon} at ${selection.item.atMeters}m` :
+            `📚 The library`;
+        const heading = this.add.text(695, 82, selectionLabel, {
+            fontSize: '13px',
+            fontFamily: 'Arial',
+            color: '#7f8c8d'
+        });
+        heading.setOrigin(0.5);
+        this.panelTexts.push(heading);
+        
+        // WHY squeeze the rows? A selected school has the most of them -
+        // they have to stay inside the panel, above the toolbar
+        const rowSpacing = Math.min(25, 264 / Math.max(1, fields.length - 1));
+        
+        fields.forEach((field, index) => {
+            const isSelected = this.focus === 'panel' && index === this.selectedFieldIndex;
+            const row = this.add.text(695, 108 + index * rowSpacing, `${field.label}  ◀ ${field.format(field.get())} ▶`, {
+                fontSize: '13px',
+                fontFamily: 'Arial',
+                color: isSelected ? '#ffffff' : '#2c3e50',
+                backgroundColor: isSelected ? '#1976D2' : 'rgba(0,0,0,0)',
+                padding: { x: 6, y: 2 }
+            });
+            row.setOrigin(0.5);
+            row.setInteractive({ useHandCursor: true });
+            
+            // Click the left half to lower it, the right half to raise it
+            row.on('pointerdown', pointer => {
+                this.focus = 'panel';
+                this.selectedFieldIndex = index;
+                this.changeField(field, pointer.x < row.x ? -1 : 1);
+            });
+            
+            this.panelTexts.push(row);
+        });
+    }
+    
+    /**
+     * Where does a zone appear (before the library)?
+     * 
+     * @param {Object} zone - A zone from the route
+     * @returns {Array<Object>} { start, end } in meters, in order
+     */
+    getZoneOccurrences(zone) {
+        const occurrences = [];
+        let start = zone.startMeters;
+        
+        while (start < this.route.goalMeters) {
+            occurrences.push({ start: start, end: start + zone.lengthMeters });
+            if (!(zone.repeatMeters > 0)) break;
+            start += zone.repeatMeters;
+        }
+        
+        return occurrences;
+    }
+    
+    /**
+     * Where the bus stops will be (like CheckpointManager does it)
+     * 
+     * @param {number} untilMeters - Stop looking past here
+     * @returns {Array<number>} Bus stop distances in meters
+     */
+    getCheckpointMeters(untilMeters) {
+        const stops = [];
+        const cutOff = this.route.goalMeters - BlueberrydaleLibrary.APPROACH_DISTANCE / RouteManager.PIXELS_PER_METER;
+        const occurrences = [].concat(...this.route.zones.map(zone => this.getZoneOccurrences(zone)));
+        
+        for (let number = 1; ; number++) {
+            let meters = number * this.route.checkpoints.everyMeters;
+            if (meters > untilMeters) break;
+            
+            // A stop inside a zone moves to just after it
+            occurrences.forEach(occurrence => {
+                if (meters >= occurrence.start && meters < occurrence.end) {
+                    meters = occurrence.end;
+                }
+            });
+            
+            if (meters >= cutOff) break;
+            stops.push(meters);
+        }
+        
+        return stops;
+    }
+    
+    /**
+     * Say what just happened
+     * 
+     * @param {string} message - The message
+     * @param {string} color - Text color
+     */
+    showStatus(message, color) {
+        this.statusText.setText(message);
+        this.statusText.setColor(color);
+    }
+    
+    // =============================================================
+    // ROUTE ACTIONS
+    // =============================================================
+    
+    /**
+     * Walk the route from the cursor
+     * 
+     * WHY the last difficulty picked? Play-tests should feel like the
+     * walks you actually play
+     */
+    playtest() {
+        if (this.cursorMeters >= this.route.goalMeters) {
+            this.showStatus('⚠️ Move the cursor before the library to play-test from there', '#E65100');
+            return;
+        }
+        
+        const runConfig = Object.assign(DifficultyManager.createRunConfig(DifficultyManager.getSelected()), {
+            route: RouteManager.copy(this.route),
+            startMeters: this.cursorMeters,
+            playtest: true
+        });
+        
+        console.log(`▶️ Play-testing "${this.route.name}" from ${this.cursorMeters}m`);
+        this.scene.start('GameScene', runConfig);
+    }
+    
+    /**
+     * Download the route as a file
+     */
+    exportRoute() {
+        const fileName = RouteManager.exportToFile(this.route);
+        const name = fileName.replace(/\.json$/, '');
+        this.showStatus(`⬇️ Saved ${fileName} - put it in ${RouteManager.ROUTE_FOLDER} and open index.html?${RouteManager.URL_PARAM}=${name}`, '#2E7D32');
+    }
+    
+    /**
+     * Load a route file into the editor
+     */
+    importRoute() {
+        RouteManager.importFromFile((route, errors, fileName) => {
+            // WHY check? The file picker can outlive the editor
+            if (!this.sys.isActive()) return;
+            
+            if (errors.length > 0) {
+                const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+                this.showStatus(`❌ ${fileName}: ${errors[0]}${more}`, '#C62828');
+                return;
+            }
+            
+            this.route = route;
+            RouteManager.saveDraft(this.route);
+            this.moveCursorTo(0);
+            this.showStatus(`⬆️ Loaded ${fileName}`, '#2E7D32');
+        });
+    }
+    
+    /**
+     * Give the route a new name (it becomes the exported file's name)
+     */
+    renameRoute() {
+        // WHY window.prompt? Typing a name is all it needs - no
+        // text-field widget to build for one line of text
+        const name = window.prompt('Route name:', this.route.name);
+        if (name === null || name.trim() === '') return;
+        
+        this.applyChange(() => {
+            this.route.name = name.trim();
+        }, `✏️ Renamed to "${name.trim()}"`);
+    }
+    
+    /**
+     * Start over with an empty route (the library at the usual distance)
+     */
+    newRoute() {
+        // WHY the loaded route's settings? Birds, treats, bus stops,
+        // friends and weather like the route everyone plays
+        const base = RouteManager.getRoute();
+        this.applyChange(() => {
+            this.route = {
+                name: RouteEditorScene.NEW_ROUTE_NAME,
+                goalMeters: base.goalMeters,
+                zones: [],
+                obstacles: RouteManager.copy(base.obstacles),
+                powerUps: RouteManager.copy(base.powerUps),
+                checkpoints: RouteManager.copy(base.checkpoints),
+                placements: []
+            };
+            
+            // WHY only if set? The built-in route has neither (and an
+            // empty field wouldn't pass the schema)
+            if (base.friends) this.route.friends = RouteManager.copy(base.friends);
+            if (base.weather) this.route.weather = base.weather;
+        }, '✨ New route - place some zones and obstacles!');
+        this.moveCursorTo(0);
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Back to the title menu (the draft is already saved)
+     */
+    goBack() {
+        console.log('🏠 Leaving the route editor...');
+        this.scene.start('MenuScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when leaving the editor
+     */
+    shutdown() {
+        this.input.keyboard.off('keydown', this.onKeyDown, this);
+        this.timelineTexts = [];
+        this.panelTexts = [];
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * SettingsScene Class
+ * 
+ * Lets the player change game settings from the title menu.
+ * Every setting comes from SettingsManager.OPTIONS, so new settings
+ * show up here automatically.
+ * 
+ * WHY a separate scene?
+ * - Keeps the title menu short and simple
+ * - Settings are saved as soon as they change - nothing to "apply"
+ */
+class SettingsScene extends Phaser.Scene {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the settings scene
+     */
+    constructor() {
+        super({ key: 'SettingsScene' });
+    }
+    
+    // =============================================================
+    // SCENE LIFECYCLE
+    // =============================================================
+    
+    /**
+     * Build the settings screen
+     */
+    create() {
+        // Panel behind the settings
+        const panel = this.add.rectangle(400, 300, 560, 480, 0xffffff, 0.85);
+        panel.setStrokeStyle(3, 0x1976D2);
+        
+        const titleText = this.add.text(400, 95, '⚙️ Settings', {
+            fontSize: '40px',
+            fontFamily: 'Arial',
+            color: '#2c3e50',
+            fontStyle: 'bold'
+        });
+        titleText.setOrigin(0.5);
+        
+        // One entry per setting - pressing it cycles the value
+        const items = Object.keys(SettingsManager.OPTIONS).map(key => ({
+            label: () => `${SettingsManager.OPTIONS[key].label}: ${SettingsManager.getChoiceLabel(key)}`,
+            onSelect: () => SettingsManager.cycle(key)
+        }));
+        items.push({ label: '⬅️ Back', onSelect: () => this.goBack() });
+        
+        this.touchControls = new TouchControls(this, null);
+        this.menu = new MenuList(this, 400, 180, items, this.touchControls);
+        
+        // Escape also goes back
+        this.input.keyboard.once('keydown-ESC', this.goBack, this);
+        
+        this.events.once('shutdown', this.shutdown, this);
+    }
+    
+    /**
+     * Check menu input
+     */
+    update() {
+        this.menu.update();
+    }
+    
+    // =============================================================
+    // NAVIGATION
+    // =============================================================
+    
+    /**
+     * Return to the title menu
+     */
+    goBack() {
+        // WHY check? Esc and the Back entry could both fire
+        if (this.menu.isLocked) return;
+        this.menu.lock();
+        this.scene.start('MenuScene');
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up when leaving the settings screen
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+    }
+}
@@ -10,6 +10,9 @@
  * 3. Exit the OPPOSITE side
  * 4. Wait, then re-enter from a random side
  * 
+ * A comeback from the student (see ComebackManager) stops them in their
+ * tracks for a moment - see stun()
+ * 
  * WHY extend Phaser.Physics.Arcade.Sprite?
  * - Consistent with other game objects
  * - Physics for movement
@@ -28,10 +31,6 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
     // WHY 100? Faster than old man - they're young and energetic!
     static PATROL_SPEED = 100;
     
-    // Maximum throws per patrol
-    // WHY 4? More than before since they're charging through
-    static MAX_THROWS = 4;
-    
     // Screen boundaries
     static SCREEN_LEFT = -80;
     static SCREEN_RIGHT = 880;
@@ -44,6 +43,11 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
     static REENTRY_TIME_MIN = 4000;
     static REENTRY_TIME_MAX = 7000;
     
+    // How long a comeback leaves them speechless (milliseconds)
+    // WHY 1500? Long enough to walk out from under them - not long
+    // enough to forget they're there
+    static STUN_TIME = 1500;
+    
     // =============================================================
     // CONSTRUCTOR
     // =============================================================
@@ -85,9 +89,13 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         // PATROL STATE
         // =============================================================
         
-        // Current state: 'entering', 'charging', 'exiting', 'waiting'
+        // Current state: 'entering', 'charging', 'exiting', 'waiting', 'stunned'
         this.currentState = 'waiting';
         
+        // The state a comeback interrupted (see stun)
+        this.stunnedFrom = null;
+        this.stunStars = null;
+        
         // Direction: 1 = moving right, -1 = moving left
         this.patrolDirection = startFromRight ? -1 : 1;
         
@@ -104,7 +112,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         this.isDestroyed = false;
         
         // Start entering after a delay (staggered with other bullies)
-        const entryDelay = Phaser.Math.Between(500, 2000);
+        const entryDelay = this.scene.rng.between(500, 2000);
         const entryTimer = this.scene.time.delayedCall(entryDelay, () => {
             if (this.isDestroyed || !this.active || !this.body) return;  // Safety check - already destroyed
             this.startEntering();
@@ -163,10 +171,14 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
     
     /**
      * Start throwing timer
+     * 
+     * @param {boolean} throwNow - Throw one right away? (not when getting over a stun)
      */
-    startThrowingTimer() {
+    startThrowingTimer(throwNow = true) {
         // Throw immediately on first sight
-        this.tryToThrow();
+        if (throwNow) {
+            this.tryToThrow();
+        }
         
         this.throwTimer = this.scene.time.addEvent({
             delay: Bully.THROW_INTERVAL,
@@ -290,7 +302,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         this.setVisible(false);
         
         // Calculate wait time
-        const waitTime = Phaser.Math.Between(
+        const waitTime = this.scene.rng.between(
             Bully.REENTRY_TIME_MIN,
             Bully.REENTRY_TIME_MAX
         );
@@ -311,7 +323,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         if (this.isDestroyed || !this.active || !this.body) return;
         
         // 50/50 chance of either side - keeps player guessing!
-        const enterFromRight = Math.random() < 0.5;
+        const enterFromRight = this.scene.rng.chance(0.5);
         
         // Position off-screen using camera-relative coordinates
         const camera = this.scene.cameras.main;
@@ -377,8 +389,8 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         // Only throw when charging
         if (this.currentState !== 'charging') return;
         
-        // Check throw limit
-        if (this.throwCount >= Bully.MAX_THROWS) {
+        // Check throw limit (4 per pass on Normal - see DifficultyManager)
+        if (this.throwCount >= this.scene.difficulty.bullyMaxThrows) {
             console.log('😈 Bully out of insults for this pass!');
             return;
         }
@@ -403,15 +415,17 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         this.playThrowAnimation();
         
         // Calculate throw position (above the player's head for meteor effect)
-        const throwX = player.x + Phaser.Math.Between(-50, 50);  // Slight randomness
+        const throwX = player.x + this.scene.rng.between(-50, 50);  // Slight randomness
         const throwY = -50;  // Start above screen
         
         // Create the word bubble - let it pick a random message
+        // WHY pass this? A comeback flies back at whoever threw it
         const bubble = new WordBubble(
             this.scene,
             throwX,
-            throwY
-            // No message parameter = random insult from WordBubble.MESSAGES
+            throwY,
+            null,  // No message = random insult from WordBubble.MESSAGES
+            this
         );
         
         // Track for cleanup
@@ -427,7 +441,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         );
         
         // Occasional taunt
-        if (Math.random() < 0.3) {
+        if (this.scene.rng.chance(0.3)) {
             this.showAttackTaunt();
         }
     }
@@ -461,6 +475,80 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         }
     }
     
+    // =============================================================
+    // STUN METHODS
+    // =============================================================
+    
+    /**
+     * Hit by the student's comeback - too surprised to walk or throw
+     * 
+     * WHY only while charging or exiting? That's when they're on screen
+     * and moving - entering and waiting are run by timers that would
+     * pick up again in the middle of the stun
+     * 
+     * @returns {boolean} True if they were stunned
+     */
+    stun() {
+        if (this.isDestroyed || !this.active || !this.body) return false;
+        if (this.currentState !== 'charging' && this.currentState !== 'exiting') return false;
+        
+        console.log('😵 Bully stunned by a comeback!');
+        this.stunnedFrom = this.currentState;
+        this.currentState = 'stunned';
+        
+        this.stopThrowingTimer();
+        this.body.setVelocityX(0);
+        this.stopWalkAnimation();
+        
+        this.stunStars = this.scene.add.text(this.x, this.y - 40, '😵💫', {
+            fontSize: '18px'
+        });
+        this.stunStars.setOrigin(0.5, 1);
+        this.stunStars.setDepth(100);
+        this.scene.tweens.add({
+            targets: this.stunStars,
+            angle: { from: -10, to: 10 },
+            duration: 250,
+            yoyo: true,
+            repeat: -1
+        });
+        
+        const stunTimer = this.scene.time.delayedCall(Bully.STUN_TIME, () => {
+            if (this.isDestroyed || !this.active || !this.body) return;  // Safety check
+            this.recoverFromStun();
+        });
+        this.pendingTimers.push(stunTimer);
+        
+        return true;
+    }
+    
+    /**
+     * Shake off the stun and carry on where they left off
+     */
+    recoverFromStun() {
+        this.clearStunStars();
+        this.currentState = this.stunnedFrom;
+        this.stunnedFrom = null;
+        
+        this.body.setVelocityX(this.patrolDirection * Bully.PATROL_SPEED);
+        this.startWalkAnimation();
+        
+        if (this.currentState === 'charging') {
+            this.startThrowingTimer(false);
+        }
+    }
+    
+    /**
+     * Remove the stun stars
+     */
+    clearStunStars() {
+        if (this.stunStars) {
+            this.scene.tweens.killTweensOf(this.stunStars);
+            this.stunStars.destroy();
+            this.stunStars = null;
+        }
+    }
+    
     // =============================================================
     // VISUAL FEEDBACK METHODS
     // =============================================================
@@ -511,7 +599,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
             '"Where ya going?"',
             '"Get back here!"'
         ];
-        const taunt = Phaser.Math.RND.pick(taunts);
+        const taunt = this.scene.rng.pick(taunts);
         
         const text = this.scene.add.text(
             this.x,
@@ -549,7 +637,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
             "Ha ha!",
             "You stink!"
         ];
-        const taunt = Phaser.Math.RND.pick(taunts);
+        const taunt = this.scene.rng.pick(taunts);
         
         const text = this.scene.add.text(
             this.x,
@@ -586,7 +674,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
             '"You got lucky!"',
             '"Next time, nerd!"'
         ];
-        const taunt = Phaser.Math.RND.pick(taunts);
+        const taunt = this.scene.rng.pick(taunts);
         
         const text = this.scene.add.text(
             this.x,
@@ -639,6 +727,7 @@ class Bully extends Phaser.Physics.Arcade.Sprite {
         
         // Stop animations
         this.scene.tweens.killTweensOf(this);
+        this.clearStunStars();
         
         // Clean up word bubbles
         this.wordBubbles.forEach(bubble => {
@@ -0,0 +1,882 @@
+/**
+ * BullyLeader Class (Boss NPC)
+ * 
+ * The leader of the Dottie Bacon bullies - waiting at the gate of the
+ * last school before the library! The walk doesn't go on until the
+ * student stands up to him.
+ * 
+ * WHY extend Bully?
+ * - He's still a bully: word bubbles, taunts, the throw wind-up and
+ *   the cleanup of everything he threw (throwWordBubble's overlap,
+ *   onBubbleHitPlayer, cleanup...)
+ * - Only the fight itself is new - like BossSquirrel and Squirrel
+ * 
+ * THE FIGHT (one round after another, until he's out of health):
+ * 1. Volley: red marks on the sidewalk show where his word bubbles
+ *    will land, then down they come - in a pattern (see PATTERNS)
+ * 2. Charge: he winds up (red, shaking), then runs at the student -
+ *    jump over him!
+ * 3. Dizzy: he runs out of steam past the student. While the stars
+ *    spin, jump on him - that's one hit on his health bar
+ * 4. Back to the gate for the next round - angrier each time: every
+ *    hit moves him on to the next pattern and a faster charge
+ * 5. Out of health: he spins, shrinks back down to size and runs off
+ *    crying - and the way to the library is clear
+ */
+class BullyLeader extends Bully {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How much bigger than the other bullies
+    // WHY 1.5? Clearly the boss, still jumpable (the student jumps ~200px)
+    static SCALE = 1.5;
+    
+    // Hits it takes to make him give up
+    static MAX_HEALTH = 3;
+    
+    // Where he stands to throw (screen X)
+    static HOME_X = 640;
+    
+    // Walking speed, in and back to the gate (pixels per second)
+    static WALK_SPEED = 120;
+    
+    // The volley pattern for each round - one per health point
+    // - spread: three at once, around the student - step out from under
+    // - wall: bubbles all the way across, except for one gap - find it
+    // - rain: one after another, each aimed at the student - keep moving
+    static PATTERNS = ['spread', 'wall', 'rain'];
+    
+    // How long the marks show before each bubble comes (ms)
+    // WHY 900? Time to read the pattern and start moving
+    static TELEGRAPH_TIME = 900;
+    
+    // How long a mark stays once its bubble is thrown (ms)
+    // WHY? About how long the bubble takes to fall to the sidewalk
+    static MARK_FALL_TIME = 1600;
+    
+    // Where the marks go (on the sidewalk)
+    static MARK_Y = 560;
+    
+    // Spread: how far apart the three bubbles land (pixels)
+    static SPREAD_GAP = 180;
+    
+    // Wall: where the bubbles can land (two neighbours are left out)
+    static WALL_SLOTS = [70, 200, 330, 460, 590, 720];
+    
+    // Rain: how many bubbles, and how far apart (ms)
+    static RAIN_COUNT = 5;
+    static RAIN_INTERVAL = 450;
+    
+    // Pause after the last bubble, before the charge wind-up (ms)
+    static VOLLEY_PAUSE = 1800;
+    
+    // How long he winds up before he charges (ms)
+    // WHY 900? The tell - long enough to get ready to jump
+    static WINDUP_TIME = 900;
+    
+    // Charging speed (pixels per second), and how much faster each round
+    // WHY 330? Faster than the squirrels (180) - it's a boss
+    static CHARGE_SPEED = 330;
+    static CHARGE_SPEED_PER_ROUND = 0.15;
+    
+    // How far past the student he runs before he's out of steam (pixels)
+    static CHARGE_OVERSHOOT = 170;
+    
+    // He never runs further left than this (screen X)
+    static MIN_X = 70;
+    
+    // How far behind the student (center to center) before a charge
+    // counts as dodged (like Squirrel.PASS_MARGIN, times his size)
+    static PASS_MARGIN = 30;
+    
+    // How long he's dizzy - the window to jump on him (ms)
+    // WHY 3000? Time to turn around, walk over and jump
+    static DIZZY_TIME = 3000;
+    
+    // How close the student's feet must be to the top of his head
+    // to count as landing on him (pixels)
+    static STOMP_MARGIN = 25;
+    
+    // How high the student bounces off him (velocity)
+    static STOMP_BOUNCE = -380;
+    
+    // Where the health bar goes (under the game title)
+    static HEALTH_BAR_X = 400;
+    static HEALTH_BAR_Y = 112;
+    static HEALTH_BAR_WIDTH = 220;
+    static HEALTH_BAR_HEIGHT = 14;
+    
+    // What he says
+    static ENTRANCE_TAUNTS = [
+        '"Nobody walks past MY school!"',
+        '"Going somewhere, nerd?"',
+        '"The library? HA!"'
+    ];
+    static VOLLEY_SHOUTS = {
+        spread: '"Dodge THIS!"',
+        wall: '"Nowhere to hide!"',
+        rain: '"Can\'t catch a break, huh?"'
+    };
+    static HIT_SHOUTS = ['"OW!"', '"Hey! Quit it!"', '"No fair!"'];
+    static COMEBACK_SHOUT = '"Is that all you\'ve got?"';
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Make him big, give him his health bar and watch for the student
+     * 
+     * WHY here and not in a constructor? Bully's constructor calls
+     * this before our own constructor code could run (like BossSquirrel)
+     */
+    setupBully() {
+        super.setupBully();
+        
+        this.setTexture('bully-leader');
+        this.setScale(BullyLeader.SCALE);
+        this.setDepth(13);
+        
+        this.health = BullyLeader.MAX_HEALTH;
+        
+        // The current charge (see startCharge)
+        this.chargeEndX = BullyLeader.MIN_X;
+        this.hasHitThisCharge = false;
+        this.hasDodged = false;
+        this.closestDistance = Infinity;
+        
+        // The sidewalk marks showing where bubbles will land
+        this.marks = [];
+        
+        // The dizzy stars over his head (and the timer until he's over it)
+        this.stars = null;
+        this.dizzyTimer = null;
+        
+        // WHY remember it? The "jump on him" hint is only shown once
+        this.hasShownHint = false;
+        
+        // Has he given up (and is running off)?
+        this.isDefeated = false;
+        
+        this.createHealthBar();
+        
+        // Charges hurt, and he can be jumped on while dizzy
+        // (see onTouchPlayer - the state decides which)
+        const player = this.scene.student;
+        if (player) {
+            this.scene.physics.add.overlap(this, player, this.onTouchPlayer, null, this);
+        }
+        
+        console.log('😈👑 The Bully Leader is here!');
+    }
+    
+    /**
+     * Create the health bar (and his name) at the top of the screen
+     */
+    createHealthBar() {
+        const x = BullyLeader.HEALTH_BAR_X;
+        const y = BullyLeader.HEALTH_BAR_Y;
+        const width = BullyLeader.HEALTH_BAR_WIDTH;
+        const height = BullyLeader.HEALTH_BAR_HEIGHT;
+        
+        this.healthLabel = this.scene.add.text(x, y - height, '😈👑 BULLY LEADER', {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#FFC107',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        });
+        this.healthLabel.setOrigin(0.5, 1);
+        
+        this.healthBackground = this.scene.add.rectangle(x, y, width, height, 0x222222, 0.8);
+        this.healthBackground.setStrokeStyle(2, 0xffffff, 0.9);
+        
+        // WHY origin 0? The bar shrinks from the right as he takes hits
+        this.healthFill = this.scene.add.rectangle(x - width / 2, y, width, height, 0xC62828, 1);
+        this.healthFill.setOrigin(0, 0.5);
+        
+        // A notch between each hit's worth
+        this.healthNotches = this.scene.add.graphics();
+        this.healthNotches.lineStyle(2, 0xffffff, 0.9);
+        for (let i = 1; i < BullyLeader.MAX_HEALTH; i++) {
+            const notchX = x - width / 2 + (width * i) / BullyLeader.MAX_HEALTH;
+            this.healthNotches.lineBetween(notchX, y - height / 2, notchX, y + height / 2);
+        }
+        
+        this.getHealthBarParts().forEach(part => {
+            part.setDepth(1000);
+            part.setScrollFactor(0);
+        });
+    }
+    
+    /**
+     * @returns {Array} Everything the health bar is made of
+     */
+    getHealthBarParts() {
+        return [this.healthLabel, this.healthBackground, this.healthFill, this.healthNotches].filter(part => part);
+    }
+    
+    /**
+     * Shrink the health bar to his health
+     */
+    updateHealthBar() {
+        if (!this.healthFill) return;
+        
+        this.scene.tweens.add({
+            targets: this.healthFill,
+            width: BullyLeader.HEALTH_BAR_WIDTH * (this.health / BullyLeader.MAX_HEALTH),
+            duration: 300,
+            ease: 'Power2'
+        });
+    }
+    
+    // =============================================================
+    // THE FIGHT
+    // =============================================================
+    
+    /**
+     * Walk in from the right, up to the school gate
+     * 
+     * WHY override? A bully's patrol runs straight across - the
+     * leader stops at the gate and fights
+     */
+    startEntering() {
+        if (this.isDestroyed || !this.active || !this.body) return;
+        
+        this.currentState = 'entering';
+        this.setVisible(true);
+        this.setFlipX(true);
+        this.body.setVelocityX(-BullyLeader.WALK_SPEED);
+        this.startWalkAnimation();
+        
+        // WHY scene.rng? Same seed = same taunts (replays!)
+        this.showSpeech(this.scene.rng.pick(BullyLeader.ENTRANCE_TAUNTS), '#FF0000');
+    }
+    
+    /**
+     * Which round is it? (1 = the first - one more for every hit)
+     * 
+     * @returns {number} The round, from 1 to MAX_HEALTH
+     */
+    getRound() {
+        return BullyLeader.MAX_HEALTH - this.health + 1;
+    }
+    
+    /**
+     * Throw this round's volley, then get ready to charge
+     */
+    startVolley() {
+        const player = this.scene.student;
+        if (this.isDestroyed || !player) return;
+        
+        this.currentState = 'volley';
+        
+        const pattern = BullyLeader.PATTERNS[this.getRound() - 1];
+        const throws = this.getVolley(pattern, player);
+        console.log(`😈👑 The Bully Leader throws a ${pattern} volley (${throws.length} bubbles)!`);
+        this.showSpeech(BullyLeader.VOLLEY_SHOUTS[pattern], '#FF4444');
+        
+        throws.forEach(({ delay, x }) => {
+            this.addTimer(delay, () => {
+                // WHY aim now (for the rain)? Each one follows the student
+                this.telegraphThrow(x === null ? this.scene.student.x : x);
+            });
+        });
+        
+        // Then wind up for the charge
+        const lastDelay = throws[throws.length - 1].delay;
+        this.addTimer(lastDelay + BullyLeader.TELEGRAPH_TIME + BullyLeader.VOLLEY_PAUSE, () => this.startWindup());
+    }
+    
+    /**
+     * Where (and when) a pattern's bubbles land
+     * 
+     * @param {string} pattern - One of PATTERNS
+     * @param {Student} player - The student
+     * @returns {Array<Object>} { delay (ms), x } for each bubble - x is
+     *                          null to aim at the student when it's thrown
+     */
+    getVolley(pattern, player) {
+        switch (pattern) {
+            case 'wall': {
+                // WHY scene.rng? Same seed = same gap (replays!)
+                const gap = this.scene.rng.between(0, BullyLeader.WALL_SLOTS.length - 2);
+                return BullyLeader.WALL_SLOTS
+                    .filter((slot, index) => index !== gap && index !== gap + 1)
+                    .map(x => ({ delay: 0, x: x }));
+            }
+            case 'rain': {
+                const throws = [];
+                for (let i = 0; i < BullyLeader.RAIN_COUNT; i++) {
+                    throws.push({ delay: i * BullyLeader.RAIN_INTERVAL, x: null });
+                }
+                return throws;
+            }
+            default:
+                // 'spread'
+                return [-1, 0, 1].map(side => ({
+                    delay: 0,
+                    x: Phaser.Math.Clamp(player.x + side * BullyLeader.SPREAD_GAP, 40, 760)
+                }));
+        }
+    }
+    
+    /**
+     * Mark where a bubble will land, then throw it
+     * 
+     * @param {number} x - Where it lands (screen X)
+     */
+    telegraphThrow(x) {
+        if (this.isDestroyed || this.currentState !== 'volley') return;
+        
+        const mark = this.scene.add.ellipse(x, BullyLeader.MARK_Y, 64, 14, 0xFF1744, 0.5);
+        mark.setDepth(5);
+        this.marks.push(mark);
+        
+        // Blink - "something's coming down here!"
+        this.scene.tweens.add({
+            targets: mark,
+            alpha: 0.15,
+            duration: 150,
+            yoyo: true,
+            repeat: -1
+        });
+        
+        this.addTimer(BullyLeader.TELEGRAPH_TIME, () => this.throwWordBubbleAt(x));
+        this.addTimer(BullyLeader.TELEGRAPH_TIME + BullyLeader.MARK_FALL_TIME, () => this.removeMark(mark));
+    }
+    
+    /**
+     * Throw one word bubble, straight down onto its mark
+     * 
+     * @param {number} x - Where it lands (screen X)
+     */
+    throwWordBubbleAt(x) {
+        const player = this.scene.student;
+        if (this.isDestroyed || this.currentState !== 'volley' || !player) return;
+        
+        this.playThrowAnimation();
+        
+        const bubble = new WordBubble(this.scene, x, -50, null, this);
+        
+        // WHY no drift? The marks show where it lands - reading the
+        // pattern is the challenge (the wind still pushes it, though)
+        bubble.setVelocityX(0);
+        
+        this.wordBubbles.push(bubble);
+        this.scene.physics.add.overlap(bubble, player, this.onBubbleHitPlayer, null, this);
+    }
+    
+    /**
+     * Take a mark off the sidewalk
+     * 
+     * @param {Phaser.GameObjects.Ellipse} mark - The mark
+     */
+    removeMark(mark) {
+        this.scene.tweens.killTweensOf(mark);
+        mark.destroy();
+        this.marks = this.marks.filter(other => other !== mark);
+    }
+    
+    /**
+     * The tell: he turns red and shakes, then charges
+     */
+    startWindup() {
+        if (this.isDestroyed) return;
+        
+        this.currentState = 'windup';
+        this.body.setVelocityX(0);
+        this.stopWalkAnimation();
+        this.setTint(0xFF5252);
+        this.showSpeech('"RAAAAH!"', '#FF0000');
+        
+        this.scene.tweens.add({
+            targets: this,
+            x: this.x + 4,
+            duration: 50,
+            yoyo: true,
+            repeat: Math.floor(BullyLeader.WINDUP_TIME / 100) - 1
+        });
+        
+        this.addTimer(BullyLeader.WINDUP_TIME, () => this.startCharge());
+    }
+    
+    /**
+     * Run at the student - and a good way past them
+     */
+    startCharge() {
+        const player = this.scene.student;
+        if (this.isDestroyed || !player) return;
+        
+        console.log('😈👑 The Bully Leader CHARGES!');
+        this.currentState = 'charging';
+        this.clearTint();
+        this.x = BullyLeader.HOME_X;
+        
+        this.hasHitThisCharge = false;
+        this.hasDodged = false;
+        this.closestDistance = Infinity;
+        
+        // WHY past the student? Jumping him leaves him dizzy behind you -
+        // turn around and he's yours
+        this.chargeEndX = Math.max(BullyLeader.MIN_X, player.x - BullyLeader.CHARGE_OVERSHOOT);
+        
+        const speed = BullyLeader.CHARGE_SPEED * (1 + (this.getRound() - 1) * BullyLeader.CHARGE_SPEED_PER_ROUND);
+        this.setFlipX(true);
+        this.body.setVelocityX(-speed);
+        this.startWalkAnimation();
+    }
+    
+    /**
+     * Out of steam - dizzy for a moment (jump on him now!)
+     */
+    becomeDizzy() {
+        this.currentState = 'dizzy';
+        this.body.setVelocityX(0);
+        this.stopWalkAnimation();
+        this.setAngle(-8);
+        
+        this.stars = this.scene.add.text(this.x, this.y - 65, '💫 💫', { fontSize: '20px' });
+        this.stars.setOrigin(0.5);
+        this.stars.setDepth(100);
+        this.scene.tweens.add({
+            targets: this.stars,
+            angle: 360,
+            duration: 800,
+            repeat: -1
+        });
+        
+        if (!this.hasShownHint) {
+            this.hasShownHint = true;
+            this.showSpeech('⬇️ Jump on him! ⬇️', '#2E7D32');
+        }
+        
+        this.dizzyTimer = this.addTimer(BullyLeader.DIZZY_TIME, () => {
+            this.dizzyTimer = null;
+            this.clearStars();
+            this.showSpeech('"Ha! Too slow!"', '#FF4444');
+            this.startReturning();
+        });
+    }
+    
+    /**
+     * Walk back to the gate for the next round
+     */
+    startReturning() {
+        if (this.isDestroyed) return;
+        
+        this.currentState = 'returning';
+        this.setAngle(0);
+        this.setFlipX(false);
+        this.body.setVelocityX(BullyLeader.WALK_SPEED * 2);
+        this.startWalkAnimation();
+    }
+    
+    /**
+     * Stop spinning the dizzy stars
+     */
+    clearStars() {
+        if (!this.stars) return;
+        this.scene.tweens.killTweensOf(this.stars);
+        this.stars.destroy();
+        this.stars = null;
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the leader each frame
+     * 
+     * WHY override? A bully's update is about running off the screen -
+     * the leader stays to fight
+     * 
+     * @param {Student} player - The player reference
+     */
+    update(player) {
+        if (this.isDestroyed || !player) return;
+        
+        // The student gave up - nothing left to fight
+        if (player.isDefeated && !this.isDefeated && this.currentState !== 'gloating') {
+            this.gloat();
+        }
+        
+        switch (this.currentState) {
+            case 'entering':
+                if (this.x <= BullyLeader.HOME_X) {
+                    this.arriveAtGate();
+                }
+                break;
+            case 'returning':
+                if (this.x >= BullyLeader.HOME_X) {
+                    this.arriveAtGate();
+                }
+                break;
+            case 'charging':
+                this.checkDodge(player);
+                if (this.x <= this.chargeEndX) {
+                    this.becomeDizzy();
+                }
+                break;
+            case 'runningOff': {
+                const camera = this.scene.cameras.main;
+                if (this.x > camera.scrollX + camera.width + Bully.SPAWN_OFFSET) {
+                    this.cleanup();
+                }
+                break;
+            }
+        }
+        
+        if (this.stars) {
+            this.stars.x = this.x;
+        }
+    }
+    
+    /**
+     * At the gate - stop, face the student and start the next round
+     */
+    arriveAtGate() {
+        this.x = BullyLeader.HOME_X;
+        this.body.setVelocityX(0);
+        this.stopWalkAnimation();
+        this.setFlipX(true);
+        this.startVolley();
+    }
+    
+    /**
+     * Check if the charge went past the student without touching them
+     * 
+     * @param {Student} player - The student
+     */
+    checkDodge(player) {
+        if (this.hasDodged || this.hasHitThisCharge) return;
+        
+        const distance = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        this.closestDistance = Math.min(this.closestDistance, distance);
+        
+        // WHY times the scale? Like the boss squirrel - a bigger kid
+        // has further to go
+        if (player.x - this.x > BullyLeader.PASS_MARGIN * BullyLeader.SCALE) {
+            this.hasDodged = true;
+            player.dodge(this.getName(), this.closestDistance);
+        }
+    }
+    
+    // =============================================================
+    // TOUCHING THE STUDENT
+    // =============================================================
+    
+    /**
+     * The leader and the student touched - a charge hurts, and landing
+     * on him while he's dizzy is a hit
+     * 
+     * @param {BullyLeader} leader - This leader
+     * @param {Student} player - The student
+     */
+    onTouchPlayer(leader, player) {
+        if (this.isDestroyed || player.isDefeated) return;
+        
+        if (this.currentState === 'charging' && !this.hasHitThisCharge) {
+            this.hasHitThisCharge = true;
+            console.log('😈👑💥 The Bully Leader ran right into the student!');
+            
+            // How much it hurts depends on the difficulty
+            player.takeDamage(this.scene.difficulty.bullyLeaderDamage, this.getName(), this);
+            return;
+        }
+        
+        // WHY only from above (and falling)? Walking into him doesn't
+        // do anything - you have to jump on him
+        const isLanding = player.body.velocity.y > 0 &&
+            player.body.bottom <= this.body.top + BullyLeader.STOMP_MARGIN;
+        if (this.currentState === 'dizzy' && isLanding) {
+            this.takeHit(player);
+        }
+    }
+    
+    /**
+     * The student landed on him - one hit off his health
+     * 
+     * @param {Student} player - The student
+     */
+    takeHit(player) {
+        this.health -= 1;
+        console.log(`😈👑 The Bully Leader got stomped! (${this.health}/${BullyLeader.MAX_HEALTH} left)`);
+        
+        // Bounce off him
+        player.setVelocityY(BullyLeader.STOMP_BOUNCE);
+        
+        if (this.dizzyTimer) {
+            this.dizzyTimer.remove();
+            this.dizzyTimer = null;
+        }
+        this.clearStars();
+        this.updateHealthBar();
+        
+        // Flash white
+        this.setTintFill(0xffffff);
+        this.addTimer(120, () => this.clearTint());
+        
+        if (this.health <= 0) {
+            this.defeat();
+            return;
+        }
+        
+        this.currentState = 'hurt';
+        this.showSpeech(this.scene.rng.pick(BullyLeader.HIT_SHOUTS), '#FF4444');
+        this.addTimer(600, () => this.startReturning());
+    }
+    
+    /**
+     * Hit by the student's comeback - he only shrugs it off
+     * 
+     * WHY not stunned like the others? His "charging" isn't a walk past
+     * to interrupt - and being dizzy (after a dodged charge) is already
+     * his opening. Talking back still saves the confidence.
+     * 
+     * @returns {boolean} False - he wasn't stunned
+     */
+    stun() {
+        if (this.isDestroyed || this.isDefeated) return false;
+        
+        this.showSpeech(BullyLeader.COMEBACK_SHOUT, '#FF4444');
+        return false;
+    }
+    
+    // =============================================================
+    // THE END OF THE FIGHT
+    // =============================================================
+    
+    /**
+     * Out of health - he spins, shrinks back down to size and runs off
+     * 
+     * WHY shrink? He was never that big - just loud
+     */
+    defeat() {
+        console.log('😈👑🏳️ The Bully Leader gives up!');
+        this.currentState = 'defeated';
+        this.isDefeated = true;
+        this.body.setVelocityX(0);
+        this.stopWalkAnimation();
+        this.stopFighting();
+        this.clearTint();
+        
+        // His words lose their power
+        this.wordBubbles.forEach(bubble => bubble.pop('You stood up to him!'));
+        this.wordBubbles = [];
+        
+        this.scene.tweens.add({
+            targets: this.getHealthBarParts(),
+            alpha: 0,
+            duration: 600,
+            delay: 300
+        });
+        
+        this.showBanner('🏆 You stood up to the Bully Leader! 🏆\nThe way to the library is clear!');
+        
+        this.scene.tweens.add({
+            targets: this,
+            angle: 720,
+            scale: 1,
+            duration: 900,
+            ease: 'Quad.easeOut',
+            onComplete: () => {
+                if (this.isDestroyed) return;
+                this.setAngle(0);
+                this.showSpeech('"I... I\'m telling my mom! 😭"', '#1565C0');
+                this.runOff();
+            }
+        });
+    }
+    
+    /**
+     * Run off the screen, crying (update() cleans him up once he's gone)
+     */
+    runOff() {
+        this.currentState = 'runningOff';
+        this.setFlipX(false);
+        this.body.setVelocityX(Bully.PATROL_SPEED * 2.5);
+        this.startWalkAnimation();
+        
+        // Tears fly off behind him
+        const tears = this.scene.add.particles(0, 0, 'particle', {
+            speed: { min: 40, max: 90 },
+            angle: { min: 200, max: 250 },
+            scale: { start: 0.4, end: 0 },
+            lifespan: 400,
+            frequency: 60,
+            tint: [0x4FC3F7, 0x81D4FA]
+        });
+        tears.startFollow(this, -10, -20);
+        tears.setDepth(14);
+        this.tears = tears;
+    }
+    
+    /**
+     * The student ran out of confidence - he stops and laughs
+     */
+    gloat() {
+        this.currentState = 'gloating';
+        this.body.setVelocityX(0);
+        this.stopWalkAnimation();
+        this.stopFighting();
+        this.clearTint();
+        this.setAngle(0);
+        this.showSpeech('"Ha! Go home, nerd!"', '#FF0000');
+    }
+    
+    /**
+     * Call off whatever's coming next (throws, charges, dizzy spells)
+     */
+    stopFighting() {
+        this.pendingTimers.forEach(timer => timer.remove());
+        this.pendingTimers = [];
+        this.dizzyTimer = null;
+        this.clearStars();
+        [...this.marks].forEach(mark => this.removeMark(mark));
+        this.scene.tweens.killTweensOf(this);
+    }
+    
+    // =============================================================
+    // HELPERS
+    // =============================================================
+    
+    /**
+     * Wait, then do something - cancelled if he's cleaned up first
+     * 
+     * @param {number} delay - How long to wait (ms)
+     * @param {Function} callback - What to do
+     * @returns {Phaser.Time.TimerEvent} The timer
+     */
+    addTimer(delay, callback) {
+        const timer = this.scene.time.delayedCall(delay, () => {
+            if (this.isDestroyed) return;
+            callback();
+        });
+        this.pendingTimers.push(timer);
+        return timer;
+    }
+    
+    /**
+     * Throw wind-up, at his size
+     * 
+     * WHY override? A bully's wind-up scales to 1.1 - he'd shrink
+     */
+    playThrowAnimation() {
+        this.scene.tweens.add({
+            targets: this,
+            scaleY: BullyLeader.SCALE * 1.1,
+            duration: 100,
+            yoyo: true
+        });
+    }
+    
+    /**
+     * Say something (in a speech bubble over his head)
+     * 
+     * @param {string} message - What he says
+     * @param {string} color - Text color
+     */
+    showSpeech(message, color) {
+        const text = this.scene.add.text(Phaser.Math.Clamp(this.x, 120, 680), this.y - 60, message, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: color,
+            backgroundColor: '#ffffff',
+            padding: { x: 8, y: 4 },
+            fontStyle: 'bold'
+        });
+        text.setOrigin(0.5, 1);
+        text.setDepth(100);
+        
+        this.scene.tweens.add({
+            targets: text,
+            alpha: 0,
+            y: text.y - 20,
+            duration: 1200,
+            delay: 1000,
+            onComplete: () => text.destroy()
+        });
+    }
+    
+    /**
+     * Show a big message in the middle of the screen for a moment
+     * 
+     * @param {string} message - What to say
+     */
+    showBanner(message) {
+        const text = this.scene.add.text(400, 150, message, {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            color: '#FFC107',
+            backgroundColor: 'rgba(0,0,0,0.8)',
+            padding: { x: 15, y: 10 },
+            fontStyle: 'bold',
+            align: 'center'
+        });
+        text.setOrigin(0.5);
+        text.setDepth(200);
+        text.setScrollFactor(0);
+        
+        text.setAlpha(0);
+        this.scene.tweens.add({
+            targets: text,
+            alpha: 1,
+            duration: 500,
+            yoyo: true,
+            hold: 2000,
+            onComplete: () => text.destroy()
+        });
+    }
+    
+    // =============================================================
+    // GETTERS
+    // =============================================================
+    
+    /**
+     * @returns {string} What the student was hit by (or dodged)
+     */
+    getName() {
+        return 'Bully Leader';
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the leader, his health bar and anything still on screen
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        
+        // WHY check the scene? When the game scene shuts down, Phaser may
+        // have destroyed him already (and his scene with it)
+        if (!this.scene) {
+            this.isDestroyed = true;
+            return;
+        }
+        
+        this.clearStars();
+        [...this.marks].forEach(mark => this.removeMark(mark));
+        this.getHealthBarParts().forEach(part => {
+            this.scene.tweens.killTweensOf(part);
+            part.destroy();
+        });
+        this.healthLabel = null;
+        this.healthBackground = null;
+        this.healthFill = null;
+        this.healthNotches = null;
+        if (this.tears) {
+            this.tears.destroy();
+            this.tears = null;
+        }
+        
+        console.log('😈👑 The Bully Leader is gone!');
+        super.cleanup();
+    }
+}
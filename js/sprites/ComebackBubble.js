@@ -0,0 +1,253 @@
+/**
+ * ComebackBubble Class
+ * 
+ * A word bubble the student talked back to - turned around and sent
+ * back at the bully who threw it!
+ * 
+ * WHY extend Phaser.Physics.Arcade.Sprite?
+ * - Physics overlap tells us when it reaches the bully
+ * - Consistent with the ComplimentBubble it looks like
+ * 
+ * Behavior:
+ * - Starts where the word bubble was, and flies at whoever threw it
+ * - Steers every frame (the bully keeps walking)
+ * - Stuns them on contact (see Bully.stun)
+ * - Nobody to fly back to? It floats up and away
+ */
+class ComebackBubble extends Phaser.Physics.Arcade.Sprite {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How fast it flies (pixels per second)
+    // WHY 500? A bit faster than a compliment (450) - it's got
+    // somewhere to be
+    static SPEED = 500;
+    
+    // How long it keeps chasing before giving up (ms)
+    static LIFETIME = 2000;
+    
+    // What the student says back
+    // WHY nothing mean? Standing up for yourself, not bullying back
+    static MESSAGES = [
+        'nice try!',
+        'so what?',
+        'I like me!',
+        'words don\'t\nhurt me!',
+        'whatever!',
+        'I\'m proud\nof me!'
+    ];
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a new comeback bubble
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {number} x - Starting X position (the word bubble)
+     * @param {number} y - Starting Y position
+     * @param {Bully|null} target - Who threw the word bubble (null if they're gone)
+     */
+    constructor(scene, x, y, target) {
+        super(scene, x, y, 'comeback-bubble');
+        
+        this.scene = scene;
+        this.target = target;
+        
+        // WHY scene.rng? Same seed = same comebacks (replays!)
+        this.message = scene.rng.pick(ComebackBubble.MESSAGES);
+        
+        this.isDestroyed = false;
+        
+        scene.add.existing(this);
+        scene.physics.add.existing(this);
+        
+        this.setupComebackBubble();
+        this.createMessageText();
+        
+        console.log(`💪 Comeback bubble: "${this.message}"`);
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Configure the physics, and aim at the bully
+     */
+    setupComebackBubble() {
+        this.body.setSize(56, 30);
+        this.body.setAllowGravity(false);
+        
+        // With the compliment bubbles, above the word bubbles (25)
+        this.setDepth(27);
+        
+        if (this.hasTarget()) {
+            this.steer();
+            this.scene.physics.add.overlap(this, this.target, this.hitTarget, null, this);
+        } else {
+            this.setVelocityY(-ComebackBubble.SPEED);
+        }
+        
+        // Keep steering (and give up once the chase is hopeless)
+        this.scene.events.on('update', this.onUpdate, this);
+        this.giveUpTimer = this.scene.time.delayedCall(ComebackBubble.LIFETIME, () => this.fizzle());
+    }
+    
+    /**
+     * Create the text that appears on the bubble
+     */
+    createMessageText() {
+        this.messageText = this.scene.add.text(this.x, this.y, this.message, {
+            fontSize: '11px',
+            fontFamily: 'Arial',
+            color: '#E65100',  // Proud orange
+            fontStyle: 'bold',
+            align: 'center'
+        });
+        this.messageText.setOrigin(0.5);
+        this.messageText.setDepth(28);
+    }
+    
+    // =============================================================
+    // UPDATE METHODS
+    // =============================================================
+    
+    /**
+     * Is the bully still there to fly back to?
+     * 
+     * WHY visible? A bully waiting off-screen is hidden - the comeback
+     * would chase them somewhere the student can't see
+     * 
+     * @returns {boolean} True if there's someone to hit
+     */
+    hasTarget() {
+        return !!this.target && !this.target.isDestroyed && this.target.visible;
+    }
+    
+    /**
+     * Follow the bully, and keep the text on the bubble
+     */
+    onUpdate() {
+        if (this.isDestroyed) return;
+        
+        // The bully walked off (or the school is gone) - float away
+        if (this.target && !this.hasTarget()) {
+            this.target = null;
+            this.setVelocity(0, -ComebackBubble.SPEED);
+        }
+        
+        if (this.target) {
+            this.steer();
+        }
+        
+        this.messageText.x = this.x;
+        this.messageText.y = this.y;
+        
+        // Gone off the top of the screen? Nothing more to see
+        if (this.y < -50) {
+            this.cleanup();
+        }
+    }
+    
+    /**
+     * Point straight at the bully
+     * 
+     * WHY every frame? The bully keeps walking
+     */
+    steer() {
+        const angle = Phaser.Math.Angle.Between(this.x, this.y, this.target.x, this.target.y);
+        this.scene.physics.velocityFromRotation(angle, ComebackBubble.SPEED, this.body.velocity);
+    }
+    
+    // =============================================================
+    // COLLISION METHODS
+    // =============================================================
+    
+    /**
+     * Reached the bully - that'll show them!
+     */
+    hitTarget() {
+        if (this.isDestroyed || !this.hasTarget()) return;
+        
+        this.target.stun();
+        
+        const burstText = this.scene.add.text(this.x, this.y, this.message, {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#E65100',
+            fontStyle: 'bold',
+            align: 'center',
+            stroke: '#ffffff',
+            strokeThickness: 3
+        });
+        burstText.setOrigin(0.5);
+        burstText.setDepth(100);
+        this.scene.tweens.add({
+            targets: burstText,
+            scale: 1.4,
+            alpha: 0,
+            y: burstText.y - 25,
+            duration: 600,
+            onComplete: () => burstText.destroy()
+        });
+        
+        this.cleanup();
+    }
+    
+    /**
+     * Fade away without hitting anyone
+     */
+    fizzle() {
+        if (this.isDestroyed) return;
+        
+        const ghost = this.scene.add.text(this.x, this.y, this.message, {
+            fontSize: '11px',
+            fontFamily: 'Arial',
+            color: '#E65100',
+            align: 'center'
+        });
+        ghost.setOrigin(0.5);
+        ghost.setDepth(28);
+        this.scene.tweens.add({
+            targets: ghost,
+            alpha: 0,
+            y: ghost.y - 15,
+            duration: 400,
+            onComplete: () => ghost.destroy()
+        });
+        
+        this.cleanup();
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the comeback bubble
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        if (this.giveUpTimer) {
+            this.giveUpTimer.remove();
+            this.giveUpTimer = null;
+        }
+        
+        if (this.messageText) {
+            this.messageText.destroy();
+        }
+        
+        // WHY check the scene? It's gone if Phaser destroyed us first
+        // (when the game scene shuts down)
+        if (this.scene && this.scene.events) {
+            this.scene.events.off('update', this.onUpdate, this);
+            this.destroy();
+        }
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * ComplimentBubble Class
+ * 
+ * A kind word thrown by a Friend to stop a bully's word bubble!
+ * It flies straight at the mean words and pops them in mid-air.
+ * 
+ * WHY extend Phaser.Physics.Arcade.Sprite?
+ * - Physics overlap tells us when it reaches the word bubble
+ * - Consistent with the WordBubble it chases
+ * 
+ * Behavior:
+ * - Flies up from the friend toward one word bubble
+ * - Steers every frame (the word bubble keeps falling and drifting)
+ * - Pops it on contact - or fades away if something else got it first
+ */
+class ComplimentBubble extends Phaser.Physics.Arcade.Sprite {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How fast it flies (pixels per second)
+    // WHY 450? Much faster than a word bubble falls (250) - it catches it
+    // well above the student's head
+    static SPEED = 450;
+    
+    // How long it keeps chasing before giving up (ms)
+    static LIFETIME = 2000;
+    
+    // The kind things friends say
+    static MESSAGES = [
+        'you rock!',
+        'so smart!',
+        'awesome!',
+        'brave!',
+        'cool kid!',
+        'you got\nthis!',
+        'Blueberrydale\nPRIDE!'
+    ];
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a new compliment bubble
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {number} x - Starting X position (the friend)
+     * @param {number} y - Starting Y position
+     * @param {WordBubble} target - The word bubble to pop
+     */
+    constructor(scene, x, y, target) {
+        super(scene, x, y, 'compliment-bubble');
+        
+        this.scene = scene;
+        this.target = target;
+        
+        // WHY scene.rng? Same seed = same compliments (replays!)
+        this.message = scene.rng.pick(ComplimentBubble.MESSAGES);
+        
+        this.isDestroyed = false;
+        
+        scene.add.existing(this);
+        scene.physics.add.existing(this);
+        
+        this.setupComplimentBubble();
+        this.createMessageText();
+        
+        console.log(`💚 Compliment bubble: "${this.message}"`);
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Configure the physics, and aim at the word bubble
+     */
+    setupComplimentBubble() {
+        this.body.setSize(56, 30);
+        this.body.setAllowGravity(false);
+        
+        // Just above the word bubbles (25) - it pops them from below
+        this.setDepth(27);
+        
+        this.steer();
+        
+        // Pop the word bubble when we reach it
+        this.scene.physics.add.overlap(this, this.target, this.popTarget, null, this);
+        
+        // Keep steering (and give up once the chase is hopeless)
+        this.scene.events.on('update', this.onUpdate, this);
+        this.giveUpTimer = this.scene.time.delayedCall(ComplimentBubble.LIFETIME, () => this.fizzle());
+    }
+    
+    /**
+     * Create the text that appears on the bubble
+     */
+    createMessageText() {
+        this.messageText = this.scene.add.text(this.x, this.y, this.message, {
+            fontSize: '11px',
+            fontFamily: 'Arial',
+            color: '#2E7D32',  // Friendly green
+            fontStyle: 'bold',
+            align: 'center'
+        });
+        this.messageText.setOrigin(0.5);
+        this.messageText.setDepth(28);
+    }
+    
+    // =============================================================
+    // UPDATE METHODS
+    // =============================================================
+    
+    /**
+     * Follow the word bubble, and keep the text on the bubble
+     */
+    onUpdate() {
+        if (this.isDestroyed) return;
+        
+        // Someone else got there first (it hit the student, or fell past)
+        if (!this.target || this.target.isDestroyed) {
+            this.fizzle();
+            return;
+        }
+        
+        this.steer();
+        
+        this.messageText.x = this.x;
+        this.messageText.y = this.y;
+    }
+    
+    /**
+     * Point straight at the word bubble
+     * 
+     * WHY every frame? The word bubble drifts (and the wind pushes it)
+     */
+    steer() {
+        const angle = Phaser.Math.Angle.Between(this.x, this.y, this.target.x, this.target.y);
+        this.scene.physics.velocityFromRotation(angle, ComplimentBubble.SPEED, this.body.velocity);
+    }
+    
+    // =============================================================
+    // COLLISION METHODS
+    // =============================================================
+    
+    /**
+     * Reached the word bubble - pop!
+     */
+    popTarget() {
+        if (this.isDestroyed || this.target.isDestroyed) return;
+        
+        this.target.pop(this.message);
+        this.cleanup();
+    }
+    
+    /**
+     * Fade away without popping anything
+     */
+    fizzle() {
+        if (this.isDestroyed) return;
+        
+        const ghost = this.scene.add.text(this.x, this.y, this.message, {
+            fontSize: '11px',
+            fontFamily: 'Arial',
+            color: '#2E7D32',
+            align: 'center'
+        });
+        ghost.setOrigin(0.5);
+        ghost.setDepth(28);
+        this.scene.tweens.add({
+            targets: ghost,
+            alpha: 0,
+            y: ghost.y - 15,
+            duration: 400,
+            onComplete: () => ghost.destroy()
+        });
+        
+        this.cleanup();
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the compliment bubble
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        if (this.giveUpTimer) {
+            this.giveUpTimer.remove();
+            this.giveUpTimer = null;
+        }
+        
+        if (this.messageText) {
+            this.messageText.destroy();
+        }
+        
+        // WHY check the scene? It's gone if Phaser destroyed us first
+        // (when the game scene shuts down)
+        if (this.scene && this.scene.events) {
+            this.scene.events.off('update', this.onUpdate, this);
+            this.destroy();
+        }
+    }
+}
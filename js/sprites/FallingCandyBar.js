@@ -1,18 +1,19 @@
 /**
  * FallingCandyBar Class
  * 
- * A special candy bar that falls from the sky every 250 meters!
+ * A special candy bar that falls from the sky every 250 meters (the route sets how often)!
  * This gives the player a confidence boost to help them on their journey.
  * 
  * WHY a separate class from PowerUp?
  * - Falls from the sky (like WordBubble) instead of floating on ground
- * - Spawns at specific distance intervals (250m)
+ * - Spawns at specific distance intervals (candyBarEveryMeters in the route)
  * - Special visual effect to make it stand out
  * 
  * Behavior:
  * - Falls from above the screen
  * - Has a sparkly trail effect
- * - Boosts confidence by 15% when collected
+ * - Boosts confidence by 15% when collected, then a sugar rush
+ *   (invincible for a few seconds - see BuffManager)
  * - Plays a happy collect animation
  */
 class FallingCandyBar extends Phaser.Physics.Arcade.Sprite {
@@ -32,12 +33,6 @@ class FallingCandyBar extends Phaser.Physics.Arcade.Sprite {
     // Slight horizontal drift for more interesting movement
     static DRIFT_SPEED = 20;
     
-    // How often do these spawn? (in meters)
-    static SPAWN_INTERVAL_METERS = 250;
-    
-    // Convert to pixels (10 pixels per meter)
-    static SPAWN_INTERVAL_PIXELS = 250 * 10;  // 2500 pixels
-    
     // =============================================================
     // CONSTRUCTOR
     // =============================================================
@@ -96,12 +91,15 @@ class FallingCandyBar extends Phaser.Physics.Arcade.Sprite {
         this.setVelocityY(FallingCandyBar.FALL_SPEED * speedMultiplier);
         
         // Add slight horizontal drift (random direction) for visual interest
-        const drift = Phaser.Math.Between(-FallingCandyBar.DRIFT_SPEED, FallingCandyBar.DRIFT_SPEED);
+        const drift = this.scene.rng.between(-FallingCandyBar.DRIFT_SPEED, FallingCandyBar.DRIFT_SPEED);
         this.setVelocityX(drift);
         
         // No gravity - constant speed fall
         this.body.setAllowGravity(false);
         
+        // Let the wind blow it around as it falls (see WeatherManager)
+        this.scene.weatherManager.applyWind(this);
+        
         // Set depth (above background, below UI)
         this.setDepth(30);
         
@@ -109,7 +107,7 @@ class FallingCandyBar extends Phaser.Physics.Arcade.Sprite {
         this.setScale(1.3);
         
         // Add a gentle rotation for fun
-        this.rotationSpeed = Phaser.Math.Between(-2, 2);
+        this.rotationSpeed = this.scene.rng.between(-2, 2);
     }
     
     /**
@@ -189,6 +187,25 @@ class FallingCandyBar extends Phaser.Physics.Arcade.Sprite {
     // COLLECTION
     // =============================================================
     
+    /**
+     * Eat a candy bar: a confidence boost, then a sugar rush
+     * 
+     * WHY static? One saved in the backpack is eaten long after the
+     * falling one is gone (see InventoryManager.useItem)
+     * 
+     * @param {Student} player - The student
+     */
+    static eat(player) {
+        player.heal(FallingCandyBar.CONFIDENCE_BOOST, 'Delicious Candy Bar');
+        
+        // Sugar rush! Nothing hurts for a few seconds
+        // WHY say when it's over? The star icon is easy to miss -
+        // the next hit shouldn't come as a surprise
+        player.buffs.add('invincible', {
+            onExpire: () => player.showFloatText('⭐ Sugar rush over!', '#FFA000')
+        });
+    }
+    
     /**
      * Called when player collects the candy bar
      * 
@@ -199,15 +216,22 @@ class FallingCandyBar extends Phaser.Physics.Arcade.Sprite {
         if (this.isCollected || this.isDestroyed) return;
         this.isCollected = true;
         
-        console.log('🍫✨ Yum! Candy bar collected! +15% confidence!');
+        // Into the backpack if there's room - save it for when it's needed
+        // (see InventoryManager)
+        const isStored = this.scene.inventoryManager.store('candy-bar');
         
-        // Give the player confidence boost
-        if (player && player.heal) {
-            player.heal(FallingCandyBar.CONFIDENCE_BOOST, 'Delicious Candy Bar');
+        if (isStored) {
+            console.log('🍫🎒 Candy bar collected - saved for later!');
+        } else {
+            console.log('🍫✨ Yum! Candy bar collected! +15% confidence!');
+            FallingCandyBar.eat(player);
         }
         
+        // Let the scene know (for the score)
+        this.scene.events.emit('powerUpCollected', 'Delicious Candy Bar');
+        
         // Show collection effect
-        this.showCollectEffect();
+        this.showCollectEffect(isStored);
         
         // Clean up
         this.cleanup();
@@ -215,13 +239,15 @@ class FallingCandyBar extends Phaser.Physics.Arcade.Sprite {
     
     /**
      * Show visual effect when collected
+     * 
+     * @param {boolean} isStored - Did it go in the backpack (to use later)?
      */
-    showCollectEffect() {
+    showCollectEffect(isStored = false) {
         // Create floating "+15%" text
         const collectText = this.scene.add.text(
             this.x,
             this.y,
-            '+15% 🍫',
+            isStored ? InventoryManager.SAVED_MESSAGE : '+15% 🍫',
             {
                 fontSize: '24px',
                 fontFamily: 'Arial',
@@ -0,0 +1,349 @@
+/**
+ * Friend Class (Friendly NPC)
+ * 
+ * A kid from Blueberrydale who's on the student's side!
+ * Every now and then a friend catches up and walks along for a while -
+ * and bullies' mean words don't stand a chance.
+ * 
+ * WHAT A FRIEND DOES:
+ * 1. Walks in from the left and keeps pace just behind the student
+ * 2. Throws compliment bubbles at falling word bubbles - popping
+ *    them in mid-air (see ComplimentBubble)
+ * 3. Shouts encouragement now and then (a little confidence back)
+ * 4. Waves goodbye and heads off after a while
+ * 
+ * WHY extend Phaser.Physics.Arcade.Sprite?
+ * - Consistent with the Bully and the Old Man
+ * - Physics for movement
+ * 
+ * WHY a Friend at all? The bullies were the only kids on the street -
+ * it's nice to have someone in your corner (see FriendManager for
+ * when they show up)
+ */
+class Friend extends Phaser.Physics.Arcade.Sprite {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Standing on the ground (like the bullies)
+    static GROUND_Y = 505;
+    
+    // How far behind the student the friend walks (pixels)
+    // WHY behind? Out of the way of everything coming from the right
+    static FOLLOW_DISTANCE = 70;
+    
+    // Fastest the friend walks (pixels per second)
+    // WHY faster than the student (200)? To catch up, and keep up
+    static WALK_SPEED = 260;
+    
+    // Where the friend comes in from and goes off to (screen X)
+    static OFF_SCREEN_X = -60;
+    
+    // How long a friend walks with you (ms)
+    static STAY_TIME = 12000;
+    
+    // How far to the side a word bubble can be and still get popped (pixels)
+    static REACH = 300;
+    
+    // Don't bother with word bubbles this close above the student (pixels)
+    // WHY? A compliment can't get there first - and it would look like a miss
+    static TOO_LATE_HEIGHT = 100;
+    
+    // Time between compliment bubbles (ms)
+    // WHY 1200? A friend can't stop EVERYTHING - a bully throwing fast
+    // still gets some words through
+    static COMPLIMENT_COOLDOWN = 1200;
+    
+    // Time between shouts of encouragement (ms), and how much each helps
+    // WHY 3? Less than a dodge bonus - a friend helps, you still do the work
+    static ENCOURAGE_INTERVAL = 3500;
+    static ENCOURAGE_HEAL = 3;
+    
+    // What friends shout
+    static ENCOURAGEMENTS = [
+        'You\'ve got this!',
+        'Don\'t listen to them!',
+        'Keep going!',
+        'Almost there!',
+        'You\'re doing great!'
+    ];
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a new Friend NPC
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        super(scene, Friend.OFF_SCREEN_X, Friend.GROUND_Y, 'friend');
+        
+        this.scene = scene;
+        
+        scene.add.existing(this);
+        scene.physics.add.existing(this);
+        
+        // Current state: 'walking' (with the student) or 'leaving'
+        this.currentState = 'walking';
+        
+        // Can a compliment be thrown right now? (see COMPLIMENT_COOLDOWN)
+        this.canCompliment = true;
+        
+        // Compliments in flight (so they can be cleaned up with the friend)
+        this.compliments = [];
+        
+        // Word bubbles already being chased (one compliment each)
+        this.targeted = new Set();
+        
+        // Track pending timers so we can cancel them on cleanup
+        this.pendingTimers = [];
+        
+        this.isDestroyed = false;
+        
+        this.setupFriend();
+        this.startTimers();
+        this.showShout('Hey! Wait up! 👋');
+        
+        console.log('🤝 A friend came to walk with the student!');
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Configure the friend's properties
+     */
+    setupFriend() {
+        this.body.setAllowGravity(false);
+        this.body.setSize(35, 55);
+        
+        // WHY depth 9? Just behind the student (10) - they walk side by side
+        this.setDepth(9);
+        
+        // A little bounce in their step
+        this.scene.tweens.add({
+            targets: this,
+            y: Friend.GROUND_Y - 4,
+            duration: 180,
+            yoyo: true,
+            repeat: -1
+        });
+    }
+    
+    /**
+     * Start the encouragement shouts, and the time to say goodbye
+     */
+    startTimers() {
+        const encourageTimer = this.scene.time.addEvent({
+            delay: Friend.ENCOURAGE_INTERVAL,
+            loop: true,
+            callback: this.encourage,
+            callbackScope: this
+        });
+        this.pendingTimers.push(encourageTimer);
+        
+        const leaveTimer = this.scene.time.delayedCall(Friend.STAY_TIME, () => this.startLeaving());
+        this.pendingTimers.push(leaveTimer);
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the friend each frame
+     * 
+     * @param {Student} player - The player reference
+     * @param {WordBubble[]} wordBubbles - Word bubbles currently falling
+     */
+    update(player, wordBubbles) {
+        if (this.isDestroyed || !player) return;
+        
+        // A defeated student heads home - the friend says goodbye
+        if (player.isDefeated && this.currentState !== 'leaving') {
+            this.startLeaving();
+        }
+        
+        if (this.currentState === 'leaving') {
+            this.setVelocityX(-Friend.WALK_SPEED);
+            this.setFlipX(true);
+            if (this.x < Friend.OFF_SCREEN_X) {
+                this.cleanup();
+            }
+            return;
+        }
+        
+        this.keepUp(player);
+        this.lookForWordBubbles(player, wordBubbles);
+        
+        // Forget compliments that popped or fizzled
+        this.compliments = this.compliments.filter(compliment => !compliment.isDestroyed);
+    }
+    
+    /**
+     * Walk just behind the student
+     * 
+     * WHY velocity and not setting x? The friend walks to catch up -
+     * they don't teleport when the student jumps back
+     * 
+     * @param {Student} player - The player reference
+     */
+    keepUp(player) {
+        const targetX = player.x - Friend.FOLLOW_DISTANCE;
+        const speed = Phaser.Math.Clamp((targetX - this.x) * 5, -Friend.WALK_SPEED, Friend.WALK_SPEED);
+        this.setVelocityX(speed);
+        
+        // Face the way they're walking (and the student, when standing)
+        if (Math.abs(speed) > 10) {
+            this.setFlipX(speed < 0);
+        }
+    }
+    
+    // =============================================================
+    // COMPLIMENTS
+    // =============================================================
+    
+    /**
+     * Throw a compliment at the nearest word bubble coming down
+     * 
+     * @param {Student} player - The player reference
+     * @param {WordBubble[]} wordBubbles - Word bubbles currently falling
+     */
+    lookForWordBubbles(player, wordBubbles) {
+        if (!this.canCompliment) return;
+        
+        // Which ones can we still get to? (on screen, in reach, not too low)
+        const inReach = wordBubbles.filter(bubble =>
+            !bubble.isDestroyed &&
+            !this.targeted.has(bubble) &&
+            bubble.y > 0 &&
+            bubble.y < player.y - Friend.TOO_LATE_HEIGHT &&
+            Math.abs(bubble.x - this.x) <= Friend.REACH
+        );
+        if (inReach.length === 0) return;
+        
+        // WHY the lowest? It's the one about to land on the student
+        const target = inReach.reduce((lowest, bubble) => bubble.y > lowest.y ? bubble : lowest);
+        this.throwCompliment(target);
+    }
+    
+    /**
+     * Throw one compliment bubble at a word bubble
+     * 
+     * @param {WordBubble} target - The word bubble to pop
+     */
+    throwCompliment(target) {
+        const compliment = new ComplimentBubble(this.scene, this.x, this.y - 35, target);
+        this.compliments.push(compliment);
+        this.targeted.add(target);
+        
+        // Wind up (a quick stretch)
+        this.scene.tweens.add({
+            targets: this,
+            scaleY: 1.1,
+            duration: 100,
+            yoyo: true
+        });
+        
+        // Wait a moment before the next one
+        this.canCompliment = false;
+        const cooldownTimer = this.scene.time.delayedCall(Friend.COMPLIMENT_COOLDOWN, () => {
+            this.canCompliment = true;
+        });
+        this.pendingTimers.push(cooldownTimer);
+    }
+    
+    // =============================================================
+    // ENCOURAGEMENT
+    // =============================================================
+    
+    /**
+     * Shout something nice - and the student feels a bit better
+     */
+    encourage() {
+        if (this.isDestroyed || this.currentState !== 'walking') return;
+        
+        const player = this.scene.student;
+        if (!player || player.isDefeated) return;
+        
+        // WHY scene.rng? Same seed = same shouts (replays!)
+        const shout = this.scene.rng.pick(Friend.ENCOURAGEMENTS);
+        this.showShout(shout);
+        
+        player.heal(Friend.ENCOURAGE_HEAL, `Friend: "${shout}"`);
+    }
+    
+    /**
+     * Time to go - wave goodbye and head off
+     */
+    startLeaving() {
+        if (this.isDestroyed || this.currentState === 'leaving') return;
+        
+        console.log('🤝👋 The friend heads off');
+        this.currentState = 'leaving';
+        
+        this.showShout(this.scene.isEndless ? 'See ya! 👋' : 'See you at the library! 👋');
+    }
+    
+    /**
+     * Show a speech bubble above the friend for a moment
+     * 
+     * @param {string} message - What they shout
+     */
+    showShout(message) {
+        const text = this.scene.add.text(
+            Math.max(this.x, 80),
+            this.y - 45,
+            message,
+            {
+                fontSize: '12px',
+                fontFamily: 'Arial',
+                color: '#1565C0',
+                backgroundColor: '#ffffff',
+                padding: { x: 6, y: 4 },
+                fontStyle: 'bold'
+            }
+        );
+        text.setOrigin(0.5, 1);
+        text.setDepth(100);
+        
+        this.scene.tweens.add({
+            targets: text,
+            alpha: 0,
+            y: text.y - 20,
+            duration: 1200,
+            delay: 1000,
+            onComplete: () => text.destroy()
+        });
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the friend (and any compliments still flying)
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        this.pendingTimers.forEach(timer => timer.remove());
+        this.pendingTimers = [];
+        
+        this.compliments.forEach(compliment => compliment.cleanup());
+        this.compliments = [];
+        this.targeted.clear();
+        
+        // WHY check the scene? When the game scene shuts down, Phaser may
+        // have destroyed the friend already (and its scene with it)
+        if (this.scene) {
+            this.scene.tweens.killTweensOf(this);
+            this.destroy();
+        }
+    }
+}
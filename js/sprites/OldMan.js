@@ -22,10 +22,6 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
     // STATIC PROPERTIES
     // =============================================================
     
-    // How often does he throw newspapers? (milliseconds)
-    // WHY 2500? Faster since he's moving - keeps pressure on!
-    static THROW_INTERVAL = 2500;
-    
     // Walking speed when patrolling (pixels per second)
     // WHY 60? Slow hobble - he's old! Player can outrun him
     static PATROL_SPEED = 60;
@@ -118,7 +114,8 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
         this.firstWarningShown = false;
         
         // Start the patrol cycle after a short delay
-        this.scene.time.delayedCall(2000, () => {
+        // WHY keep the timer? callIn() can bring him in sooner
+        this.reentryTimer = this.scene.time.delayedCall(2000, () => {
             console.log('👴 DEBUG: 2 second delay finished, calling startEntering()');
             console.log('👴 DEBUG: this.active =', this.active, 'this.visible =', this.visible);
             this.startEntering();
@@ -179,10 +176,13 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
     
     /**
      * Start the throwing timer
+     * 
+     * WHY from the difficulty? He throws every 2.5s on Normal - sooner
+     * on Hard, later on Easy (see DifficultyManager)
      */
     startThrowingTimer() {
         this.throwTimer = this.scene.time.addEvent({
-            delay: OldMan.THROW_INTERVAL,
+            delay: this.scene.difficulty.oldManThrowInterval,
             callback: this.tryToThrowNewspaper,
             callbackScope: this,
             loop: true
@@ -267,7 +267,7 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
         this.startThrowingTimer();
         
         // Set patrol duration before back pain hits
-        const patrolDuration = Phaser.Math.Between(
+        const patrolDuration = this.scene.rng.between(
             OldMan.PATROL_TIME_MIN,
             OldMan.PATROL_TIME_MAX
         );
@@ -312,7 +312,7 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
         });
         
         // Calculate recovery time
-        const recoveryTime = Phaser.Math.Between(
+        const recoveryTime = this.scene.rng.between(
             OldMan.BACKPAIN_TIME_MIN,
             OldMan.BACKPAIN_TIME_MAX
         );
@@ -384,24 +384,44 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
         this.setVisible(false);
         
         // Calculate wait time
-        const waitTime = Phaser.Math.Between(
+        const waitTime = this.scene.rng.between(
             OldMan.REENTRY_TIME_MIN,
             OldMan.REENTRY_TIME_MAX
         );
         
         // Re-enter after waiting
-        this.scene.time.delayedCall(waitTime, () => {
+        this.reentryTimer = this.scene.time.delayedCall(waitTime, () => {
             this.prepareReentry();
         });
     }
     
+    /**
+     * Come back right away instead of waiting
+     * 
+     * WHY? A route can place an Old Man visit at a set distance
+     * (see PlacementManager) - if he's already out, he just carries on
+     * 
+     * @returns {boolean} True if he's coming in
+     */
+    callIn() {
+        if (this.currentState !== 'waiting') return false;
+        
+        console.log('👴 Called in early by the route!');
+        if (this.reentryTimer) {
+            this.reentryTimer.remove();
+        }
+        
+        this.prepareReentry();
+        return true;
+    }
+    
     /**
      * Prepare to re-enter (choose which side)
      */
     prepareReentry() {
         // Usually enter from right, occasionally from left for variety
         // WHY 80/20? Right side is more natural, but left keeps player alert
-        const enterFromRight = Math.random() < 0.8;
+        const enterFromRight = this.scene.rng.chance(0.8);
         
         // Position off-screen using camera-relative coordinates
         const camera = this.scene.cameras.main;
@@ -516,7 +536,7 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
         );
         
         // Occasional grumpy message
-        if (Math.random() < 0.25) {
+        if (this.scene.rng.chance(0.25)) {
             this.showGrumpyMessage();
         }
     }
@@ -624,7 +644,7 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
             '"No running allowed!"',
             '"Kids these days..."'
         ];
-        const message = Phaser.Math.RND.pick(messages);
+        const message = this.scene.rng.pick(messages);
         
         const bubble = this.scene.add.text(
             this.x + (this.flipX ? -40 : 40),
@@ -662,7 +682,7 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
             "No loitering!",
             "Back in my day..."
         ];
-        const message = Phaser.Math.RND.pick(messages);
+        const message = this.scene.rng.pick(messages);
         
         const bubble = this.scene.add.text(
             this.x,
@@ -792,7 +812,7 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
             '"My stories are on!"',
             '"Time for my pills..."'
         ];
-        const message = Phaser.Math.RND.pick(messages);
+        const message = this.scene.rng.pick(messages);
         
         const bubble = this.scene.add.text(
             this.x,
@@ -874,6 +894,10 @@ class OldMan extends Phaser.Physics.Arcade.Sprite {
             this.phaseTimer.remove();
         }
         
+        if (this.reentryTimer) {
+            this.reentryTimer.remove();
+        }
+        
         // Stop animations
         this.scene.tweens.killTweensOf(this);
         
@@ -27,6 +27,19 @@ class Student extends Phaser.Physics.Arcade.Sprite {
     // WHY -360? Reduced by 20% for shorter, more controlled jumps
     static JUMP_POWER = -360;
     
+    // Physics body size when standing
+    static BODY_WIDTH = 40;
+    static BODY_HEIGHT = 60;
+    
+    // Physics body height when crouching (ducking)
+    // WHY 34? Low enough that a newspaper thrown flat at head height
+    // sails right over - see Newspaper.LOW_THROW_Y
+    static CROUCH_BODY_HEIGHT = 34;
+    
+    // How fast the student shuffles along while crouched (fraction of MOVE_SPEED)
+    // WHY 0.5? Ducking should be a choice - you can't crouch the whole way to the library!
+    static CROUCH_SPEED_MULTIPLIER = 0.5;
+    
     // Starting confidence (our HP system!)
     // WHY 100? It's a nice round number and easy to think in percentages
     static MAX_CONFIDENCE = 100;
@@ -44,6 +57,27 @@ class Student extends Phaser.Physics.Arcade.Sprite {
     // WHY 100ms? Catches good anticipation, doesn't save sloppy play
     static JUMP_BUFFER_TIME = 100;
     
+    // =============================================================
+    // DODGE SETTINGS
+    // Getting past an obstacle untouched is worth some confidence!
+    // =============================================================
+    
+    // Confidence for dodging an obstacle
+    // WHY 2? Based on CONTEXT.md - "+2 Confidence: Nice moves!"
+    static DODGE_BONUS = 2;
+    
+    // Extra confidence for a near miss (on top of DODGE_BONUS)
+    // WHY extra? Cutting it close takes nerve - reward it!
+    static NEAR_MISS_BONUS = 2;
+    
+    // How close (center to center, in pixels) an obstacle has to come to count as dodged
+    // WHY? A newspaper landing across the street didn't need dodging - it just missed
+    static DODGE_RADIUS = 150;
+    
+    // How close counts as a near miss
+    // WHY 60? The student is 40x60 - that's a whisker away from a hit
+    static NEAR_MISS_RADIUS = 60;
+    
     // =============================================================
     // CONSTRUCTOR
     // =============================================================
@@ -101,7 +135,7 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         
         // Set the physics body size
         // WHY? The collision box should match our placeholder rectangle
-        this.body.setSize(40, 60);
+        this.body.setSize(Student.BODY_WIDTH, Student.BODY_HEIGHT);
         
         // Initialize confidence (our HP!)
         this.confidence = Student.MAX_CONFIDENCE;
@@ -118,6 +152,23 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         // WHY? When defeated, we disable player controls and auto-walk back to school
         this.isDefeated = false;
         
+        // Track if the student is ducking (smaller hitbox, slower movement)
+        this.isCrouching = false;
+        
+        // How fast the student can walk right now (1 = normal)
+        // WHY? Something on the way can slow them down - like a puddle
+        // (set by the WeatherManager each frame)
+        this.speedFactor = 1;
+        
+        // Timed effects from power-ups (invincible, speed boost...)
+        // WHY a manager? Each one counts down and wears off on its own -
+        // see BuffManager
+        this.buffs = new BuffManager(this);
+        
+        // Count dodges for the end-of-run stats
+        this.dodgeCount = 0;
+        this.nearMissCount = 0;
+        
         // =============================================================
         // JUMP ASSIST VARIABLES
         // These track timing for coyote time and jump buffering
@@ -135,6 +186,10 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         // WHY? Prevents infinite coyote jumps!
         this.usedCoyoteJump = false;
         
+        // Track if we've used the bubble gum's mid-air jump
+        // WHY? One extra jump per jump - it's gum, not a jetpack!
+        this.usedAirJump = false;
+        
         // Set some drag so the player doesn't slide forever
         // WHY 1000? High drag = player stops quickly when you release keys
         this.body.setDrag(1000, 0);
@@ -170,11 +225,20 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         // WHY? Spacebar is a classic jump key!
         this.spaceBar = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
         
+        // E to interact (ask the crossing guard to stop traffic)
+        this.interactKey = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.E);
+        
+        // Q to use the first item in the backpack (see InventoryManager)
+        this.useItemKey = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.Q);
+        
+        // C to talk back to a word bubble about to land (see ComebackManager)
+        this.comebackKey = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.C);
+        
         // Touch controls reference (set later by the scene)
         // WHY null initially? TouchControls are created after the player
         this.touchControls = null;
         
-        console.log('⌨️ Controls ready: Arrow Keys or WASD to move, Up/W/Space to jump');
+        console.log('⌨️ Controls ready: Arrow Keys or WASD to move, Up/W/Space to jump, Down/S to duck, E to interact, Q to use an item, C to talk back');
     }
     
     /**
@@ -203,17 +267,25 @@ class Student extends Phaser.Physics.Arcade.Sprite {
      * - We need to check for input every frame
      * - Movement needs to be smooth and continuous
      * - This is called by the scene's update() function
+     * 
+     * WHY is input passed in instead of read here?
+     * - The scene reads it once per frame with readInput()...
+     * - ...or takes it from a replay, so a recorded run moves identically
+     * 
+     * @param {number} delta - Time since last frame in milliseconds
+     * @param {Object} input - This frame's input from readInput()
      */
-    update() {
-        // Get delta time for frame-rate independent timing
-        // WHY? So jump assists work consistently regardless of frame rate
-        const delta = this.scene.game.loop.delta;
-        
+    update(delta, input) {
         // Update jump assist timers
+        // WHY delta? So jump assists work consistently regardless of frame rate
         this.updateJumpTimers(delta);
         
+        // Count down the power-up effects
+        this.buffs.update(delta);
+        this.updateUmbrella();
+        
         // Handle all movement input
-        this.handleMovement();
+        this.handleMovement(input);
         
         // Check if we're on the ground (for jump logic)
         this.updateGroundedState();
@@ -237,6 +309,7 @@ class Student extends Phaser.Physics.Arcade.Sprite {
             // We're on the ground - reset coyote timer
             this.timeSinceGrounded = 0;
             this.usedCoyoteJump = false;
+            this.usedAirJump = false;
             
             // Check for buffered jump (player pressed jump before landing)
             if (this.timeSinceJumpPressed < Student.JUMP_BUFFER_TIME) {
@@ -249,6 +322,61 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         }
     }
     
+    // =============================================================
+    // INPUT
+    // =============================================================
+    
+    /**
+     * Read this frame's input from the keyboard and touch buttons
+     * 
+     * WHY check both arrow keys AND WASD?
+     * - Player choice! Some prefer arrows, some prefer WASD
+     * - Both work the same way
+     * WHY also check touch controls?
+     * - iPad and mobile users need touch buttons!
+     * WHY JustDown for jump instead of isDown?
+     * - JustDown only triggers once per key press
+     * - Prevents "turbo jumping" if you hold the button
+     * WHY isDown for duck? The student stays down as long as it's held
+     * WHY JustDown for interact? One press asks once
+     * WHY JustDown for useItem? One press, one item
+     * WHY JustDown for comeback? The timing is the point - holding it
+     * down shouldn't catch the next bubble
+     * 
+     * Call this ONCE per frame - JustDown clears itself when read.
+     * 
+     * @returns {Object} { left, right, jump, duck, interact, useItem, comeback } - true for each input active this frame
+     */
+    readInput() {
+        const JustDown = Phaser.Input.Keyboard.JustDown;
+        const touch = this.touchControls;
+        
+        // WHY read every jump key? Each JustDown must be cleared this frame
+        const jumpKeys = [
+            JustDown(this.cursors.up),
+            JustDown(this.wasd.up),
+            JustDown(this.spaceBar),
+            !!(touch && touch.isJumpJustPressed())
+        ];
+        
+        return {
+            // LEFT arrow or A key or left touch button
+            left: this.cursors.left.isDown || this.wasd.left.isDown || !!(touch && touch.isLeftPressed()),
+            // RIGHT arrow or D key or right touch button
+            right: this.cursors.right.isDown || this.wasd.right.isDown || !!(touch && touch.isRightPressed()),
+            // UP arrow, W key, SPACEBAR or jump touch button
+            jump: jumpKeys.some(pressed => pressed),
+            // DOWN arrow, S key or duck touch button
+            duck: this.cursors.down.isDown || this.wasd.down.isDown || !!(touch && touch.isDuckPressed()),
+            // E key or interact touch button
+            interact: JustDown(this.interactKey) || !!(touch && touch.isInteractJustPressed()),
+            // Q key or backpack touch button
+            useItem: JustDown(this.useItemKey) || !!(touch && touch.isUseItemJustPressed()),
+            // C key or comeback touch button
+            comeback: JustDown(this.comebackKey) || !!(touch && touch.isComebackJustPressed())
+        };
+    }
+    
     // =============================================================
     // MOVEMENT METHODS
     // Each method does ONE thing - keeping it simple!
@@ -260,8 +388,10 @@ class Student extends Phaser.Physics.Arcade.Sprite {
      * WHY separate from update?
      * - Keeps update() clean
      * - Easy to disable movement when needed (cutscenes, menus, etc.)
+     * 
+     * @param {Object} input - This frame's input from readInput()
      */
-    handleMovement() {
+    handleMovement(input) {
         // If defeated, auto-walk back to school instead of player control
         // WHY? The "walk of shame" back to school is part of the game over sequence
         if (this.isDefeated) {
@@ -269,11 +399,15 @@ class Student extends Phaser.Physics.Arcade.Sprite {
             return;
         }
         
+        // Handle ducking first
+        // WHY first? Crouching changes how fast we move and whether we can jump
+        this.handleCrouch(input);
+        
         // Handle horizontal movement (left/right)
-        this.handleHorizontalMovement();
+        this.handleHorizontalMovement(input);
         
         // Handle jumping
-        this.handleJump();
+        this.handleJump(input);
     }
     
     /**
@@ -321,26 +455,12 @@ class Student extends Phaser.Physics.Arcade.Sprite {
     /**
      * Handle left and right movement
      * 
-     * WHY check both arrow keys AND WASD?
-     * - Player choice! Some prefer arrows, some prefer WASD
-     * - Both work the same way
-     * WHY also check touch controls?
-     * - iPad and mobile users need touch buttons!
+     * @param {Object} input - This frame's input from readInput()
      */
-    handleHorizontalMovement() {
-        // Check for left input (LEFT arrow or A key or left touch button)
-        const isMovingLeft = this.cursors.left.isDown || 
-                            this.wasd.left.isDown ||
-                            (this.touchControls && this.touchControls.isLeftPressed());
-        
-        // Check for right input (RIGHT arrow or D key or right touch button)
-        const isMovingRight = this.cursors.right.isDown || 
-                             this.wasd.right.isDown ||
-                             (this.touchControls && this.touchControls.isRightPressed());
-        
-        if (isMovingLeft) {
+    handleHorizontalMovement(input) {
+        if (input.left) {
             this.moveLeft();
-        } else if (isMovingRight) {
+        } else if (input.right) {
             this.moveRight();
         } else {
             // No horizontal input - let drag slow us down
@@ -358,7 +478,7 @@ class Student extends Phaser.Physics.Arcade.Sprite {
      * - Can be called from multiple places
      */
     moveLeft() {
-        this.setVelocityX(-Student.MOVE_SPEED);
+        this.setVelocityX(-this.getMoveSpeed());
         
         // Flip the sprite to face left
         // WHY flipX? It mirrors the sprite horizontally
@@ -369,12 +489,38 @@ class Student extends Phaser.Physics.Arcade.Sprite {
      * Move the student to the right
      */
     moveRight() {
-        this.setVelocityX(Student.MOVE_SPEED);
+        this.setVelocityX(this.getMoveSpeed());
         
         // Face right (not flipped)
         this.setFlipX(false);
     }
     
+    /**
+     * How fast the student walks right now
+     * 
+     * @returns {number} Speed in pixels per second
+     */
+    getMoveSpeed() {
+        // WHY slower when crouched? Shuffling along bent over is hard work!
+        const speed = this.isCrouching
+            ? Student.MOVE_SPEED * Student.CROUCH_SPEED_MULTIPLIER
+            : Student.MOVE_SPEED;
+        
+        return speed * this.getSpeedFactor();
+    }
+    
+    /**
+     * How much faster (or slower) than normal the student walks right now
+     * 
+     * WHY not just speedFactor? A puddle slows you down and a speed boost
+     * speeds you up - wading through a puddle on a boost is both
+     * 
+     * @returns {number} Multiplier (1 = normal)
+     */
+    getSpeedFactor() {
+        return this.speedFactor * this.buffs.getSpeedMultiplier();
+    }
+    
     /**
      * Stop horizontal movement
      * 
@@ -390,24 +536,15 @@ class Student extends Phaser.Physics.Arcade.Sprite {
     /**
      * Handle jump input
      * 
-     * WHY check multiple keys?
-     * - UP arrow, W key, and SPACEBAR all feel natural for jumping
-     * - Player can use whatever they prefer!
-     * WHY also check touch controls?
-     * - iPad and mobile users need a jump button!
+     * @param {Object} input - This frame's input from readInput()
      */
-    handleJump() {
-        // Check for jump input (keyboard or touch)
-        const jumpPressed = Phaser.Input.Keyboard.JustDown(this.cursors.up) ||
-                           Phaser.Input.Keyboard.JustDown(this.wasd.up) ||
-                           Phaser.Input.Keyboard.JustDown(this.spaceBar) ||
-                           (this.touchControls && this.touchControls.isJumpJustPressed());
+    handleJump(input) {
+        // No jumping from a crouch - stand up first!
+        // WHY check before buffering? A buffered press would jump
+        // the moment we touched the ground, crouched or not
+        if (this.isCrouching) return;
         
-        // WHY JustDown instead of isDown?
-        // - JustDown only triggers once per key press
-        // - Prevents "turbo jumping" if you hold the button
-        
-        if (jumpPressed) {
+        if (input.jump) {
             // Record when jump was pressed (for jump buffering)
             this.timeSinceJumpPressed = 0;
             this.tryToJump();
@@ -437,9 +574,34 @@ class Student extends Phaser.Physics.Arcade.Sprite {
                 console.log('🐺 Coyote jump!'); // Named after the cartoon coyote who runs off cliffs!
             }
             this.jump();
+        } else if (this.buffs.has('bubbleGum') && !this.usedAirJump) {
+            // No ground under us - but there's gum! Blow a bubble and bounce off it
+            this.usedAirJump = true;
+            console.log('🎈 Double jump!');
+            this.jump();
+            this.showGumBubble();
         }
     }
     
+    /**
+     * Puff of pink gum under the student's feet on a double jump
+     * 
+     * WHY? A jump out of thin air needs something to push off from
+     */
+    showGumBubble() {
+        const bubble = this.scene.add.circle(this.x, this.y + 25, 8, 0xF48FB1, 0.9);
+        bubble.setDepth(9);
+        
+        this.scene.tweens.add({
+            targets: bubble,
+            scale: 2.5,
+            alpha: 0,
+            duration: 250,
+            ease: 'Quad.easeOut',
+            onComplete: () => bubble.destroy()
+        });
+    }
+    
     /**
      * Perform the actual jump
      * 
@@ -476,6 +638,73 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         this.isOnGround = this.body.blocked.down;
     }
     
+    // =============================================================
+    // CROUCHING (DUCKING)
+    // =============================================================
+    
+    /**
+     * Handle duck input
+     * 
+     * WHY only on the ground? Ducking is for letting newspapers sail
+     * over your head - in mid-air you'd just fall faster
+     * 
+     * @param {Object} input - This frame's input from readInput()
+     */
+    handleCrouch(input) {
+        // WHY isOnGround and not body.blocked.down? jump() clears it, so a
+        // buffered jump that just launched us this frame can't crouch
+        const shouldCrouch = input.duck && this.isOnGround;
+        
+        if (shouldCrouch !== this.isCrouching) {
+            this.setCrouching(shouldCrouch);
+        }
+    }
+    
+    /**
+     * Crouch down or stand back up
+     * 
+     * WHY swap the texture AND the body? The picture shows the player
+     * they're small - the body is what actually lets things fly over
+     * 
+     * @param {boolean} isCrouching - True to duck, false to stand up
+     */
+    setCrouching(isCrouching) {
+        this.isCrouching = isCrouching;
+        
+        // Keep the same expression, just change the pose
+        const expressionTexture = this.texture.key.replace('-crouch', '');
+        this.setPoseTexture(this.getPoseTexture(expressionTexture));
+    }
+    
+    /**
+     * Get the texture for an expression in the current pose
+     * 
+     * @param {string} expressionTexture - 'player-happy' or 'player-sad'
+     * @returns {string} The texture key, with '-crouch' when ducking
+     */
+    getPoseTexture(expressionTexture) {
+        return this.isCrouching ? `${expressionTexture}-crouch` : expressionTexture;
+    }
+    
+    /**
+     * Switch texture and resize the body to match the pose
+     * 
+     * WHY move y? The crouching texture is shorter - without the nudge
+     * the student would float (or sink into the sidewalk) for a frame
+     * 
+     * @param {string} textureKey - Texture to switch to
+     */
+    setPoseTexture(textureKey) {
+        const oldHeight = this.height;
+        this.setTexture(textureKey);
+        
+        // Keep the feet where they were
+        this.y += (oldHeight - this.height) / 2;
+        
+        const bodyHeight = this.isCrouching ? Student.CROUCH_BODY_HEIGHT : Student.BODY_HEIGHT;
+        this.body.setSize(Student.BODY_WIDTH, bodyHeight);
+    }
+    
     // =============================================================
     // CONFIDENCE (HP) METHODS
     // =============================================================
@@ -485,6 +714,8 @@ class Student extends Phaser.Physics.Arcade.Sprite {
      * 
      * @param {number} amount - How much confidence to lose
      * @param {string} reason - What caused the damage (for UI feedback)
+     * @param {Phaser.GameObjects.GameObject} [source] - What hit us, if it's
+     *        something a power-up can block (see getBlockingBuff)
      * 
      * WHY track the reason?
      * - We can show different messages based on what hit us
@@ -492,7 +723,7 @@ class Student extends Phaser.Physics.Arcade.Sprite {
      * 
      * @returns {boolean} True if damage was taken, false if blocked (invincibility)
      */
-    takeDamage(amount, reason = 'Unknown') {
+    takeDamage(amount, reason = 'Unknown', source = null) {
         // Check if we're currently stumbling (invincibility frames)
         // WHY? Prevents unfair rapid damage from multiple hits
         if (this.isStumbling) {
@@ -500,6 +731,22 @@ class Student extends Phaser.Physics.Arcade.Sprite {
             return false;
         }
         
+        // Invincible from a power-up? Nothing gets through
+        // WHY say so? Without it, a hit that does nothing looks like a bug
+        if (this.buffs.has('invincible')) {
+            console.log(`⭐ Invincible - ${reason} blocked!`);
+            this.showFloatText('⭐ Blocked!', '#FFA000');
+            return false;
+        }
+        
+        // Headphones on, or under the umbrella? Some things can't get through
+        const blockingBuff = this.getBlockingBuff(source);
+        if (blockingBuff) {
+            console.log(`${blockingBuff.icon} ${blockingBuff.label} - ${reason} blocked!`);
+            this.showFloatText(blockingBuff.key === 'headphones' ? '🎧 Can\'t hear you!' : `${blockingBuff.icon} Blocked!`, '#FFA000');
+            return false;
+        }
+        
         this.confidence -= amount;
         
         // Don't let confidence go below 0
@@ -523,6 +770,9 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         // Visual feedback - stumble effect
         this.flashDamage();
         
+        // Let the scene know (the ScoreManager ends the combo)
+        this.scene.events.emit('studentHit', amount, reason);
+        
         // Check if game over
         if (this.confidence <= 0) {
             this.onConfidenceDepleted();
@@ -531,6 +781,32 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         return true;
     }
     
+    /**
+     * Which power-up (if any) keeps this from hurting?
+     * 
+     * - Headphones: mean words (word bubbles)
+     * - Umbrella: anything coming down on the student's head
+     * 
+     * @param {Phaser.GameObjects.GameObject} source - What hit us (or null)
+     * @returns {Object|null} The blocking buff's type (with its key), or null
+     */
+    getBlockingBuff(source) {
+        if (!source) return null;
+        
+        if (this.buffs.has('headphones') && source instanceof WordBubble) {
+            return { key: 'headphones', ...BuffManager.TYPES.headphones };
+        }
+        
+        // WHY above the top of the student, and falling? A newspaper thrown
+        // flat at head height comes in under the umbrella
+        const isFallingOnUs = source.body && source.body.velocity.y > 0 && source.y < this.body.top;
+        if (this.buffs.has('umbrella') && isFallingOnUs) {
+            return { key: 'umbrella', ...BuffManager.TYPES.umbrella };
+        }
+        
+        return null;
+    }
+    
     /**
      * Heal confidence
      * 
@@ -561,6 +837,120 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         this.flashHeal();
     }
     
+    // =============================================================
+    // DODGE METHODS
+    // =============================================================
+    
+    /**
+     * Reward the student for getting past an obstacle without being hit
+     * 
+     * Obstacles keep track of how close they came, then call this once
+     * they've passed the student untouched.
+     * 
+     * @param {string} obstacleName - What was dodged (for the heal reason)
+     * @param {number} closestDistance - Closest the obstacle came (pixels, center to center)
+     * @returns {boolean} True if it counted as a dodge
+     */
+    dodge(obstacleName, closestDistance) {
+        // WHY check the distance? Only obstacles that came close were really dodged
+        if (this.isDefeated || closestDistance > Student.DODGE_RADIUS) {
+            return false;
+        }
+        
+        const isNearMiss = closestDistance <= Student.NEAR_MISS_RADIUS;
+        const amount = Student.DODGE_BONUS + (isNearMiss ? Student.NEAR_MISS_BONUS : 0);
+        
+        this.dodgeCount += 1;
+        if (isNearMiss) {
+            this.nearMissCount += 1;
+        }
+        
+        this.heal(amount, isNearMiss ? `Near miss: ${obstacleName}` : `Dodged ${obstacleName}`);
+        this.showDodgeText(amount, isNearMiss);
+        
+        // Let the scene know (the ScoreManager scores it and builds the combo)
+        this.scene.events.emit('dodged', obstacleName, isNearMiss);
+        
+        return true;
+    }
+    
+    /**
+     * Pop a "Nice moves!" message above the student
+     * 
+     * @param {number} amount - Confidence gained
+     * @param {boolean} isNearMiss - Was it a near miss?
+     */
+    showDodgeText(amount, isNearMiss) {
+        const label = isNearMiss ? `😎 Close one! Nice moves! +${amount}` : `Nice moves! +${amount}`;
+        this.showFloatText(label, '#4CAF50', isNearMiss ? '18px' : '16px');
+    }
+    
+    /**
+     * Pop a short message above the student that floats up and fades
+     * 
+     * WHY one for everything? "Nice moves!", "Blocked!" and the rest
+     * should all look like they come from the same place
+     * 
+     * @param {string} label - What to say
+     * @param {string} color - Text color
+     * @param {string} fontSize - Text size (bigger for the big moments)
+     */
+    showFloatText(label, color, fontSize = '16px') {
+        const floatText = this.scene.add.text(this.x, this.y - 50, label, {
+            fontSize: fontSize,
+            fontFamily: 'Arial',
+            color: color,
+            fontStyle: 'bold',
+            stroke: '#ffffff',
+            strokeThickness: 3
+        });
+        floatText.setOrigin(0.5);
+        floatText.setDepth(100);
+        
+        // Float up and fade
+        this.scene.tweens.add({
+            targets: floatText,
+            y: floatText.y - 40,
+            alpha: 0,
+            duration: 900,
+            ease: 'Power2',
+            onComplete: () => floatText.destroy()
+        });
+    }
+    
+    /**
+     * Hold the umbrella over the student's head while they have one
+     * 
+     * WHY here and not in BuffManager? It's part of how the student looks -
+     * like the crouch and the expressions
+     */
+    updateUmbrella() {
+        const hasUmbrella = this.buffs.has('umbrella');
+        
+        if (hasUmbrella && !this.umbrella) {
+            this.umbrella = this.scene.add.image(this.x, this.y, 'powerup-umbrella');
+            this.umbrella.setDepth(11);
+            
+            // Pop it open
+            this.umbrella.setScale(0.2, 1);
+            this.scene.tweens.add({
+                targets: this.umbrella,
+                scaleX: 1,
+                duration: 200,
+                ease: 'Back.easeOut'
+            });
+        } else if (!hasUmbrella && this.umbrella) {
+            this.scene.tweens.killTweensOf(this.umbrella);
+            this.umbrella.destroy();
+            this.umbrella = null;
+        }
+        
+        if (this.umbrella) {
+            this.umbrella.x = this.x;
+            this.umbrella.y = this.body.top - 12;
+        }
+    }
+    
     /**
      * Update the student's facial expression based on confidence
      * 
@@ -580,11 +970,11 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         // Determine which texture to use
         const shouldBeHappy = confidencePercent >= HAPPY_THRESHOLD;
         const currentTexture = this.texture.key;
-        const targetTexture = shouldBeHappy ? 'player-happy' : 'player-sad';
+        const targetTexture = this.getPoseTexture(shouldBeHappy ? 'player-happy' : 'player-sad');
         
         // Only change if different (prevents unnecessary texture swaps)
         if (currentTexture !== targetTexture) {
-            this.setTexture(targetTexture);
+            this.setPoseTexture(targetTexture);
             console.log(shouldBeHappy ? '😊 Feeling confident!' : '😟 Getting worried...');
         }
     }
@@ -696,6 +1086,15 @@ class Student extends Phaser.Physics.Arcade.Sprite {
         // Stop any current movement
         this.setVelocity(0, 0);
         
+        // Power-ups wear off when you give up
+        this.buffs.clear();
+        
+        // Stand up if we were ducking
+        // WHY? The walk of shame is done standing
+        if (this.isCrouching) {
+            this.setCrouching(false);
+        }
+        
         // Switch to sad expression
         // WHY? Visually shows the player has lost
         this.setTexture('player-sad');
@@ -720,6 +1119,10 @@ class Student extends Phaser.Physics.Arcade.Sprite {
                 console.log('😔 Walking back to school...');
             }
         });
+        
+        // Let the scene offer "Continue from checkpoint" (if that's turned on)
+        // WHY an event? The student doesn't know about checkpoints - the scene does
+        this.scene.events.emit('confidenceDepleted');
     }
     
     /**
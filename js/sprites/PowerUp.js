@@ -10,9 +10,12 @@
  * - Consistent with other game objects
  * 
  * Power-ups available:
- * - Chocolate candy bar 🍫
- * - Caramel apple 🍎
- * Both give +15 confidence!
+ * - Chocolate candy bar 🍫 and caramel apple 🍎 (treats): +15 confidence!
+ * - Special items, with an effect that lasts a few seconds (see BuffManager):
+ *   - Headphones 🎧: mean words can't hurt
+ *   - Sneakers 👟: walk faster
+ *   - Umbrella ☂️: nothing falling from above can hurt
+ *   - Bubble gum 🎈: jump again in mid-air
  */
 class PowerUp extends Phaser.Physics.Arcade.Sprite {
     
@@ -24,8 +27,30 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
     // WHY 15? Meaningful boost without being overpowered
     static CONFIDENCE_BOOST = 15;
     
+    // Treats (they heal)
+    // WHY its own list? A treat is picked from it with scene.rng - adding
+    // items here would change the picks in every saved replay
+    static TREATS = ['chocolate', 'caramel-apple'];
+    
+    // Special items (they give a buff - see BuffManager)
+    // WHY only on routes with powerUps.specialChance? See PowerUpManager.pickType
+    static SPECIALS = ['headphones', 'sneakers', 'umbrella', 'bubble-gum'];
+    
     // Types of power-ups available
-    static TYPES = ['chocolate', 'caramel-apple'];
+    static TYPES = [...PowerUp.TREATS, ...PowerUp.SPECIALS];
+    
+    // What each one is called, and what it does
+    // - buff: the BuffManager.TYPES key it gives (treats heal instead)
+    // - message: shown when it's collected
+    // - colors: its sparkle burst
+    static ITEMS = {
+        'chocolate': { name: 'Chocolate Bar', colors: [0xFFD700, 0x8D6E63] },
+        'caramel-apple': { name: 'Caramel Apple', colors: [0xD2691E, 0xDC143C] },
+        'headphones': { name: 'Headphones', buff: 'headphones', message: '🎧 Can\'t hear the bullies!', colors: [0x7E57C2, 0xD1C4E9] },
+        'sneakers': { name: 'Sneakers', buff: 'speed', message: '👟 Zoom!', colors: [0x1E88E5, 0xFFFFFF] },
+        'umbrella': { name: 'Umbrella', buff: 'umbrella', message: '☂️ Covered!', colors: [0xE53935, 0xFFCDD2] },
+        'bubble-gum': { name: 'Bubble Gum', buff: 'bubbleGum', message: '🎈 Double jump!', colors: [0xF48FB1, 0xFFFFFF] }
+    };
     
     // =============================================================
     // CONSTRUCTOR
@@ -37,11 +62,11 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
      * @param {Phaser.Scene} scene - The game scene
      * @param {number} x - X position
      * @param {number} y - Y position (on ground level)
-     * @param {string} type - Type of power-up ('chocolate' or 'caramel-apple')
+     * @param {string} type - Type of power-up (a PowerUp.TYPES entry) - a random treat if left out
      */
     constructor(scene, x, y, type = null) {
-        // Pick random type if not specified
-        const powerUpType = type || Phaser.Math.RND.pick(PowerUp.TYPES);
+        // Pick a random treat if not specified
+        const powerUpType = type || scene.rng.pick(PowerUp.TREATS);
         
         // Call parent constructor with appropriate texture
         super(scene, x, y, `powerup-${powerUpType}`);
@@ -175,17 +200,30 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
         if (this.isCollected || this.isDestroyed) return;
         this.isCollected = true;
         
-        // Get the name for the message
-        const itemName = this.powerUpType === 'chocolate' ? 
-            'Chocolate Bar' : 'Caramel Apple';
+        const item = PowerUp.ITEMS[this.powerUpType];
+        const itemName = item.name;
         
-        console.log(`🍫 Collected ${itemName}! +${PowerUp.CONFIDENCE_BOOST} confidence!`);
+        // Special items go in the backpack if there's room (see InventoryManager)
+        const isStored = !!item.buff && this.scene.inventoryManager.store(this.powerUpType);
         
-        // Heal the player
-        player.heal(PowerUp.CONFIDENCE_BOOST, itemName);
+        if (isStored) {
+            console.log(`✨ Collected ${itemName} - saved for later!`);
+        } else if (item.buff) {
+            // A special item - its effect lasts a while
+            console.log(`✨ Collected ${itemName}!`);
+            player.buffs.add(item.buff);
+        } else {
+            console.log(`🍫 Collected ${itemName}! +${PowerUp.CONFIDENCE_BOOST} confidence!`);
+            
+            // Heal the player
+            player.heal(PowerUp.CONFIDENCE_BOOST, itemName);
+        }
+        
+        // Let the scene know (for the score)
+        this.scene.events.emit('powerUpCollected', itemName);
         
         // Show collection effect
-        this.showCollectionEffect(itemName);
+        this.showCollectionEffect(item, isStored);
         
         // Play a satisfying "pop" animation before destroying
         this.playCollectionAnimation();
@@ -193,17 +231,44 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
     
     /**
      * Show visual effect when collected
+     * 
+     * @param {Object} item - The item collected (from PowerUp.ITEMS)
+     * @param {boolean} isStored - Did it go in the backpack (to use later)?
      */
-    showCollectionEffect(itemName) {
-        // Create "+15" text that floats up
+    showCollectionEffect(item, isStored = false) {
+        const itemName = item.name;
+        
+        // A burst of sparkles in the item's colors
+        const burst = this.scene.add.particles(this.x, this.y, 'particle', {
+            speed: { min: 60, max: 140 },
+            scale: { start: 0.5, end: 0 },
+            lifespan: 450,
+            quantity: 8,
+            tint: item.colors
+        });
+        burst.setDepth(21);
+        this.scene.time.delayedCall(600, () => burst.destroy());
+        
+        // And something of its own
+        // WHY not for a stored item? It shows off what the item does - that
+        // happens later, when it's used
+        if (!isStored) {
+            this.showItemFlourish();
+        }
+        
+        // Create "+15" text (or what the item does) that floats up
+        let message = item.buff ? item.message : `+${PowerUp.CONFIDENCE_BOOST}! 💚`;
+        if (isStored) {
+            message = InventoryManager.SAVED_MESSAGE;
+        }
         const bonusText = this.scene.add.text(
             this.x,
             this.y - 20,
-            `+${PowerUp.CONFIDENCE_BOOST}! 💚`,
+            message,
             {
                 fontSize: '20px',
                 fontFamily: 'Arial',
-                color: '#4CAF50',
+                color: item.buff ? '#' + item.colors[0].toString(16).padStart(6, '0') : '#4CAF50',
                 fontStyle: 'bold',
                 stroke: '#ffffff',
                 strokeThickness: 3
@@ -248,6 +313,83 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
         });
     }
     
+    /**
+     * A little extra for each special item as it's collected
+     * 
+     * WHY? Each one does something different - it should feel different too
+     */
+    showItemFlourish() {
+        switch (this.powerUpType) {
+            case 'headphones': {
+                // Music notes drift up
+                ['🎵', '🎶', '🎵'].forEach((note, index) => {
+                    const noteText = this.scene.add.text(this.x + (index - 1) * 18, this.y, note, {
+                        fontSize: '16px'
+                    });
+                    noteText.setOrigin(0.5);
+                    noteText.setDepth(100);
+                    this.scene.tweens.add({
+                        targets: noteText,
+                        y: noteText.y - 45,
+                        x: noteText.x + (index - 1) * 10,
+                        alpha: 0,
+                        duration: 800,
+                        delay: index * 100,
+                        onComplete: () => noteText.destroy()
+                    });
+                });
+                break;
+            }
+            case 'sneakers': {
+                // Dust kicked up behind - off they go!
+                const dust = this.scene.add.particles(this.x, this.y + 10, 'particle', {
+                    speed: { min: 200, max: 320 },
+                    angle: { min: 170, max: 190 },
+                    scale: { start: 0.6, end: 0 },
+                    lifespan: 350,
+                    quantity: 10,
+                    tint: [0xBDBDBD, 0xFFFFFF]
+                });
+                dust.setDepth(21);
+                this.scene.time.delayedCall(500, () => dust.destroy());
+                break;
+            }
+            case 'bubble-gum': {
+                // A bubble blows up... and pops
+                // WHY keep the scene and position? The power-up itself is
+                // gone before the bubble pops (see playCollectionAnimation)
+                const scene = this.scene;
+                const x = this.x;
+                const y = this.y;
+                const bubble = scene.add.circle(x, y, 6, 0xF48FB1, 0.8);
+                bubble.setDepth(21);
+                scene.tweens.add({
+                    targets: bubble,
+                    scale: 5,
+                    duration: 350,
+                    ease: 'Quad.easeOut',
+                    onComplete: () => {
+                        bubble.destroy();
+                        const popText = scene.add.text(x, y, 'POP!', {
+                            fontSize: '14px',
+                            fontFamily: 'Arial',
+                            color: '#EC407A',
+                            fontStyle: 'bold'
+                        });
+                        popText.setOrigin(0.5);
+                        popText.setDepth(100);
+                        scene.time.delayedCall(300, () => popText.destroy());
+                    }
+                });
+                break;
+            }
+            default:
+                // Treats - and the umbrella, which pops open over the
+                // student's head (see Student.updateUmbrella)
+                break;
+        }
+    }
+    
     /**
      * Play the collection animation
      */
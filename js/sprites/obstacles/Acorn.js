@@ -0,0 +1,202 @@
+/**
+ * Acorn Class
+ * 
+ * Thrown by the Acorn Hoarder, the boss squirrel guarding the park exit!
+ * Acorns are lobbed high and drop on the student - like the Old Man's
+ * newspapers, but from the other side of the screen and a lot steeper.
+ * 
+ * WHY extend Phaser.Physics.Arcade.Sprite?
+ * - We get physics (gravity, velocity) for free!
+ * - Consistent with the Newspaper (same cleanup and dodge tracking)
+ * 
+ * Dodge Strategy: step out from under it, or jump it as it comes down
+ */
+class Acorn extends Phaser.Physics.Arcade.Sprite {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Initial upward velocity
+    // WHY -330? A high lob - you can see it coming and get out of the way
+    static VERTICAL_SPEED = -330;
+    
+    // Extra gravity applied to the acorn (on top of the world's)
+    // WHY 500? Heavier than a newspaper - it drops fast once it's over you
+    static GRAVITY = 500;
+    
+    // Where the throw lands, give or take (pixels)
+    // WHY? A boss that always hits the same spot is easy to stand next to
+    static AIM_SPREAD = 40;
+    
+    // Spin speed (degrees per second)
+    static SPIN_SPEED = 540;
+    
+    // How far past the student (center to center) before it counts as dodged
+    // WHY 30? Half the student (20) plus half the acorn (8), and a bit more
+    static PASS_MARGIN = 30;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a new acorn
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {number} x - Starting X position (the boss squirrel's paws)
+     * @param {number} y - Starting Y position
+     * @param {number} targetX - X position to aim for (usually the student)
+     */
+    constructor(scene, x, y, targetX) {
+        super(scene, x, y, 'acorn');
+        
+        this.scene = scene;
+        
+        scene.add.existing(this);
+        scene.physics.add.existing(this);
+        
+        this.setupAcorn(targetX);
+        this.setupCleanup();
+        
+        console.log('🌰 Acorn thrown!');
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Aim the lob so it comes down around the target
+     * 
+     * WHY work out the horizontal speed? The boss stands still, so it
+     * has to throw harder at a student who's further away
+     * 
+     * @param {number} targetX - X position to aim for
+     */
+    setupAcorn(targetX) {
+        this.body.setSize(14, 16);
+        
+        // Where it lands, give or take
+        // WHY scene.rng? Same seed = same throws (replays!)
+        const landX = targetX + this.scene.rng.between(-Acorn.AIM_SPREAD, Acorn.AIM_SPREAD);
+        
+        // Time to go up and come back down to the same height
+        // WHY add the world's gravity? Arcade adds a body's own gravity on top of it
+        const gravity = Acorn.GRAVITY + this.scene.physics.world.gravity.y;
+        const flightTime = -2 * Acorn.VERTICAL_SPEED / gravity;
+        
+        this.throwDirection = landX > this.x ? 1 : -1;
+        this.setVelocity((landX - this.x) / flightTime, Acorn.VERTICAL_SPEED);
+        this.body.setGravityY(Acorn.GRAVITY);
+        
+        // Let the wind push it off course (see WeatherManager)
+        this.scene.weatherManager.applyWind(this);
+        
+        this.setAngularVelocity(Acorn.SPIN_SPEED * this.throwDirection);
+        this.setDepth(5);
+    }
+    
+    /**
+     * Check every frame for leaving the screen (and for dodges)
+     */
+    setupCleanup() {
+        this.isDestroyed = false;
+        
+        // Dodge tracking (see checkDodge)
+        this.hasDodged = false;
+        this.closestDistance = Infinity;
+        
+        this.updateListener = () => {
+            if (this.isDestroyed) return;
+            this.checkDodge();
+            this.checkBounds();
+        };
+        
+        this.scene.events.on('update', this.updateListener);
+    }
+    
+    /**
+     * Check if the acorn is off-screen (or hit the sidewalk) and should go
+     */
+    checkBounds() {
+        if (!this.scene || !this.scene.game) return;
+        
+        // WHY 575? That's the sidewalk - acorns don't roll
+        const isGone =
+            this.x < -50 ||
+            this.x > this.scene.game.config.width + 50 ||
+            this.y > 575;
+        
+        if (isGone) {
+            this.cleanup();
+        }
+    }
+    
+    /**
+     * Check if the acorn got past the student without hitting them
+     * 
+     * WHY "past or landed"? A steep lob can come down in front of the
+     * student - missing them is still a dodge
+     */
+    checkDodge() {
+        const player = this.scene.student;
+        if (this.hasDodged || !player) return;
+        
+        const distance = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        this.closestDistance = Math.min(this.closestDistance, distance);
+        
+        const isPast = (this.x - player.x) * this.throwDirection > Acorn.PASS_MARGIN;
+        const hasLanded = this.y > 565;
+        if (isPast || hasLanded) {
+            this.hasDodged = true;
+            player.dodge('Acorn', this.closestDistance);
+        }
+    }
+    
+    // =============================================================
+    // COLLISION METHODS
+    // =============================================================
+    
+    /**
+     * Called when this acorn hits the student
+     * 
+     * @param {Student} player - The student that was hit
+     */
+    hitPlayer(player) {
+        // How much it hurts depends on the difficulty
+        // WHY pass this? An umbrella stops one coming down on the student
+        player.takeDamage(this.scene.difficulty.acornDamage, 'Acorn', this);
+        
+        // A little shower of acorn bits
+        const particles = this.scene.add.particles(this.x, this.y, 'acorn', {
+            speed: { min: 40, max: 120 },
+            scale: { start: 0.4, end: 0 },
+            lifespan: 300,
+            quantity: 4,
+            angle: { min: 180, max: 360 }
+        });
+        this.scene.time.delayedCall(500, () => particles.destroy());
+        
+        this.cleanup();
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the acorn and remove it from the game
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        if (this.updateListener && this.scene && this.scene.events) {
+            this.scene.events.off('update', this.updateListener);
+            this.updateListener = null;
+        }
+        
+        this.destroy();
+    }
+}
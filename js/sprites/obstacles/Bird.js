@@ -0,0 +1,233 @@
+/**
+ * Bird Class
+ * 
+ * The Pooping Bird! A pigeon that flies overhead and drops "bombs"
+ * on the student. Gross!
+ * 
+ * WHY extend Phaser.Physics.Arcade.Sprite?
+ * - We get physics (velocity) for free!
+ * - We can use all of Phaser's sprite methods
+ * - Consistent with other obstacles in the game
+ * 
+ * Behavior (based on CONTEXT.md):
+ * 1. Flies in from the right, high above the sidewalk
+ * 2. When it gets close to the student, it coos as a warning
+ * 3. Then it drops a bomb (see Dropping) - 1 or 2 per pass
+ * 4. Flies off the left side of the screen
+ * 
+ * WHY can't it hit the student itself?
+ * - It's way up in the sky! Only its droppings are dangerous
+ */
+class Bird extends Phaser.Physics.Arcade.Sprite {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How fast does the bird fly?
+    // WHY -140? Slower than the squirrel - it's just cruising around
+    static FLY_SPEED = -140;
+    
+    // Where the bird enters the screen
+    static SPAWN_X = 860;
+    static FLY_Y = 190;
+    
+    // How far ahead of the student the bird starts cooing (pixels)
+    // WHY 200? Close enough that the drop lands near the student
+    static COO_DISTANCE = 200;
+    
+    // Time between the coo and the drop (milliseconds)
+    // WHY 500? The coo is the warning - the shadow does the rest
+    static COO_WARNING_TIME = 500;
+    
+    // Time before the bird can coo again after a drop
+    static DROP_INTERVAL = 900;
+    
+    // How many droppings per pass (random between 1 and this)
+    static MAX_DROPS = 2;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a new bird
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        // Call parent constructor with the bird texture
+        super(scene, Bird.SPAWN_X, Bird.FLY_Y, 'bird');
+        
+        // Store reference to scene
+        this.scene = scene;
+        
+        // Add to the scene so it's visible
+        scene.add.existing(this);
+        
+        // Enable physics
+        scene.physics.add.existing(this);
+        
+        // Track state
+        // WHY scene.rng? Same seed = same number of droppings (replays!)
+        this.dropsLeft = scene.rng.between(1, Bird.MAX_DROPS);
+        this.isCooing = false;     // Waiting to drop?
+        this.isDestroyed = false;  // Safety flag for cleanup
+        
+        // Set up the bird
+        this.setupBird();
+        
+        console.log(`🐦 A pigeon is flying overhead! (${this.dropsLeft} drop${this.dropsLeft > 1 ? 's' : ''})`);
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Configure the bird's physics and flying animation
+     */
+    setupBird() {
+        // Birds don't fall!
+        this.body.setAllowGravity(false);
+        
+        // Get game speed multiplier for increased difficulty
+        const speedMultiplier = this.scene.gameSpeedMultiplier || 1.0;
+        
+        // Fly toward the student
+        this.setVelocityX(Bird.FLY_SPEED * speedMultiplier);
+        
+        // Above everything on the street
+        this.setDepth(30);
+        
+        // Flapping wings (squash up and down)
+        this.flapTween = this.scene.tweens.add({
+            targets: this,
+            scaleY: 0.75,
+            duration: 120,
+            yoyo: true,
+            repeat: -1
+        });
+        
+        // Gentle bobbing as it flies
+        this.bobTween = this.scene.tweens.add({
+            targets: this,
+            y: this.y + 8,
+            duration: 600,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the bird each frame
+     * 
+     * @param {Student} player - The student (to know when to drop)
+     */
+    update(player) {
+        if (this.isDestroyed) return;
+        
+        // Flown off the left side
+        if (this.x < -50) {
+            this.cleanup();
+            return;
+        }
+        
+        if (this.isCooing || this.dropsLeft <= 0 || !player || player.isDefeated) return;
+        
+        // Coo when the student is coming up underneath
+        // WHY a little behind too? The second drop happens as it passes over
+        const ahead = this.x - player.x;
+        if (ahead < Bird.COO_DISTANCE && ahead > -Bird.COO_DISTANCE / 2) {
+            this.startCoo();
+        }
+    }
+    
+    // =============================================================
+    // DROPPING
+    // =============================================================
+    
+    /**
+     * Coo as a warning, then drop a bomb
+     */
+    startCoo() {
+        this.isCooing = true;
+        
+        this.showCooWarning();
+        
+        this.scene.time.delayedCall(Bird.COO_WARNING_TIME, () => {
+            if (this.isDestroyed) return;
+            this.drop();
+            
+            // Ready for the next drop after a short break
+            this.scene.time.delayedCall(Bird.DROP_INTERVAL, () => {
+                this.isCooing = false;
+            });
+        });
+    }
+    
+    /**
+     * Show the "Coo coo!" warning above the bird
+     */
+    showCooWarning() {
+        const warning = this.scene.add.text(
+            this.x,
+            this.y - 25,
+            '🎵 Coo coo!',
+            {
+                fontSize: '14px',
+                fontFamily: 'Arial',
+                color: '#2c3e50',
+                backgroundColor: 'rgba(255,255,255,0.8)',
+                padding: { x: 4, y: 2 }
+            }
+        );
+        warning.setOrigin(0.5);
+        warning.setDepth(100);
+        
+        this.scene.tweens.add({
+            targets: warning,
+            y: warning.y - 20,
+            alpha: 0,
+            duration: 900,
+            onComplete: () => warning.destroy()
+        });
+    }
+    
+    /**
+     * Drop a bomb!
+     */
+    drop() {
+        this.dropsLeft -= 1;
+        new Dropping(this.scene, this.x, this.y + 12);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the bird
+     * 
+     * WHY not its droppings? They're already falling - they clean
+     * themselves up when they land and fade
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        if (this.flapTween) {
+            this.flapTween.stop();
+        }
+        if (this.bobTween) {
+            this.bobTween.stop();
+        }
+        
+        this.destroy();
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * BossSquirrel Class
+ * 
+ * The Acorn Hoarder - a huge squirrel that guards the way out of the park!
+ * It sits on a pile of acorns and won't let anyone leave until it's
+ * thrown every last one of them.
+ * 
+ * WHY extend Squirrel?
+ * - It's still a squirrel: innocent at first, then the eyebrows, then
+ *   it runs at you (transformToEvil, startRunning, hitPlayer...)
+ * - Only the parts in between are new - the acorn throwing
+ * 
+ * Behavior:
+ * 1. Appears looking innocent (but BIG), with its hoard above its head
+ * 2. Turns evil
+ * 3. Lobs its acorns at the student, one at a time
+ * 4. Out of acorns - it charges! (jump over it)
+ * 5. Runs off the screen - and the park exit is clear
+ */
+class BossSquirrel extends Squirrel {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // How much bigger than a normal squirrel
+    // WHY 2.2? Big enough to be a boss, still jumpable (the student jumps ~200px)
+    static SCALE = 2.2;
+    
+    // How many acorns are in the hoard
+    // WHY 5? Enough to be a fight, short enough not to hold up the walk
+    static HOARD_SIZE = 5;
+    
+    // When it turns evil (ms after it appears)
+    // WHY longer than a normal squirrel? Time to read the boss warning
+    static TRANSFORM_DELAY = 1500;
+    
+    // Time between acorn throws (ms)
+    // WHY 1000? Each lob lands in under a second - step out from under
+    // one and the next is already on its way
+    static THROW_INTERVAL = 1000;
+    
+    // Pause after the last acorn before it charges (ms)
+    static CHARGE_DELAY = 1200;
+    
+    // How much faster it runs than a normal squirrel
+    static CHARGE_SPEED_MULTIPLIER = 1.3;
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Make it big, and put its hoard on show
+     * 
+     * WHY here and not in a constructor? Squirrel's constructor calls
+     * this before our own constructor code could run
+     */
+    setupSquirrel() {
+        super.setupSquirrel();
+        
+        this.setScale(BossSquirrel.SCALE);
+        this.setDepth(16);
+        
+        this.acornsLeft = BossSquirrel.HOARD_SIZE;
+        this.acorns = [];
+        this.throwTimer = null;
+        
+        // The hoard, shown above its head (one 🌰 per acorn)
+        this.hoardText = this.scene.add.text(this.x, this.y - 45, '', {
+            fontSize: '16px',
+            backgroundColor: 'rgba(255,255,255,0.7)',
+            padding: { x: 4, y: 2 }
+        });
+        this.hoardText.setOrigin(0.5);
+        this.hoardText.setDepth(100);
+        this.updateHoardText();
+    }
+    
+    /**
+     * The boss's timeline: turn evil, throw the hoard, then charge
+     */
+    startBehaviorSequence() {
+        this.scene.time.delayedCall(BossSquirrel.TRANSFORM_DELAY, () => {
+            if (this.isDestroyed) return;
+            this.transformToEvil();
+            this.startThrowing();
+        });
+    }
+    
+    // =============================================================
+    // THE HOARD
+    // =============================================================
+    
+    /**
+     * Throw one acorn after another until the hoard is empty
+     */
+    startThrowing() {
+        console.log(`🐿️👑 The Acorn Hoarder starts throwing its hoard (${this.acornsLeft} acorns)!`);
+        
+        this.throwTimer = this.scene.time.addEvent({
+            delay: BossSquirrel.THROW_INTERVAL,
+            repeat: this.acornsLeft - 1,
+            callback: this.throwAcorn,
+            callbackScope: this
+        });
+    }
+    
+    /**
+     * Lob one acorn at the student
+     */
+    throwAcorn() {
+        const player = this.scene.student;
+        if (this.isDestroyed || !player) return;
+        
+        const acorn = new Acorn(this.scene, this.x - 20, this.y - 20, player.x);
+        this.acorns.push(acorn);
+        
+        this.scene.physics.add.overlap(acorn, player, this.onAcornHitPlayer, null, this);
+        
+        // Wind up (a quick squash)
+        this.scene.tweens.add({
+            targets: this,
+            scaleY: BossSquirrel.SCALE * 0.85,
+            duration: 100,
+            yoyo: true
+        });
+        
+        this.acornsLeft -= 1;
+        this.updateHoardText();
+        
+        // Out of acorns? Time to charge!
+        if (this.acornsLeft === 0) {
+            console.log('🐿️👑 The Acorn Hoarder is out of acorns... and it is ANGRY!');
+            this.scene.time.delayedCall(BossSquirrel.CHARGE_DELAY, () => {
+                if (this.isDestroyed) return;
+                this.hoardText.destroy();
+                this.hoardText = null;
+                this.startRunning();
+            });
+        }
+    }
+    
+    /**
+     * Callback when an acorn hits the student
+     * 
+     * @param {Acorn} acorn - The acorn that hit
+     * @param {Student} player - The student
+     */
+    onAcornHitPlayer(acorn, player) {
+        acorn.hitPlayer(player);
+        this.acorns = this.acorns.filter(candidate => candidate !== acorn);
+    }
+    
+    /**
+     * Show what's left of the hoard
+     */
+    updateHoardText() {
+        if (!this.hoardText) return;
+        this.hoardText.setText(this.acornsLeft > 0 ? '👑 ' + '🌰'.repeat(this.acornsLeft) : '👑 😡');
+    }
+    
+    // =============================================================
+    // GETTERS
+    // =============================================================
+    
+    /**
+     * @returns {string} The boss's name (for hits and dodges)
+     */
+    getName() {
+        return 'Acorn Hoarder';
+    }
+    
+    /**
+     * @returns {number} Charge velocity - faster than a normal squirrel
+     */
+    getRunSpeed() {
+        return Squirrel.RUN_SPEED * BossSquirrel.CHARGE_SPEED_MULTIPLIER;
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the boss, its hoard and any acorns still flying
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        
+        if (this.throwTimer) {
+            this.throwTimer.remove();
+            this.throwTimer = null;
+        }
+        if (this.hoardText) {
+            this.hoardText.destroy();
+            this.hoardText = null;
+        }
+        this.acorns.forEach(acorn => acorn.cleanup());
+        this.acorns = [];
+        
+        console.log('🐿️👑 The Acorn Hoarder is gone!');
+        super.cleanup();
+    }
+}
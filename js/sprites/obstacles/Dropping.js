@@ -0,0 +1,335 @@
+/**
+ * Dropping Class
+ * 
+ * The "bomb" dropped by the Pooping Bird! It falls fast, but its
+ * shadow on the sidewalk grows as it gets closer - watch the shadow
+ * and move!
+ * 
+ * WHY extend Phaser.Physics.Arcade.Sprite?
+ * - We get physics (gravity, velocity) for free!
+ * - We get collision detection built in
+ * - Consistent with other obstacles in the game
+ * 
+ * Based on CONTEXT.md:
+ * - Damage: -25 Confidence (it's really embarrassing!)
+ * - Drops fall fast!
+ * - Dodge Strategy: Watch the shadow and move!
+ * - The poop leaves a splat effect on the ground
+ * 
+ * WHY does it follow the ground scroll?
+ * - The shadow and splat are ON the sidewalk, so they slide past
+ *   with it as the student walks - just like the cracks in the pavement
+ */
+class Dropping extends Phaser.Physics.Arcade.Sprite {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Initial falling speed
+    // WHY 150? Starts quick - CONTEXT.md says drops fall fast!
+    static FALL_SPEED = 150;
+    
+    // Gravity pulling the dropping down
+    // WHY 500? Speeds up as it falls, but the shadow gives ~1 second warning
+    static GRAVITY = 500;
+    
+    // Where the sidewalk surface is (ground is centered at 575, 50 tall)
+    static GROUND_Y = 550;
+    
+    // How long the splat lingers on the sidewalk (milliseconds)
+    // WHY 6000? Long enough to see it slide by - a reminder of what you dodged!
+    static SPLAT_LIFETIME = 6000;
+    
+    // Shadow size when the dropping is just released / about to land
+    static SHADOW_MIN_SCALE = 0.3;
+    static SHADOW_MAX_SCALE = 1.2;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a new dropping
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {number} x - Starting X position (under the bird)
+     * @param {number} y - Starting Y position (under the bird)
+     */
+    constructor(scene, x, y) {
+        // Call parent constructor with the dropping texture
+        super(scene, x, y, 'dropping');
+        
+        // Store reference to scene
+        this.scene = scene;
+        
+        // Add to the scene so it's visible
+        scene.add.existing(this);
+        
+        // Enable physics
+        scene.physics.add.existing(this);
+        
+        // Track state
+        this.startY = y;
+        this.hasLanded = false;     // Has it hit the sidewalk?
+        this.hasHitPlayer = false;  // Prevent multiple hits
+        this.isDestroyed = false;   // Safety flag for cleanup
+        this.closestDistance = Infinity;  // For the dodge check when it lands
+        
+        // Where the ground was last frame (see followGround)
+        this.lastScrollX = scene.background ? scene.background.scrollX : 0;
+        
+        // Set up the dropping
+        this.setupDropping();
+        this.createShadow();
+        this.setupPlayerCollision();
+        this.setupCleanup();
+        
+        console.log('💩 Bombs away!');
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Configure the dropping's physics
+     */
+    setupDropping() {
+        this.body.setSize(10, 12);
+        
+        // Get game speed multiplier for increased difficulty
+        const speedMultiplier = this.scene.gameSpeedMultiplier || 1.0;
+        
+        // Fall straight down
+        // WHY straight? The shadow shows EXACTLY where it will land
+        this.setVelocity(0, Dropping.FALL_SPEED * speedMultiplier);
+        this.body.setGravityY(Dropping.GRAVITY);
+        
+        // In front of the student so a hit is easy to see
+        this.setDepth(25);
+    }
+    
+    /**
+     * Create the shadow on the sidewalk below the dropping
+     * 
+     * WHY a shadow? It's the telegraph - the player sees WHERE it will
+     * land before it gets there
+     */
+    createShadow() {
+        this.shadow = this.scene.add.ellipse(this.x, Dropping.GROUND_Y - 2, 30, 8, 0x000000, 0.2);
+        this.shadow.setScale(Dropping.SHADOW_MIN_SCALE);
+        
+        // WHY depth -9? On the sidewalk (-10), under the student (10)
+        this.shadow.setDepth(-9);
+    }
+    
+    /**
+     * Set up collision detection with the player
+     */
+    setupPlayerCollision() {
+        const player = this.scene.student;
+        if (!player) return;
+        
+        this.scene.physics.add.overlap(
+            this,
+            player,
+            this.hitPlayer,
+            null,
+            this
+        );
+    }
+    
+    /**
+     * Check every frame for falling, landing and scrolling
+     */
+    setupCleanup() {
+        this.scene.events.on('update', this.update, this);
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update the dropping each frame
+     */
+    update() {
+        if (this.isDestroyed) return;
+        
+        this.followGround();
+        
+        if (!this.hasLanded) {
+            this.updateShadow();
+            this.trackClosestDistance();
+            
+            if (this.y >= Dropping.GROUND_Y - 6) {
+                this.land();
+            }
+        }
+        
+        // Slid off the left side (or behind us when walking back)
+        if (this.x < -60 || this.x > this.scene.game.config.width + 60) {
+            this.cleanup();
+        }
+    }
+    
+    /**
+     * Move with the sidewalk as the world scrolls
+     */
+    followGround() {
+        const background = this.scene.background;
+        if (!background) return;
+        
+        const scrolled = background.scrollX - this.lastScrollX;
+        this.lastScrollX = background.scrollX;
+        
+        this.x -= scrolled;
+        if (this.shadow) {
+            this.shadow.x = this.x;
+        }
+    }
+    
+    /**
+     * Grow and darken the shadow as the dropping gets closer
+     */
+    updateShadow() {
+        if (!this.shadow) return;
+        
+        // 0 = just dropped, 1 = about to land
+        const fallDistance = Dropping.GROUND_Y - this.startY;
+        const progress = Phaser.Math.Clamp((this.y - this.startY) / fallDistance, 0, 1);
+        
+        this.shadow.setScale(Phaser.Math.Linear(Dropping.SHADOW_MIN_SCALE, Dropping.SHADOW_MAX_SCALE, progress));
+        this.shadow.setAlpha(0.2 + progress * 0.4);
+    }
+    
+    /**
+     * Remember how close the dropping came to the student
+     */
+    trackClosestDistance() {
+        const player = this.scene.student;
+        if (!player) return;
+        
+        const distance = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        this.closestDistance = Math.min(this.closestDistance, distance);
+    }
+    
+    // =============================================================
+    // COLLISION METHODS
+    // =============================================================
+    
+    /**
+     * Called when the dropping lands on the student
+     * 
+     * @param {Dropping} dropping - This dropping
+     * @param {Student} player - The student that was hit
+     */
+    hitPlayer(dropping, player) {
+        if (this.hasHitPlayer || this.hasLanded || this.isDestroyed) return;
+        this.hasHitPlayer = true;
+        
+        console.log('🐦💩 Direct hit!');
+        
+        // WHY pass this? An umbrella keeps it off the student
+        if (player.takeDamage(this.scene.difficulty.droppingDamage, 'Pooping Bird', this)) {
+            this.showHitMessage();
+        }
+        
+        this.cleanup();
+    }
+    
+    /**
+     * Show the CONTEXT.md reaction when the student is hit
+     */
+    showHitMessage() {
+        const message = this.scene.add.text(
+            this.x,
+            this.y - 40,
+            'This day just got worse!',
+            {
+                fontSize: '16px',
+                fontFamily: 'Arial',
+                color: '#FFFFFF',
+                backgroundColor: 'rgba(0,0,0,0.6)',
+                padding: { x: 8, y: 4 }
+            }
+        );
+        message.setOrigin(0.5);
+        message.setDepth(100);
+        
+        this.scene.tweens.add({
+            targets: message,
+            y: message.y - 25,
+            alpha: 0,
+            duration: 1200,
+            delay: 400,
+            onComplete: () => message.destroy()
+        });
+    }
+    
+    /**
+     * Hit the sidewalk and become a splat
+     * 
+     * WHY keep the same sprite? The splat sits exactly where the dropping
+     * landed - just swap the texture and stop its physics
+     */
+    land() {
+        this.hasLanded = true;
+        
+        // No more falling - and no more hitting
+        this.body.stop();
+        this.body.setAllowGravity(false);
+        this.body.enable = false;
+        
+        this.setTexture('splat');
+        this.y = Dropping.GROUND_Y - 3;
+        this.setDepth(-9);
+        
+        if (this.shadow) {
+            this.shadow.destroy();
+            this.shadow = null;
+        }
+        
+        console.log('💦 Splat!');
+        
+        // Landed on the sidewalk instead of the student - dodged!
+        if (this.scene.student) {
+            this.scene.student.dodge('Pooping Bird', this.closestDistance);
+        }
+        
+        // Let the splat linger, then fade away
+        this.scene.time.delayedCall(Dropping.SPLAT_LIFETIME, () => {
+            if (this.isDestroyed) return;
+            this.scene.tweens.add({
+                targets: this,
+                alpha: 0,
+                duration: 1000,
+                onComplete: () => this.cleanup()
+            });
+        });
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the dropping, its shadow and its update listener
+     */
+    cleanup() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        if (this.scene && this.scene.events) {
+            this.scene.events.off('update', this.update, this);
+        }
+        
+        if (this.shadow) {
+            this.shadow.destroy();
+            this.shadow = null;
+        }
+        
+        this.destroy();
+    }
+}
@@ -20,10 +20,6 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
     // STATIC PROPERTIES
     // =============================================================
     
-    // How much confidence does getting hit cost?
-    // WHY 10? Based on CONTEXT.md - newspapers are the "lightest" obstacle
-    static DAMAGE = 10;
-    
     // Horizontal speed of the newspaper
     // WHY 220? Fast enough to keep you on your toes, slow enough to dodge with practice
     static HORIZONTAL_SPEED = 220;
@@ -36,10 +32,31 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
     // WHY 400? Makes it arc naturally, like a real thrown object
     static GRAVITY = 400;
     
+    // =============================================================
+    // LOW THROWS - flat sidearm throws you duck under
+    // =============================================================
+    
+    // Chance that a throw is low and flat instead of an arc
+    // WHY 0.35? Mostly jumps, with enough ducks to keep you guessing
+    static LOW_THROW_CHANCE = 0.35;
+    
+    // Height a low throw flies at (center of the newspaper)
+    // WHY 498? The newspaper (20 tall) spans 488-508: it hits a standing
+    // student (top at 490) but clears a crouching one (top at 516)
+    static LOW_THROW_Y = 498;
+    
+    // Horizontal speed of a low throw
+    // WHY faster? It flies straight - there's no arc to slow it down
+    static LOW_THROW_SPEED = 260;
+    
     // Spin speed (degrees per second)
     // WHY 360? One full rotation per second looks good
     static SPIN_SPEED = 360;
     
+    // How far past the student (center to center) before it counts as dodged
+    // WHY 40? Half the student (20) plus half the newspaper (15), and a bit more
+    static PASS_MARGIN = 40;
+    
     // =============================================================
     // CONSTRUCTOR
     // =============================================================
@@ -74,7 +91,7 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
         // Set up automatic cleanup
         this.setupCleanup();
         
-        console.log('📰 Newspaper thrown!');
+        console.log(this.isLowThrow ? '📰 Newspaper thrown low - duck!' : '📰 Newspaper thrown!');
     }
     
     // =============================================================
@@ -84,6 +101,10 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
     /**
      * Configure the newspaper's physics and trajectory
      * 
+     * Two kinds of throw:
+     * - Arc (most throws): up and over - jump it!
+     * - Low: flat at head height, no gravity - duck under it!
+     * 
      * @param {number} targetX - X position to aim toward
      */
     setupNewspaper(targetX) {
@@ -96,17 +117,34 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
         // Determine throw direction based on target position
         // WHY check targetX? So we throw TOWARD the player, not away
         const throwDirection = targetX > this.x ? 1 : -1;
+        this.throwDirection = throwDirection;
+        
+        // Arc or low throw?
+        // WHY scene.rng? Same seed = same throws (replays!)
+        this.isLowThrow = this.scene.rng.chance(Newspaper.LOW_THROW_CHANCE);
         
-        // Set velocity - horizontal toward player, vertical up (for arc)
-        // WHY apply speedMultiplier? Game gets faster over time!
-        this.setVelocity(
-            Newspaper.HORIZONTAL_SPEED * throwDirection * speedMultiplier,
-            Newspaper.VERTICAL_SPEED * speedMultiplier
-        );
+        if (this.isLowThrow) {
+            // Straight across at head height
+            // WHY no gravity? A flat throw has to stay at the same height
+            // the whole way, however far away the old man is
+            this.y = Newspaper.LOW_THROW_Y;
+            this.body.setAllowGravity(false);
+            this.setVelocity(Newspaper.LOW_THROW_SPEED * throwDirection * speedMultiplier, 0);
+        } else {
+            // Set velocity - horizontal toward player, vertical up (for arc)
+            // WHY apply speedMultiplier? Game gets faster over time!
+            this.setVelocity(
+                Newspaper.HORIZONTAL_SPEED * throwDirection * speedMultiplier,
+                Newspaper.VERTICAL_SPEED * speedMultiplier
+            );
+            
+            // Apply gravity so the newspaper arcs down
+            // WHY setGravityY? Overrides the scene's gravity for this object
+            this.body.setGravityY(Newspaper.GRAVITY);
+        }
         
-        // Apply gravity so the newspaper arcs down
-        // WHY setGravityY? Overrides the scene's gravity for this object
-        this.body.setGravityY(Newspaper.GRAVITY);
+        // Let the wind push it off course (see WeatherManager)
+        this.scene.weatherManager.applyWind(this);
         
         // Set depth so it appears above background but can go behind player
         this.setDepth(5);
@@ -143,10 +181,15 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
         // WHY? Prevents errors when update fires after destruction
         this.isDestroyed = false;
         
+        // Dodge tracking (see checkDodge)
+        this.hasDodged = false;
+        this.closestDistance = Infinity;
+        
         // Store reference to the update event so we can remove it later
         this.updateListener = () => {
             // Safety check - don't run if already destroyed
             if (this.isDestroyed) return;
+            this.checkDodge();
             this.checkBounds();
         };
         
@@ -173,6 +216,26 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
         }
     }
     
+    /**
+     * Check if the newspaper flew past the student without hitting them
+     * 
+     * WHY track the closest distance? Sailing right over their head
+     * is a near miss - worth extra confidence!
+     */
+    checkDodge() {
+        const player = this.scene.student;
+        if (this.hasDodged || !player) return;
+        
+        const distance = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        this.closestDistance = Math.min(this.closestDistance, distance);
+        
+        // Past the student in the direction it was thrown?
+        if ((this.x - player.x) * this.throwDirection > Newspaper.PASS_MARGIN) {
+            this.hasDodged = true;
+            player.dodge('Newspaper', this.closestDistance);
+        }
+    }
+    
     // =============================================================
     // COLLISION METHODS
     // =============================================================
@@ -188,8 +251,9 @@ class Newspaper extends Phaser.Physics.Arcade.Sprite {
      * - Other code just calls newspaper.hitPlayer(player)
      */
     hitPlayer(player) {
-        // Reduce player confidence
-        player.takeDamage(Newspaper.DAMAGE, 'Newspaper');
+        // Reduce player confidence (how much depends on the difficulty)
+        // WHY pass this? An umbrella stops one coming down on the student
+        player.takeDamage(this.scene.difficulty.newspaperDamage, 'Newspaper', this);
         
         // Create a small "impact" effect
         this.createImpactEffect();
@@ -14,6 +14,9 @@
  * 2. After a moment, grows "scary" eyebrows
  * 3. Runs in front of the player (they must jump over!)
  * 4. Deals damage if the player touches it
+ * 
+ * The park sends squirrels out in waves - each one can be given its own
+ * timings so they don't all turn evil at once (see BlueberrydalePark).
  */
 class Squirrel extends Phaser.Physics.Arcade.Sprite {
     
@@ -21,10 +24,6 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
     // STATIC PROPERTIES
     // =============================================================
     
-    // How much confidence does getting hit cost?
-    // WHY 15? Slightly more than a newspaper - you should have seen it coming!
-    static DAMAGE = 15;
-    
     // How fast does the squirrel run?
     // WHY -180? Fast enough to be challenging, slow enough that jumping works
     static RUN_SPEED = -180;
@@ -37,6 +36,10 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
     // WHY 1200? Builds tension - "Is it going to... OH NO IT IS!"
     static START_RUNNING_DELAY = 1200;
     
+    // How far behind the student (center to center) before it counts as dodged
+    // WHY 35? Half the student (20) plus half the squirrel (12), and a bit more
+    static PASS_MARGIN = 35;
+    
     // =============================================================
     // CONSTRUCTOR
     // =============================================================
@@ -47,8 +50,11 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
      * @param {Phaser.Scene} scene - The game scene
      * @param {number} x - Starting X position
      * @param {number} y - Starting Y position (on the ground)
+     * @param {Object} [options] - Change the timings (for squirrels in a wave)
+     * @param {number} [options.transformDelay] - When it turns evil (ms, default TRANSFORM_DELAY)
+     * @param {number} [options.runDelay] - When it starts running (ms, default START_RUNNING_DELAY)
      */
-    constructor(scene, x, y) {
+    constructor(scene, x, y, options = {}) {
         // Call parent constructor with the innocent squirrel texture
         super(scene, x, y, 'squirrel-innocent');
         
@@ -66,6 +72,13 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
         this.isRunning = false;   // Is it actively running?
         this.hasHitPlayer = false; // Prevent multiple hits
         this.isDestroyed = false;  // Safety flag for cleanup
+        this.hasDodged = false;    // Has the student jumped over it?
+        this.closestDistance = Infinity;
+        
+        // When does it turn evil, and when does it run?
+        // WHY stored here? startBehaviorSequence() reads them
+        this.transformDelay = options.transformDelay || Squirrel.TRANSFORM_DELAY;
+        this.runDelay = options.runDelay || Squirrel.START_RUNNING_DELAY;
         
         // Set up the squirrel
         this.setupSquirrel();
@@ -124,14 +137,14 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
      */
     startBehaviorSequence() {
         // Step 1: After a short delay, transform to evil!
-        this.scene.time.delayedCall(Squirrel.TRANSFORM_DELAY, () => {
+        this.scene.time.delayedCall(this.transformDelay, () => {
             if (!this.isDestroyed) {
                 this.transformToEvil();
             }
         });
         
         // Step 2: After transformation, start running!
-        this.scene.time.delayedCall(Squirrel.START_RUNNING_DELAY, () => {
+        this.scene.time.delayedCall(this.runDelay, () => {
             if (!this.isDestroyed) {
                 this.startRunning();
             }
@@ -212,7 +225,7 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
         const speedMultiplier = this.scene.gameSpeedMultiplier || 1.0;
         
         // Start running! (speed increases with game difficulty)
-        this.setVelocityX(Squirrel.RUN_SPEED * speedMultiplier);
+        this.setVelocityX(this.getRunSpeed() * speedMultiplier);
         
         // Create running animation (bouncy movement)
         this.runTween = this.scene.tweens.add({
@@ -259,11 +272,11 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
         
         console.log('🐿️💥 The squirrel got you!');
         
-        // Deal damage to player
-        player.takeDamage(Squirrel.DAMAGE, 'Sneaky Squirrel');
+        // Deal damage to player (how much depends on the difficulty)
+        player.takeDamage(this.scene.difficulty.squirrelDamage, this.getName());
         
         // The squirrel runs away faster after hitting
-        this.setVelocityX(Squirrel.RUN_SPEED * 1.5);
+        this.setVelocityX(this.getRunSpeed() * 1.5);
         
         // Squirrel victory animation
         this.showVictoryMessage();
@@ -303,12 +316,56 @@ class Squirrel extends Phaser.Physics.Arcade.Sprite {
     update() {
         if (this.isDestroyed) return;
         
+        this.checkDodge();
+        
         // Check if we've run off the left side of the screen
         if (this.x < -50) {
             this.cleanup();
         }
     }
     
+    /**
+     * Check if the squirrel ran past the student without touching them
+     */
+    checkDodge() {
+        const player = this.scene.student;
+        if (this.hasDodged || this.hasHitPlayer || !player) return;
+        
+        const distance = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        this.closestDistance = Math.min(this.closestDistance, distance);
+        
+        // Made it behind the student? They jumped it!
+        // WHY times the scale? A bigger squirrel has further to go
+        if (player.x - this.x > Squirrel.PASS_MARGIN * this.scaleX) {
+            this.hasDodged = true;
+            player.dodge(this.getName(), this.closestDistance);
+        }
+    }
+    
+    // =============================================================
+    // GETTERS
+    // =============================================================
+    
+    /**
+     * What the student was hit by (or dodged)
+     * 
+     * WHY a method? The park's boss squirrel has a name of its own
+     * 
+     * @returns {string} The obstacle's name
+     */
+    getName() {
+        return 'Sneaky Squirrel';
+    }
+    
+    /**
+     * How fast it runs at the student (before the game speed-up)
+     * 
+     * @returns {number} Horizontal velocity (negative = to the left)
+     */
+    getRunSpeed() {
+        return Squirrel.RUN_SPEED;
+    }
+    
     // =============================================================
     // CLEANUP
     // =============================================================
@@ -14,6 +14,9 @@
  * - Contains mean words ("loser!", "dork!", etc.)
  * - Damages confidence on contact
  * - Has a "meteor trail" effect
+ * - A Friend's compliment can pop it in mid-air (see pop)
+ * - The student can talk back just before it lands - it turns around
+ *   and flies back at whoever threw it (see reflect, ComebackManager)
  */
 class WordBubble extends Phaser.Physics.Arcade.Sprite {
     
@@ -21,10 +24,6 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
     // STATIC PROPERTIES
     // =============================================================
     
-    // How much confidence does getting hit cost?
-    // WHY 12? Words hurt! More than newspapers, but survivable
-    static DAMAGE = 12;
-    
     // How fast do the bubbles fall?
     // WHY 250? Fast enough to be threatening, slow enough to dodge
     static FALL_SPEED = 250;
@@ -33,6 +32,10 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
     // WHY drift? Makes the trajectory less predictable
     static DRIFT_SPEED = 30;
     
+    // How far below the student (center to center) before it counts as dodged
+    // WHY 55? Half the student (30) plus half the bubble (20), and a bit more
+    static PASS_MARGIN = 55;
+    
     // The mean messages bullies say
     // WHY these? Classic bully taunts + the rival school name
     static MESSAGES = [
@@ -57,8 +60,9 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
      * @param {number} x - Starting X position
      * @param {number} y - Starting Y position (usually above screen)
      * @param {string} message - The mean message to display (optional, random if not provided)
+     * @param {Bully} thrower - Who threw it (a comeback flies back at them - optional)
      */
-    constructor(scene, x, y, message = null) {
+    constructor(scene, x, y, message = null, thrower = null) {
         // Call parent constructor with word bubble texture
         super(scene, x, y, 'wordbubble');
         
@@ -66,11 +70,14 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
         this.scene = scene;
         
         // Pick a random message if none provided
-        this.message = message || Phaser.Math.RND.pick(WordBubble.MESSAGES);
+        this.message = message || scene.rng.pick(WordBubble.MESSAGES);
+        this.thrower = thrower;
         
         // Track state
         this.hasHitPlayer = false;
         this.isDestroyed = false;
+        this.hasDodged = false;
+        this.closestDistance = Infinity;
         
         // Add to the scene
         scene.add.existing(this);
@@ -88,6 +95,9 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
         // Set up cleanup
         this.setupCleanup();
         
+        // Let the scene know (a Friend might be watching - see FriendManager)
+        scene.events.emit('wordBubbleThrown', this);
+        
         console.log(`💬 Word bubble: "${this.message}"`);
     }
     
@@ -109,17 +119,20 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
         this.setVelocityY(WordBubble.FALL_SPEED * speedMultiplier);
         
         // Add slight horizontal drift (random direction)
-        const drift = Phaser.Math.Between(-WordBubble.DRIFT_SPEED, WordBubble.DRIFT_SPEED);
+        const drift = this.scene.rng.between(-WordBubble.DRIFT_SPEED, WordBubble.DRIFT_SPEED);
         this.setVelocityX(drift * speedMultiplier);
         
         // No gravity - constant speed fall
         this.body.setAllowGravity(false);
         
+        // Let the wind push it off course (see WeatherManager)
+        this.scene.weatherManager.applyWind(this);
+        
         // Set depth
         this.setDepth(25);
         
         // Start slightly rotated for "meteor" effect
-        this.setRotation(Phaser.Math.DegToRad(Phaser.Math.Between(-15, 15)));
+        this.setRotation(Phaser.Math.DegToRad(this.scene.rng.between(-15, 15)));
         
         // Slight wobble as it falls
         this.scene.tweens.add({
@@ -239,11 +252,15 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
         
         console.log(`💬💥 Hit by mean words: "${this.message}"`);
         
-        // Deal damage
-        player.takeDamage(WordBubble.DAMAGE, `Mean words: "${this.message}"`);
+        // Deal damage (how much depends on the difficulty)
+        // WHY pass this? Headphones (or an umbrella) can block it
+        const wasHurt = player.takeDamage(this.scene.difficulty.wordBubbleDamage, `Mean words: "${this.message}"`, this);
         
         // Show impact effect
-        this.showHitEffect();
+        // WHY only if it hurt? Blocked words never reached the student
+        if (wasHurt) {
+            this.showHitEffect();
+        }
         
         // Destroy the bubble
         this.cleanup();
@@ -279,6 +296,85 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
         });
     }
     
+    /**
+     * Popped by a Friend's compliment before it reached the student
+     * 
+     * WHY not a dodge? The student didn't do anything - their friend did
+     * 
+     * @param {string} compliment - What popped it (shown in the burst)
+     */
+    pop(compliment) {
+        if (this.isDestroyed) return;
+        
+        console.log(`💚💥 "${this.message}" popped by "${compliment}"!`);
+        
+        this.burst([0x66BB6A, 0xA5D6A7, 0xFFFFFF], 'POP! 💚', '#2E7D32');
+        this.cleanup();
+    }
+    
+    /**
+     * Turned around by the student's comeback, just before it landed
+     * 
+     * WHY not a dodge? It never got past the student - and the comeback
+     * gives its own confidence back (see ComebackManager)
+     * 
+     * @param {string} comeback - What the student said back (shown in the burst)
+     */
+    reflect(comeback) {
+        if (this.isDestroyed) return;
+        
+        console.log(`💪💬 "${this.message}" turned around with "${comeback}"!`);
+        
+        // WHY no message? The comeback itself flies out of the burst
+        // (see ComebackBubble)
+        this.burst([0xFFB300, 0xFFE082, 0xFFFFFF]);
+        this.cleanup();
+    }
+    
+    /**
+     * A burst of sparkles where the mean words were - and a word about
+     * what happened to them
+     * 
+     * WHY one for pop() and reflect()? Both end the bubble the same way -
+     * only who did it (the colors, and what it says) is different
+     * 
+     * @param {number[]} tint - The sparkles' colors
+     * @param {string} [message] - Floats up from the burst (none if left out)
+     * @param {string} [color] - The message's color
+     */
+    burst(tint, message = null, color = '#ffffff') {
+        const particles = this.scene.add.particles(this.x, this.y, 'particle', {
+            speed: { min: 60, max: 160 },
+            scale: { start: 0.6, end: 0 },
+            lifespan: 400,
+            quantity: 10,
+            tint: tint
+        });
+        particles.setDepth(26);
+        this.scene.time.delayedCall(600, () => particles.destroy());
+        
+        if (!message) return;
+        
+        const burstText = this.scene.add.text(this.x, this.y, message, {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: color,
+            fontStyle: 'bold',
+            stroke: '#ffffff',
+            strokeThickness: 3
+        });
+        burstText.setOrigin(0.5);
+        burstText.setDepth(100);
+        this.scene.tweens.add({
+            targets: burstText,
+            scale: 1.4,
+            alpha: 0,
+            y: burstText.y - 25,
+            duration: 600,
+            onComplete: () => burstText.destroy()
+        });
+    }
+    
     // =============================================================
     // CLEANUP
     // =============================================================
@@ -296,12 +392,31 @@ class WordBubble extends Phaser.Physics.Arcade.Sprite {
     checkOffScreen() {
         if (this.isDestroyed) return;
         
+        this.checkDodge();
+        
         // If fallen below the screen, destroy
         if (this.y > 700) {
             this.cleanup();
         }
     }
     
+    /**
+     * Check if the bubble fell past the student without hitting them
+     */
+    checkDodge() {
+        const player = this.scene.student;
+        if (this.hasDodged || this.hasHitPlayer || !player) return;
+        
+        const distance = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        this.closestDistance = Math.min(this.closestDistance, distance);
+        
+        // Fallen below the student? Those words missed!
+        if (this.y - player.y > WordBubble.PASS_MARGIN) {
+            this.hasDodged = true;
+            player.dodge('Mean words', this.closestDistance);
+        }
+    }
+    
     /**
      * Clean up the word bubble
      */
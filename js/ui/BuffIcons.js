@@ -0,0 +1,161 @@
+/**
+ * BuffIcons Class
+ * 
+ * A row of icons under the confidence meter - one for each buff the
+ * student has right now (see BuffManager). A ring around each icon
+ * drains as the buff runs out.
+ * 
+ * WHY a separate class?
+ * - Same as the ConfidenceMeter: UI code stays out of the game logic
+ * - The student doesn't need to know the HUD exists
+ * 
+ * The icons:
+ * - Appear when a buff starts, in the order they were picked up
+ * - Blink for the last couple of seconds ("it's about to wear off!")
+ */
+class BuffIcons {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where the first icon goes
+    // WHY here? Under the end of the confidence bar, clear of the clock
+    static X = 200;
+    static Y = 112;
+    
+    // Icon size and spacing (pixels)
+    static RADIUS = 16;
+    static SPACING = 42;
+    static RING_WIDTH = 4;
+    
+    // Start blinking when this much time is left (ms)
+    static WARNING_TIME = 2000;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the buff icons row (empty until a buff starts)
+     * 
+     * @param {Phaser.Scene} scene - The game scene to add the UI to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // The icons on screen, by buff key
+        this.icons = new Map();
+    }
+    
+    // =============================================================
+    // UPDATE METHODS
+    // =============================================================
+    
+    /**
+     * Match the icons to the student's buffs
+     * 
+     * @param {BuffManager} buffs - The student's buffs
+     */
+    update(buffs) {
+        const active = buffs.getAll();
+        
+        // Remove the icons of buffs that ended
+        this.icons.forEach((icon, key) => {
+            if (!buffs.has(key)) {
+                this.destroyIcon(icon);
+                this.icons.delete(key);
+            }
+        });
+        
+        active.forEach((buff, index) => {
+            let icon = this.icons.get(buff.key);
+            if (!icon) {
+                icon = this.createIcon(buff);
+                this.icons.set(buff.key, icon);
+            }
+            this.updateIcon(icon, buff, BuffIcons.X + index * BuffIcons.SPACING);
+        });
+    }
+    
+    /**
+     * Create one buff's icon
+     * 
+     * @param {Object} buff - The buff (from BuffManager)
+     * @returns {Object} The icon's parts
+     */
+    createIcon(buff) {
+        // Dark disc behind the emoji
+        const background = this.scene.add.circle(0, BuffIcons.Y, BuffIcons.RADIUS, 0x222222, 0.7);
+        
+        // The countdown ring (redrawn every frame)
+        const ring = this.scene.add.graphics();
+        
+        const emoji = this.scene.add.text(0, BuffIcons.Y, buff.type.icon, {
+            fontSize: '18px'
+        });
+        emoji.setOrigin(0.5);
+        
+        const parts = [background, ring, emoji];
+        parts.forEach(part => {
+            part.setDepth(1000);
+            part.setScrollFactor(0);
+        });
+        
+        // Pop in
+        // WHY? A new icon in the corner of your eye is easy to miss
+        emoji.setScale(0);
+        this.scene.tweens.add({
+            targets: emoji,
+            scale: 1,
+            duration: 250,
+            ease: 'Back.easeOut'
+        });
+        
+        return { background, ring, emoji };
+    }
+    
+    /**
+     * Move an icon into place and draw how much time is left
+     * 
+     * @param {Object} icon - The icon's parts (from createIcon)
+     * @param {Object} buff - The buff (from BuffManager)
+     * @param {number} x - Where the icon goes
+     */
+    updateIcon(icon, buff, x) {
+        icon.background.x = x;
+        icon.emoji.x = x;
+        
+        // The ring drains clockwise from the top
+        const fraction = Phaser.Math.Clamp(buff.remaining / buff.duration, 0, 1);
+        const startAngle = -Math.PI / 2;
+        icon.ring.clear();
+        icon.ring.lineStyle(BuffIcons.RING_WIDTH, buff.type.color, 1);
+        icon.ring.beginPath();
+        icon.ring.arc(x, BuffIcons.Y, BuffIcons.RADIUS, startAngle, startAngle + fraction * Math.PI * 2);
+        icon.ring.strokePath();
+        
+        // Blink when it's nearly over
+        // WHY from remaining (not a tween)? It stays in step with the
+        // buff, even when a pickup adds more time
+        const isEnding = buff.remaining < BuffIcons.WARNING_TIME;
+        const isBlinkOff = isEnding && Math.floor(buff.remaining / 200) % 2 === 0;
+        icon.emoji.setAlpha(isBlinkOff ? 0.3 : 1);
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Remove one icon from the screen
+     * 
+     * @param {Object} icon - The icon's parts (from createIcon)
+     */
+    destroyIcon(icon) {
+        this.scene.tweens.killTweensOf(icon.emoji);
+        icon.background.destroy();
+        icon.ring.destroy();
+        icon.emoji.destroy();
+    }
+}
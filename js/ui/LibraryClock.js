@@ -0,0 +1,259 @@
+/**
+ * LibraryClock Class
+ * 
+ * "It's 3:30 PM. School just ended... and the library closes at 6."
+ * 
+ * A clock in the HUD that counts the afternoon down while you walk.
+ * The whole afternoon (3:30 to 6:00) is squeezed into a few real
+ * minutes - the "⏰ Library Closes" setting picks how many.
+ * 
+ * When the clock reaches 6:00 PM the library is closed and the run
+ * is lost, even with confidence left! (GameScene.onLibraryClosed)
+ * 
+ * WHY a UI class? Like the ConfidenceMeter, it keeps its own display
+ * up to date - the GameScene just feeds it time every frame.
+ * 
+ * WHY frame time instead of the wall clock? The clock decides how a
+ * run ends, so a replay must run out of time on exactly the same frame
+ */
+class LibraryClock {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // School's out at 3:30 PM and the library closes at 6:00 PM
+    // (minutes since midnight)
+    static START_MINUTES = 15 * 60 + 30;
+    static CLOSING_MINUTES = 18 * 60;
+    
+    // Real time (ms) the afternoon lasts for each "⏰ Library Closes" choice
+    // WHY these? At full speed the walk takes about 2 minutes - Tight
+    // leaves a little room for stumbles, Relaxed leaves lots
+    static BUDGETS = {
+        relaxed: 6 * 60 * 1000,
+        normal: 4 * 60 * 1000,
+        tight: 3 * 60 * 1000,
+        off: null
+    };
+    
+    // When the clock starts to worry (game minutes before closing)
+    // WHY two steps? Orange is a heads-up, red means hurry!
+    static WARNING_MINUTES = 30;
+    static URGENT_MINUTES = 10;
+    
+    // HUD position (under the confidence meter)
+    static X = 20;
+    static Y = 95;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the library clock
+     * 
+     * @param {Phaser.Scene} scene - The game scene to add the clock to
+     * @param {string} budgetKey - A key of BUDGETS ('off' hides the clock)
+     */
+    constructor(scene, budgetKey) {
+        this.scene = scene;
+        
+        // Real time the whole afternoon lasts (null = no closing time)
+        this.budget = LibraryClock.BUDGETS[budgetKey] || null;
+        
+        // Real time that has passed this run (ms)
+        this.elapsed = 0;
+        
+        // Has 6:00 PM come and gone?
+        this.isClosed = false;
+        
+        // Have we shown the "closes in 30 minutes" warning?
+        this.hasWarned = false;
+        
+        if (this.isEnabled()) {
+            this.createDisplay();
+            this.updateDisplay();
+            console.log(`🕒 Library clock started - ${this.budget / 60000} real minutes until 6:00 PM!`);
+        }
+    }
+    
+    // =============================================================
+    // CREATION METHODS
+    // =============================================================
+    
+    /**
+     * Create the clock text and the "closes at" reminder
+     */
+    createDisplay() {
+        this.timeText = this.scene.add.text(LibraryClock.X, LibraryClock.Y, '', {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 2
+        });
+        this.timeText.setDepth(1000);
+        this.timeText.setScrollFactor(0);
+        
+        this.closingText = this.scene.add.text(LibraryClock.X, LibraryClock.Y + 26, '📚 Closes at 6:00 PM', {
+            fontSize: '13px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 2
+        });
+        this.closingText.setDepth(1000);
+        this.closingText.setScrollFactor(0);
+    }
+    
+    // =============================================================
+    // UPDATE METHODS
+    // =============================================================
+    
+    /**
+     * Move the clock forward
+     * 
+     * @param {number} delta - Time since the last frame (ms)
+     */
+    update(delta) {
+        if (!this.isEnabled() || this.isClosed) return;
+        
+        this.elapsed = Math.min(this.elapsed + delta, this.budget);
+        this.updateDisplay();
+        
+        if (!this.hasWarned && this.getMinutesLeft() <= LibraryClock.WARNING_MINUTES) {
+            this.hasWarned = true;
+            this.showWarning();
+        }
+        
+        if (this.elapsed >= this.budget) {
+            this.isClosed = true;
+            console.log('🔒 6:00 PM - the library is closed!');
+            
+            // WHY an event? The GameScene decides how the run ends
+            // (same idea as the student's 'gameOver' event)
+            this.scene.events.emit('libraryClosed');
+        }
+    }
+    
+    /**
+     * Show the time, colored by how close it is to closing
+     */
+    updateDisplay() {
+        if (!this.timeText) return;
+        
+        this.timeText.setText(`🕒 ${this.getTimeLabel()}`);
+        
+        const minutesLeft = this.getMinutesLeft();
+        if (minutesLeft <= LibraryClock.URGENT_MINUTES) {
+            this.timeText.setColor('#F44336');  // Red - hurry!
+        } else if (minutesLeft <= LibraryClock.WARNING_MINUTES) {
+            this.timeText.setColor('#FFC107');  // Orange - getting late
+        } else {
+            this.timeText.setColor('#ffffff');
+        }
+    }
+    
+    /**
+     * Warn the player that closing time is coming
+     */
+    showWarning() {
+        const warning = this.scene.add.text(
+            400, 240,
+            `⏰ ${this.getTimeLabel()} - the library closes in ${this.getMinutesLeft()} minutes!`,
+            {
+                fontSize: '18px',
+                fontFamily: 'Arial',
+                color: '#FFC107',
+                backgroundColor: 'rgba(0,0,0,0.7)',
+                padding: { x: 12, y: 8 },
+                fontStyle: 'bold'
+            }
+        );
+        warning.setOrigin(0.5);
+        warning.setDepth(200);
+        warning.setScrollFactor(0);
+        
+        // Fade in and out (like the speed-up notification)
+        warning.setAlpha(0);
+        this.scene.tweens.add({
+            targets: warning,
+            alpha: 1,
+            duration: 300,
+            yoyo: true,
+            hold: 1800,
+            onComplete: () => warning.destroy()
+        });
+    }
+    
+    // =============================================================
+    // GETTERS
+    // =============================================================
+    
+    /**
+     * Is there a closing time this run?
+     * 
+     * @returns {boolean} False when "⏰ Library Closes" is set to Never
+     */
+    isEnabled() {
+        return this.budget !== null;
+    }
+    
+    /**
+     * The in-game time of day, in minutes since midnight
+     * 
+     * @returns {number} Between START_MINUTES and CLOSING_MINUTES
+     */
+    getClockMinutes() {
+        const afternoon = LibraryClock.CLOSING_MINUTES - LibraryClock.START_MINUTES;
+        return LibraryClock.START_MINUTES + Math.floor(afternoon * this.elapsed / this.budget);
+    }
+    
+    /**
+     * How much of the afternoon has gone by
+     * 
+     * @returns {number} 0 at 3:30 PM to 1 at 6:00 PM (0 with no closing time)
+     */
+    getProgress() {
+        if (!this.isEnabled()) return 0;
+        return Math.min(this.elapsed / this.budget, 1);
+    }
+    
+    /**
+     * How long until the library closes
+     * 
+     * @returns {number} Game minutes left
+     */
+    getMinutesLeft() {
+        return LibraryClock.CLOSING_MINUTES - this.getClockMinutes();
+    }
+    
+    /**
+     * The in-game time as text
+     * 
+     * @returns {string} e.g. "4:05 PM"
+     */
+    getTimeLabel() {
+        const minutes = this.getClockMinutes();
+        const hour = Math.floor(minutes / 60) % 12 || 12;
+        const minute = String(minutes % 60).padStart(2, '0');
+        return `${hour}:${minute} PM`;
+    }
+    
+    // =============================================================
+    // CHECKPOINTS
+    // =============================================================
+    
+    /**
+     * Set the clock to a saved time (continuing from a checkpoint)
+     * 
+     * @param {number} elapsed - Real time that had passed (ms)
+     */
+    setElapsed(elapsed) {
+        this.elapsed = elapsed;
+        this.hasWarned = this.isEnabled() && this.getMinutesLeft() <= LibraryClock.WARNING_MINUTES;
+        this.updateDisplay();
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * MenuList Class
+ * 
+ * A vertical list of menu entries you can pick with the keyboard,
+ * the mouse, or the on-screen touch buttons.
+ * 
+ * WHY a reusable class?
+ * - The title menu, settings and records screens all need the same
+ *   "highlight an entry, press to choose" behavior
+ * - Keyboard, mouse and touch are handled in ONE place
+ * 
+ * Controls:
+ * - ↑ / ↓ or W / S: move the highlight
+ * - Enter / Space: choose the highlighted entry
+ * - Touch: ◀ / ▶ move the highlight, ▲ chooses (reuses TouchControls)
+ * - Mouse / tap: click an entry directly
+ */
+class MenuList {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Vertical space between entries
+    static ITEM_SPACING = 52;
+    
+    // Entry colors
+    static COLOR_NORMAL = '#2c3e50';
+    static COLOR_SELECTED = '#ffffff';
+    static BACKGROUND_NORMAL = 'rgba(255,255,255,0.75)';
+    static BACKGROUND_SELECTED = '#1976D2';
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create a menu list
+     * 
+     * @param {Phaser.Scene} scene - The scene to add the menu to
+     * @param {number} x - Center X of the entries
+     * @param {number} y - Y of the first entry
+     * @param {Array<Object>} items - Entries: { label, onSelect }
+     *   label can be a string or a function that returns one (for
+     *   entries whose text changes, like a setting's value)
+     * @param {TouchControls} [touchControls] - On-screen buttons to navigate with
+     */
+    constructor(scene, x, y, items, touchControls = null) {
+        this.scene = scene;
+        this.x = x;
+        this.y = y;
+        this.items = items;
+        this.touchControls = touchControls;
+        
+        // Which entry is highlighted
+        this.selectedIndex = 0;
+        
+        // Previous touch button states
+        // WHY? TouchControls only gives "is held" for ◀ / ▶, but the
+        // menu should move ONE step per press
+        this.leftWasPressed = false;
+        this.rightWasPressed = false;
+        
+        // Stops input after an entry is chosen
+        // WHY? Choosing usually changes scene - no double-picks!
+        this.isLocked = false;
+        
+        this.createEntries();
+        this.setupKeyboard();
+        this.highlight();
+    }
+    
+    // =============================================================
+    // SETUP METHODS
+    // =============================================================
+    
+    /**
+     * Create a text button for each entry
+     */
+    createEntries() {
+        this.entries = this.items.map((item, index) => {
+            const entry = this.scene.add.text(
+                this.x,
+                this.y + index * MenuList.ITEM_SPACING,
+                this.getLabel(item),
+                {
+                    fontSize: '24px',
+                    fontFamily: 'Arial',
+                    color: MenuList.COLOR_NORMAL,
+                    backgroundColor: MenuList.BACKGROUND_NORMAL,
+                    padding: { x: 20, y: 8 },
+                    fontStyle: 'bold'
+                }
+            );
+            entry.setOrigin(0.5);
+            entry.setDepth(500);
+            entry.setScrollFactor(0);
+            entry.setInteractive({ useHandCursor: true });
+            
+            // Mouse / tap support
+            entry.on('pointerover', () => {
+                this.selectedIndex = index;
+                this.highlight();
+            });
+            entry.on('pointerdown', () => {
+                this.selectedIndex = index;
+                this.select();
+            });
+            
+            return entry;
+        });
+    }
+    
+    /**
+     * Set up the keys used to navigate
+     */
+    setupKeyboard() {
+        this.keys = this.scene.input.keyboard.addKeys({
+            up: Phaser.Input.Keyboard.KeyCodes.UP,
+            down: Phaser.Input.Keyboard.KeyCodes.DOWN,
+            w: Phaser.Input.Keyboard.KeyCodes.W,
+            s: Phaser.Input.Keyboard.KeyCodes.S,
+            enter: Phaser.Input.Keyboard.KeyCodes.ENTER,
+            space: Phaser.Input.Keyboard.KeyCodes.SPACE
+        });
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Check for navigation input - call this from the scene's update()
+     */
+    update() {
+        if (this.isLocked) return;
+        
+        const JustDown = Phaser.Input.Keyboard.JustDown;
+        
+        if (JustDown(this.keys.up) || JustDown(this.keys.w)) {
+            this.moveSelection(-1);
+        }
+        if (JustDown(this.keys.down) || JustDown(this.keys.s)) {
+            this.moveSelection(1);
+        }
+        if (JustDown(this.keys.enter) || JustDown(this.keys.space)) {
+            this.select();
+            return;
+        }
+        
+        if (this.touchControls) {
+            this.updateTouch();
+        }
+    }
+    
+    /**
+     * Navigate with the on-screen touch buttons
+     */
+    updateTouch() {
+        const leftPressed = this.touchControls.isLeftPressed();
+        const rightPressed = this.touchControls.isRightPressed();
+        
+        if (leftPressed && !this.leftWasPressed) {
+            this.moveSelection(-1);
+        }
+        if (rightPressed && !this.rightWasPressed) {
+            this.moveSelection(1);
+        }
+        
+        this.leftWasPressed = leftPressed;
+        this.rightWasPressed = rightPressed;
+        
+        if (this.touchControls.isJumpJustPressed()) {
+            this.select();
+        }
+    }
+    
+    // =============================================================
+    // SELECTION
+    // =============================================================
+    
+    /**
+     * Move the highlight up or down (wrapping around)
+     * 
+     * @param {number} step - -1 for up, +1 for down
+     */
+    moveSelection(step) {
+        const count = this.entries.length;
+        this.selectedIndex = (this.selectedIndex + step + count) % count;
+        this.highlight();
+    }
+    
+    /**
+     * Choose the highlighted entry
+     */
+    select() {
+        if (this.isLocked) return;
+        
+        const item = this.items[this.selectedIndex];
+        if (item && item.onSelect) {
+            item.onSelect(item);
+        }
+        
+        // Labels may have changed (e.g. a setting was cycled)
+        if (!this.isLocked) {
+            this.refresh();
+        }
+    }
+    
+    /**
+     * Stop responding to input
+     * 
+     * WHY? Call this right before leaving the scene so a second
+     * key press in the same frame can't pick another entry
+     */
+    lock() {
+        this.isLocked = true;
+    }
+    
+    /**
+     * Re-read every entry's label
+     */
+    refresh() {
+        this.entries.forEach((entry, index) => {
+            entry.setText(this.getLabel(this.items[index]));
+        });
+    }
+    
+    /**
+     * Show which entry is highlighted
+     */
+    highlight() {
+        this.entries.forEach((entry, index) => {
+            const isSelected = index === this.selectedIndex;
+            entry.setStyle({
+                color: isSelected ? MenuList.COLOR_SELECTED : MenuList.COLOR_NORMAL,
+                backgroundColor: isSelected ? MenuList.BACKGROUND_SELECTED : MenuList.BACKGROUND_NORMAL
+            });
+            entry.setScale(isSelected ? 1.08 : 1);
+        });
+    }
+    
+    /**
+     * Get the text to show for an entry
+     * 
+     * @param {Object} item - The menu entry
+     * @returns {string} The label
+     */
+    getLabel(item) {
+        return typeof item.label === 'function' ? item.label() : item.label;
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Remove the menu entries
+     */
+    destroy() {
+        this.entries.forEach(entry => entry.destroy());
+        this.entries = [];
+    }
+}
@@ -15,7 +15,7 @@ class TouchControls {
      * Create touch control buttons
      * 
      * @param {Phaser.Scene} scene - The game scene
-     * @param {Player} player - The player object to control
+     * @param {Player} player - The player object to control (null on menus)
      */
     constructor(scene, player) {
         this.scene = scene;
@@ -26,16 +26,27 @@ class TouchControls {
         this.leftPressed = false;
         this.rightPressed = false;
         this.jumpPressed = false;
+        this.duckPressed = false;
+        this.pauseJustPressed = false;
+        this.interactJustPressed = false;
+        this.useItemJustPressed = false;
+        this.comebackJustPressed = false;
         
         // Track pointer IDs for multi-touch support
         // WHY? Allows us to properly handle multiple simultaneous touches
         this.leftPointerId = null;
         this.rightPointerId = null;
         this.jumpPointerId = null;
+        this.duckPointerId = null;
         
         // Check if we're on a touch device
         // WHY? Only show touch controls on devices that need them
-        this.isTouchDevice = this.detectTouchDevice();
+        // The Settings screen can force the buttons on or off, for when
+        // auto-detection guesses wrong (touch laptops, small windows...)
+        const touchSetting = SettingsManager.get('touchControls');
+        this.isTouchDevice = touchSetting === 'auto'
+            ? this.detectTouchDevice()
+            : touchSetting === 'on';
         
         if (this.isTouchDevice) {
             this.createButtons();
@@ -93,7 +104,7 @@ class TouchControls {
         this.jumpButtonColor = 0xE74C3C;
         this.buttonAlpha = 0.7;
         const buttonY = this.scene.game.config.height - 100;
-
+        
         // Allow multiple simultaneous touches (move + jump together)
         this.scene.input.addPointer(2); // Default has 1; +2 gives 3 pointers
         
@@ -232,6 +243,188 @@ class TouchControls {
         this.leftArrow = leftArrow;
         this.rightArrow = rightArrow;
         this.jumpText = jumpText;
+        
+        // =============================================================
+        // DUCK, INTERACT, USE ITEM, COMEBACK AND PAUSE BUTTONS
+        // =============================================================
+        
+        // WHY only with a player? Menus reuse these buttons for
+        // navigation and have nothing to duck, talk to or pause
+        if (this.player) {
+            this.createDuckButton(buttonSize, buttonY);
+            this.createInteractButton(buttonY);
+            this.createUseItemButton(buttonY);
+            this.createComebackButton(buttonY);
+            this.createPauseButton();
+        }
+    }
+    
+    /**
+     * Create the duck button, just left of the jump button
+     * 
+     * WHY next to jump? Jump and duck are both "dodge" buttons -
+     * the right thumb picks one while the left thumb keeps walking
+     * 
+     * @param {number} buttonSize - Diameter of the movement buttons
+     * @param {number} buttonY - Y position of the bottom row of buttons
+     */
+    createDuckButton(buttonSize, buttonY) {
+        const duckX = this.scene.game.config.width - 215;
+        this.duckButtonColor = 0x8E44AD;
+        
+        this.duckButton = this.scene.add.circle(duckX, buttonY, buttonSize / 2, this.duckButtonColor, this.buttonAlpha);
+        this.duckButton.setInteractive();
+        this.duckButton.setScrollFactor(0);
+        this.duckButton.setDepth(1000);
+        
+        this.duckText = this.scene.add.text(duckX, buttonY, '▼', {
+            fontSize: '48px',
+            color: '#ffffff',
+            fontStyle: 'bold'
+        });
+        this.duckText.setOrigin(0.5);
+        this.duckText.setScrollFactor(0);
+        this.duckText.setDepth(1001);
+        
+        // WHY held like the arrows (not "just pressed" like jump)?
+        // The student stays crouched for as long as the finger is down
+        this.duckButton.on('pointerdown', (pointer) => {
+            if (this.duckPointerId === null) {
+                this.duckPointerId = pointer.id;
+                this.duckPressed = true;
+                this.duckButton.setFillStyle(this.duckButtonColor, 1.0);
+            }
+        });
+        
+        // Handle pointerup on the button itself (in case global handler misses it)
+        this.duckButton.on('pointerup', (pointer) => {
+            if (this.duckPointerId === pointer.id) {
+                this.duckPressed = false;
+                this.duckPointerId = null;
+                this.duckButton.setFillStyle(this.duckButtonColor, this.buttonAlpha);
+            }
+        });
+    }
+    
+    /**
+     * Create the small interact button, above and between duck and jump
+     * 
+     * WHY small and out of the way? It's only needed now and then
+     * (asking the crossing guard to stop traffic) - it shouldn't get
+     * hit instead of jump or duck
+     * 
+     * @param {number} buttonY - Y position of the bottom row of buttons
+     */
+    createInteractButton(buttonY) {
+        const interactX = this.scene.game.config.width - 152;
+        const interactY = buttonY - 95;
+        
+        this.interactButton = this.scene.add.circle(interactX, interactY, 28, 0x16A085, this.buttonAlpha);
+        this.interactButton.setInteractive();
+        this.interactButton.setScrollFactor(0);
+        this.interactButton.setDepth(1000);
+        
+        this.interactText = this.scene.add.text(interactX, interactY, '🤚', {
+            fontSize: '26px'
+        });
+        this.interactText.setOrigin(0.5);
+        this.interactText.setScrollFactor(0);
+        this.interactText.setDepth(1001);
+        
+        // WHY a "just pressed" flag? Same as jump - one press, one ask
+        this.interactButton.on('pointerdown', () => {
+            this.interactJustPressed = true;
+        });
+    }
+    
+    /**
+     * Create the small use item button, left of the interact button
+     * 
+     * WHY next to interact? Both are "now and then" buttons - kept up
+     * out of the way of jump and duck
+     * 
+     * @param {number} buttonY - Y position of the bottom row of buttons
+     */
+    createUseItemButton(buttonY) {
+        const useItemX = this.scene.game.config.width - 222;
+        const useItemY = buttonY - 95;
+        
+        this.useItemButton = this.scene.add.circle(useItemX, useItemY, 28, 0xA0522D, this.buttonAlpha);
+        this.useItemButton.setInteractive();
+        this.useItemButton.setScrollFactor(0);
+        this.useItemButton.setDepth(1000);
+        
+        this.useItemText = this.scene.add.text(useItemX, useItemY, '🎒', {
+            fontSize: '26px'
+        });
+        this.useItemText.setOrigin(0.5);
+        this.useItemText.setScrollFactor(0);
+        this.useItemText.setDepth(1001);
+        
+        // WHY a "just pressed" flag? One press, one item
+        this.useItemButton.on('pointerdown', () => {
+            this.useItemJustPressed = true;
+        });
+    }
+    
+    /**
+     * Create the small comeback button, right above the jump button
+     * 
+     * WHY above jump? Talking back is timed like a jump - the right
+     * thumb picks one as the word bubble comes down
+     * 
+     * @param {number} buttonY - Y position of the bottom row of buttons
+     */
+    createComebackButton(buttonY) {
+        const comebackX = this.scene.game.config.width - 82;
+        const comebackY = buttonY - 95;
+        
+        this.comebackButton = this.scene.add.circle(comebackX, comebackY, 28, 0xF39C12, this.buttonAlpha);
+        this.comebackButton.setInteractive();
+        this.comebackButton.setScrollFactor(0);
+        this.comebackButton.setDepth(1000);
+        
+        this.comebackText = this.scene.add.text(comebackX, comebackY, '💬', {
+            fontSize: '26px'
+        });
+        this.comebackText.setOrigin(0.5);
+        this.comebackText.setScrollFactor(0);
+        this.comebackText.setDepth(1001);
+        
+        // WHY a "just pressed" flag? Same as jump - one press, one comeback
+        this.comebackButton.on('pointerdown', () => {
+            this.comebackJustPressed = true;
+        });
+    }
+    
+    /**
+     * Create the small pause button in the top-right corner
+     * 
+     * WHY top-right? Far away from the move and jump buttons,
+     * so it's hard to hit by accident mid-jump
+     */
+    createPauseButton() {
+        const pauseX = this.scene.game.config.width - 40;
+        const pauseY = 40;
+        
+        this.pauseButton = this.scene.add.circle(pauseX, pauseY, 26, 0x2c3e50, this.buttonAlpha);
+        this.pauseButton.setInteractive();
+        this.pauseButton.setScrollFactor(0);
+        this.pauseButton.setDepth(1000);
+        
+        this.pauseText = this.scene.add.text(pauseX, pauseY, 'II', {
+            fontSize: '24px',
+            color: '#ffffff',
+            fontStyle: 'bold'
+        });
+        this.pauseText.setOrigin(0.5);
+        this.pauseText.setScrollFactor(0);
+        this.pauseText.setDepth(1001);
+        
+        // WHY a "just pressed" flag? Same as jump - one press, one pause
+        this.pauseButton.on('pointerdown', () => {
+            this.pauseJustPressed = true;
+        });
     }
     
     /**
@@ -267,6 +460,13 @@ class TouchControls {
                 this.jumpPointerId = null;
                 this.jumpButton.setFillStyle(this.jumpButtonColor, this.buttonAlpha);
             }
+            
+            // Check if this pointer was controlling the duck button
+            if (this.duckPointerId === pointer.id && this.duckButton) {
+                this.duckPressed = false;
+                this.duckPointerId = null;
+                this.duckButton.setFillStyle(this.duckButtonColor, this.buttonAlpha);
+            }
         };
         
         // Handle all pointerup events globally
@@ -292,6 +492,15 @@ class TouchControls {
         return this.isTouchDevice && this.rightPressed;
     }
     
+    /**
+     * Check if the duck button is held down
+     * 
+     * @returns {boolean} True if duck is pressed
+     */
+    isDuckPressed() {
+        return this.isTouchDevice && this.duckPressed;
+    }
+    
     /**
      * Check if the jump button was just pressed
      * Similar to Phaser.Input.Keyboard.JustDown()
@@ -308,6 +517,90 @@ class TouchControls {
         return false;
     }
     
+    /**
+     * Check if the pause button was just pressed
+     * 
+     * @returns {boolean} True if pause was just pressed
+     */
+    isPauseJustPressed() {
+        if (this.isTouchDevice && this.pauseJustPressed) {
+            this.pauseJustPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Check if the interact button was just pressed
+     * 
+     * @returns {boolean} True if interact was just pressed
+     */
+    isInteractJustPressed() {
+        if (this.isTouchDevice && this.interactJustPressed) {
+            this.interactJustPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Check if the use item button was just pressed
+     * 
+     * @returns {boolean} True if use item was just pressed
+     */
+    isUseItemJustPressed() {
+        if (this.isTouchDevice && this.useItemJustPressed) {
+            this.useItemJustPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Check if the comeback button was just pressed
+     * 
+     * @returns {boolean} True if comeback was just pressed
+     */
+    isComebackJustPressed() {
+        if (this.isTouchDevice && this.comebackJustPressed) {
+            this.comebackJustPressed = false;
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Release every button
+     * 
+     * WHY? While the game is paused, fingers can lift without the
+     * game noticing - resuming with a "stuck" arrow would walk the
+     * student off on their own!
+     */
+    reset() {
+        this.leftPressed = false;
+        this.rightPressed = false;
+        this.jumpJustPressed = false;
+        this.jumpWasDown = false;
+        this.duckPressed = false;
+        this.pauseJustPressed = false;
+        this.interactJustPressed = false;
+        this.useItemJustPressed = false;
+        this.comebackJustPressed = false;
+        this.leftPointerId = null;
+        this.rightPointerId = null;
+        this.jumpPointerId = null;
+        this.duckPointerId = null;
+        
+        if (this.leftButton) {
+            this.leftButton.setFillStyle(this.buttonColor, this.buttonAlpha);
+            this.rightButton.setFillStyle(this.buttonColor, this.buttonAlpha);
+            this.jumpButton.setFillStyle(this.jumpButtonColor, this.buttonAlpha);
+        }
+        if (this.duckButton) {
+            this.duckButton.setFillStyle(this.duckButtonColor, this.buttonAlpha);
+        }
+    }
+    
     /**
      * Update method (called each frame)
      * 
@@ -345,5 +638,25 @@ class TouchControls {
             this.jumpButton.destroy();
             this.jumpText.destroy();
         }
+        if (this.duckButton) {
+            this.duckButton.destroy();
+            this.duckText.destroy();
+        }
+        if (this.interactButton) {
+            this.interactButton.destroy();
+            this.interactText.destroy();
+        }
+        if (this.useItemButton) {
+            this.useItemButton.destroy();
+            this.useItemText.destroy();
+        }
+        if (this.comebackButton) {
+            this.comebackButton.destroy();
+            this.comebackText.destroy();
+        }
+        if (this.pauseButton) {
+            this.pauseButton.destroy();
+            this.pauseText.destroy();
+        }
     }
 }
@@ -1,13 +1,15 @@
 /**
  * BlueberrydalelLibrary Class
  * 
- * The goal! The Blueberrydale Public Library at 1500 meters!
+ * The goal! The Blueberrydale Public Library at the end of the route
+ * (1500 meters on Blueberrydale)!
  * When the player reaches this, they WIN the game!
  * 
  * Features:
  * - Beautiful, welcoming library building
  * - Celebration when player arrives
- * - Victory screen with stats and "Play Again" button
+ * - Street lamps out front that switch on as it gets dark
+ * - Reports the victory (with stats) to the GameScene
  * 
  * WHY a class for this?
  * - Encapsulates all the library/victory logic
@@ -20,12 +22,17 @@ class BlueberrydaleLibrary {
     // STATIC PROPERTIES
     // =============================================================
     
-    // Where is the library? (in pixels, 1500m = 15000px)
-    static ZONE_START = 15000;
-    
     // How far before the library do we start showing it?
     static APPROACH_DISTANCE = 500;  // Start showing building 50m before
     
+    // Street lamps along the sidewalk in front of the library (screen X)
+    // WHY these? Either side of the building and by the welcome sign
+    static LAMP_POSITIONS = [100, 615, 760];
+    
+    // How late it has to be for the lamps to come on
+    // (GameScene.getTimeOfDay - 0.5 is sunset)
+    static LAMPS_ON_AT = 0.6;
+    
     // =============================================================
     // CONSTRUCTOR
     // =============================================================
@@ -38,6 +45,9 @@ class BlueberrydaleLibrary {
     constructor(scene) {
         this.scene = scene;
         
+        // Where is the library? (in pixels - the route's goalMeters)
+        this.zoneStart = scene.getLibraryDistance();
+        
         // Track if the zone has been created
         this.isCreated = false;
         this.hasWon = false;  // Player has reached the library
@@ -46,8 +56,11 @@ class BlueberrydaleLibrary {
         this.libraryBuilding = null;
         this.signText = null;
         this.welcomeSign = null;
+        this.lampPosts = null;
+        this.lampGlows = [];
+        this.areLampsOn = false;
         
-        console.log('📚 Blueberrydale Public Library initialized (goal at 1500m)!');
+        console.log(`📚 Blueberrydale Public Library initialized (goal at ${scene.route.goalMeters}m)!`);
     }
     
     // =============================================================
@@ -65,12 +78,18 @@ class BlueberrydaleLibrary {
         if (this.hasWon) return;
         
         // Create the library when approaching
-        if (!this.isCreated && distance >= BlueberrydaleLibrary.ZONE_START - BlueberrydaleLibrary.APPROACH_DISTANCE) {
+        if (!this.isCreated && distance >= this.zoneStart - BlueberrydaleLibrary.APPROACH_DISTANCE) {
             this.createZone();
         }
         
+        // Switch the street lamps on once it's getting dark
+        if (this.isCreated && !this.areLampsOn &&
+            this.scene.getTimeOfDay() >= BlueberrydaleLibrary.LAMPS_ON_AT) {
+            this.switchOnLamps();
+        }
+        
         // Check if player has reached the library!
-        if (distance >= BlueberrydaleLibrary.ZONE_START) {
+        if (distance >= this.zoneStart) {
             this.playerReachedLibrary();
         }
     }
@@ -90,6 +109,9 @@ class BlueberrydaleLibrary {
         // Create welcome sign
         this.createWelcomeSign();
         
+        // Street lamps (off until it's dark enough)
+        this.createStreetLamps();
+        
         // Show approaching message
         this.showApproachingMessage();
     }
@@ -236,6 +258,61 @@ class BlueberrydaleLibrary {
         this.welcomeText.setScrollFactor(0.3);
     }
     
+    /**
+     * Create the street lamps in front of the library
+     * 
+     * WHY separate glows? They stay hidden until switchOnLamps()
+     */
+    createStreetLamps() {
+        const posts = this.scene.add.graphics();
+        
+        BlueberrydaleLibrary.LAMP_POSITIONS.forEach(x => {
+            // Pole (from the sidewalk up)
+            posts.fillStyle(0x37474F, 1);
+            posts.fillRect(x - 3, 410, 6, 140);
+            posts.fillRect(x - 8, 544, 16, 6);
+            
+            // Lamp head (dark glass until it's on)
+            posts.fillStyle(0x263238, 1);
+            posts.fillRect(x - 12, 396, 24, 6);
+            posts.fillStyle(0x90A4AE, 1);
+            posts.fillRect(x - 8, 402, 16, 10);
+            
+            // The light - a bright bulb, a soft halo and a pool on the sidewalk
+            const glow = this.scene.add.graphics();
+            glow.fillStyle(0xFFF59D, 0.25);
+            glow.fillCircle(x, 407, 36);
+            glow.fillStyle(0xFFF59D, 0.12);
+            glow.fillEllipse(x, 552, 120, 16);
+            glow.fillStyle(0xFFFDE7, 1);
+            glow.fillRect(x - 8, 402, 16, 10);
+            glow.setDepth(-3);
+            glow.setAlpha(0);
+            this.lampGlows.push(glow);
+        });
+        
+        // WHY depth -3? In front of the building (-5), behind the student
+        posts.setDepth(-3);
+        this.lampPosts = posts;
+    }
+    
+    /**
+     * Switch the street lamps on - with a flicker, like real ones warming up
+     */
+    switchOnLamps() {
+        this.areLampsOn = true;
+        console.log('💡 The street lamps are coming on...');
+        
+        this.scene.tweens.add({
+            targets: this.lampGlows,
+            alpha: 1,
+            duration: 90,
+            yoyo: true,
+            repeat: 2,
+            onComplete: () => this.lampGlows.forEach(glow => glow.setAlpha(1))
+        });
+    }
+    
     /**
      * Show message when approaching the library
      */
@@ -365,112 +442,26 @@ class BlueberrydaleLibrary {
     
     /**
      * Show the victory screen with stats
+     * 
+     * WHY hand off to the GameScene? The results screen is its own scene
+     * now (GameOverScene) - we just report how the run went.
      */
     showVictoryScreen() {
-        // Create overlay
-        const overlay = this.scene.add.rectangle(400, 300, 800, 600, 0x000000, 0.85);
-        overlay.setDepth(200);
-        overlay.setScrollFactor(0);
-        
-        // Victory title
-        const titleText = this.scene.add.text(400, 100, '📚 CONGRATULATIONS! 📚', {
-            fontSize: '42px',
-            fontFamily: 'Georgia, serif',
-            color: '#FFD700',
-            fontStyle: 'bold'
-        });
-        titleText.setOrigin(0.5);
-        titleText.setDepth(201);
-        titleText.setScrollFactor(0);
-        
-        // Success message
-        const successText = this.scene.add.text(400, 170, 'You reached the Blueberrydale Public Library!', {
-            fontSize: '24px',
-            fontFamily: 'Arial',
-            color: '#FFFFFF'
-        });
-        successText.setOrigin(0.5);
-        successText.setDepth(201);
-        successText.setScrollFactor(0);
-        
-        // Stats box
-        const statsBox = this.scene.add.rectangle(400, 300, 400, 150, 0x2C3E50, 0.9);
-        statsBox.setDepth(201);
-        statsBox.setScrollFactor(0);
-        statsBox.setStrokeStyle(3, 0x4CAF50);
-        
         // Calculate stats
-        const distance = 1500;  // They made it!
+        const distance = this.scene.route.goalMeters;  // They made it!
         const confidence = this.scene.student ? this.scene.student.confidence : 100;
         
-        // Stats text
-        const statsText = this.scene.add.text(400, 300, 
-            `📏 Distance: ${distance}m\n\n` +
-            `💪 Confidence Left: ${Math.round(confidence)}%\n\n` +
-            `⭐ You did it!`, 
-            {
-                fontSize: '22px',
-                fontFamily: 'Arial',
-                color: '#FFFFFF',
-                align: 'center',
-                lineSpacing: 5
-            }
-        );
-        statsText.setOrigin(0.5);
-        statsText.setDepth(202);
-        statsText.setScrollFactor(0);
-        
-        // Encouraging message
-        const encourageText = this.scene.add.text(400, 420, 
-            '🌟 Knowledge awaits inside! 🌟\nGreat job getting here safely!', 
-            {
-                fontSize: '20px',
-                fontFamily: 'Arial',
-                color: '#87CEEB',
-                align: 'center'
-            }
-        );
-        encourageText.setOrigin(0.5);
-        encourageText.setDepth(201);
-        encourageText.setScrollFactor(0);
-        
-        // Play Again button
-        const playAgainBtn = this.scene.add.text(400, 520, '🔄 Play Again', {
-            fontSize: '32px',
-            fontFamily: 'Arial',
-            color: '#4CAF50',
-            backgroundColor: '#FFFFFF',
-            padding: { x: 25, y: 12 }
-        });
-        playAgainBtn.setOrigin(0.5);
-        playAgainBtn.setDepth(202);
-        playAgainBtn.setScrollFactor(0);
-        playAgainBtn.setInteractive({ useHandCursor: true });
-        
-        // Button hover effects
-        playAgainBtn.on('pointerover', () => {
-            playAgainBtn.setStyle({ backgroundColor: '#E8F5E9', color: '#2E7D32' });
-        });
-        playAgainBtn.on('pointerout', () => {
-            playAgainBtn.setStyle({ backgroundColor: '#FFFFFF', color: '#4CAF50' });
-        });
-        
-        // Restart game on click
-        playAgainBtn.on('pointerdown', () => {
-            console.log('🔄 Restarting game...');
-            this.scene.scene.restart();
-        });
-        
-        // Animate elements appearing
-        const elements = [titleText, successText, statsBox, statsText, encourageText, playAgainBtn];
-        elements.forEach((item, index) => {
-            item.setAlpha(0);
-            this.scene.tweens.add({
-                targets: item,
-                alpha: 1,
-                duration: 400,
-                delay: index * 150
-            });
+        // What time did we get here? (the clock stopped when we arrived)
+        // WHY null without a clock? "Library Closes: Never" has no time to show
+        const clock = this.scene.libraryClock;
+        const hasClock = clock && clock.isEnabled();
+        
+        this.scene.endRun({
+            outcome: 'victory',
+            meters: distance,
+            confidence: confidence,
+            arrivalTime: hasClock ? clock.getTimeLabel() : null,
+            minutesToSpare: hasClock ? clock.getMinutesLeft() : null
         });
     }
     
@@ -486,7 +477,11 @@ class BlueberrydaleLibrary {
         if (this.signText) this.signText.destroy();
         if (this.welcomeSign) this.welcomeSign.destroy();
         if (this.welcomeText) this.welcomeText.destroy();
+        if (this.lampPosts) this.lampPosts.destroy();
+        this.lampGlows.forEach(glow => glow.destroy());
+        this.lampGlows = [];
         
         this.isCreated = false;
+        this.areLampsOn = false;
     }
 }
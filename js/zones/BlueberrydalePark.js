@@ -0,0 +1,462 @@
+/**
+ * BlueberrydalePark Class
+ * 
+ * The park zone along the route - squirrel territory!
+ * Features big oak trees, benches and a duck pond. Squirrels pour out
+ * from behind the trees in waves, and the Acorn Hoarder (a huge boss
+ * squirrel) guards the way out.
+ * 
+ * WHY a class for this?
+ * - Like DottieBaconSchool: all the park logic in one place
+ * - Manages the scenery, the squirrel waves and the boss
+ * - Easy to spawn/despawn as player enters/leaves the zone
+ * - Where it shows up comes from RouteZone, like the other zones
+ * 
+ * HOW THE PARK PLAYS:
+ * - Every WAVE_EVERY_METERS a wave of squirrels comes out from behind
+ *   the trees. They don't all turn evil at once - each one waits a
+ *   little longer than the last, so they reach the student one by one
+ * - Near the exit the Acorn Hoarder appears, and the walk stops until
+ *   it has thrown its whole hoard and charged off (see BossSquirrel)
+ * - Made it out? A bonus treat, like surviving the school
+ * 
+ * REPEATING ZONE:
+ * - The route says where it starts, how long it is and how often it
+ *   repeats (Blueberrydale: at 750m, then every 1500m - once on the
+ *   walk to the library, once in every Endless neighborhood)
+ * - In Endless mode the waves get extra squirrels in the tougher
+ *   neighborhoods (see EndlessManager)
+ */
+class BlueberrydalePark extends RouteZone {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // Where squirrels come out (screen X - behind the trees and the bush)
+    static SQUIRREL_SPAWN_X = [560, 690, 780];
+    
+    // Where a squirrel stands (on the ground, like the Old Man's)
+    static SQUIRREL_Y = 555;
+    
+    // How far apart the waves are (meters)
+    // WHY 40? About every 2 seconds of walking - a breather in between
+    static WAVE_EVERY_METERS = 40;
+    
+    // Squirrels in each wave
+    static SQUIRRELS_PER_WAVE = 3;
+    
+    // How much later each squirrel in a wave turns evil than the one before (ms)
+    // WHY 700? Far enough apart to jump them one at a time
+    static WAVE_STAGGER = 700;
+    
+    // ...give or take this much (ms), so no two waves feel the same
+    static WAVE_STAGGER_JITTER = 200;
+    
+    // How long after turning evil a squirrel starts running (ms)
+    // WHY 400? The same gap as a normal squirrel's (1200 - 800)
+    static RUN_AFTER_TRANSFORM = Squirrel.START_RUNNING_DELAY - Squirrel.TRANSFORM_DELAY;
+    
+    // Where the boss waits, and how far before the exit it shows up (meters)
+    static BOSS_X = 690;
+    static BOSS_Y = 548;
+    static BOSS_METERS_BEFORE_EXIT = 30;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the Blueberrydale Park zone
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {Object} zone - The zone's entry in the route (see RouteManager.SCHEMA)
+     */
+    constructor(scene, zone) {
+        // Where the first park is, how often it repeats and how long
+        // it is (see RouteZone)
+        super(scene, zone, '🌳 Blueberrydale Park');
+        
+        // Where the next wave comes out (pixels)
+        this.nextWaveDistance = 0;
+        
+        // Store references to zone elements
+        this.scenery = null;
+        this.sign = null;
+        this.signText = null;
+        this.squirrels = [];
+        this.boss = null;
+    }
+    
+    // =============================================================
+    // ZONE MANAGEMENT
+    // =============================================================
+    
+    /**
+     * Check if player has reached the park, and send out squirrels
+     * Called from the main update loop
+     * 
+     * @param {number} distance - Current distance traveled in pixels
+     */
+    checkZone(distance) {
+        const nextZoneStart = this.getNextZoneStart();
+        
+        // No more parks at or after the library (see RouteZone)
+        if (!this.hasNextZone()) return;
+        
+        // Should we create the zone? (approaching the next occurrence)
+        if (!this.isCreated && distance >= nextZoneStart - 200) {
+            this.createZone();
+        }
+        
+        if (!this.isCreated) return;
+        
+        const inZone = distance >= nextZoneStart &&
+                      distance <= nextZoneStart + this.zoneLength;
+        
+        if (inZone && !this.isActive) {
+            this.activateZone();
+        } else if (!inZone && this.isActive) {
+            this.deactivateZone();
+            return;
+        }
+        
+        if (this.isActive) {
+            this.checkSquirrels(distance, nextZoneStart + this.zoneLength);
+        }
+    }
+    
+    /**
+     * Send out the next wave - or the boss, once the exit is near
+     * 
+     * @param {number} distance - Current distance traveled in pixels
+     * @param {number} zoneEnd - Where this park ends, in pixels
+     */
+    checkSquirrels(distance, zoneEnd) {
+        const bossDistance = zoneEnd - RouteManager.toPixels(BlueberrydalePark.BOSS_METERS_BEFORE_EXIT);
+        
+        if (distance >= bossDistance) {
+            if (!this.boss) {
+                this.spawnBoss();
+            }
+            return;
+        }
+        
+        if (distance >= this.nextWaveDistance) {
+            this.spawnWave();
+            
+            // WHY from the current distance? Starting partway into the
+            // park (a play-test) shouldn't send several waves at once
+            this.nextWaveDistance = distance + RouteManager.toPixels(BlueberrydalePark.WAVE_EVERY_METERS);
+        }
+    }
+    
+    /**
+     * Is the park holding up the walk?
+     * 
+     * WHY? The boss guards the exit - the GameScene stops scrolling
+     * (and keeps the student back) until it's gone
+     * 
+     * @returns {boolean} True while the boss is still there
+     */
+    isBlockingWalk() {
+        return this.boss !== null && !this.boss.isDestroyed;
+    }
+    
+    /**
+     * Create all the zone elements
+     */
+    createZone() {
+        if (this.isCreated) return;
+        
+        const zoneNum = this.currentZoneNumber + 1;
+        const distanceM = this.getNextZoneStart() / RouteManager.PIXELS_PER_METER;  // Convert to meters for display
+        console.log(`🌳 Creating Blueberrydale Park zone #${zoneNum} at ${distanceM}m!`);
+        this.isCreated = true;
+        
+        // The first wave comes out as soon as the student walks in
+        this.nextWaveDistance = this.getNextZoneStart();
+        this.boss = null;
+        
+        // Lawn, pond, benches and trees
+        this.createScenery();
+        
+        // Create the park sign
+        this.createParkSign();
+    }
+    
+    /**
+     * Activate the zone (player entered)
+     */
+    activateZone() {
+        console.log('🌳⚠️ Entering Blueberrydale Park!');
+        this.isActive = true;
+        
+        this.showMessage('🌳 BLUEBERRYDALE PARK 🌳\nSquirrels everywhere!', '#8BC34A');
+    }
+    
+    /**
+     * Deactivate the zone (player left)
+     */
+    deactivateZone() {
+        console.log('🌳✅ Leaving Blueberrydale Park');
+        this.isActive = false;
+        
+        // Made it past the squirrels (and the boss)? Have a treat!
+        if (this.scene.powerUpManager) {
+            console.log('🍫 Bonus treat for getting out of the park!');
+            this.scene.powerUpManager.scheduleBonusSpawn();
+        }
+        
+        // WHY fade out? Like the school, the park would otherwise stay
+        // on screen behind the houses
+        this.fadeOutAndCleanup();
+    }
+    
+    /**
+     * Fade out all park visuals and clean them up
+     */
+    fadeOutAndCleanup() {
+        console.log('🌳 Fading out Blueberrydale Park...');
+        
+        [this.scenery, this.sign, this.signText].forEach(item => {
+            if (!item) return;
+            this.scene.tweens.add({
+                targets: item,
+                alpha: 0,
+                duration: 1000,
+                onComplete: () => item.destroy()
+            });
+        });
+        this.scenery = null;
+        this.sign = null;
+        this.signText = null;
+        
+        // Clean up squirrels after they've had time to run off
+        const squirrels = this.squirrels;
+        const boss = this.boss;
+        this.squirrels = [];
+        this.boss = null;
+        this.scene.time.delayedCall(2000, () => {
+            squirrels.forEach(squirrel => squirrel.cleanup());
+            if (boss) boss.cleanup();
+            console.log('🌳 Blueberrydale Park zone cleaned up!');
+        });
+        
+        // Increment zone number so the NEXT zone can spawn at the next mark
+        this.currentZoneNumber++;
+        this.isCreated = false;
+        
+        console.log(`🌳 Next park zone will appear at ${this.getNextZoneStart() / RouteManager.PIXELS_PER_METER}m`);
+    }
+    
+    // =============================================================
+    // SQUIRRELS
+    // =============================================================
+    
+    /**
+     * Send a wave of squirrels out from behind the trees
+     * 
+     * WHY stagger them? A whole wave turning evil at once would be one
+     * big jump - one after another, it's a rhythm to get right
+     */
+    spawnWave() {
+        const spots = BlueberrydalePark.SQUIRREL_SPAWN_X;
+        const extraSquirrels = this.scene.endlessManager ? this.scene.endlessManager.getExtraSquirrels() : 0;
+        const count = BlueberrydalePark.SQUIRRELS_PER_WAVE + extraSquirrels;
+        
+        // Which tree the first one comes from
+        // WHY scene.rng? Same seed = same waves (replays!)
+        const firstSpot = this.scene.rng.between(0, spots.length - 1);
+        
+        let transformDelay = Squirrel.TRANSFORM_DELAY;
+        for (let i = 0; i < count; i++) {
+            // WHY the extra 30px? More squirrels than trees (Endless) -
+            // the second one from a tree peeks out a little further along
+            const x = spots[(firstSpot + i) % spots.length] + Math.floor(i / spots.length) * 30;
+            
+            const squirrel = new Squirrel(this.scene, x, BlueberrydalePark.SQUIRREL_Y, {
+                transformDelay: transformDelay,
+                runDelay: transformDelay + BlueberrydalePark.RUN_AFTER_TRANSFORM
+            });
+            this.emerge(squirrel);
+            this.squirrels.push(squirrel);
+            
+            transformDelay += BlueberrydalePark.WAVE_STAGGER +
+                this.scene.rng.between(-BlueberrydalePark.WAVE_STAGGER_JITTER, BlueberrydalePark.WAVE_STAGGER_JITTER);
+        }
+        
+        // Forget the ones that already ran off
+        this.squirrels = this.squirrels.filter(squirrel => !squirrel.isDestroyed);
+        
+        console.log(`🐿️🐿️🐿️ A wave of ${count} squirrels comes out of the trees!`);
+    }
+    
+    /**
+     * Bring out the Acorn Hoarder to guard the exit
+     */
+    spawnBoss() {
+        console.log('🐿️👑 The Acorn Hoarder guards the park exit!');
+        
+        this.boss = new BossSquirrel(this.scene, BlueberrydalePark.BOSS_X, BlueberrydalePark.BOSS_Y);
+        this.emerge(this.boss);
+        
+        this.showMessage('🐿️👑 THE ACORN HOARDER 👑🐿️\nDodge its acorns to get out of the park!', '#FFB300');
+    }
+    
+    /**
+     * Fade a squirrel in, with a rustle of leaves
+     * 
+     * @param {Squirrel} squirrel - The squirrel coming out
+     */
+    emerge(squirrel) {
+        squirrel.setAlpha(0);
+        this.scene.tweens.add({
+            targets: squirrel,
+            alpha: 1,
+            duration: 250
+        });
+        
+        const leaves = this.scene.add.text(squirrel.x, squirrel.y - 30, '🍃', { fontSize: '18px' });
+        leaves.setOrigin(0.5);
+        leaves.setDepth(100);
+        this.scene.tweens.add({
+            targets: leaves,
+            y: leaves.y - 20,
+            alpha: 0,
+            duration: 600,
+            onComplete: () => leaves.destroy()
+        });
+    }
+    
+    // =============================================================
+    // CREATION METHODS
+    // =============================================================
+    
+    /**
+     * Create the lawn, the pond, the benches and the trees
+     */
+    createScenery() {
+        const g = this.scene.add.graphics();
+        
+        // Lawn
+        g.fillStyle(0x7CB342, 1);
+        g.fillRect(0, 440, 800, 120);
+        
+        // Duck pond (with a lighter shine and a duck)
+        g.fillStyle(0x4FC3F7, 1);
+        g.fillEllipse(400, 500, 220, 50);
+        g.fillStyle(0xB3E5FC, 1);
+        g.fillEllipse(360, 492, 70, 8);
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillEllipse(440, 500, 18, 10);
+        g.fillCircle(448, 492, 5);
+        g.fillStyle(0xFF9800, 1);
+        g.fillTriangle(452, 491, 458, 493, 452, 494);
+        
+        // Benches
+        [{ x: 230, y: 515 }, { x: 600, y: 515 }].forEach(bench => {
+            g.fillStyle(0x795548, 1);
+            g.fillRect(bench.x, bench.y, 70, 8);       // Seat
+            g.fillRect(bench.x, bench.y - 18, 70, 6);  // Back
+            g.fillStyle(0x37474F, 1);
+            g.fillRect(bench.x + 6, bench.y + 8, 5, 16);   // Legs
+            g.fillRect(bench.x + 59, bench.y + 8, 5, 16);
+        });
+        
+        // Oak trees (the squirrels hide behind these!)
+        [150, 560, 690].forEach(x => {
+            g.fillStyle(0x5D4037, 1);
+            g.fillRect(x - 12, 400, 24, 155);  // Trunk
+            g.fillStyle(0x388E3C, 1);
+            g.fillCircle(x, 360, 60);
+            g.fillCircle(x - 45, 395, 40);
+            g.fillCircle(x + 45, 395, 40);
+            g.fillStyle(0x43A047, 1);
+            g.fillCircle(x - 15, 345, 30);
+        });
+        
+        // A bush at the edge of the screen
+        g.fillStyle(0x2E7D32, 1);
+        g.fillCircle(790, 535, 30);
+        g.fillCircle(765, 545, 22);
+        
+        // WHY depth -5? Keep the park BEHIND the player (depth 10),
+        // like the school building
+        g.setDepth(-5);
+        g.setScrollFactor(0.3);  // Parallax with background
+        
+        this.scenery = g;
+    }
+    
+    /**
+     * Create the park sign
+     */
+    createParkSign() {
+        const sign = this.scene.add.graphics();
+        
+        // Sign post
+        sign.fillStyle(0x5D4037, 1);
+        sign.fillRect(56, 420, 8, 60);
+        
+        // Sign board (park green)
+        sign.fillStyle(0x2E7D32, 1);
+        sign.fillRect(5, 385, 110, 40);
+        
+        // WHY depth -3? Keep sign BEHIND the player (depth 10)
+        sign.setDepth(-3);
+        sign.setScrollFactor(0.3);
+        
+        this.sign = sign;
+        
+        this.signText = this.scene.add.text(60, 405, '🌳 BLUEBERRYDALE\nPARK', {
+            fontSize: '11px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            fontStyle: 'bold',
+            align: 'center'
+        });
+        this.signText.setOrigin(0.5);
+        // WHY depth -2? Just above sign board but still behind player
+        this.signText.setDepth(-2);
+        this.signText.setScrollFactor(0.3);
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update all zone elements
+     * 
+     * WHY nothing to do? Squirrels run on their own update listeners -
+     * this is here so every zone can be updated the same way
+     * 
+     * @param {Student} player - The player reference
+     */
+    update(player) {
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the entire zone
+     */
+    cleanup() {
+        this.squirrels.forEach(squirrel => squirrel.cleanup());
+        this.squirrels = [];
+        if (this.boss) {
+            this.boss.cleanup();
+            this.boss = null;
+        }
+        
+        if (this.scenery) this.scenery.destroy();
+        if (this.sign) this.sign.destroy();
+        if (this.signText) this.signText.destroy();
+        
+        this.isCreated = false;
+        this.isActive = false;
+    }
+}
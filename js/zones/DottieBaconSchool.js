@@ -1,7 +1,7 @@
 /**
  * DottieBaconSchool Class
  * 
- * The rival school zone that appears every 500 meters!
+ * The rival school zone that appears along the route!
  * Features a run-down school building with tired teachers in windows,
  * kids on phones, and bullies outside throwing word bubbles.
  * 
@@ -9,22 +9,35 @@
  * - Encapsulates all the school zone logic in one place
  * - Manages the school building, windows, and bullies
  * - Easy to spawn/despawn as player enters/leaves the zone
+ * - Where it shows up comes from RouteZone, like the other zones
  * 
  * REPEATING ZONE:
- * - First appears at 500m, then every 500m after (1000m, 1500m, etc.)
+ * - The route says where it starts, how long it is and how often it
+ *   repeats (Blueberrydale: at 500m, then every 500m after)
  * - School fades out when player leaves, reappears at next interval
+ * - In Endless mode it keeps repeating forever, with extra bullies
+ *   in the tougher neighborhoods (see EndlessManager)
+ * 
+ * THE BULLY LEADER (a school with bullyLeader: true in the route):
+ * - The last school before the library ends at its gate - the gang
+ *   clears off and their leader blocks the way (see BullyLeader)
+ * - The walk stops until he gives up
+ * - Not in Endless mode - there's no library, so no last school
  */
-class DottieBaconSchool {
+class DottieBaconSchool extends RouteZone {
     
     // =============================================================
     // STATIC PROPERTIES
     // =============================================================
     
-    // How often does the school zone appear? (in pixels, 500m = 5000px)
-    static ZONE_INTERVAL = 5000;
+    // How far before the end of the last school the leader shows up (meters)
+    // WHY 30? The same as the park's boss - right at the gate
+    static LEADER_METERS_BEFORE_EXIT = 30;
     
-    // How long is the school zone?
-    static ZONE_LENGTH = 1500;
+    // Where the leader stands
+    // WHY 489? His feet on the same sidewalk as the other bullies' (505),
+    // at his size (see BullyLeader.SCALE)
+    static LEADER_Y = 489;
     
     // =============================================================
     // CONSTRUCTOR
@@ -34,16 +47,17 @@ class DottieBaconSchool {
      * Create the Dottie Bacon School zone
      * 
      * @param {Phaser.Scene} scene - The game scene
+     * @param {Object} zone - The zone's entry in the route (see RouteManager.SCHEMA)
      */
-    constructor(scene) {
-        this.scene = scene;
-        
-        // Track if the zone has been created
-        this.isCreated = false;
-        this.isActive = false;
+    constructor(scene, zone) {
+        // Where the first school is, how often it repeats and how long
+        // it is (see RouteZone)
+        super(scene, zone, '🏫 Dottie Bacon School');
         
-        // Track which zone occurrence we're on (1st at 500m, 2nd at 1000m, etc.)
-        this.currentZoneNumber = 0;
+        // Does the last school before the library have the Bully Leader?
+        // WHY from the route? It's up to the route - a school without
+        // bullyLeader (like in older route files) is walked straight through
+        this.hasLeader = zone.bullyLeader === true;
         
         // Store references to zone elements
         this.schoolBuilding = null;
@@ -51,22 +65,13 @@ class DottieBaconSchool {
         this.bullies = [];
         this.signText = null;
         this.sign = null;  // The sign graphics object
-        
-        console.log('🏫 Dottie Bacon School zone initialized (spawns every 500m)');
+        this.leader = null;
     }
     
     // =============================================================
     // ZONE MANAGEMENT
     // =============================================================
     
-    /**
-     * Calculate the start position for the next zone occurrence
-     * @returns {number} The pixel position where the next zone starts
-     */
-    getNextZoneStart() {
-        return (this.currentZoneNumber + 1) * DottieBaconSchool.ZONE_INTERVAL;
-    }
-    
     /**
      * Check if player has reached the school zone
      * Called from the main update loop
@@ -76,12 +81,8 @@ class DottieBaconSchool {
     checkZone(distance) {
         const nextZoneStart = this.getNextZoneStart();
         
-        // Don't spawn school at or after the library (1500m = 15000px)
-        // WHY? The library is the goal - no more obstacles there!
-        const LIBRARY_DISTANCE = 15000;
-        if (nextZoneStart >= LIBRARY_DISTANCE) {
-            return;  // No more schools after the library!
-        }
+        // No more schools at or after the library (see RouteZone)
+        if (!this.hasNextZone()) return;
         
         // Should we create the zone? (approaching the next occurrence)
         if (!this.isCreated && distance >= nextZoneStart - 200) {
@@ -92,16 +93,45 @@ class DottieBaconSchool {
         if (this.isCreated) {
             const zoneStart = this.getNextZoneStart();
             const inZone = distance >= zoneStart && 
-                          distance <= zoneStart + DottieBaconSchool.ZONE_LENGTH;
+                          distance <= zoneStart + this.zoneLength;
             
             if (inZone && !this.isActive) {
                 this.activateZone();
             } else if (!inZone && this.isActive) {
                 this.deactivateZone();
             }
+            
+            // The leader waits at the gate of the last school
+            const leaderDistance = zoneStart + this.zoneLength - RouteManager.toPixels(DottieBaconSchool.LEADER_METERS_BEFORE_EXIT);
+            if (this.isActive && this.hasLeader && !this.leader && this.isLastSchool() && distance >= leaderDistance) {
+                this.spawnLeader();
+            }
         }
     }
     
+    /**
+     * Is the next school the last one before the library?
+     * 
+     * @returns {boolean} True if no other school comes after it
+     */
+    isLastSchool() {
+        if (this.zoneInterval === 0) return true;
+        return !this.isBeforeLibrary(this.getZoneStart(this.currentZoneNumber + 1));
+    }
+    
+    /**
+     * Is the school holding up the walk?
+     * 
+     * WHY? The bullies chase you through - but the Bully Leader blocks
+     * the gate, and the GameScene stops scrolling until he's gone
+     * (like the park's boss)
+     * 
+     * @returns {boolean} True while the leader is still there
+     */
+    isBlockingWalk() {
+        return this.leader !== null && !this.leader.isDestroyed;
+    }
+    
     /**
      * Create all the zone elements
      */
@@ -109,7 +139,7 @@ class DottieBaconSchool {
         if (this.isCreated) return;
         
         const zoneNum = this.currentZoneNumber + 1;
-        const distanceM = (zoneNum * 500);  // Convert to meters for display
+        const distanceM = this.getNextZoneStart() / RouteManager.PIXELS_PER_METER;  // Convert to meters for display
         console.log(`🏫 Creating Dottie Bacon School zone #${zoneNum} at ${distanceM}m!`);
         this.isCreated = true;
         
@@ -134,7 +164,7 @@ class DottieBaconSchool {
         this.isActive = true;
         
         // Show warning message
-        this.showWarningMessage();
+        this.showMessage('⚠️ DOTTIE BACON SCHOOL ZONE ⚠️\nWatch out for bullies!', '#FF4444');
         
         // Start bully attacks
         this.bullies.forEach(bully => {
@@ -231,6 +261,12 @@ class DottieBaconSchool {
         }
         
         // Clean up bullies after they've had time to exit
+        // WHY keep the leader apart? He's already run off - or he's cleaned
+        // up now, if the student walked back out of the school
+        if (this.leader) {
+            this.leader.cleanup();
+            this.leader = null;
+        }
         this.scene.time.delayedCall(2000, () => {
             this.bullies.forEach(bully => {
                 if (bully && bully.cleanup) {
@@ -241,12 +277,12 @@ class DottieBaconSchool {
             console.log('🏫 Dottie Bacon School zone cleaned up!');
         });
         
-        // Increment zone number so the NEXT zone can spawn at the next 500m mark
-        // Zone 1 at 500m, Zone 2 at 1000m, Zone 3 at 1500m, etc.
+        // Increment zone number so the NEXT zone can spawn at the next mark
+        // (Blueberrydale: zone 1 at 500m, zone 2 at 1000m, zone 3 at 1500m, etc.)
         this.currentZoneNumber++;
         this.isCreated = false;
         
-        console.log(`🏫 Next school zone will appear at ${(this.currentZoneNumber + 1) * 500}m`);
+        console.log(`🏫 Next school zone will appear at ${this.getNextZoneStart() / RouteManager.PIXELS_PER_METER}m`);
     }
     
     // =============================================================
@@ -396,9 +432,45 @@ class DottieBaconSchool {
             this.bullies.push(bully2);
         });
         
+        // Endless mode: tougher neighborhoods send out extra bullies
+        // WHY alternate sides? Nowhere is safe to stand still!
+        const extraBullies = this.scene.endlessManager ? this.scene.endlessManager.getExtraBullies() : 0;
+        for (let i = 0; i < extraBullies; i++) {
+            this.scene.time.delayedCall(3500 + i * 1500, () => {
+                const extraBully = new Bully(this.scene, 0, 505, i % 2 === 0);
+                this.bullies.push(extraBully);
+            });
+        }
+        
         console.log('😈 Bullies will patrol the school zone!');
     }
     
+    /**
+     * Send the gang home, and bring out their leader to guard the gate
+     */
+    spawnLeader() {
+        console.log('😈👑 The Bully Leader guards the school gate!');
+        
+        // WHY send the others away? It's one on one - and the volleys
+        // are hard enough to read without extra bubbles coming down
+        const gang = this.bullies;
+        this.bullies = [];
+        gang.forEach(bully => {
+            if (bully.isDestroyed) return;
+            bully.stopThrowingTimer();
+            this.scene.tweens.add({
+                targets: bully,
+                alpha: 0,
+                duration: 400,
+                onComplete: () => bully.cleanup()
+            });
+        });
+        
+        this.leader = new BullyLeader(this.scene, 0, DottieBaconSchool.LEADER_Y, true);
+        
+        this.showMessage('😈👑 THE BULLY LEADER 👑😈\nDodge his volleys, jump his charge -\nthen jump on him while he\'s dizzy!', '#FFC107');
+    }
+    
     /**
      * Create the school sign
      */
@@ -436,39 +508,6 @@ class DottieBaconSchool {
         this.signText.setScrollFactor(0.3);
     }
     
-    /**
-     * Show warning message when entering the zone
-     */
-    showWarningMessage() {
-        const warning = this.scene.add.text(
-            400, 150,
-            '⚠️ DOTTIE BACON SCHOOL ZONE ⚠️\nWatch out for bullies!',
-            {
-                fontSize: '20px',
-                fontFamily: 'Arial',
-                color: '#FF4444',
-                backgroundColor: 'rgba(0,0,0,0.8)',
-                padding: { x: 15, y: 10 },
-                fontStyle: 'bold',
-                align: 'center'
-            }
-        );
-        warning.setOrigin(0.5);
-        warning.setDepth(200);
-        warning.setScrollFactor(0);  // Fixed to camera
-        
-        // Fade in and out
-        warning.setAlpha(0);
-        this.scene.tweens.add({
-            targets: warning,
-            alpha: 1,
-            duration: 500,
-            yoyo: true,
-            hold: 2000,
-            onComplete: () => warning.destroy()
-        });
-    }
-    
     // =============================================================
     // UPDATE METHOD
     // =============================================================
@@ -487,6 +526,10 @@ class DottieBaconSchool {
                 bully.update(player);
             }
         });
+        
+        if (this.leader && !this.leader.isDestroyed) {
+            this.leader.update(player);
+        }
     }
     
     // =============================================================
@@ -502,6 +545,10 @@ class DottieBaconSchool {
             if (bully) bully.cleanup();
         });
         this.bullies = [];
+        if (this.leader) {
+            this.leader.cleanup();
+            this.leader = null;
+        }
         
         // Clean up graphics
         if (this.schoolBuilding) this.schoolBuilding.destroy();
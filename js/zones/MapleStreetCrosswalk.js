@@ -0,0 +1,718 @@
+/**
+ * MapleStreetCrosswalk Class
+ * 
+ * The crosswalk zone along the route - the sidewalk stops at Maple
+ * Street and the student has to cross it!
+ * A traffic light cycles, cars come down the cross street while it's
+ * their turn, and a crossing guard waits at the curb.
+ * 
+ * WHY a class for this?
+ * - Like DottieBaconSchool: all the crossing logic in one place
+ * - Manages the street, the light, the cars and the crossing guard
+ * - Easy to spawn/despawn as player enters/leaves the zone
+ * - Where it shows up comes from RouteZone, like the other zones
+ * 
+ * HOW THE CROSSING PLAYS:
+ * - The light goes round: cars go (✋), yellow (✋), walk (🚶), hurry
+ *   (flashing 🚶), then the cars go again (see PHASES)
+ * - Step onto the crosswalk while it says ✋ and a car honks: it hurts,
+ *   and the student jumps back onto the curb
+ * - Started across on the walk signal? Then you're safe all the way -
+ *   the cars wait for anyone already crossing
+ * - In a hurry? Ask the crossing guard (E, or the 🤚 touch button) and
+ *   they'll stop traffic for you - once per crossing
+ * 
+ * WHY is the street anchored to the sidewalk instead of the screen?
+ * The school and the park are scenery in the distance - the crosswalk
+ * is right under the student's feet, so it has to move with the ground
+ * exactly (like the puddles and bus stops)
+ * 
+ * REPEATING ZONE:
+ * - The route says where the street starts, how wide it is (the zone's
+ *   length) and how often it repeats (Blueberrydale: at 1300m, then
+ *   every 1500m - once on the walk to the library, once in every
+ *   Endless neighborhood)
+ */
+class MapleStreetCrosswalk extends RouteZone {
+    
+    // =============================================================
+    // STATIC PROPERTIES
+    // =============================================================
+    
+    // The traffic light's phases, in order
+    // - next: the phase after this one
+    // - duration: how long it lasts (ms)
+    // - carLight: what the cars see (the lamp that's lit)
+    // - canWalk: is it safe to step onto the crosswalk?
+    // WHY a yellow phase? Real lights warn the cars before they stop -
+    // and it's the player's cue to get ready
+    static PHASES = {
+        traffic: { next: 'yellow', duration: 4000, carLight: 'green', canWalk: false },
+        yellow: { next: 'walk', duration: 1000, carLight: 'yellow', canWalk: false },
+        walk: { next: 'hurry', duration: 3000, carLight: 'red', canWalk: true },
+        hurry: { next: 'traffic', duration: 1500, carLight: 'red', canWalk: true }
+    };
+    
+    // Where the student walks while the street scrolls by (screen X)
+    // WHY 400? GameScene's SCROLL_THRESHOLD - the student's distance
+    // is the scroll distance there
+    static SCREEN_CENTER_X = 400;
+    
+    // How far ahead the street is set out (pixels)
+    // WHY 700? Off the right edge of the screen - it scrolls into view
+    static CREATE_AHEAD = 700;
+    
+    // How far before the curb the zone's message shows (pixels)
+    static APPROACH_DISTANCE = 300;
+    
+    // How far past the far curb before the street is taken away (pixels)
+    // WHY 500? By then it has scrolled off the left edge of the screen
+    static PASSED_DISTANCE = 500;
+    
+    // Where the crosswalk and the cross street are drawn (screen Y)
+    // WHY 550? The top of the sidewalk - the crosswalk replaces it
+    static CURB_Y = 550;
+    static STREET_TOP_Y = 400;
+    
+    // How far onto the crosswalk the student has to step to be "on it"
+    static STEP_ON_MARGIN = 10;
+    
+    // Where the student lands when a car honks them back (pixels from the curb)
+    // WHY 45? Clear of the crosswalk, with the student's whole body on the curb
+    static PUSHBACK_DISTANCE = 45;
+    
+    // How often a car might come down the street while it's their turn (ms)
+    static CAR_INTERVAL = 900;
+    
+    // Chance each interval that a car actually comes
+    // WHY not every time? Real traffic comes in bunches and gaps
+    static CAR_CHANCE = 0.7;
+    
+    // How long a car takes to come down the street (ms)
+    static CAR_DRIVE_TIME = 1400;
+    
+    // Car colors (a random one for each car - just for looks)
+    static CAR_COLORS = [0xE53935, 0x1E88E5, 0xFDD835, 0x43A047, 0xFFFFFF, 0x8E24AA];
+    
+    // Where the crossing guard stands (pixels before the curb), and on what
+    static GUARD_CURB_OFFSET = -30;
+    static GUARD_Y = 514;
+    
+    // How close the student has to be to ask the guard (pixels)
+    static GUARD_RANGE = 90;
+    
+    // How long the guard holds traffic (ms)
+    // WHY 4000? Long enough to cross at a stroll - the hurry phase follows
+    static GUARD_HOLD_TIME = 4000;
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Create the Maple Street crosswalk zone
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {Object} zone - The zone's entry in the route (see RouteManager.SCHEMA)
+     */
+    constructor(scene, zone) {
+        // Where the first crossing is, how often it repeats and how wide
+        // the street is - the zone's length (see RouteZone)
+        super(scene, zone, '🚦 Maple Street crosswalk');
+        
+        // Where this crossing's near curb is (pixels), once it's created
+        this.curbDistance = 0;
+        
+        // The traffic light
+        this.phase = 'traffic';
+        this.phaseTimer = null;
+        this.carTimer = null;
+        
+        // Is the student partway across (started on the walk signal)?
+        this.isCrossing = false;
+        
+        // The crossing guard (once per crossing - see askGuard)
+        this.guardOffset = MapleStreetCrosswalk.GUARD_CURB_OFFSET;
+        this.guardHasHelped = false;
+        
+        // Store references to zone elements
+        this.street = null;
+        this.signalPole = null;
+        this.signalLamps = null;
+        this.walkSignal = null;
+        this.walkSignalTween = null;
+        this.guard = null;
+        this.guardPrompt = null;
+        this.cars = [];
+    }
+    
+    // =============================================================
+    // ZONE MANAGEMENT
+    // =============================================================
+    
+    /**
+     * Pick up the zone schedule partway along the route
+     * 
+     * WHY take the street away first? It's anchored to the sidewalk -
+     * after a jump back to a checkpoint it would be in the wrong place
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        if (this.isCreated) {
+            this.cleanup();
+        }
+        
+        super.startFrom(distance);
+    }
+    
+    /**
+     * Check if player is approaching the crossing (or is well past it)
+     * Called from the main update loop
+     * 
+     * @param {number} distance - Current distance traveled in pixels
+     */
+    checkZone(distance) {
+        const nextZoneStart = this.getNextZoneStart();
+        
+        // No more crossings at or after the library (see RouteZone)
+        if (!this.hasNextZone()) return;
+        
+        // Should we create the zone? (approaching the next occurrence)
+        if (!this.isCreated && distance >= nextZoneStart - MapleStreetCrosswalk.CREATE_AHEAD) {
+            this.createZone();
+        }
+        
+        if (!this.isCreated) return;
+        
+        const zoneEnd = this.curbDistance + this.zoneLength;
+        
+        // WHY activate before the curb? The student should see the light
+        // (and the guard) before they get there
+        const isApproaching = distance >= this.curbDistance - MapleStreetCrosswalk.APPROACH_DISTANCE &&
+                              distance <= zoneEnd;
+        if (isApproaching && !this.isActive) {
+            this.activateZone();
+        }
+        
+        if (distance > zoneEnd + MapleStreetCrosswalk.PASSED_DISTANCE) {
+            this.deactivateZone();
+        }
+    }
+    
+    /**
+     * Is the crossing holding up the walk?
+     * 
+     * WHY always false? The light doesn't stop the street scrolling -
+     * the cars push back anyone who steps out (see checkCrosswalk)
+     * 
+     * @returns {boolean} False
+     */
+    isBlockingWalk() {
+        return false;
+    }
+    
+    /**
+     * Create all the zone elements
+     */
+    createZone() {
+        if (this.isCreated) return;
+        
+        const zoneNum = this.currentZoneNumber + 1;
+        this.curbDistance = this.getNextZoneStart();
+        const distanceM = this.curbDistance / RouteManager.PIXELS_PER_METER;  // Convert to meters for display
+        console.log(`🚦 Creating Maple Street crosswalk zone #${zoneNum} at ${distanceM}m!`);
+        this.isCreated = true;
+        
+        this.isCrossing = false;
+        this.guardHasHelped = false;
+        this.guardOffset = MapleStreetCrosswalk.GUARD_CURB_OFFSET;
+        
+        // The street, the crosswalk, the light and the guard
+        this.createStreet();
+        this.createSignal();
+        this.createGuard();
+        
+        // Cars come down the street whenever it's their turn
+        this.carTimer = this.scene.time.addEvent({
+            delay: MapleStreetCrosswalk.CAR_INTERVAL,
+            loop: true,
+            callback: this.maybeSendCar,
+            callbackScope: this
+        });
+        
+        // Start partway through the cars' turn
+        // WHY scene.rng? Same seed = same wait at the curb (replays!)
+        const traffic = MapleStreetCrosswalk.PHASES.traffic;
+        this.setPhase('traffic', this.scene.rng.between(1000, traffic.duration));
+        
+        this.followGround();
+    }
+    
+    /**
+     * Activate the zone (player is coming up to the curb)
+     */
+    activateZone() {
+        console.log('🚦⚠️ Approaching the Maple Street crosswalk!');
+        this.isActive = true;
+        
+        this.showMessage('🚦 MAPLE STREET 🚦\nWait for the 🚶 - or ask the crossing guard!', '#FFB74D');
+    }
+    
+    /**
+     * Deactivate the zone (player is across and the street is behind them)
+     * 
+     * WHY no fade like the school? The street has already scrolled
+     * off the screen - there's nothing left to see
+     */
+    deactivateZone() {
+        console.log('🚦✅ Across Maple Street');
+        
+        this.cleanup();
+        
+        // Increment zone number so the NEXT zone can spawn at the next mark
+        this.currentZoneNumber++;
+        
+        console.log(`🚦 Next crosswalk will appear at ${this.getNextZoneStart() / RouteManager.PIXELS_PER_METER}m`);
+    }
+    
+    // =============================================================
+    // THE TRAFFIC LIGHT
+    // =============================================================
+    
+    /**
+     * Switch the light to a phase, and line up the next one
+     * 
+     * @param {string} phase - A key of PHASES
+     * @param {number} duration - How long it lasts (ms) - the phase's own by default
+     */
+    setPhase(phase, duration = MapleStreetCrosswalk.PHASES[phase].duration) {
+        this.phase = phase;
+        
+        if (this.phaseTimer) {
+            this.phaseTimer.remove();
+        }
+        this.phaseTimer = this.scene.time.delayedCall(duration, () => {
+            this.setPhase(MapleStreetCrosswalk.PHASES[this.phase].next);
+        });
+        
+        this.drawSignal();
+    }
+    
+    /**
+     * Is it safe to step onto the crosswalk?
+     * 
+     * @returns {boolean} True while the walk signal is on (steady or flashing)
+     */
+    canWalk() {
+        return MapleStreetCrosswalk.PHASES[this.phase].canWalk;
+    }
+    
+    /**
+     * Send a car down the street - if it's their turn
+     */
+    maybeSendCar() {
+        if (this.phase !== 'traffic') return;
+        
+        // WHY scene.rng? Same seed = same traffic (replays!)
+        if (!this.scene.rng.chance(MapleStreetCrosswalk.CAR_CHANCE)) return;
+        
+        // Far up the street (small), then down past the sidewalk (big)
+        // WHY easeIn? It seems to speed up as it gets closer
+        const car = this.scene.add.image(0, MapleStreetCrosswalk.STREET_TOP_Y + 10, 'car');
+        car.setScale(0.3);
+        car.setTint(this.scene.rng.pick(MapleStreetCrosswalk.CAR_COLORS));
+        // WHY depth 12? In front of the student (10) - it drives past them
+        car.setDepth(12);
+        this.cars.push(car);
+        
+        this.scene.tweens.add({
+            targets: car,
+            y: 660,
+            scale: 1.4,
+            duration: MapleStreetCrosswalk.CAR_DRIVE_TIME,
+            ease: 'Quad.easeIn',
+            onComplete: () => {
+                this.cars = this.cars.filter(candidate => candidate !== car);
+                car.destroy();
+            }
+        });
+        
+        this.followGround();
+    }
+    
+    // =============================================================
+    // THE CROSSING GUARD
+    // =============================================================
+    
+    /**
+     * Can the student ask the guard to stop traffic right now?
+     * 
+     * @param {Student} player - The player reference
+     * @returns {boolean} True when close enough, the cars have the light,
+     *                    and the guard hasn't already helped
+     */
+    canAskGuard(player) {
+        return !this.guardHasHelped &&
+               !this.canWalk() &&
+               Math.abs(player.x - this.guard.x) <= MapleStreetCrosswalk.GUARD_RANGE;
+    }
+    
+    /**
+     * The guard walks out with their STOP paddle and holds the cars
+     */
+    askGuard() {
+        console.log('🦺 The crossing guard stops traffic!');
+        this.guardHasHelped = true;
+        
+        this.setPhase('walk', MapleStreetCrosswalk.GUARD_HOLD_TIME);
+        
+        // Out into the middle of the street...
+        this.scene.tweens.add({
+            targets: this,
+            guardOffset: this.zoneLength / 2,
+            duration: 600,
+            ease: 'Sine.easeOut'
+        });
+        
+        // ...and back to the curb once the hold is over
+        this.scene.tweens.add({
+            targets: this,
+            guardOffset: MapleStreetCrosswalk.GUARD_CURB_OFFSET,
+            delay: MapleStreetCrosswalk.GUARD_HOLD_TIME,
+            duration: 600,
+            ease: 'Sine.easeIn'
+        });
+        
+        this.showBubble('🛑 Go ahead, kiddo!');
+    }
+    
+    // =============================================================
+    // CREATION METHODS
+    // =============================================================
+    
+    /**
+     * Create the cross street and the crosswalk
+     * 
+     * WHY draw it from x = 0? followGround() moves it into place - x is
+     * where the near curb is on screen
+     */
+    createStreet() {
+        const width = this.zoneLength;
+        const curbY = MapleStreetCrosswalk.CURB_Y;
+        const topY = MapleStreetCrosswalk.STREET_TOP_Y;
+        const g = this.scene.add.graphics();
+        
+        // The cross street, running away into the distance (narrower at the top)
+        g.fillStyle(0x455A64, 1);
+        g.fillPoints([
+            { x: 0, y: curbY },
+            { x: width * 0.2, y: topY },
+            { x: width * 0.8, y: topY },
+            { x: width, y: curbY }
+        ], true);
+        
+        // Dashed center line
+        g.fillStyle(0xFDD835, 1);
+        for (let y = topY + 10; y < curbY - 10; y += 30) {
+            g.fillRect(width / 2 - 2, y, 4, 15);
+        }
+        
+        // The crosswalk itself, where the sidewalk would be
+        g.fillStyle(0x37474F, 1);
+        g.fillRect(0, curbY, width, 50);
+        g.fillStyle(0xFFFFFF, 1);
+        for (let x = 10; x < width - 10; x += 30) {
+            g.fillRect(x, curbY + 4, 16, 42);
+        }
+        
+        // Curbs on both sides
+        g.fillStyle(0xBDBDBD, 1);
+        g.fillRect(-6, curbY - 4, 6, 54);
+        g.fillRect(width, curbY - 4, 6, 54);
+        
+        // WHY depth -8? Over the sidewalk (-10) and the dusk tint (-9),
+        // like the puddles - under everyone walking on it
+        g.setDepth(-8);
+        
+        this.street = g;
+    }
+    
+    /**
+     * Create the traffic light on the far curb
+     * 
+     * WHY the far curb? That's where you look when you're waiting to cross
+     */
+    createSignal() {
+        const pole = this.scene.add.graphics();
+        
+        // Pole
+        pole.fillStyle(0x616161, 1);
+        pole.fillRect(-3, 430, 6, 120);
+        
+        // Car light housing (three lamps, up high)
+        pole.fillStyle(0x212121, 1);
+        pole.fillRoundedRect(-12, 380, 24, 60, 4);
+        
+        // Walk signal housing
+        pole.fillRect(-16, 456, 32, 28);
+        
+        pole.setDepth(-3);
+        this.signalPole = pole;
+        
+        // The lamps (redrawn when the light changes - see drawSignal)
+        this.signalLamps = this.scene.add.graphics();
+        this.signalLamps.setDepth(-2);
+        
+        this.walkSignal = this.scene.add.text(0, 470, '✋', { fontSize: '18px' });
+        this.walkSignal.setOrigin(0.5);
+        this.walkSignal.setDepth(-2);
+    }
+    
+    /**
+     * Light the lamps for the current phase
+     */
+    drawSignal() {
+        if (!this.signalLamps) return;
+        
+        const phase = MapleStreetCrosswalk.PHASES[this.phase];
+        const lamps = [
+            { light: 'red', y: 390, color: 0xF44336 },
+            { light: 'yellow', y: 410, color: 0xFFC107 },
+            { light: 'green', y: 430, color: 0x4CAF50 }
+        ];
+        
+        this.signalLamps.clear();
+        lamps.forEach(lamp => {
+            this.signalLamps.fillStyle(lamp.color, lamp.light === phase.carLight ? 1 : 0.2);
+            this.signalLamps.fillCircle(0, lamp.y, 7);
+        });
+        
+        // The walk signal - flashing when time's nearly up
+        if (this.walkSignalTween) {
+            this.walkSignalTween.stop();
+            this.walkSignalTween = null;
+        }
+        this.walkSignal.setText(phase.canWalk ? '🚶' : '✋');
+        this.walkSignal.setAlpha(1);
+        
+        if (this.phase === 'hurry') {
+            this.walkSignalTween = this.scene.tweens.add({
+                targets: this.walkSignal,
+                alpha: 0.2,
+                duration: 250,
+                yoyo: true,
+                repeat: -1
+            });
+        }
+    }
+    
+    /**
+     * Create the crossing guard at the near curb
+     */
+    createGuard() {
+        this.guard = this.scene.add.image(0, MapleStreetCrosswalk.GUARD_Y, 'crossing-guard');
+        // WHY depth 9? Just behind the student (10) - they walk past the guard
+        this.guard.setDepth(9);
+        
+        // Shown when the student is close enough to ask
+        // WHY check for touch? There's no E key on a tablet - the 🤚 button does it
+        const touch = this.scene.touchControls;
+        const howToAsk = touch && touch.isTouchDevice ? '🤚' : '🤚 E';
+        this.guardPrompt = this.scene.add.text(0, MapleStreetCrosswalk.GUARD_Y - 55, `${howToAsk}: Stop the traffic!`, {
+            fontSize: '12px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            backgroundColor: 'rgba(0,0,0,0.7)',
+            padding: { x: 6, y: 3 }
+        });
+        this.guardPrompt.setOrigin(0.5);
+        this.guardPrompt.setDepth(100);
+        this.guardPrompt.setVisible(false);
+    }
+    
+    /**
+     * Show what the guard says for a moment
+     * 
+     * @param {string} message - What they say
+     */
+    showBubble(message) {
+        const bubble = this.scene.add.text(this.guard.x, MapleStreetCrosswalk.GUARD_Y - 60, message, {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#000000',
+            backgroundColor: '#FFFFFF',
+            padding: { x: 6, y: 4 }
+        });
+        bubble.setOrigin(0.5);
+        bubble.setDepth(100);
+        
+        this.scene.tweens.add({
+            targets: bubble,
+            y: bubble.y - 20,
+            alpha: 0,
+            delay: 1200,
+            duration: 600,
+            onComplete: () => bubble.destroy()
+        });
+    }
+    
+    // =============================================================
+    // UPDATE METHOD
+    // =============================================================
+    
+    /**
+     * Update all zone elements
+     * 
+     * WHY even before the zone is active? The street moves with the
+     * sidewalk from the moment it's set out
+     * 
+     * @param {Student} player - The player reference
+     * @param {Object} input - This frame's input (for asking the guard)
+     */
+    update(player, input) {
+        if (!this.isCreated || !player) return;
+        
+        this.followGround();
+        
+        if (!this.isActive || player.isDefeated) {
+            this.guardPrompt.setVisible(false);
+            return;
+        }
+        
+        // The crossing guard
+        const canAsk = this.canAskGuard(player);
+        this.guardPrompt.setVisible(canAsk);
+        this.guardPrompt.x = this.guard.x;
+        if (canAsk && input && input.interact) {
+            this.askGuard();
+        }
+        
+        this.checkCrosswalk(player);
+    }
+    
+    /**
+     * Keep everything on the street lined up with the sidewalk
+     * 
+     * WHY work it out from scrollX every frame? The curb is a fixed spot
+     * on the route - wherever the scroll is, it's that far from the student
+     */
+    followGround() {
+        const curbX = MapleStreetCrosswalk.SCREEN_CENTER_X + this.curbDistance - this.scene.background.scrollX;
+        const farCurbX = curbX + this.zoneLength;
+        
+        this.street.x = curbX;
+        this.signalPole.x = farCurbX + 20;
+        this.signalLamps.x = farCurbX + 20;
+        this.walkSignal.x = farCurbX + 20;
+        this.guard.x = curbX + this.guardOffset;
+        this.cars.forEach(car => {
+            car.x = curbX + this.zoneLength / 2;
+        });
+    }
+    
+    /**
+     * Did the student step out in front of the cars?
+     * 
+     * @param {Student} player - The player reference
+     */
+    checkCrosswalk(player) {
+        const curbX = this.street.x;
+        const farCurbX = curbX + this.zoneLength;
+        const margin = MapleStreetCrosswalk.STEP_ON_MARGIN;
+        const isOnCrosswalk = player.x > curbX + margin && player.x < farCurbX - margin;
+        
+        if (!isOnCrosswalk) {
+            this.isCrossing = false;
+            return;
+        }
+        
+        // Started across on the walk signal? The cars wait for you
+        if (this.isCrossing || this.canWalk()) {
+            this.isCrossing = true;
+            return;
+        }
+        
+        this.hitByTraffic(player, curbX, farCurbX);
+    }
+    
+    /**
+     * HONK! Hurt the student and send them back to the nearest curb
+     * 
+     * @param {Student} player - The student who stepped out
+     * @param {number} curbX - The near curb (screen X)
+     * @param {number} farCurbX - The far curb (screen X)
+     */
+    hitByTraffic(player, curbX, farCurbX) {
+        console.log('🚗📣 HONK! The student stepped out on a ✋');
+        
+        // How much it hurts depends on the difficulty
+        // WHY push back even when it doesn't hurt (still stumbling)?
+        // Nobody gets to stroll across through the cars
+        player.takeDamage(this.scene.difficulty.carDamage, 'Traffic');
+        
+        // Back to whichever curb they came from
+        const pushback = MapleStreetCrosswalk.PUSHBACK_DISTANCE;
+        const isNearSide = player.x - curbX < farCurbX - player.x;
+        player.x = isNearSide ? curbX - pushback : farCurbX + pushback;
+        player.setVelocityX(0);
+        
+        const honk = this.scene.add.text(player.x, player.y - 60, '📣 HONK!', {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            color: '#FF5252',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        });
+        honk.setOrigin(0.5);
+        honk.setDepth(100);
+        this.scene.tweens.add({
+            targets: honk,
+            y: honk.y - 30,
+            alpha: 0,
+            duration: 800,
+            onComplete: () => honk.destroy()
+        });
+    }
+    
+    // =============================================================
+    // CLEANUP
+    // =============================================================
+    
+    /**
+     * Clean up the entire zone
+     */
+    cleanup() {
+        if (this.phaseTimer) {
+            this.phaseTimer.remove();
+            this.phaseTimer = null;
+        }
+        if (this.carTimer) {
+            this.carTimer.remove();
+            this.carTimer = null;
+        }
+        if (this.walkSignalTween) {
+            this.walkSignalTween.stop();
+            this.walkSignalTween = null;
+        }
+        this.scene.tweens.killTweensOf(this);
+        this.scene.tweens.killTweensOf(this.cars);
+        
+        this.cars.forEach(car => car.destroy());
+        this.cars = [];
+        
+        [this.street, this.signalPole, this.signalLamps, this.walkSignal, this.guard, this.guardPrompt].forEach(item => {
+            if (item) item.destroy();
+        });
+        this.street = null;
+        this.signalPole = null;
+        this.signalLamps = null;
+        this.walkSignal = null;
+        this.guard = null;
+        this.guardPrompt = null;
+        
+        this.isCreated = false;
+        this.isActive = false;
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * RouteZone Class
+ * 
+ * Where a zone from the route shows up along the walk: the first one,
+ * how often it repeats and how long each one is.
+ * 
+ * WHY a base class?
+ * - Every zone in the route (school, park...) is scheduled the same way -
+ *   only what happens inside it is different
+ * - The CheckpointManager and "Continue" ask every zone the same
+ *   questions (getZoneEndAt, startFrom)
+ * - They all announce themselves with the same banner (showMessage)
+ * 
+ * A zone class extends it, and keeps its own checkZone, update,
+ * isBlockingWalk and cleanup.
+ */
+class RouteZone {
+    
+    // =============================================================
+    // CONSTRUCTOR
+    // =============================================================
+    
+    /**
+     * Read the zone's schedule from the route
+     * 
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {Object} zone - The zone's entry in the route (see RouteManager.SCHEMA)
+     * @param {string} name - What to call it in the console (with its emoji)
+     */
+    constructor(scene, zone, name) {
+        this.scene = scene;
+        
+        // Where the first zone is, how often it repeats and how long
+        // it is (in pixels - the route gives meters)
+        // WHY 0 for no repeatMeters? Then the zone only appears once
+        this.firstZoneStart = RouteManager.toPixels(zone.startMeters);
+        this.zoneInterval = RouteManager.toPixels(zone.repeatMeters || 0);
+        this.zoneLength = RouteManager.toPixels(zone.lengthMeters);
+        
+        // Track if the zone has been created
+        this.isCreated = false;
+        this.isActive = false;
+        
+        // Track which zone occurrence is next (0 = the first)
+        this.currentZoneNumber = 0;
+        
+        console.log(`${name} zone initialized (spawns at ${zone.startMeters}m${this.zoneInterval > 0 ? `, then every ${zone.repeatMeters}m` : ''})`);
+    }
+    
+    // =============================================================
+    // ZONE SCHEDULE
+    // =============================================================
+    
+    /**
+     * Calculate the start position for the next zone occurrence
+     * @returns {number} The pixel position where the next zone starts
+     *                   (Infinity once a zone that doesn't repeat is done)
+     */
+    getNextZoneStart() {
+        if (this.zoneInterval === 0 && this.currentZoneNumber > 0) {
+            return Infinity;
+        }
+        return this.getZoneStart(this.currentZoneNumber);
+    }
+    
+    /**
+     * Where does a zone occurrence start?
+     * 
+     * @param {number} number - Which occurrence (0 = the first)
+     * @returns {number} The pixel position where it starts
+     */
+    getZoneStart(number) {
+        return this.firstZoneStart + number * this.zoneInterval;
+    }
+    
+    /**
+     * Is there another occurrence to come before the library?
+     * 
+     * @returns {boolean} True if the next zone starts before the library
+     */
+    hasNextZone() {
+        return this.isBeforeLibrary(this.getNextZoneStart());
+    }
+    
+    /**
+     * Does a zone starting here come before the library?
+     * 
+     * WHY stop at the library (the end of the route)? It's the goal -
+     * no more obstacles there! (In Endless mode there's no library, so
+     * zones never stop)
+     * 
+     * @param {number} zoneStart - Where the zone starts, in pixels
+     * @returns {boolean} True if it starts before the library
+     */
+    isBeforeLibrary(zoneStart) {
+        return zoneStart < this.scene.getLibraryDistance();
+    }
+    
+    /**
+     * Which occurrence was the last to start at (or before) a distance?
+     * 
+     * @param {number} distance - Distance in pixels (at or after the first zone)
+     * @returns {number} Which occurrence (0 = the first)
+     */
+    getZoneNumberAt(distance) {
+        return this.zoneInterval > 0 ? Math.floor((distance - this.firstZoneStart) / this.zoneInterval) : 0;
+    }
+    
+    /**
+     * Is a distance inside one of this zone's occurrences?
+     * 
+     * WHY? The CheckpointManager moves bus stops out of zones
+     * 
+     * @param {number} distance - Distance in pixels
+     * @returns {number|null} Where that zone ends (pixels), or null if outside every zone
+     */
+    getZoneEndAt(distance) {
+        if (distance < this.firstZoneStart) return null;
+        
+        const zoneEnd = this.getZoneStart(this.getZoneNumberAt(distance)) + this.zoneLength;
+        return distance < zoneEnd ? zoneEnd : null;
+    }
+    
+    /**
+     * Pick up the zone schedule partway along the route
+     * 
+     * WHY? A run continued from a checkpoint starts far from 0m - the
+     * next zone is the one we're in or the one after it
+     * 
+     * @param {number} distance - Distance the run starts at, in pixels
+     */
+    startFrom(distance) {
+        // Not at the first zone yet? It's still up next
+        if (distance < this.firstZoneStart) {
+            this.currentZoneNumber = 0;
+            return;
+        }
+        
+        const zoneIndex = this.getZoneNumberAt(distance);
+        const zoneEnd = this.getZoneStart(zoneIndex) + this.zoneLength;
+        
+        // Already past this zone? Then the next one is up
+        this.currentZoneNumber = distance > zoneEnd ? zoneIndex + 1 : zoneIndex;
+    }
+    
+    // =============================================================
+    // MESSAGES
+    // =============================================================
+    
+    /**
+     * Show a message in the middle of the screen for a moment
+     * 
+     * @param {string} message - What to say
+     * @param {string} color - Text color
+     */
+    showMessage(message, color) {
+        const text = this.scene.add.text(400, 150, message, {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            color: color,
+            backgroundColor: 'rgba(0,0,0,0.8)',
+            padding: { x: 15, y: 10 },
+            fontStyle: 'bold',
+            align: 'center'
+        });
+        text.setOrigin(0.5);
+        text.setDepth(200);
+        text.setScrollFactor(0);  // Fixed to camera
+        
+        // Fade in and out
+        text.setAlpha(0);
+        this.scene.tweens.add({
+            targets: text,
+            alpha: 1,
+            duration: 500,
+            yoyo: true,
+            hold: 2000,
+            onComplete: () => text.destroy()
+        });
+    }
+}